@@ -0,0 +1,78 @@
+// Categories a fresh deployment starts with. Admins can rename, extend or
+// deactivate them afterwards from the admin console.
+module.exports = [
+  {
+    name: 'Electronics',
+    icon: '📱',
+    children: [
+      {
+        name: 'Phone',
+        icon: '📱',
+        attributes: [
+          { key: 'imei', label: 'IMEI', type: 'text', sensitive: true, helpText: 'Dial *#06# on a phone to see its IMEI' },
+          { key: 'lockScreen', label: 'Lock screen description', type: 'text' }
+        ]
+      },
+      {
+        name: 'Laptop',
+        icon: '💻',
+        attributes: [
+          { key: 'serialNumber', label: 'Serial number', type: 'text', sensitive: true }
+        ]
+      },
+      { name: 'Headphones', icon: '🎧' },
+      { name: 'Charger', icon: '🔌' },
+      { name: 'Calculator', icon: '🧮' }
+    ]
+  },
+  {
+    name: 'Documents',
+    icon: '📄',
+    children: [
+      {
+        name: 'ID card',
+        icon: '🪪',
+        attributes: [
+          {
+            key: 'idType',
+            label: 'ID type',
+            type: 'select',
+            options: ['Student ID', 'National ID', 'Passport', 'Driving licence', 'Other']
+          }
+        ]
+      },
+      {
+        name: 'Bank card',
+        icon: '💳',
+        attributes: [
+          { key: 'lastFourDigits', label: 'Last 4 digits', type: 'text', sensitive: true }
+        ]
+      },
+      { name: 'Notes', icon: '📝' }
+    ]
+  },
+  {
+    name: 'Accessories',
+    icon: '👓',
+    children: [
+      { name: 'Glasses', icon: '👓' },
+      { name: 'Watch', icon: '⌚' },
+      { name: 'Wallet', icon: '👛' },
+      { name: 'Umbrella', icon: '☂️' }
+    ]
+  },
+  { name: 'Books', icon: '📚' },
+  { name: 'Clothing', icon: '👕' },
+  { name: 'Bags', icon: '🎒' },
+  {
+    name: 'Keys',
+    icon: '🔑',
+    attributes: [
+      { key: 'keyRing', label: 'Key ring description', type: 'text' },
+      { key: 'keyCount', label: 'Number of keys', type: 'number' }
+    ]
+  },
+  { name: 'Jewelry', icon: '💍' },
+  { name: 'Sports Equipment', icon: '⚽' },
+  { name: 'Other', icon: '📦' }
+];
@@ -1,13 +1,27 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Generate a short-lived JWT access token tied to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m',
   });
 };
 
+// Verify an access token and make sure its session hasn't been revoked.
+// Returns the decoded payload or null.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed can't be revoked, so reject them
+  if (!decoded.sessionId || !(await Session.isValid(decoded.sessionId))) {
+    return null;
+  }
+
+  return decoded;
+};
+
 // Verify JWT token middleware
 const protect = async (req, res, next) => {
   try {
@@ -28,7 +42,14 @@ const protect = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
+
+      if (!decoded) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has expired or been revoked'
+        });
+      }
 
       // Get user from token
       const user = await User.findById(decoded.userId).select('-password');
@@ -48,11 +69,20 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Check if user is banned
+      if (user.isBanned) {
+        return res.status(403).json({
+          success: false,
+          error: 'Account has been suspended'
+        });
+      }
+
       // Update last active
       user.lastActive = new Date();
       await user.save();
 
       req.user = user;
+      req.sessionId = decoded.sessionId;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -81,12 +111,12 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await verifyAccessToken(token);
 
         // Get user from token
-        const user = await User.findById(decoded.userId).select('-password');
+        const user = decoded && await User.findById(decoded.userId).select('-password');
 
-        if (user && user.isActive) {
+        if (user && user.isActive && !user.isBanned) {
           // Update last active
           user.lastActive = new Date();
           await user.save();
@@ -137,54 +167,63 @@ const authorize = (resourceModel, resourceField = 'user') => {
   };
 };
 
-// Rate limiting middleware
-const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-  const requests = new Map();
-
+// Role check (moderator routes also allow admins)
+const requireRole = (role) => {
   return (req, res, next) => {
-    const clientId = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-
-    // Clean old entries
-    if (requests.has(clientId)) {
-      const clientRequests = requests.get(clientId);
-      requests.set(clientId, clientRequests.filter(time => time > windowStart));
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
     }
 
-    // Get current request count
-    const currentRequests = requests.get(clientId) || [];
-
-    if (currentRequests.length >= maxRequests) {
-      return res.status(429).json({
+    if (!req.user.hasRole(role)) {
+      return res.status(403).json({
         success: false,
-        error: 'Too many requests, please try again later',
-        retryAfter: Math.ceil(windowMs / 1000)
+        error: `${role.charAt(0).toUpperCase() + role.slice(1)} access required`
       });
     }
 
-    // Add current request
-    currentRequests.push(now);
-    requests.set(clientId, currentRequests);
-
     next();
   };
 };
 
 // Admin role check
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      error: 'Authentication required'
-    });
+const requireAdmin = requireRole('admin');
+
+// Check the optional verified college email requirement.
+// REQUIRE_EMAIL_VERIFICATION=true requires a verified address and
+// COLLEGE_EMAIL_DOMAINS (comma separated) restricts which domains qualify.
+const getEmailRequirementError = (user) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isEmailVerified) {
+    return 'Please verify your email address first';
+  }
+
+  const domains = (process.env.COLLEGE_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (domains.length > 0) {
+    const emailDomain = user.email.split('@')[1].toLowerCase();
+    const allowed = domains.some(domain => emailDomain === domain || emailDomain.endsWith(`.${domain}`));
+
+    if (!allowed) {
+      return 'A college email address is required';
+    }
   }
 
-  // Check if user has admin role (you might want to add a role field to User model)
-  if (req.user.email !== process.env.ADMIN_EMAIL) {
+  return null;
+};
+
+// Require a verified college email (when enabled)
+const requireVerifiedEmail = (req, res, next) => {
+  const error = getEmailRequirementError(req.user);
+
+  if (error) {
     return res.status(403).json({
       success: false,
-      error: 'Admin access required'
+      error
     });
   }
 
@@ -303,6 +342,7 @@ const canRate = async (req, res, next) => {
       });
     }
 
+    req.post = post;
     next();
   } catch (error) {
     return res.status(500).json({
@@ -314,11 +354,14 @@ const canRate = async (req, res, next) => {
 
 module.exports = {
   generateToken,
+  verifyAccessToken,
   protect,
   optionalAuth,
   authorize,
-  rateLimit,
+  requireRole,
   requireAdmin,
+  getEmailRequirementError,
+  requireVerifiedEmail,
   validatePostOwnership,
   validateChatParticipation,
   canRate
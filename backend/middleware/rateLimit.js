@@ -0,0 +1,86 @@
+const { getStore } = require('../services/rateLimit');
+
+// How a request is identified for limiting
+const KEY_GENERATORS = {
+  ip: (req) => `ip:${req.ip}`,
+  // Falls back to the IP for guests, so use after protect/optionalAuth
+  user: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`)
+};
+
+// Create a named sliding-window limiter backed by the configured store.
+// The previous fixed window's count is weighted by how much of it still
+// overlaps the sliding window, which avoids bursts at window boundaries.
+const createLimiter = ({ name, max, windowMs }) => {
+  if (!name) {
+    throw new Error('Rate limiter name is required');
+  }
+
+  const consume = async (id) => {
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+    const elapsed = (now % windowMs) / windowMs;
+    const store = getStore();
+
+    const [current, previous] = await Promise.all([
+      store.increment(`${name}:${id}:${window}`, windowMs * 2),
+      store.get(`${name}:${id}:${window - 1}`)
+    ]);
+
+    const count = Math.floor(previous * (1 - elapsed)) + current;
+
+    return {
+      allowed: count <= max,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetSeconds: Math.ceil((windowMs - (now % windowMs)) / 1000)
+    };
+  };
+
+  return { consume };
+};
+
+// Rate limiting middleware. Options:
+//   name  - unique limiter name (keys are shared across instances)
+//   keyBy - 'ip' (default), 'user' or a function (req) => string
+const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000, { name, keyBy = 'ip' } = {}) => {
+  const limiter = createLimiter({ name, max: maxRequests, windowMs });
+  const getKey = typeof keyBy === 'function' ? keyBy : KEY_GENERATORS[keyBy];
+
+  if (!getKey) {
+    throw new Error(`Unknown rate limit key: ${keyBy}`);
+  }
+
+  return async (req, res, next) => {
+    let result;
+
+    try {
+      result = await limiter.consume(getKey(req));
+    } catch (error) {
+      // Don't take the API down with the limiter store
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': result.limit,
+      'RateLimit-Remaining': result.remaining,
+      'RateLimit-Reset': result.resetSeconds
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', result.resetSeconds);
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests, please try again later',
+        retryAfter: result.resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createLimiter,
+  rateLimit
+};
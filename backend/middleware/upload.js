@@ -0,0 +1,62 @@
+const multer = require('multer');
+
+// Allowed MIME types per upload purpose
+const ALLOWED_TYPES = {
+  post: ['image/jpeg', 'image/png', 'image/webp'],
+  chat: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+};
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 5 * 1024 * 1024; // 5MB
+const MAX_FILES = 5;
+
+// Keep files in memory so they can be processed before hitting storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    const purpose = req.query.purpose || 'post';
+    const allowed = ALLOWED_TYPES[purpose] || [];
+
+    if (!allowed.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+});
+
+// Parse multipart uploads and turn multer errors into 400 responses
+const uploadFiles = (fieldName = 'files') => {
+  const handler = upload.array(fieldName, MAX_FILES);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          error: error.code === 'LIMIT_FILE_SIZE'
+            ? `File exceeds the ${Math.round(MAX_FILE_SIZE / (1024 * 1024))}MB limit`
+            : error.message
+        });
+      }
+
+      if (error) {
+        return next(error);
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  MAX_FILE_SIZE,
+  MAX_FILES,
+  uploadFiles
+};
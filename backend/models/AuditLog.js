@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: [
+      'post.hide',
+      'post.restore',
+      'post.verify',
+      'rating.hide',
+      'rating.restore',
+      'rating.verify',
+      'user.ban',
+      'user.unban',
+      'user.role',
+      'building.create',
+      'building.update',
+      'building.delete',
+      'organization.create',
+      'organization.update',
+      'organization.role',
+      'category.create',
+      'category.update',
+      'category.delete'
+    ]
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['Post', 'Rating', 'User', 'Building', 'Organization', 'Category']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetType'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  // Extra details, e.g. previous and new role
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, target: 1 });
+
+// Static method to record a moderation action
+auditLogSchema.statics.record = function(actorId, action, target, reason = null, metadata = {}) {
+  return this.create({
+    actor: actorId,
+    action,
+    targetType: target.constructor.modelName,
+    target: target._id,
+    reason,
+    metadata
+  });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { pointSchema } = require('./pointSchema');
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words ignored when comparing names, so "Library Bldg" and "the library"
+// both resolve to "Library"
+const FILLER_WORDS = ['the', 'bldg', 'building', 'blk'];
+
+// Lowercase a name and drop punctuation and filler words
+const normalizeName = (value) => (value || '')
+  .toString()
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .split(' ')
+  .filter(word => word && !FILLER_WORDS.includes(word))
+  .join(' ');
+
+const buildingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Owning organization; null buildings are shared by every organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Short code shown on campus signs, e.g. "LIB"
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Code cannot exceed 20 characters'],
+    default: null
+  },
+  // Other names people use for the building, e.g. "Main Lib"
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot exceed 100 characters']
+  }],
+  floors: [{
+    type: String,
+    trim: true,
+    maxlength: [30, 'Floor cannot exceed 30 characters']
+  }],
+  coordinates: {
+    type: pointSchema,
+    default: undefined
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Normalized name, code and aliases, kept in sync on validate
+  searchKeys: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+buildingSchema.index({ searchKeys: 1 });
+buildingSchema.index({ organization: 1 });
+buildingSchema.index({ name: 1 });
+
+buildingSchema.pre('validate', function(next) {
+  const keys = [this.name, this.code, ...(this.aliases || [])].map(normalizeName).filter(Boolean);
+  this.searchKeys = [...new Set(keys)];
+  next();
+});
+
+// Buildings an organization can use: its own and the shared ones
+const organizationScope = (organization) => ({
+  organization: { $in: organization ? [organization, null] : [null] }
+});
+
+// Static method to find the active building a free-text name refers to
+// among the organization's own and shared buildings
+buildingSchema.statics.resolve = function(text, organization = null) {
+  const key = normalizeName(text);
+  if (!key) return Promise.resolve(null);
+
+  return this.findOne({ searchKeys: key, isActive: true, ...organizationScope(organization) });
+};
+
+// Static method to suggest active buildings for partly typed text, matching
+// the start of any word in the name, code or an alias
+buildingSchema.statics.autocomplete = function(text, limit = 10, organization = null) {
+  const key = normalizeName(text);
+  const query = { isActive: true, ...organizationScope(organization) };
+  if (key) query.searchKeys = new RegExp(`(^| )${escapeRegex(key)}`);
+
+  return this.find(query)
+    .select('name code floors coordinates')
+    .sort({ name: 1 })
+    .limit(limit);
+};
+
+// Static method to find another building already using any of the given
+// names, so each name resolves to one building. An organization's building
+// only clashes with its own and shared buildings; a shared one with any.
+buildingSchema.statics.findConflict = function(building) {
+  const keys = [building.name, building.code, ...(building.aliases || [])].map(normalizeName).filter(Boolean);
+  const query = { _id: { $ne: building._id }, searchKeys: { $in: keys } };
+
+  return this.findOne(building.organization ? { ...query, ...organizationScope(building.organization) } : query)
+    .select('name');
+};
+
+buildingSchema.statics.organizationScope = organizationScope;
+
+buildingSchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('Building', buildingSchema);
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+
+// Extra detail collected for posts in a category, e.g. a phone's IMEI
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Attribute key is required'],
+    trim: true,
+    match: [/^[a-z][a-zA-Z0-9]*$/, 'Attribute keys must be camelCase letters and numbers'],
+    maxlength: [40, 'Attribute key cannot exceed 40 characters']
+  },
+  label: {
+    type: String,
+    required: [true, 'Attribute label is required'],
+    trim: true,
+    maxlength: [60, 'Attribute label cannot exceed 60 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['text', 'number', 'select', 'boolean'],
+      message: 'Attribute type must be text, number, select or boolean'
+    },
+    default: 'text'
+  },
+  // Choices for select attributes
+  options: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [60, 'Option cannot exceed 60 characters']
+    }],
+    validate: {
+      validator: function(options) {
+        return this.type !== 'select' || options.length > 0;
+      },
+      message: 'Select attributes need at least one option'
+    }
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Sensitive values (serial numbers, card digits) are never shown on the
+  // post; only matching and claim verification compare them
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Help text cannot exceed 200 characters'],
+    default: null
+  }
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  // Stored on posts as category (top level) or subCategory (child)
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Top-level category this is a sub-category of; categories nest one level
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [16, 'Icon cannot exceed 16 characters'],
+    default: null
+  },
+  attributes: {
+    type: [attributeSchema],
+    validate: {
+      validator: attributes => new Set(attributes.map(attribute => attribute.key)).size === attributes.length,
+      message: 'Attribute keys must be unique'
+    }
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+categorySchema.index({ sortOrder: 1, name: 1 });
+
+// Static method to get categories as a tree of top-level categories with
+// their sub-categories under `children`
+categorySchema.statics.getTree = async function({ includeInactive = false } = {}) {
+  const categories = await this.find(includeInactive ? {} : { isActive: true })
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  const topLevel = categories.filter(category => !category.parent);
+
+  return topLevel.map(category => ({
+    ...category,
+    children: categories.filter(child => child.parent && child.parent.toString() === category._id.toString())
+  }));
+};
+
+// Static method to get the names of active top-level categories, in order
+categorySchema.statics.getNames = async function() {
+  const categories = await this.find({ parent: null, isActive: true }).sort({ sortOrder: 1, name: 1 }).select('name');
+  return categories.map(category => category.name);
+};
+
+// Static method for request validators: rejects names that aren't a
+// top-level category. Inactive categories pass so older posts stay findable.
+categorySchema.statics.assertTopLevel = async function(name) {
+  if (!(await this.exists({ name, parent: null }))) {
+    throw new Error('Invalid category');
+  }
+  return true;
+};
+
+// Static method to check a category and optional sub-category chosen for a
+// post. Returns an error message, or null when the choice is valid.
+categorySchema.statics.getSelectionError = async function(categoryName, subCategoryName = null) {
+  const category = await this.findOne({ name: categoryName, parent: null, isActive: true });
+  if (!category) {
+    return 'Please select a valid category';
+  }
+
+  if (subCategoryName) {
+    const subCategory = await this.exists({ name: subCategoryName, parent: category._id, isActive: true });
+    if (!subCategory) {
+      return `${subCategoryName} is not a sub-category of ${categoryName}`;
+    }
+  }
+
+  return null;
+};
+
+// Static method to get the attributes a post in a category and optional
+// sub-category collects: the category's own followed by the sub-category's
+categorySchema.statics.getAttributes = async function(categoryName, subCategoryName = null) {
+  const category = await this.findOne({ name: categoryName, parent: null }).select('attributes').lean();
+  if (!category) {
+    return [];
+  }
+
+  const subCategory = subCategoryName
+    ? await this.findOne({ name: subCategoryName, parent: category._id }).select('attributes').lean()
+    : null;
+
+  return [...(category.attributes || []), ...(subCategory?.attributes || [])];
+};
+
+// Static method to create the default categories when there are none yet.
+// Returns the number of categories created.
+categorySchema.statics.seedDefaults = async function(defaults) {
+  if (await this.exists({})) {
+    return 0;
+  }
+
+  let created = 0;
+
+  for (const [index, { children = [], ...fields }] of defaults.entries()) {
+    const category = await this.create({ ...fields, sortOrder: index });
+    created++;
+
+    for (const [childIndex, child] of children.entries()) {
+      await this.create({ ...child, parent: category._id, sortOrder: childIndex });
+      created++;
+    }
+  }
+
+  return created;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
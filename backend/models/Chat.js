@@ -14,7 +14,7 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'system'],
+    enum: ['text', 'image', 'file', 'system', 'meeting'],
     default: 'text'
   },
   attachment: {
@@ -35,6 +35,33 @@ const messageSchema = new mongoose.Schema({
       default: null
     }
   },
+  // Handover meeting proposal (messageType 'meeting')
+  meeting: {
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Meeting location cannot exceed 200 characters'],
+      default: null
+    },
+    time: {
+      type: Date,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['proposed', 'accepted', 'declined', 'superseded', null],
+      default: null
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -158,17 +185,6 @@ const chatSchema = new mongoose.Schema({
       return new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
     }
   },
-  // Notification settings
-  notifications: {
-    enabled: {
-      type: Boolean,
-      default: true
-    },
-    muteUntil: {
-      type: Date,
-      default: null
-    }
-  },
   // Metadata
   metadata: {
     itemReturned: {
@@ -187,6 +203,15 @@ const chatSchema = new mongoose.Schema({
       type: Date,
       default: null
     },
+    // The accepted proposal the fields above came from
+    meetingMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    meetingReminderSentAt: {
+      type: Date,
+      default: null
+    },
     contactShared: {
       type: Boolean,
       default: false
@@ -205,6 +230,7 @@ chatSchema.index({ status: 1 });
 chatSchema.index({ lastActivity: -1 });
 chatSchema.index({ createdAt: -1 });
 chatSchema.index({ 'lastMessage.timestamp': -1 });
+chatSchema.index({ 'metadata.meetingArranged': 1, 'metadata.meetingTime': 1 });
 
 // Virtual for unread message count per user
 chatSchema.virtual('unreadCount').get(function() {
@@ -221,12 +247,13 @@ chatSchema.virtual('duration').get(function() {
 });
 
 // Method to add a message
-chatSchema.methods.addMessage = function(senderId, content, messageType = 'text', attachment = null) {
+chatSchema.methods.addMessage = function(senderId, content, messageType = 'text', attachment = null, meeting = null) {
   const message = {
     sender: senderId,
     content: content,
     messageType: messageType,
     attachment: attachment,
+    meeting: meeting,
     isRead: false
   };
 
@@ -294,6 +321,10 @@ chatSchema.methods.editMessage = function(messageId, newContent, userId) {
   if (message.isDeleted) {
     throw new Error('Cannot edit deleted message');
   }
+
+  if (['system', 'meeting'].includes(message.messageType)) {
+    throw new Error('This message cannot be edited');
+  }
   
   // Store original content if not already edited
   if (!message.isEdited) {
@@ -318,6 +349,10 @@ chatSchema.methods.deleteMessage = function(messageId, userId) {
   if (message.sender.toString() !== userId.toString()) {
     throw new Error('Not authorized to delete this message');
   }
+
+  if (['system', 'meeting'].includes(message.messageType)) {
+    throw new Error('This message cannot be deleted');
+  }
   
   message.isDeleted = true;
   message.deletedAt = new Date();
@@ -326,6 +361,71 @@ chatSchema.methods.deleteMessage = function(messageId, userId) {
   return this.save();
 };
 
+// Method to get the open meeting proposal or the accepted meeting, if any
+chatSchema.methods.getCurrentMeeting = function() {
+  return this.messages.find(message =>
+    message.messageType === 'meeting' &&
+    ['proposed', 'accepted'].includes(message.meeting.status)
+  ) || null;
+};
+
+// Method to propose a handover meeting. A new proposal replaces the
+// current one, so rescheduling also cancels an accepted meeting.
+chatSchema.methods.proposeMeeting = function(userId, location, time, content) {
+  const current = this.getCurrentMeeting();
+
+  if (current) {
+    current.meeting.status = 'superseded';
+  }
+
+  this.metadata.meetingArranged = false;
+  this.metadata.meetingLocation = null;
+  this.metadata.meetingTime = null;
+  this.metadata.meetingMessage = null;
+  this.metadata.meetingReminderSentAt = null;
+
+  return this.addMessage(userId, content, 'meeting', null, {
+    location,
+    time,
+    status: 'proposed'
+  });
+};
+
+// Method to accept or decline a meeting proposal from the other participant
+chatSchema.methods.respondToMeeting = function(messageId, userId, accept) {
+  const message = this.messages.id(messageId);
+
+  if (!message || message.messageType !== 'meeting') {
+    throw new Error('Meeting proposal not found');
+  }
+
+  if (message.meeting.status !== 'proposed') {
+    throw new Error('This meeting proposal is no longer open');
+  }
+
+  if (message.sender.toString() === userId.toString()) {
+    throw new Error('Cannot respond to your own meeting proposal');
+  }
+
+  if (accept && message.meeting.time <= new Date()) {
+    throw new Error('This meeting time has already passed');
+  }
+
+  message.meeting.status = accept ? 'accepted' : 'declined';
+  message.meeting.respondedBy = userId;
+  message.meeting.respondedAt = new Date();
+
+  if (accept) {
+    this.metadata.meetingArranged = true;
+    this.metadata.meetingLocation = message.meeting.location;
+    this.metadata.meetingTime = message.meeting.time;
+    this.metadata.meetingMessage = message._id;
+    this.metadata.meetingReminderSentAt = null;
+  }
+
+  return this.save();
+};
+
 // Method to add participant
 chatSchema.methods.addParticipant = function(userId) {
   const existingParticipant = this.participants.find(
@@ -380,13 +480,45 @@ chatSchema.methods.getUnreadCount = function(userId) {
   ).length;
 };
 
-// Static method to find chats for a user
+// Static method to count each matching chat's messages the user hasn't
+// read, without loading the messages. Returns a Map of chat id to count.
+chatSchema.statics.countUnread = async function(userId, filter) {
+  const readerId = new mongoose.Types.ObjectId(userId.toString());
+
+  const counts = await this.aggregate([
+    { $match: filter },
+    {
+      $project: {
+        count: {
+          $size: {
+            $filter: {
+              input: '$messages',
+              as: 'message',
+              cond: {
+                $and: [
+                  { $ne: ['$$message.isRead', true] },
+                  { $ne: ['$$message.isDeleted', true] },
+                  { $ne: ['$$message.sender', readerId] }
+                ]
+              }
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Static method to find chats for a user, without their messages
 chatSchema.statics.findUserChats = function(userId, status = 'active') {
   return this.find({
     'participants.user': userId,
     'participants.isActive': true,
     status: status
   })
+  .select('-messages')
   .populate('participants.user', 'name email avatar trustScore')
   .populate('post', 'title type category status')
   .populate('lastMessage.sender', 'name avatar')
@@ -402,6 +534,22 @@ chatSchema.statics.findByPostAndUsers = function(postId, userIds) {
   });
 };
 
+// Static method to find the chat between users about a post, creating it if needed
+chatSchema.statics.openForPost = async function(postId, userIds, title = 'Discussion about post') {
+  const existingChat = await this.findByPostAndUsers(postId, userIds);
+  if (existingChat) {
+    return { chat: existingChat, created: false };
+  }
+
+  const chat = await this.create({
+    participants: userIds.map(user => ({ user })),
+    post: postId,
+    title
+  });
+
+  return { chat, created: true };
+};
+
 // Static method to find expired chats
 chatSchema.statics.findExpired = function() {
   return this.find({
@@ -410,6 +558,22 @@ chatSchema.statics.findExpired = function() {
   });
 };
 
+// Static method to find arranged meetings starting within the lead time
+// that have not had a reminder yet
+chatSchema.statics.findDueMeetingReminders = function(leadTimeMs) {
+  const now = new Date();
+
+  return this.find({
+    status: 'active',
+    'metadata.meetingArranged': true,
+    'metadata.meetingReminderSentAt': null,
+    'metadata.meetingTime': { $gt: now, $lte: new Date(now.getTime() + leadTimeMs) }
+  })
+  .select('-messages')
+  .populate('participants.user', 'name email')
+  .populate('post', 'title');
+};
+
 // Pre-save middleware to update last activity on message addition
 chatSchema.pre('save', function(next) {
   if (this.isModified('messages')) {
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+const claimSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  // The finder who reviews the claim (owner of the post)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Post owner is required']
+  },
+  claimant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Claimant is required']
+  },
+  answers: [{
+    _id: false,
+    // Set for answers to the finder's verification questions
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Set instead for answers confirming a sensitive detail of the item
+    attributeKey: {
+      type: String,
+      default: null
+    },
+    // Copied so edits to the post don't change what was asked
+    question: {
+      type: String,
+      required: true
+    },
+    answer: {
+      type: String,
+      required: [true, 'Answer is required'],
+      trim: true,
+      maxlength: [200, 'Answer cannot exceed 200 characters']
+    },
+    // Whether the answer matched the finder's; only shown to the finder
+    isMatch: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['requested', 'under_review', 'approved', 'handed_over', 'confirmed', 'rejected', 'disputed', 'withdrawn'],
+      message: 'Invalid claim status'
+    },
+    default: 'requested'
+  },
+  // Every status change, oldest first
+  history: [{
+    _id: false,
+    status: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: {
+      type: String,
+      maxlength: [300, 'Note cannot exceed 300 characters'],
+      default: null
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Chat opened between finder and claimant on approval
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One claim per user per post, so answers can't be guessed repeatedly
+claimSchema.index({ post: 1, claimant: 1 }, { unique: true });
+claimSchema.index({ owner: 1, status: 1 });
+claimSchema.index({ claimant: 1, createdAt: -1 });
+
+// Allowed status changes for each party. Confirmed, rejected and
+// withdrawn claims are final, and only a handed over item can be confirmed.
+const TRANSITIONS = {
+  requested: {
+    owner: ['under_review', 'approved', 'rejected'],
+    claimant: ['withdrawn']
+  },
+  under_review: {
+    owner: ['approved', 'rejected'],
+    claimant: ['withdrawn']
+  },
+  approved: {
+    owner: ['handed_over', 'rejected'],
+    claimant: ['withdrawn', 'disputed']
+  },
+  handed_over: {
+    owner: ['disputed'],
+    claimant: ['confirmed', 'disputed']
+  },
+  disputed: {
+    owner: ['rejected'],
+    claimant: ['confirmed', 'withdrawn']
+  }
+};
+
+// Disputes raised before the handover go back to approved or end the claim
+const PRE_HANDOVER_DISPUTE_TRANSITIONS = {
+  owner: ['approved', 'rejected'],
+  claimant: ['withdrawn']
+};
+
+// Claims that are still in progress
+claimSchema.statics.OPEN_STATUSES = ['requested', 'under_review', 'approved', 'handed_over', 'disputed'];
+
+// Claims holding the item for their claimant; only one per post at a time
+claimSchema.statics.HOLDING_STATUSES = ['approved', 'handed_over', 'disputed'];
+
+// Method to get the user's role in the claim ('owner', 'claimant' or null)
+claimSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  const ownerId = (this.owner._id || this.owner).toString();
+  const claimantId = (this.claimant._id || this.claimant).toString();
+
+  if (id === ownerId) return 'owner';
+  if (id === claimantId) return 'claimant';
+  return null;
+};
+
+// Method to get the status the claim was in when it was last disputed
+claimSchema.methods.getStatusBeforeDispute = function() {
+  const index = this.history.map(entry => entry.status).lastIndexOf('disputed');
+  return index > 0 ? this.history[index - 1].status : null;
+};
+
+// Method to list the statuses a role may move the claim to
+claimSchema.methods.getAllowedTransitions = function(role) {
+  if (this.status === 'disputed' && this.getStatusBeforeDispute() !== 'handed_over') {
+    return PRE_HANDOVER_DISPUTE_TRANSITIONS[role] || [];
+  }
+
+  return (TRANSITIONS[this.status] && TRANSITIONS[this.status][role]) || [];
+};
+
+// Method to move the claim to a new status, recording the change. Only
+// applies while the claim is still in the status it was loaded with, so
+// concurrent changes can't both win. Resolves to the updated claim, or null
+// when another change got there first.
+claimSchema.methods.transition = function(status, userId, note = null) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: { status },
+      $push: {
+        history: {
+          status,
+          changedBy: userId,
+          note,
+          timestamp: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to get the claim as shown to one of its parties. Claimants don't
+// see whether their answers matched.
+claimSchema.methods.getViewFor = function(userId) {
+  const role = this.getRole(userId);
+  const claim = this.toObject();
+
+  if (role !== 'owner') {
+    claim.answers = claim.answers.map(({ isMatch, ...answer }) => answer);
+  }
+
+  claim.role = role;
+  claim.allowedTransitions = this.getAllowedTransitions(role);
+  return claim;
+};
+
+module.exports = mongoose.model('Claim', claimSchema);
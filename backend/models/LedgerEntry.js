@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One line in a user's reward history. A paid reward writes an entry for
+// the payer (negative amount) and one for the payee (positive amount).
+const ledgerEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['reward_paid', 'reward_received'],
+      message: 'Invalid ledger entry type'
+    },
+    required: [true, 'Entry type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // The other side of the payment
+  counterparty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reward',
+    required: [true, 'Reward is required']
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  // Payment provider reference of the payout
+  reference: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+// A reward is only ever paid once
+ledgerEntrySchema.index({ reward: 1, user: 1 }, { unique: true });
+
+// Static method to total a user's rewards paid and received
+ledgerEntrySchema.statics.getTotals = async function(userId) {
+  const totals = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  const find = (type) => totals.find(total => total._id === type) || { total: 0, count: 0 };
+  const paid = find('reward_paid');
+  const received = find('reward_received');
+
+  return {
+    paid: Math.abs(paid.total),
+    paidCount: paid.count,
+    received: received.total,
+    receivedCount: received.count
+  };
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const matchSchema = new mongoose.Schema({
+  lostPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Lost post is required']
+  },
+  foundPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Found post is required']
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Points awarded per signal, for explaining the match to users
+  breakdown: {
+    category: { type: Number, default: 0 },
+    building: { type: Number, default: 0 },
+    dateTime: { type: Number, default: 0 },
+    color: { type: Number, default: 0 },
+    brand: { type: Number, default: 0 },
+    text: { type: Number, default: 0 },
+    details: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'dismissed', 'confirmed'],
+    default: 'pending'
+  },
+  dismissedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One match record per lost/found pair
+matchSchema.index({ lostPost: 1, foundPost: 1 }, { unique: true });
+matchSchema.index({ lostPost: 1, score: -1 });
+matchSchema.index({ foundPost: 1, score: -1 });
+
+// Method to dismiss a match for one user
+matchSchema.methods.dismiss = function(userId) {
+  const alreadyDismissed = this.dismissedBy.some(id => id.toString() === userId.toString());
+
+  if (!alreadyDismissed) {
+    this.dismissedBy.push(userId);
+  }
+
+  // Both owners dismissed it, so it is no longer a candidate
+  if (this.dismissedBy.length >= 2) {
+    this.status = 'dismissed';
+  }
+
+  return this.save();
+};
+
+// Static method to find matches for a post, best first
+matchSchema.statics.findForPost = function(post, userId = null) {
+  const field = post.type === 'lost' ? 'lostPost' : 'foundPost';
+  const otherField = post.type === 'lost' ? 'foundPost' : 'lostPost';
+
+  const query = {
+    [field]: post._id,
+    status: { $ne: 'dismissed' },
+    ...(userId && { dismissedBy: { $ne: userId } })
+  };
+
+  return this.find(query)
+    .populate({
+      path: otherField,
+      select: 'title description type category location dateTime color brand images status user',
+      populate: { path: 'user', select: 'name avatar trustScore' }
+    })
+    .sort({ score: -1 });
+};
+
+module.exports = mongoose.model('Match', matchSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Notifications older than this are removed by the TTL index
+const RETENTION_DAYS = 90;
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: [
+      'new_message',
+      'new_interest',
+      'possible_match',
+      'claim_update',
+      'rating_received',
+      'post_expiring',
+      'meeting_reminder',
+      'saved_search'
+    ]
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Body cannot exceed 300 characters'],
+    default: ''
+  },
+  // Client route to open when the notification is clicked, e.g. /chats/:id
+  link: {
+    type: String,
+    default: null
+  },
+  // Related ids (postId, chatId, claimId, ...) for clients that need them
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Unread notifications with the same key are merged (e.g. messages in one chat)
+  groupKey: {
+    type: String,
+    default: null
+  },
+  // How many events were merged into this notification
+  count: {
+    type: Number,
+    default: 1
+  },
+  // How the user chose to receive this category when it was created
+  delivery: {
+    type: String,
+    enum: ['in_app', 'email_digest'],
+    default: 'in_app'
+  },
+  // When the notification went out in an email digest
+  emailedAt: {
+    type: Date,
+    default: null
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Merged notifications move back to the top, so lists sort by updatedAt
+notificationSchema.index({ user: 1, updatedAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+notificationSchema.index({ user: 1, groupKey: 1, isRead: 1 });
+notificationSchema.index({ delivery: 1, emailedAt: 1 });
+notificationSchema.index({ updatedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Method to mark the notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, isRead: false });
+};
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { user: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
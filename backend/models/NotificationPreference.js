@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+
+// Notification categories users can configure (the Notification types)
+const CATEGORIES = Notification.schema.path('type').enumValues;
+
+// in_app: stored and pushed live; email_digest: stored and emailed in the
+// next digest instead of being pushed; off: not created at all
+const DELIVERY_OPTIONS = ['in_app', 'email_digest', 'off'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    unique: true
+  },
+  // Delivery per category; missing categories use in_app
+  channels: CATEGORIES.reduce((paths, category) => ({
+    ...paths,
+    [category]: {
+      type: String,
+      enum: DELIVERY_OPTIONS,
+      default: 'in_app'
+    }
+  }), {}),
+  // No live pushes or emails during quiet hours; notifications are still
+  // stored and shown in the notification list
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: [TIME_PATTERN, 'Quiet hours must use HH:MM'],
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      match: [TIME_PATTERN, 'Quiet hours must use HH:MM'],
+      default: '07:00'
+    },
+    // IANA time zone the hours are in, e.g. Asia/Kolkata
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+  mutedChats: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  }],
+  mutedPosts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  lastDigestAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Minutes since midnight for an HH:MM string
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Method to get how a category is delivered
+notificationPreferenceSchema.methods.getDelivery = function(category) {
+  return (this.channels && this.channels[category]) || 'in_app';
+};
+
+// Method to check whether a moment falls in the user's quiet hours
+notificationPreferenceSchema.methods.isQuietAt = function(date = new Date()) {
+  const { enabled, start, end, timezone } = this.quietHours;
+  if (!enabled || start === end) return false;
+
+  const [hours, minutes] = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date).split(':').map(Number);
+  const now = hours * 60 + minutes;
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  // Ranges such as 22:00-07:00 wrap past midnight
+  return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+// Method to check whether notifications about a chat or post are muted
+notificationPreferenceSchema.methods.isMuted = function({ chatId, postId } = {}) {
+  const includes = (list, id) => Boolean(id) && list.some(item => item.toString() === id.toString());
+  return includes(this.mutedChats, chatId) || includes(this.mutedPosts, postId);
+};
+
+// Static method to get a user's preferences, falling back to (unsaved) defaults
+notificationPreferenceSchema.statics.getForUser = async function(userId) {
+  const preferences = await this.findOne({ user: userId });
+  return preferences || new this({ user: userId });
+};
+
+// Static method to check that a time zone name is supported
+notificationPreferenceSchema.statics.isValidTimezone = function(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+notificationPreferenceSchema.statics.CATEGORIES = CATEGORIES;
+notificationPreferenceSchema.statics.DELIVERY_OPTIONS = DELIVERY_OPTIONS;
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Lowercase a domain and drop a leading "@" or "www."
+const normalizeDomain = (value) => (value || '')
+  .toString()
+  .trim()
+  .toLowerCase()
+  .replace(/^@/, '')
+  .replace(/^www\./, '');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Short identifier used in links, e.g. "state-university"
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug can only contain letters, numbers and dashes'],
+    maxlength: [50, 'Slug cannot exceed 50 characters']
+  },
+  // Verified addresses on these domains (or their subdomains) join the organization
+  emailDomains: [{
+    type: String,
+    set: normalizeDomain,
+    match: [/^[a-z0-9-]+(\.[a-z0-9-]+)+$/, 'Please provide a valid domain']
+  }],
+  // Categories members can post under; empty allows every category
+  categories: [{
+    type: String
+  }],
+  // Whether people outside the organization can see its posts
+  allowGuestViewing: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ emailDomains: 1 });
+
+// Method to check whether members can post under a category
+organizationSchema.methods.allowsCategory = function(category) {
+  return this.categories.length === 0 || this.categories.includes(category);
+};
+
+// Static method to find the active organization an email address belongs to,
+// preferring the most specific domain
+organizationSchema.statics.findForEmail = async function(email) {
+  const emailDomain = normalizeDomain((email || '').split('@')[1]);
+  if (!emailDomain) return null;
+
+  // "cs.state.edu" also belongs to "state.edu"
+  const parts = emailDomain.split('.');
+  const candidates = parts.slice(0, -1).map((part, index) => parts.slice(index).join('.'));
+
+  const organizations = await this.find({ emailDomains: { $in: candidates }, isActive: true });
+
+  for (const domain of candidates) {
+    const organization = organizations.find(org => org.emailDomains.includes(domain));
+    if (organization) return organization;
+  }
+
+  return null;
+};
+
+// Static method to find another organization already claiming one of the
+// given domains, so each address belongs to one organization
+organizationSchema.statics.findDomainConflict = function(organization) {
+  return this.findOne({
+    _id: { $ne: organization._id },
+    emailDomains: { $in: organization.emailDomains }
+  }).select('name');
+};
+
+organizationSchema.statics.normalizeDomain = normalizeDomain;
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const Building = require('./Building');
+const { pointSchema, isValidPoint, EARTH_RADIUS_METERS } = require('./pointSchema');
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const postSchema = new mongoose.Schema({
   user: {
@@ -6,6 +11,12 @@ const postSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'User is required']
   },
+  // The author's organization when the post was made; null posts are visible to everyone
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   type: {
     type: String,
     required: [true, 'Post type is required'],
@@ -26,25 +37,14 @@ const postSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Name of a top-level Category; checked against the registry by the routes
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: {
-      values: [
-        'Electronics',
-        'Documents',
-        'Accessories',
-        'Books',
-        'Clothing',
-        'Bags',
-        'Keys',
-        'Jewelry',
-        'Sports Equipment',
-        'Other'
-      ],
-      message: 'Please select a valid category'
-    }
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
   },
+  // Name of one of the category's sub-categories
   subCategory: {
     type: String,
     trim: true,
@@ -57,6 +57,12 @@ const postSchema = new mongoose.Schema({
       required: [true, 'Building/Location is required'],
       trim: true
     },
+    // Registry entry the building name resolved to, if any
+    buildingRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Building',
+      default: null
+    },
     floor: {
       type: String,
       trim: true
@@ -69,17 +75,10 @@ const postSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    // Optional map pin, stored as GeoJSON for the 2dsphere index
     coordinates: {
-      latitude: {
-        type: Number,
-        min: -90,
-        max: 90
-      },
-      longitude: {
-        type: Number,
-        min: -180,
-        max: 180
-      }
+      type: pointSchema,
+      default: undefined
     }
   },
   // Time Information
@@ -125,6 +124,19 @@ const postSchema = new mongoose.Schema({
     enum: ['Excellent', 'Good', 'Fair', 'Poor'],
     default: 'Good'
   },
+  // Category-specific details keyed by attribute key, e.g. { keyCount: 3 }.
+  // Checked against the category's attributes by the posts routes.
+  attributes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // Values of sensitive attributes such as serial numbers. Never selected by
+  // default; only the owner, matching and claim verification read them.
+  sensitiveAttributes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({}),
+    select: false
+  },
   // Images
   images: [{
     url: {
@@ -135,6 +147,10 @@ const postSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    thumbnailUrl: {
+      type: String,
+      default: null
+    },
     description: {
       type: String,
       maxlength: [200, 'Image description cannot exceed 200 characters']
@@ -160,8 +176,8 @@ const postSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['active', 'resolved', 'expired', 'removed'],
-      message: 'Status must be active, resolved, expired, or removed'
+      values: ['active', 'resolved', 'expired', 'removed', 'hidden'],
+      message: 'Status must be active, resolved, expired, removed, or hidden'
     },
     default: 'active'
   },
@@ -174,6 +190,31 @@ const postSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Ownership verification questions for found items. Answers are never
+  // selected by default so they stay out of every API response.
+  verificationQuestions: {
+    type: [{
+      question: {
+        type: String,
+        required: [true, 'Verification question is required'],
+        trim: true,
+        maxlength: [200, 'Verification question cannot exceed 200 characters']
+      },
+      answer: {
+        type: String,
+        required: [true, 'Verification answer is required'],
+        trim: true,
+        maxlength: [100, 'Verification answer cannot exceed 100 characters'],
+        select: false
+      }
+    }],
+    validate: {
+      validator: function(questions) {
+        return questions.length <= 5;
+      },
+      message: 'A post can have at most 5 verification questions'
+    }
+  },
   // Engagement
   views: {
     type: Number,
@@ -230,6 +271,36 @@ const postSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Moderation
+  moderation: {
+    hiddenAt: {
+      type: Date,
+      default: null
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Moderation reason cannot exceed 500 characters'],
+      default: null
+    },
+    previousStatus: {
+      type: String,
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
   // Priority and urgency
   priority: {
     type: String,
@@ -258,6 +329,12 @@ const postSchema = new mongoose.Schema({
       // Auto-expire after 30 days
       return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
     }
+  },
+  // When the owner was warned about the upcoming expiry
+  expiryWarningSentAt: {
+    type: Date,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true,
@@ -268,12 +345,16 @@ const postSchema = new mongoose.Schema({
 // Indexes for better performance
 postSchema.index({ type: 1, status: 1 });
 postSchema.index({ user: 1 });
+postSchema.index({ organization: 1, status: 1 });
 postSchema.index({ category: 1 });
 postSchema.index({ 'location.building': 1 });
+postSchema.index({ 'location.buildingRef': 1 });
+postSchema.index({ 'location.coordinates': '2dsphere' });
 postSchema.index({ dateTime: -1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ priority: -1 });
 postSchema.index({ expiresAt: 1 });
+postSchema.index({ isFlagged: 1 });
 
 // Text index for search functionality
 postSchema.index({
@@ -331,6 +412,27 @@ postSchema.methods.markResolved = function(resolvedBy = null) {
   return this.save();
 };
 
+// Method to check a claimant's answer to a verification question.
+// The post must be loaded with +verificationQuestions.answer.
+postSchema.methods.matchesVerificationAnswer = function(questionId, answer) {
+  const question = this.verificationQuestions.id(questionId);
+  if (!question || !question.answer || !answer) return false;
+
+  const normalize = (value) => value.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  return normalize(question.answer) === normalize(answer);
+};
+
+// Method to check a claimant's answer against a sensitive attribute.
+// The post must be loaded with +sensitiveAttributes.
+postSchema.methods.matchesSensitiveAttribute = function(key, answer) {
+  const value = this.sensitiveAttributes && this.sensitiveAttributes[key];
+  if (value === undefined || value === null || !answer) return false;
+
+  // Identifiers are often written with spaces or dashes ("1234 5678")
+  const normalize = (text) => text.toString().toLowerCase().replace(/[\s-]+/g, '');
+  return normalize(value) === normalize(answer);
+};
+
 // Method to flag post
 postSchema.methods.flagPost = function(userId, reason, description = '') {
   // Check if user already reported
@@ -358,6 +460,58 @@ postSchema.methods.flagPost = function(userId, reason, description = '') {
   return Promise.resolve(this);
 };
 
+// Method to hide post from public listings (moderation)
+postSchema.methods.hide = function(moderatorId, reason = '') {
+  if (this.status !== 'hidden') {
+    this.moderation.previousStatus = this.status;
+  }
+  this.status = 'hidden';
+  this.moderation.hiddenAt = new Date();
+  this.moderation.hiddenBy = moderatorId;
+  this.moderation.reason = reason;
+  return this.save();
+};
+
+// Method to restore a hidden post and clear its flags (moderation)
+postSchema.methods.restore = function(moderatorId) {
+  if (this.status === 'hidden') {
+    this.status = this.moderation.previousStatus || 'active';
+  }
+  this.isFlagged = false;
+  this.moderation.hiddenAt = null;
+  this.moderation.hiddenBy = null;
+  this.moderation.previousStatus = null;
+  this.moderation.reviewedAt = new Date();
+  this.moderation.reviewedBy = moderatorId;
+  return this.save();
+};
+
+// Method to verify post (moderation)
+postSchema.methods.verify = function(moderatorId) {
+  this.isVerified = true;
+  this.verifiedBy = moderatorId;
+  return this.save();
+};
+
+// Paths marked select: false, including those inside sub-documents
+const hiddenPaths = (schema, prefix = '') => {
+  const paths = [];
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options.select === false) {
+      paths.push(`${prefix}${path}`);
+    } else if (schemaType.schema) {
+      paths.push(...hiddenPaths(schemaType.schema, `${prefix}${path}.`));
+    }
+  });
+  return paths;
+};
+
+// Static method to get a $project stage that drops the select: false
+// fields, which aggregations don't leave out on their own
+postSchema.statics.hiddenFieldsProjection = function() {
+  return { $project: Object.fromEntries(hiddenPaths(this.schema).map(path => [path, 0])) };
+};
+
 // Static method to find expired posts
 postSchema.statics.findExpired = function() {
   return this.find({
@@ -366,12 +520,106 @@ postSchema.statics.findExpired = function() {
   });
 };
 
-// Static method to find posts by location
-postSchema.statics.findByLocation = function(building, radius = null) {
-  const query = { 'location.building': building, status: 'active' };
-  return this.find(query).sort({ createdAt: -1 });
+// Static method to find active posts expiring within the given time that
+// haven't had an expiry warning yet
+postSchema.statics.findExpiringSoon = function(withinMs) {
+  const now = new Date();
+
+  return this.find({
+    status: 'active',
+    expiryWarningSentAt: null,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + withinMs) }
+  }).select('title user expiresAt');
 };
 
+// Static method to build the filter for browsing active posts, shared by
+// GET /api/posts, its facets and saved search alerts. `near` is
+// { latitude, longitude, radius } with the radius in metres and
+// `organizations` the organization ids the viewer can see (see
+// organizationService.visibleOrganizations). Pass filters through
+// resolveBrowseFilters first so building names use the registry.
+postSchema.statics.buildBrowseQuery = function({ type, category, building, buildingId, search, near, organizations } = {}) {
+  const query = { status: 'active' };
+
+  if (organizations) query.organization = { $in: organizations };
+
+  if (type) query.type = type;
+  if (category) query.category = category;
+  if (buildingId) {
+    query['location.buildingRef'] = buildingId;
+  } else if (building) {
+    // Names outside the registry only match exactly
+    query['location.building'] = new RegExp(`^${escapeRegex(building)}$`, 'i');
+  }
+  if (search) query.$text = { $search: search };
+  if (near) {
+    query['location.coordinates'] = {
+      $geoWithin: {
+        $centerSphere: [[near.longitude, near.latitude], near.radius / EARTH_RADIUS_METERS]
+      }
+    };
+  }
+
+  return query;
+};
+
+// Static method to look up a building filter in the registry, so an alias
+// or code finds posts filed under the canonical building. Buildings of the
+// given organization are looked up along with shared ones.
+postSchema.statics.resolveBrowseFilters = async function(filters, organization = null) {
+  if (!filters.building) return filters;
+
+  const building = await Building.resolve(filters.building, organization);
+  return building ? { ...filters, buildingId: building._id } : filters;
+};
+
+// Static method to find active posts at a building, or pinned within
+// radius metres of a { latitude, longitude } point, nearest first
+postSchema.statics.findByLocation = function(location, radius = null) {
+  if (typeof location === 'string') {
+    return this.find({ 'location.building': location, status: 'active' }).sort({ createdAt: -1 });
+  }
+
+  const nearSphere = { $geometry: this.toPoint(location.latitude, location.longitude) };
+  if (radius) nearSphere.$maxDistance = radius;
+
+  return this.find({ status: 'active', 'location.coordinates': { $nearSphere: nearSphere } });
+};
+
+// Static method to build a GeoJSON point from latitude and longitude
+postSchema.statics.toPoint = function(latitude, longitude) {
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Static method to parse a "latitude,longitude" string, or null if invalid
+postSchema.statics.parseLatLng = function(value) {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== 2 || parts.some(part => part === '')) return null;
+
+  const [latitude, longitude] = parts.map(Number);
+  return isValidPoint(this.toPoint(latitude, longitude)) ? { latitude, longitude } : null;
+};
+
+// Static method to get the distance in metres from a point to a post's
+// pin, or null for posts without one
+postSchema.statics.distanceFrom = function({ latitude, longitude }, post) {
+  const pin = post.location && post.location.coordinates;
+  if (!isValidPoint(pin)) return null;
+
+  const [pinLongitude, pinLatitude] = pin.coordinates;
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const deltaLatitude = toRadians(pinLatitude - latitude);
+  const deltaLongitude = toRadians(pinLongitude - longitude);
+
+  // Haversine formula
+  const a = Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(latitude)) * Math.cos(toRadians(pinLatitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a)));
+};
+
+postSchema.statics.isValidPoint = isValidPoint;
+
 // Static method to search posts
 postSchema.statics.searchPosts = function(searchTerm, filters = {}) {
   let query = {
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Nested objects that are diffed field by field (e.g. location.room)
+const NESTED_FIELDS = ['location', 'reward', 'contactInfo', 'timeRange', 'attributes'];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Editor is required']
+  },
+  changes: [{
+    _id: false,
+    // Dotted path of the changed field, e.g. "title" or "location.building"
+    field: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+postRevisionSchema.index({ post: 1, createdAt: -1 });
+
+// Normalize a value for comparison and storage
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === '') return null;
+
+  // Images are compared by identity, not by generated URLs
+  if (field === 'images') {
+    return (value || []).map(image => image.publicId || image.url);
+  }
+
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+
+  return value;
+};
+
+// Static method to diff two plain post snapshots over the given fields
+postRevisionSchema.statics.diff = function(before, after, fields) {
+  const changes = [];
+
+  const compare = (field, from, to) => {
+    const normalizedFrom = normalizeValue(field, from);
+    const normalizedTo = normalizeValue(field, to);
+
+    if (JSON.stringify(normalizedFrom) !== JSON.stringify(normalizedTo)) {
+      changes.push({ field, from: normalizedFrom, to: normalizedTo });
+    }
+  };
+
+  fields.forEach(field => {
+    if (NESTED_FIELDS.includes(field)) {
+      const fromObject = before[field] || {};
+      const toObject = after[field] || {};
+      const keys = new Set([...Object.keys(fromObject), ...Object.keys(toObject)]);
+
+      keys.forEach(key => {
+        // The building reference follows the building name, which is diffed
+        if (key === '_id' || key === 'buildingRef') return;
+        compare(`${field}.${key}`, fromObject[key], toObject[key]);
+      });
+    } else {
+      compare(field, before[field], after[field]);
+    }
+  });
+
+  return changes;
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
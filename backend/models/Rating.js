@@ -82,6 +82,16 @@ const ratingSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Hidden by a moderator (excluded from profiles and trust score)
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   // Flag system for inappropriate reviews
   isFlagged: {
     type: Boolean,
@@ -242,6 +252,21 @@ ratingSchema.methods.flagRating = function(userId, reason, description = '') {
   return Promise.resolve(this);
 };
 
+// Method to hide rating (moderation)
+ratingSchema.methods.hide = function(moderatorId) {
+  this.isHidden = true;
+  this.hiddenBy = moderatorId;
+  return this.save();
+};
+
+// Method to restore a hidden rating and clear its flags (moderation)
+ratingSchema.methods.restore = function() {
+  this.isHidden = false;
+  this.hiddenBy = null;
+  this.isFlagged = false;
+  return this.save();
+};
+
 // Method to verify rating
 ratingSchema.methods.verifyRating = function(verifierId) {
   this.isVerified = true;
@@ -261,6 +286,7 @@ ratingSchema.statics.getUserRatings = function(userId, options = {}) {
   
   const query = { 
     rated: userId,
+    isHidden: { $ne: true },
     ...(publicOnly && { isPublic: true })
   };
   
@@ -279,7 +305,8 @@ ratingSchema.statics.calculateTrustScore = function(userId) {
     {
       $match: {
         rated: new mongoose.Types.ObjectId(userId),
-        isPublic: true
+        isPublic: true,
+        isHidden: { $ne: true }
       }
     },
     {
@@ -311,7 +338,8 @@ ratingSchema.statics.getRatingStats = function(userId) {
     {
       $match: {
         rated: new mongoose.Types.ObjectId(userId),
-        isPublic: true
+        isPublic: true,
+        isHidden: { $ne: true }
       }
     },
     {
@@ -331,7 +359,8 @@ ratingSchema.statics.getTopRatedUsers = function(limit = 10, minRatings = 5) {
   return this.aggregate([
     {
       $match: {
-        isPublic: true
+        isPublic: true,
+        isHidden: { $ne: true }
       }
     },
     {
@@ -384,8 +413,19 @@ ratingSchema.statics.getTopRatedUsers = function(limit = 10, minRatings = 5) {
   ]);
 };
 
-// Pre-save middleware to update user's trust score
+// Remember whether the rating is being created so the post-save hook can tell
+ratingSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Post-save middleware to keep user's trust score in sync
 ratingSchema.post('save', async function(doc) {
+  // New ratings are counted by the ratings route through User.addRating
+  if (doc.$locals.wasNew) {
+    return;
+  }
+
   try {
     const User = mongoose.model('User');
     const user = await User.findById(doc.rated);
@@ -398,8 +438,14 @@ ratingSchema.post('save', async function(doc) {
         user.trustScore = averageRating;
         user.totalRatings = totalRatings;
         user.ratingsSum = ratingSum;
-        await user.save();
+      } else {
+        // Every rating was hidden by moderators
+        user.trustScore = 0;
+        user.totalRatings = 0;
+        user.ratingsSum = 0;
       }
+
+      await user.save();
     }
   } catch (error) {
     console.error('Error updating user trust score:', error);
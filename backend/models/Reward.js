@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// A reward the item's owner commits on a claim. The payment provider holds
+// the amount until both parties confirm the handover, then pays it to the
+// finder; a cancelled or failed claim releases it back.
+const rewardSchema = new mongoose.Schema({
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Claim',
+    required: [true, 'Claim is required']
+  },
+  // The found post the claim is on
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  // The payer's lost post whose offered reward this pays, if any
+  lostPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  // The claimant, who gets their item back
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Payer is required']
+  },
+  // The finder, who owns the found post
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Payee is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Reward must be at least 1'],
+    max: [100000, 'Reward cannot exceed 100000']
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['committed', 'paid', 'refunded'],
+      message: 'Invalid reward status'
+    },
+    default: 'committed'
+  },
+  // Payment provider and its references for the hold and the payout
+  provider: {
+    type: String,
+    required: true
+  },
+  holdId: {
+    type: String,
+    required: true
+  },
+  paymentId: {
+    type: String,
+    default: null
+  },
+  // When each party confirmed the handover
+  payerConfirmedAt: {
+    type: Date,
+    default: null
+  },
+  payeeConfirmedAt: {
+    type: Date,
+    default: null
+  },
+  // Failed payout attempts; the reward stays committed and is retried
+  payoutAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastPayoutError: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One reward per claim
+rewardSchema.index({ claim: 1 }, { unique: true });
+rewardSchema.index({ payer: 1, createdAt: -1 });
+rewardSchema.index({ payee: 1, createdAt: -1 });
+rewardSchema.index({ lostPost: 1, status: 1 });
+
+// Payouts are retried automatically this many times before waiting for
+// one of the parties to retry
+rewardSchema.statics.MAX_PAYOUT_ATTEMPTS = 5;
+
+// Rewards that count against a lost post's offer
+rewardSchema.statics.ACTIVE_STATUSES = ['committed', 'paid'];
+
+// Method to get the user's role in the reward ('payer', 'payee' or null)
+rewardSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if (id === (this.payer._id || this.payer).toString()) return 'payer';
+  if (id === (this.payee._id || this.payee).toString()) return 'payee';
+  return null;
+};
+
+// Static method to get the active reward paying a lost post's offer
+rewardSchema.statics.findForLostPost = function(lostPostId) {
+  return this.findOne({ lostPost: lostPostId, status: { $in: this.ACTIVE_STATUSES } });
+};
+
+// Method to check whether both parties confirmed the handover
+rewardSchema.methods.isConfirmedByBoth = function() {
+  return Boolean(this.payerConfirmedAt && this.payeeConfirmedAt);
+};
+
+module.exports = mongoose.model('Reward', rewardSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Most saved searches a user can keep
+const MAX_PER_USER = 20;
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  // Same filters as GET /api/posts; empty ones match anything
+  filters: {
+    type: {
+      type: String,
+      enum: ['lost', 'found', null],
+      default: null
+    },
+    category: {
+      type: String,
+      default: null
+    },
+    building: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Building cannot exceed 100 characters'],
+      default: null
+    },
+    search: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Search cannot exceed 100 characters'],
+      default: null
+    }
+  },
+  // immediate: notify for every new post; daily: one summary a day
+  frequency: {
+    type: String,
+    enum: ['immediate', 'daily'],
+    default: 'immediate'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // New posts waiting for the next daily summary
+  pendingPosts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, 'filters.type': 1, 'filters.category': 1 });
+savedSearchSchema.index({ frequency: 1, 'pendingPosts.0': 1 });
+
+// Method to get the filters as a GET /api/posts query string
+savedSearchSchema.methods.toQueryString = function() {
+  const params = new URLSearchParams();
+
+  Object.entries(this.filters.toObject ? this.filters.toObject() : this.filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+
+  return params.toString();
+};
+
+// Static method to find active searches whose type and category allow a
+// post; building and search text are checked against the post separately
+savedSearchSchema.statics.findCandidatesFor = function(post) {
+  return this.find({
+    isActive: true,
+    user: { $ne: post.user },
+    'filters.type': { $in: [null, post.type] },
+    'filters.category': { $in: [null, post.category] }
+  });
+};
+
+savedSearchSchema.statics.MAX_PER_USER = MAX_PER_USER;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a refresh token (and its session) stays valid without use
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Only hashes of refresh tokens are stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token this one replaced, kept to detect reuse of a rotated token
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: 300,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to issue a new refresh token for this session, invalidating the old one
+sessionSchema.methods.rotate = function() {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  this.previousTokenHash = this.tokenHash;
+  this.tokenHash = hashToken(refreshToken);
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+  return this.save().then(() => refreshToken);
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Static method to start a session and return it with its first refresh token
+sessionSchema.statics.start = async function(userId, { userAgent = '', ipAddress = '' } = {}) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: userAgent.slice(0, 300),
+    ipAddress,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find the session a refresh token belongs to.
+// Returns { session, reused } where reused means a rotated-out token was presented.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  const session = await this.findOne({ tokenHash: hash }).select('+tokenHash');
+  if (session) {
+    return { session, reused: false };
+  }
+
+  const previous = await this.findOne({ previousTokenHash: hash }).select('+tokenHash');
+  return { session: previous, reused: Boolean(previous) };
+};
+
+// Static method to check an access token's session is still usable
+sessionSchema.statics.isValid = function(sessionId) {
+  return this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke every session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { revokedAt: new Date() });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
@@ -38,6 +39,20 @@ const userSchema = new mongoose.Schema({
     default: null,
     trim: true
   },
+  // Set when a verified email address matches one of the organization's domains
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  orgRole: {
+    type: String,
+    enum: {
+      values: ['member', 'admin'],
+      message: 'Organization role must be member or admin'
+    },
+    default: 'member'
+  },
   department: {
     type: String,
     default: null,
@@ -81,10 +96,36 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
   // Account Status
+  role: {
+    type: String,
+    enum: {
+      values: ['user', 'moderator', 'admin'],
+      message: 'Role must be user, moderator or admin'
+    },
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  isBanned: {
+    type: Boolean,
+    default: false
+  },
+  banReason: {
+    type: String,
+    maxlength: [500, 'Ban reason cannot exceed 500 characters'],
+    default: null
+  },
+  bannedAt: {
+    type: Date,
+    default: null
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   lastActive: {
     type: Date,
     default: Date.now
@@ -98,6 +139,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  emailVerificationExpire: {
+    type: Date,
+    default: null
+  },
   resetPasswordToken: {
     type: String,
     default: null
@@ -115,6 +160,9 @@ const userSchema = new mongoose.Schema({
 // Index for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ trustScore: -1 });
+userSchema.index({ role: 1 });
+userSchema.index({ isBanned: 1 });
+userSchema.index({ organization: 1 });
 userSchema.index({ createdAt: -1 });
 
 // Virtual for posts
@@ -164,6 +212,42 @@ userSchema.methods.addRating = function(rating) {
   return this.save();
 };
 
+// Role hierarchy: each role includes the permissions of the ones before it
+const ROLE_LEVELS = { user: 0, moderator: 1, admin: 2 };
+
+// Method to check if user has at least the given role.
+// The ADMIN_EMAIL account is always treated as an admin so the first
+// admin can be bootstrapped without touching the database.
+userSchema.methods.hasRole = function(role) {
+  const effectiveRole = this.email === process.env.ADMIN_EMAIL ? 'admin' : this.role;
+  return (ROLE_LEVELS[effectiveRole] || 0) >= ROLE_LEVELS[role];
+};
+
+// Method to check whether the user manages an organization, either as its
+// admin or as a site admin
+userSchema.methods.canManageOrganization = function(organizationId) {
+  if (this.hasRole('admin')) return true;
+
+  return this.orgRole === 'admin' && Boolean(this.organization) &&
+    this.organization.toString() === organizationId.toString();
+};
+
+// Method to create an email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return token;
+};
+
+// Method to create a password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return token;
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const user = this.toObject();
@@ -171,12 +255,38 @@ userSchema.methods.getPublicProfile = function() {
   // Remove sensitive information
   delete user.password;
   delete user.emailVerificationToken;
+  delete user.emailVerificationExpire;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpire;
+
+  // Report the effective role so clients see the bootstrapped admin
+  if (this.hasRole('admin')) {
+    user.role = 'admin';
+  }
   
   return user;
 };
 
+// Method to get the profile shown to other users, without contact or moderation details
+userSchema.methods.getPublicView = function() {
+  const user = this.getPublicProfile();
+
+  delete user.email;
+  delete user.phone;
+  delete user.ratingsSum;
+  delete user.isBanned;
+  delete user.banReason;
+  delete user.bannedAt;
+  delete user.bannedBy;
+
+  return user;
+};
+
+// Static method to hash a verification or reset token for storage
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Static method to find users by trust score
 userSchema.statics.findByTrustScore = function(minScore = 0) {
   return this.find({ 
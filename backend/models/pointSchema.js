@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Mean earth radius, for converting metres to radians and back
+const EARTH_RADIUS_METERS = 6378100;
+
+// Check for a GeoJSON point with [longitude, latitude] in range
+const isValidPoint = (point) => Boolean(
+  point &&
+  point.type === 'Point' &&
+  Array.isArray(point.coordinates) &&
+  point.coordinates.length === 2 &&
+  point.coordinates.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+  Math.abs(point.coordinates[0]) <= 180 &&
+  Math.abs(point.coordinates[1]) <= 90
+);
+
+// GeoJSON point for map pins on posts and buildings. MongoDB expects
+// [longitude, latitude].
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true
+  }
+}, { _id: false });
+
+pointSchema.path('coordinates').validate(function(coordinates) {
+  return isValidPoint({ type: 'Point', coordinates });
+}, 'Coordinates must be [longitude, latitude]');
+
+module.exports = {
+  pointSchema,
+  isValidPoint,
+  EARTH_RADIUS_METERS
+};
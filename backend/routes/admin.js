@@ -0,0 +1,726 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Post = require('../models/Post');
+const Rating = require('../models/Rating');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const { protect, requireRole, requireAdmin } = require('../middleware/auth');
+const router = express.Router();
+
+// Every admin route requires at least a moderator
+router.use(protect, requireRole('moderator'));
+
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const reasonRule = body('reason')
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Reason cannot exceed 500 characters');
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get moderation overview counts
+// @route   GET /api/admin/stats
+// @access  Private (Moderator)
+router.get('/stats', async (req, res) => {
+  try {
+    const [flaggedPosts, hiddenPosts, flaggedRatings, hiddenRatings, bannedUsers] = await Promise.all([
+      Post.countDocuments({ isFlagged: true, status: { $ne: 'hidden' } }),
+      Post.countDocuments({ status: 'hidden' }),
+      Rating.countDocuments({ isFlagged: true, isHidden: false }),
+      Rating.countDocuments({ isHidden: true }),
+      User.countDocuments({ isBanned: true })
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        flaggedPosts,
+        hiddenPosts,
+        flaggedRatings,
+        hiddenRatings,
+        bannedUsers
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching moderation stats'
+    });
+  }
+});
+
+// @desc    Get post moderation queue
+// @route   GET /api/admin/posts
+// @access  Private (Moderator)
+router.get('/posts', [
+  ...paginationRules,
+  query('status')
+    .optional()
+    .isIn(['flagged', 'hidden'])
+    .withMessage('Status must be flagged or hidden')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status = 'flagged', page = 1, limit = 20 } = req.query;
+
+    const query = status === 'hidden'
+      ? { status: 'hidden' }
+      : { isFlagged: true, status: { $ne: 'hidden' } };
+
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .populate('user', 'name email avatar trustScore isBanned')
+        .populate('reports.user', 'name email')
+        .populate('moderation.hiddenBy', 'name')
+        .sort({ flagCount: -1, updatedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Post.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: posts.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      posts
+    });
+  } catch (error) {
+    console.error('Admin posts queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching moderation queue'
+    });
+  }
+});
+
+// @desc    Hide a post
+// @route   PUT /api/admin/posts/:id/hide
+// @access  Private (Moderator)
+router.put('/posts/:id/hide', [reasonRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const { reason = '' } = req.body;
+
+    await post.hide(req.user._id, reason);
+    await AuditLog.record(req.user._id, 'post.hide', post, reason);
+
+    res.json({
+      success: true,
+      message: 'Post hidden',
+      post
+    });
+  } catch (error) {
+    console.error('Hide post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while hiding post'
+    });
+  }
+});
+
+// @desc    Restore a hidden or flagged post
+// @route   PUT /api/admin/posts/:id/restore
+// @access  Private (Moderator)
+router.put('/posts/:id/restore', [reasonRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    await post.restore(req.user._id);
+    await AuditLog.record(req.user._id, 'post.restore', post, req.body.reason || null);
+
+    res.json({
+      success: true,
+      message: 'Post restored',
+      post
+    });
+  } catch (error) {
+    console.error('Restore post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while restoring post'
+    });
+  }
+});
+
+// @desc    Verify a post
+// @route   PUT /api/admin/posts/:id/verify
+// @access  Private (Moderator)
+router.put('/posts/:id/verify', async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    await post.verify(req.user._id);
+    await AuditLog.record(req.user._id, 'post.verify', post);
+
+    res.json({
+      success: true,
+      message: 'Post verified',
+      post
+    });
+  } catch (error) {
+    console.error('Verify post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while verifying post'
+    });
+  }
+});
+
+// @desc    Get rating moderation queue
+// @route   GET /api/admin/ratings
+// @access  Private (Moderator)
+router.get('/ratings', [
+  ...paginationRules,
+  query('status')
+    .optional()
+    .isIn(['flagged', 'hidden'])
+    .withMessage('Status must be flagged or hidden')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status = 'flagged', page = 1, limit = 20 } = req.query;
+
+    const query = status === 'hidden'
+      ? { isHidden: true }
+      : { isFlagged: true, isHidden: false };
+
+    const [ratings, total] = await Promise.all([
+      Rating.find(query)
+        .populate('rater', 'name email avatar')
+        .populate('rated', 'name email avatar')
+        .populate('post', 'title type')
+        .populate('flags.user', 'name email')
+        .sort({ flagCount: -1, updatedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Rating.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: ratings.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      ratings
+    });
+  } catch (error) {
+    console.error('Admin ratings queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching moderation queue'
+    });
+  }
+});
+
+// @desc    Hide a rating
+// @route   PUT /api/admin/ratings/:id/hide
+// @access  Private (Moderator)
+router.put('/ratings/:id/hide', [reasonRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rating = await Rating.findById(req.params.id);
+
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rating not found'
+      });
+    }
+
+    await rating.hide(req.user._id);
+    await AuditLog.record(req.user._id, 'rating.hide', rating, req.body.reason || null);
+
+    res.json({
+      success: true,
+      message: 'Rating hidden',
+      rating
+    });
+  } catch (error) {
+    console.error('Hide rating error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while hiding rating'
+    });
+  }
+});
+
+// @desc    Restore a hidden or flagged rating
+// @route   PUT /api/admin/ratings/:id/restore
+// @access  Private (Moderator)
+router.put('/ratings/:id/restore', [reasonRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rating = await Rating.findById(req.params.id);
+
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rating not found'
+      });
+    }
+
+    await rating.restore();
+    await AuditLog.record(req.user._id, 'rating.restore', rating, req.body.reason || null);
+
+    res.json({
+      success: true,
+      message: 'Rating restored',
+      rating
+    });
+  } catch (error) {
+    console.error('Restore rating error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while restoring rating'
+    });
+  }
+});
+
+// @desc    Verify a rating
+// @route   PUT /api/admin/ratings/:id/verify
+// @access  Private (Moderator)
+router.put('/ratings/:id/verify', async (req, res) => {
+  try {
+    const rating = await Rating.findById(req.params.id);
+
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rating not found'
+      });
+    }
+
+    await rating.verifyRating(req.user._id);
+    await AuditLog.record(req.user._id, 'rating.verify', rating);
+
+    res.json({
+      success: true,
+      message: 'Rating verified',
+      rating
+    });
+  } catch (error) {
+    console.error('Verify rating error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while verifying rating'
+    });
+  }
+});
+
+// @desc    Search users
+// @route   GET /api/admin/users
+// @access  Private (Moderator)
+router.get('/users', [
+  ...paginationRules,
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters'),
+  query('role')
+    .optional()
+    .isIn(['user', 'moderator', 'admin'])
+    .withMessage('Invalid role'),
+  query('banned')
+    .optional()
+    .isBoolean()
+    .withMessage('Banned must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { search, role, banned, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) query.role = role;
+    if (banned !== undefined) query.isBanned = banned === 'true';
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('name email avatar role isActive isBanned banReason bannedAt trustScore createdAt lastActive')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      users
+    });
+  } catch (error) {
+    console.error('Admin users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching users'
+    });
+  }
+});
+
+// Moderators can only ban and unban regular users; nobody can ban an admin
+const canChangeBan = (actor, target) => !target.hasRole('admin') &&
+  (!target.hasRole('moderator') || actor.hasRole('admin'));
+
+// @desc    Ban a user
+// @route   PUT /api/admin/users/:id/ban
+// @access  Private (Moderator)
+router.put('/users/:id/ban', [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Ban reason must be between 1 and 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot ban yourself'
+      });
+    }
+
+    if (!canChangeBan(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to ban this user'
+      });
+    }
+
+    user.isBanned = true;
+    user.banReason = req.body.reason;
+    user.bannedAt = new Date();
+    user.bannedBy = req.user._id;
+    await user.save();
+
+    await AuditLog.record(req.user._id, 'user.ban', user, req.body.reason);
+
+    // Sign the user out everywhere and disconnect their open sockets
+    await Session.revokeAllForUser(user._id);
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`user_${user._id}`).disconnectSockets(true);
+    }
+
+    res.json({
+      success: true,
+      message: 'User banned'
+    });
+  } catch (error) {
+    console.error('Ban user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while banning user'
+    });
+  }
+});
+
+// @desc    Unban a user
+// @route   PUT /api/admin/users/:id/unban
+// @access  Private (Moderator)
+router.put('/users/:id/unban', [reasonRule], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!canChangeBan(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to unban this user'
+      });
+    }
+
+    user.isBanned = false;
+    user.banReason = null;
+    user.bannedAt = null;
+    user.bannedBy = null;
+    await user.save();
+
+    await AuditLog.record(req.user._id, 'user.unban', user, req.body.reason || null);
+
+    res.json({
+      success: true,
+      message: 'User unbanned'
+    });
+  } catch (error) {
+    console.error('Unban user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while unbanning user'
+    });
+  }
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (Admin)
+router.put('/users/:id/role', [
+  requireAdmin,
+  body('role')
+    .isIn(['user', 'moderator', 'admin'])
+    .withMessage('Role must be user, moderator or admin')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot change your own role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    await AuditLog.record(req.user._id, 'user.role', user, null, {
+      previousRole,
+      newRole: user.role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while changing role'
+    });
+  }
+});
+
+// @desc    Get moderation audit log
+// @route   GET /api/admin/audit-logs
+// @access  Private (Moderator)
+router.get('/audit-logs', [
+  ...paginationRules,
+  query('action')
+    .optional()
+    .isString()
+    .withMessage('Action must be a string'),
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { action, actor, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (action) query.action = action;
+    if (actor) query.actor = actor;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      logs
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
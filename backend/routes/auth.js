@@ -1,11 +1,55 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, protect, rateLimit } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { generateToken, protect, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { sendMail } = require('../services/mailer');
+const { verificationEmail, passwordResetEmail } = require('../services/mailer/templates');
+const { joinOrganizationByEmail } = require('../services/organizationService');
 const router = express.Router();
 
+// Create a verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+  await sendMail({ to: user.email, ...verificationEmail(user, token) });
+};
+
+// Start a session for this device and issue its access and refresh tokens
+const createSessionTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    userAgent: req.get('user-agent') || '',
+    ipAddress: req.ip
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Disconnect live sockets in a room after sessions are revoked
+const disconnectSockets = (req, room) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.in(room).disconnectSockets(true);
+  }
+};
+
+// Revoke every session of a user and drop their sockets
+const revokeAllSessions = async (req, userId) => {
+  await Session.revokeAllForUser(userId);
+  disconnectSockets(req, `user_${userId}`);
+};
+
 // Apply rate limiting to auth routes
-const authRateLimit = rateLimit(20, 15 * 60 * 1000); // 20 requests per 15 minutes
+const authRateLimit = rateLimit(20, 15 * 60 * 1000, { name: 'auth' }); // 20 requests per 15 minutes
+const refreshRateLimit = rateLimit(60, 15 * 60 * 1000, { name: 'auth-refresh' }); // 60 refreshes per 15 minutes
+
+// A rotated-out refresh token presented again within this window is treated
+// as a race between tabs rather than token theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -78,12 +122,20 @@ router.post('/register', [
       bio
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (registration still succeeds if mail fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await createSessionTokens(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -147,16 +199,25 @@ router.post('/login', [
       });
     }
 
+    // Check if account is banned
+    if (user.isBanned) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account has been suspended'
+      });
+    }
+
     // Update last active
     user.lastActive = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken } = await createSessionTokens(user, req);
 
     res.json({
       success: true,
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -168,6 +229,395 @@ router.post('/login', [
   }
 });
 
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  refreshRateLimit,
+  body('refreshToken')
+    .isHexadecimal()
+    .withMessage('Invalid refresh token')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { session, reused } = await Session.findByRefreshToken(req.body.refreshToken);
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked'
+      });
+    }
+
+    if (reused) {
+      // A token that was already rotated out is being replayed. Unless it
+      // is a near-simultaneous refresh, assume it was stolen.
+      if (Date.now() - session.lastUsedAt.getTime() > REFRESH_REUSE_GRACE_MS) {
+        await session.revoke();
+        disconnectSockets(req, `session_${session._id}`);
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has already been used'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive || user.isBanned) {
+      await session.revoke();
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked'
+      });
+    }
+
+    const refreshToken = await session.rotate();
+
+    res.json({
+      success: true,
+      token: generateToken(user._id, session._id),
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during token refresh'
+    });
+  }
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Public (identified by refresh token)
+router.post('/logout', [
+  body('refreshToken')
+    .isHexadecimal()
+    .withMessage('Invalid refresh token')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { session } = await Session.findByRefreshToken(req.body.refreshToken);
+
+    if (session && !session.revokedAt) {
+      await session.revoke();
+      disconnectSockets(req, `session_${session._id}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    Log out of all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeAllSessions(req, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke();
+      disconnectSockets(req, `session_${session._id}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking session'
+    });
+  }
+});
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  authRateLimit,
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.body.token),
+      emailVerificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpire = null;
+    await user.save();
+
+    // A verified address on an organization's domain makes the user a member
+    const organization = await joinOrganizationByEmail(user);
+
+    res.json({
+      success: true,
+      message: organization
+        ? `Email verified successfully. You joined ${organization.name}.`
+        : 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during email verification'
+    });
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', [protect, authRateLimit], async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  authRateLimit,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Only send mail to active accounts, but always answer the same way
+    // so the endpoint can't be used to discover registered emails
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendMail({ to: user.email, ...passwordResetEmail(user, token) });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+        user.resetPasswordToken = null;
+        user.resetPasswordExpire = null;
+        await user.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @desc    Reset password with token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', [
+  authRateLimit,
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.body.token),
+      resetPasswordExpire: { $gt: new Date() }
+    }).select('+password');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.resetPasswordToken = null;
+    user.resetPasswordExpire = null;
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllSessions(req, user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during password reset'
+    });
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -188,6 +638,9 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// Fields users can change on their own profile
+const PROFILE_FIELDS = ['name', 'avatar', 'phone', 'college', 'department', 'year', 'bio'];
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -233,14 +686,12 @@ router.put('/profile', [
       });
     }
 
-    const updates = req.body;
-    
-    // Remove fields that shouldn't be updated
-    delete updates.email;
-    delete updates.password;
-    delete updates.trustScore;
-    delete updates.totalRatings;
-    delete updates.ratingsSum;
+    // Only profile fields; organization membership and roles are set by
+    // the organizations and admin routes
+    const updates = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -304,9 +755,15 @@ router.put('/password', [
     user.password = newPassword;
     await user.save();
 
+    // Invalidate every existing token, then start a fresh session for this device
+    await revokeAllSessions(req, user._id);
+    const { token, refreshToken } = await createSessionTokens(user, req);
+
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Password change error:', error);
@@ -326,6 +783,8 @@ router.put('/deactivate', protect, async (req, res) => {
     user.isActive = false;
     await user.save();
 
+    await revokeAllSessions(req, user._id);
+
     res.json({
       success: true,
       message: 'Account deactivated successfully'
@@ -403,7 +862,7 @@ router.get('/stats', protect, async (req, res) => {
 // @desc    Get public user profile
 // @route   GET /api/auth/user/:id
 // @access  Public
-router.get('/user/:id', async (req, res) => {
+router.get('/user/:id', optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -418,9 +877,13 @@ router.get('/user/:id', async (req, res) => {
     const Rating = require('../models/Rating');
     const ratings = await Rating.getUserRatings(user._id, { limit: 5 });
 
+    // Contact and moderation details are only for the user and moderators
+    const canSeePrivate = req.user &&
+      (req.user._id.toString() === user._id.toString() || req.user.hasRole('moderator'));
+
     res.json({
       success: true,
-      user: user.getPublicProfile(),
+      user: canSeePrivate ? user.getPublicProfile() : user.getPublicView(),
       recentRatings: ratings
     });
   } catch (error) {
@@ -0,0 +1,351 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Building = require('../models/Building');
+const Post = require('../models/Post');
+const AuditLog = require('../models/AuditLog');
+const { protect, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { linkUnresolvedPosts, renameLinkedPosts } = require('../services/buildingService');
+const router = express.Router();
+
+// Validators shared by create and update
+const buildingValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('code')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Code cannot exceed 20 characters'),
+  body(['aliases', 'floors'])
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Aliases and floors must be lists of at most 30 entries'),
+  body('aliases.*')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each alias must be between 1 and 100 characters'),
+  body('floors.*')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each floor must be between 1 and 30 characters'),
+  body('coordinates')
+    .optional({ nullable: true })
+    .custom(value => Post.isValidPoint(value))
+    .withMessage('Coordinates must be a GeoJSON point of [longitude, latitude]'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  body('organization')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid organization ID')
+];
+
+const BUILDING_FIELDS = ['name', 'code', 'aliases', 'floors', 'coordinates', 'isActive'];
+
+// Site admins manage every building; organization admins their organization's own
+const canManageBuilding = (user, organization) => (
+  organization ? user.canManageOrganization(organization) : user.hasRole('admin')
+);
+
+// @desc    Get the buildings of the viewer's organization and shared ones
+//          (admins can include inactive ones; organization admins see their own)
+// @route   GET /api/buildings
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const includeInactive = req.query.includeInactive === 'true' && Boolean(req.user);
+    let filter;
+
+    if (includeInactive && req.user.hasRole('admin')) {
+      filter = {};
+    } else if (includeInactive && req.user.orgRole === 'admin' && req.user.organization) {
+      filter = { organization: req.user.organization };
+    } else {
+      filter = { isActive: true, ...Building.organizationScope(req.user && req.user.organization) };
+    }
+
+    const buildings = await Building.find(filter)
+      .populate('organization', 'name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: buildings.length,
+      buildings
+    });
+  } catch (error) {
+    console.error('Get buildings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching buildings'
+    });
+  }
+});
+
+// @desc    Suggest buildings for partly typed text
+// @route   GET /api/buildings/autocomplete
+// @access  Public
+router.get('/autocomplete', [
+  optionalAuth,
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Query cannot exceed 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const buildings = await Building.autocomplete(
+      req.query.q || '',
+      parseInt(req.query.limit) || 10,
+      req.user && req.user.organization
+    );
+
+    res.json({
+      success: true,
+      buildings
+    });
+  } catch (error) {
+    console.error('Building autocomplete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while searching buildings'
+    });
+  }
+});
+
+// @desc    Link existing posts to registered buildings
+// @route   POST /api/buildings/link-posts
+// @access  Private (Admin)
+router.post('/link-posts', [
+  protect,
+  requireAdmin,
+  body('createMissing')
+    .optional()
+    .isBoolean()
+    .withMessage('createMissing must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { linked, unmatched } = await linkUnresolvedPosts({ createMissing: req.body.createMissing === true });
+
+    res.json({
+      success: true,
+      message: `Linked ${linked} posts to registered buildings`,
+      linked,
+      unmatched
+    });
+  } catch (error) {
+    console.error('Link building posts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while linking posts to buildings'
+    });
+  }
+});
+
+// @desc    Register a building
+// @route   POST /api/buildings
+// @access  Private (Admin or organization admin)
+router.post('/', [protect, ...buildingValidators(false)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Organization admins register buildings for their own organization
+    const organization = req.user.hasRole('admin') ? req.body.organization || null : req.user.organization;
+    if (!canManageBuilding(req.user, organization)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to register buildings'
+      });
+    }
+
+    const building = new Building({ organization });
+    BUILDING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) building[field] = req.body[field];
+    });
+
+    const conflict = await Building.findConflict(building);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        error: `That name, code or alias already belongs to ${conflict.name}`
+      });
+    }
+
+    await building.save();
+    await AuditLog.record(req.user._id, 'building.create', building);
+
+    // Pick up posts that were filed under one of its names
+    const { linked } = await linkUnresolvedPosts();
+
+    res.status(201).json({
+      success: true,
+      message: 'Building registered',
+      building,
+      linkedPosts: linked
+    });
+  } catch (error) {
+    console.error('Create building error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while registering building'
+    });
+  }
+});
+
+// @desc    Update a building
+// @route   PUT /api/buildings/:id
+// @access  Private (Admin or organization admin)
+router.put('/:id', [protect, ...buildingValidators(true)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const building = await Building.findById(req.params.id);
+    if (!building || !canManageBuilding(req.user, building.organization)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Building not found'
+      });
+    }
+
+    const previousName = building.name;
+    BUILDING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) building[field] = req.body[field];
+    });
+
+    // Only site admins move buildings between organizations
+    if (req.body.organization !== undefined && req.user.hasRole('admin')) {
+      building.organization = req.body.organization || null;
+    }
+
+    const conflict = await Building.findConflict(building);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        error: `That name, code or alias already belongs to ${conflict.name}`
+      });
+    }
+
+    await building.save();
+    await AuditLog.record(req.user._id, 'building.update', building, null, {
+      previousName,
+      newName: building.name
+    });
+
+    if (building.name !== previousName) {
+      await renameLinkedPosts(building);
+    }
+    const { linked } = await linkUnresolvedPosts();
+
+    res.json({
+      success: true,
+      message: 'Building updated',
+      building,
+      linkedPosts: linked
+    });
+  } catch (error) {
+    console.error('Update building error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating building'
+    });
+  }
+});
+
+// @desc    Delete a building no post refers to
+// @route   DELETE /api/buildings/:id
+// @access  Private (Admin or organization admin)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const building = await Building.findById(req.params.id);
+    if (!building || !canManageBuilding(req.user, building.organization)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Building not found'
+      });
+    }
+
+    const postCount = await Post.countDocuments({ 'location.buildingRef': building._id });
+    if (postCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${postCount} posts are filed under this building. Deactivate it instead.`
+      });
+    }
+
+    await building.deleteOne();
+    await AuditLog.record(req.user._id, 'building.delete', building, null, { name: building.name });
+
+    res.json({
+      success: true,
+      message: 'Building deleted'
+    });
+  } catch (error) {
+    console.error('Delete building error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting building'
+    });
+  }
+});
+
+module.exports = router;
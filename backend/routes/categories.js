@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Category = require('../models/Category');
+const Organization = require('../models/Organization');
+const AuditLog = require('../models/AuditLog');
+const { protect, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { renameCategory, countPosts } = require('../services/categoryService');
+const router = express.Router();
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validators shared by create and update
+const categoryValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('icon')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 16 })
+    .withMessage('Icon cannot exceed 16 characters'),
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Sort order must be between 0 and 1000'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  body('attributes')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('A category can have at most 20 attributes')
+    .bail()
+    .custom(attributes => new Set(attributes.map(attribute => attribute.key)).size === attributes.length)
+    .withMessage('Attribute keys must be unique')
+    .custom(attributes => attributes.every(attribute => (
+      attribute.type !== 'select' || (Array.isArray(attribute.options) && attribute.options.length > 0)
+    )))
+    .withMessage('Select attributes need at least one option'),
+  body('attributes.*.key')
+    .trim()
+    .matches(/^[a-z][a-zA-Z0-9]{0,39}$/)
+    .withMessage('Attribute keys must be camelCase letters and numbers, e.g. serialNumber'),
+  body('attributes.*.label')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Each attribute label must be between 1 and 60 characters'),
+  body('attributes.*.type')
+    .optional()
+    .isIn(['text', 'number', 'select', 'boolean'])
+    .withMessage('Attribute type must be text, number, select or boolean'),
+  body('attributes.*.options')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Attribute options must be a list of at most 50 choices'),
+  body(['attributes.*.required', 'attributes.*.sensitive'])
+    .optional()
+    .isBoolean()
+    .withMessage('Attribute required and sensitive must be true or false'),
+  body('attributes.*.helpText')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Help text cannot exceed 200 characters')
+];
+
+const CATEGORY_FIELDS = ['name', 'icon', 'attributes', 'sortOrder', 'isActive'];
+
+// Reject a name a sibling category already uses
+const findNameConflict = (category) => Category.findOne({
+  _id: { $ne: category._id },
+  parent: category.parent,
+  name: new RegExp(`^${escapeRegex(category.name)}$`, 'i')
+}).select('name');
+
+// @desc    Get the category tree (admins can include inactive categories;
+//          forPosting limits it to the user's organization's categories)
+// @route   GET /api/categories
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query(['includeInactive', 'forPosting'])
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive and forPosting must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const includeInactive = req.query.includeInactive === 'true' && Boolean(req.user) && req.user.hasRole('admin');
+    let categories = await Category.getTree({ includeInactive });
+
+    if (req.query.forPosting === 'true' && req.user && req.user.organization) {
+      const organization = await Organization.findById(req.user.organization).select('categories');
+      if (organization) {
+        categories = categories.filter(category => organization.allowsCategory(category.name));
+      }
+    }
+
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching categories'
+    });
+  }
+});
+
+// @desc    Create a category or sub-category
+// @route   POST /api/categories
+// @access  Private (Admin)
+router.post('/', [
+  protect,
+  requireAdmin,
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent category ID'),
+  ...categoryValidators(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (req.body.parent) {
+      const parent = await Category.findById(req.body.parent).select('parent');
+      if (!parent || parent.parent) {
+        return res.status(400).json({
+          success: false,
+          error: 'Sub-categories can only be added to a top-level category'
+        });
+      }
+    }
+
+    const category = new Category({ parent: req.body.parent || null });
+    CATEGORY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+
+    const conflict = await findNameConflict(category);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        error: `A category named ${conflict.name} already exists there`
+      });
+    }
+
+    await category.save();
+    await AuditLog.record(req.user._id, 'category.create', category);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created',
+      category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating category'
+    });
+  }
+});
+
+// @desc    Update a category
+// @route   PUT /api/categories/:id
+// @access  Private (Admin)
+router.put('/:id', [protect, requireAdmin, ...categoryValidators(true)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    const previousName = category.name;
+    CATEGORY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+
+    const conflict = await findNameConflict(category);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        error: `A category named ${conflict.name} already exists there`
+      });
+    }
+
+    await category.save();
+    await AuditLog.record(req.user._id, 'category.update', category, null, {
+      previousName,
+      newName: category.name
+    });
+
+    // Posts store the name, so carry renames over to them
+    const renamedPosts = category.name !== previousName ? await renameCategory(category, previousName) : 0;
+
+    res.json({
+      success: true,
+      message: 'Category updated',
+      category,
+      renamedPosts
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating category'
+    });
+  }
+});
+
+// @desc    Delete a category no post or sub-category uses
+// @route   DELETE /api/categories/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, requireAdmin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Delete its sub-categories first'
+      });
+    }
+
+    const postCount = await countPosts(category);
+    if (postCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${postCount} posts are filed under this category. Deactivate it instead.`
+      });
+    }
+
+    await category.deleteOne();
+    await AuditLog.record(req.user._id, 'category.delete', category, null, { name: category.name });
+
+    res.json({
+      success: true,
+      message: 'Category deleted'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting category'
+    });
+  }
+});
+
+module.exports = router;
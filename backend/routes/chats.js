@@ -0,0 +1,302 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const Chat = require('../models/Chat');
+const { protect, validateChatParticipation } = require('../middleware/auth');
+const { buildCalendarFile } = require('../services/meetingService');
+const router = express.Router();
+
+// @desc    Get current user's chats
+// @route   GET /api/chats
+// @access  Private
+router.get('/', [
+  protect,
+  query('status')
+    .optional()
+    .isIn(['active', 'closed', 'archived'])
+    .withMessage('Status must be active, closed or archived')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status = 'active' } = req.query;
+
+    const chats = await Chat.findUserChats(req.user._id, status);
+    const unread = await Chat.countUnread(req.user._id, { _id: { $in: chats.map(chat => chat._id) } });
+    const summaries = chats.map(chat => ({
+      ...chat.toObject(),
+      unreadCount: unread.get(chat._id.toString()) || 0
+    }));
+
+    res.json({
+      success: true,
+      count: summaries.length,
+      totalUnread: summaries.reduce((sum, chat) => sum + chat.unreadCount, 0),
+      chats: summaries
+    });
+  } catch (error) {
+    console.error('Get chats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching chats'
+    });
+  }
+});
+
+// @desc    Get unread message counts
+// @route   GET /api/chats/unread
+// @access  Private
+router.get('/unread', protect, async (req, res) => {
+  try {
+    const unread = await Chat.countUnread(req.user._id, {
+      'participants.user': req.user._id,
+      'participants.isActive': true,
+      status: 'active'
+    });
+
+    const perChat = {};
+    let total = 0;
+
+    unread.forEach((count, chatId) => {
+      if (count > 0) {
+        perChat[chatId] = count;
+        total += count;
+      }
+    });
+
+    res.json({
+      success: true,
+      total,
+      chats: perChat
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching unread counts'
+    });
+  }
+});
+
+// @desc    Get single chat
+// @route   GET /api/chats/:id
+// @access  Private (Participants only)
+router.get('/:id', protect, validateChatParticipation, async (req, res) => {
+  try {
+    await req.chat.populate('participants.user', 'name email avatar trustScore lastActive');
+    await req.chat.populate('post', 'title type category status user images');
+    await req.chat.populate('lastMessage.sender', 'name avatar');
+
+    res.json({
+      success: true,
+      chat: {
+        ...toChatSummary(req.chat, req.user._id),
+        messageCount: req.chat.messages.length
+      }
+    });
+  } catch (error) {
+    console.error('Get chat error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching chat'
+    });
+  }
+});
+
+// @desc    Get chat message history (newest page first)
+// @route   GET /api/chats/:id/messages
+// @access  Private (Participants only)
+router.get('/:id/messages', [
+  protect,
+  validateChatParticipation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const total = req.chat.messages.length;
+
+    // Page 1 holds the most recent messages, returned in chronological order
+    const end = Math.max(total - (page - 1) * limit, 0);
+    const start = Math.max(end - limit, 0);
+
+    let messages = [];
+
+    if (end > start) {
+      const chat = await Chat.findById(req.chat._id)
+        .slice('messages', [start, end - start])
+        .populate('messages.sender', 'name avatar');
+      messages = chat.messages;
+    }
+
+    res.json({
+      success: true,
+      count: messages.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        hasMore: start > 0
+      },
+      messages
+    });
+  } catch (error) {
+    console.error('Get chat messages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching messages'
+    });
+  }
+});
+
+// @desc    Download the accepted handover meeting as a calendar file
+// @route   GET /api/chats/:id/meeting.ics
+// @access  Private (Participants only)
+router.get('/:id/meeting.ics', protect, validateChatParticipation, async (req, res) => {
+  try {
+    if (!req.chat.metadata.meetingArranged) {
+      return res.status(404).json({
+        success: false,
+        error: 'No meeting has been arranged in this chat'
+      });
+    }
+
+    await req.chat.populate('participants.user', 'name');
+    await req.chat.populate('post', 'title');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="handover.ics"');
+    res.send(buildCalendarFile(req.chat));
+  } catch (error) {
+    console.error('Get meeting calendar error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating calendar file'
+    });
+  }
+});
+
+// @desc    Mark all messages in a chat as read
+// @route   PUT /api/chats/:id/read
+// @access  Private (Participants only)
+router.put('/:id/read', protect, validateChatParticipation, async (req, res) => {
+  try {
+    await req.chat.markMessagesAsRead(req.user._id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`chat_${req.chat._id}`).emit('messages_read', {
+        userId: req.user._id,
+        messageIds: 'all'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Messages marked as read'
+    });
+  } catch (error) {
+    console.error('Mark chat read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while marking messages as read'
+    });
+  }
+});
+
+// @desc    Close a chat
+// @route   PUT /api/chats/:id/close
+// @access  Private (Participants only)
+router.put('/:id/close', protect, validateChatParticipation, async (req, res) => {
+  try {
+    if (req.chat.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Chat is already closed'
+      });
+    }
+
+    await req.chat.closeChat(req.user._id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`chat_${req.chat._id}`).emit('chat_closed', {
+        chatId: req.chat._id,
+        closedBy: req.user._id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Chat closed successfully',
+      chat: toChatSummary(req.chat, req.user._id)
+    });
+  } catch (error) {
+    console.error('Close chat error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while closing chat'
+    });
+  }
+});
+
+// @desc    Archive a chat
+// @route   PUT /api/chats/:id/archive
+// @access  Private (Participants only)
+router.put('/:id/archive', protect, validateChatParticipation, async (req, res) => {
+  try {
+    if (req.chat.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        error: 'Chat is already archived'
+      });
+    }
+
+    // Archiving closes the chat first if it is still open
+    if (req.chat.status === 'active') {
+      await req.chat.closeChat(req.user._id);
+    }
+
+    req.chat.status = 'archived';
+    await req.chat.save();
+
+    res.json({
+      success: true,
+      message: 'Chat archived successfully',
+      chat: toChatSummary(req.chat, req.user._id)
+    });
+  } catch (error) {
+    console.error('Archive chat error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while archiving chat'
+    });
+  }
+});
+
+module.exports = router;
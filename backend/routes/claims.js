@@ -0,0 +1,479 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Claim = require('../models/Claim');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const { protect, requireVerifiedEmail, validatePostOwnership } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { notify } = require('../services/notificationService');
+const { canViewPost } = require('../services/organizationService');
+const { getVerificationAttributes } = require('../services/categoryService');
+const rewardService = require('../services/rewardService');
+const router = express.Router();
+
+// Rate limiting for claims, on top of one claim per user per post
+const claimCreateLimit = rateLimit(10, 60 * 60 * 1000, { name: 'claim-create', keyBy: 'user' }); // 10 claims per hour
+
+// Notify a user about a claim through their personal room
+const notifyUser = (req, userId, event, data) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user_${userId}`).emit(event, data);
+  }
+};
+
+// Tell a party their claim changed, live and in their notification list
+const notifyClaimUpdate = async (req, userId, claim, postTitle, data = {}) => {
+  notifyUser(req, userId, 'claim_updated', {
+    claimId: claim._id,
+    postId: claim.post,
+    status: claim.status,
+    ...data
+  });
+
+  await notify(req.app.get('io'), userId, {
+    type: 'claim_update',
+    title: `Claim ${claim.status.replace('_', ' ')}: ${postTitle}`,
+    body: claim.history[claim.history.length - 1].note || '',
+    link: `/posts/${claim.post}`,
+    data: { claimId: claim._id, postId: claim.post }
+  });
+};
+
+// Status change messages posted to the handover chat
+const CHAT_MESSAGES = {
+  handed_over: (name) => `${name} marked the item as handed over.`,
+  confirmed: (name) => `${name} confirmed receiving the item. This claim is complete.`,
+  disputed: (name) => `${name} reported a problem with the handover.`,
+  rejected: (name) => `${name} rejected the claim.`,
+  withdrawn: (name) => `${name} withdrew the claim.`
+};
+
+// @desc    Claim a found item by answering its verification questions and
+//          confirming its sensitive details
+// @route   POST /api/claims
+// @access  Private
+router.post('/', [
+  protect,
+  requireVerifiedEmail,
+  claimCreateLimit,
+  body('postId')
+    .isMongoId()
+    .withMessage('Invalid post ID'),
+  body('answers')
+    .optional()
+    .isArray({ max: 25 })
+    .withMessage('Answers must be a list'),
+  body('answers.*.questionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid question ID'),
+  body('answers.*.attributeKey')
+    .optional()
+    .isString()
+    .isLength({ max: 40 })
+    .withMessage('Invalid detail key'),
+  body('answers.*.answer')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each answer must be between 1 and 200 characters'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { postId, answers = [], message } = req.body;
+
+    const post = await Post.findById(postId).select('+verificationQuestions.answer +sensitiveAttributes');
+
+    if (!post || !(await canViewPost(req.user, post))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    if (post.type !== 'found') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only found items can be claimed'
+      });
+    }
+
+    if (post.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'This item can no longer be claimed'
+      });
+    }
+
+    if (post.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot claim your own post'
+      });
+    }
+
+    const existingClaim = await Claim.findOne({ post: post._id, claimant: req.user._id });
+    if (existingClaim) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already claimed this item'
+      });
+    }
+
+    // Every question and sensitive detail must be answered
+    const verificationAttributes = await getVerificationAttributes(post);
+    const answerFor = (questionId) => answers.find(item => item.questionId === questionId.toString());
+    const attributeAnswerFor = (key) => answers.find(item => item.attributeKey === key);
+    const unanswered = post.verificationQuestions.some(question => !answerFor(question._id)) ||
+      verificationAttributes.some(attribute => !attributeAnswerFor(attribute.key));
+
+    if (unanswered) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please answer every verification question'
+      });
+    }
+
+    const claim = await Claim.create({
+      post: post._id,
+      owner: post.user,
+      claimant: req.user._id,
+      history: [{ status: 'requested', changedBy: req.user._id }],
+      answers: [
+        ...post.verificationQuestions.map(question => {
+          const { answer } = answerFor(question._id);
+          return {
+            questionId: question._id,
+            question: question.question,
+            answer,
+            isMatch: post.matchesVerificationAnswer(question._id, answer)
+          };
+        }),
+        ...verificationAttributes.map(({ key, label }) => {
+          const { answer } = attributeAnswerFor(key);
+          return {
+            attributeKey: key,
+            question: label,
+            answer,
+            isMatch: post.matchesSensitiveAttribute(key, answer)
+          };
+        })
+      ],
+      message
+    });
+
+    notifyUser(req, post.user, 'new_claim', {
+      claimId: claim._id,
+      postId: post._id,
+      postTitle: post.title,
+      claimantName: req.user.name
+    });
+
+    await notify(req.app.get('io'), post.user, {
+      type: 'claim_update',
+      title: `New claim on "${post.title}"`,
+      body: `${req.user.name} says this item is theirs.`,
+      link: `/posts/${post._id}`,
+      data: { claimId: claim._id, postId: post._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      claim: claim.getViewFor(req.user._id)
+    });
+  } catch (error) {
+    // Two simultaneous submissions can both pass the check above
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already claimed this item'
+      });
+    }
+
+    console.error('Create claim error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while submitting claim'
+    });
+  }
+});
+
+// @desc    Get the current user's claims
+// @route   GET /api/claims/mine
+// @access  Private
+router.get('/mine', [
+  protect,
+  query('postId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid post ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const filter = { claimant: req.user._id };
+    if (req.query.postId) filter.post = req.query.postId;
+
+    const claims = await Claim.find(filter)
+      .populate('post', 'title type status images')
+      .populate('owner', 'name avatar trustScore')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: claims.length,
+      claims: claims.map(claim => claim.getViewFor(req.user._id))
+    });
+  } catch (error) {
+    console.error('Get my claims error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching claims'
+    });
+  }
+});
+
+// @desc    Get claims on a post
+// @route   GET /api/claims/post/:postId
+// @access  Private (Owner only)
+router.get('/post/:postId', protect, validatePostOwnership, async (req, res) => {
+  try {
+    const claims = await Claim.find({ post: req.post._id })
+      .populate('claimant', 'name avatar college department trustScore')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: claims.length,
+      claims: claims.map(claim => claim.getViewFor(req.user._id))
+    });
+  } catch (error) {
+    console.error('Get post claims error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching claims'
+    });
+  }
+});
+
+// @desc    Get a claim
+// @route   GET /api/claims/:id
+// @access  Private (Post owner or claimant)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id)
+      .populate('post', 'title type status images')
+      .populate('owner', 'name avatar trustScore')
+      .populate('claimant', 'name avatar college department trustScore')
+      .populate('history.changedBy', 'name');
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    if (!claim.getRole(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this claim'
+      });
+    }
+
+    res.json({
+      success: true,
+      claim: claim.getViewFor(req.user._id)
+    });
+  } catch (error) {
+    console.error('Get claim error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching claim'
+    });
+  }
+});
+
+// @desc    Move a claim to its next status
+// @route   PUT /api/claims/:id/status
+// @access  Private (Post owner or claimant, depending on the transition)
+router.put('/:id/status', [
+  protect,
+  body('status')
+    .isIn(['under_review', 'approved', 'handed_over', 'confirmed', 'rejected', 'disputed', 'withdrawn'])
+    .withMessage('Invalid claim status'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Note cannot exceed 300 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, note } = req.body;
+    let claim = await Claim.findById(req.params.id);
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    const role = claim.getRole(req.user._id);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this claim'
+      });
+    }
+
+    if (!claim.getAllowedTransitions(role).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot change a ${claim.status.replace('_', ' ')} claim to ${status.replace('_', ' ')}`
+      });
+    }
+
+    const post = await Post.findById(claim.post);
+
+    // Closing a claim is always possible, moving it forward needs a live post
+    if (!['rejected', 'withdrawn'].includes(status) && (!post || post.status !== 'active')) {
+      return res.status(400).json({
+        success: false,
+        error: 'This item is no longer active'
+      });
+    }
+
+    if (status === 'approved') {
+      const holdingClaim = await Claim.exists({
+        post: claim.post,
+        status: { $in: Claim.HOLDING_STATUSES },
+        _id: { $ne: claim._id }
+      });
+
+      if (holdingClaim) {
+        return res.status(400).json({
+          success: false,
+          error: 'Another claim for this item is already approved'
+        });
+      }
+    }
+
+    // Change the status first so only one of two concurrent requests runs
+    // the side effects below
+    const updated = await claim.transition(status, req.user._id, note || null);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'This claim was just updated. Refresh and try again.'
+      });
+    }
+    claim = updated;
+
+    if (status === 'approved') {
+      // Open a chat so the handover can be arranged
+      const { chat, created } = await Chat.openForPost(
+        post._id,
+        [claim.owner, claim.claimant],
+        `Claim: ${post.title}`.slice(0, 100)
+      );
+      await chat.addMessage(req.user._id, `${req.user.name} approved the claim for "${post.title}". Use this chat to arrange the handover.`, 'system');
+      claim.chat = chat._id;
+      await claim.save();
+
+      if (created) {
+        await chat.populate('participants.user', 'name avatar trustScore');
+        await chat.populate('post', 'title type category');
+        notifyUser(req, claim.claimant, 'new_chat', { chat });
+      }
+    } else if (claim.chat && CHAT_MESSAGES[status]) {
+      const chat = await Chat.findById(claim.chat);
+      if (chat) {
+        await chat.addMessage(req.user._id, CHAT_MESSAGES[status](req.user.name), 'system');
+      }
+    }
+
+    if (status === 'confirmed') {
+      // Only a confirmed handover resolves the post
+      await post.markResolved(claim.claimant);
+      await User.updateMany(
+        { _id: { $in: [claim.owner, claim.claimant] } },
+        { $inc: { itemsReturned: 1 } }
+      );
+
+      // Any other claims on the item are now moot
+      const otherClaims = await Claim.find({
+        post: claim.post,
+        status: { $in: Claim.OPEN_STATUSES },
+        _id: { $ne: claim._id }
+      });
+
+      for (const otherClaim of otherClaims) {
+        const rejected = await otherClaim.transition('rejected', req.user._id, 'Another claim for this item was confirmed');
+        if (!rejected) continue;
+
+        await notifyClaimUpdate(req, rejected.claimant, rejected, post.title);
+        rewardService.settleForClaimInBackground(rejected, req.app.get('io'));
+      }
+    }
+
+    // Pay or release a reward committed on the claim
+    rewardService.settleForClaimInBackground(claim, req.app.get('io'));
+
+    // Let the other party know
+    await notifyClaimUpdate(
+      req,
+      role === 'owner' ? claim.claimant : claim.owner,
+      claim,
+      post ? post.title : 'your item',
+      { chatId: claim.chat }
+    );
+
+    res.json({
+      success: true,
+      message: `Claim ${status.replace('_', ' ')}`,
+      claim: claim.getViewFor(req.user._id)
+    });
+  } catch (error) {
+    console.error('Update claim status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating claim'
+    });
+  }
+});
+
+module.exports = router;
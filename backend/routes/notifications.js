@@ -0,0 +1,332 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+// @desc    Get current user's notifications (newest first)
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', [
+  protect,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      },
+      notifications
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching notifications'
+    });
+  }
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      unreadCount: await Notification.countUnread(req.user._id)
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching unread count'
+    });
+  }
+});
+
+// Populate muted chats and posts so the settings page can list them
+const populatePreferences = async (preferences) => {
+  await preferences.populate({
+    path: 'mutedChats',
+    select: 'title post',
+    populate: { path: 'post', select: 'title' }
+  });
+  await preferences.populate('mutedPosts', 'title type');
+  return preferences;
+};
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.getForUser(req.user._id);
+
+    res.json({
+      success: true,
+      preferences: await populatePreferences(preferences),
+      categories: NotificationPreference.CATEGORIES,
+      deliveryOptions: NotificationPreference.DELIVERY_OPTIONS
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching notification preferences'
+    });
+  }
+});
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', [
+  protect,
+  body('channels')
+    .optional()
+    .isObject()
+    .withMessage('Channels must be an object')
+    .custom(channels => Object.keys(channels).every(category => NotificationPreference.CATEGORIES.includes(category)))
+    .withMessage('Unknown notification category'),
+  body('channels.*')
+    .isIn(NotificationPreference.DELIVERY_OPTIONS)
+    .withMessage('Delivery must be in_app, email_digest or off'),
+  body('quietHours.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Quiet hours enabled must be true or false'),
+  body(['quietHours.start', 'quietHours.end'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Quiet hours must use HH:MM'),
+  body('quietHours.timezone')
+    .optional()
+    .custom(timezone => NotificationPreference.isValidTimezone(timezone))
+    .withMessage('Unknown time zone'),
+  body(['mutedChats', 'mutedPosts'])
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Muted lists must be arrays'),
+  body(['mutedChats.*', 'mutedPosts.*'])
+    .isMongoId()
+    .withMessage('Invalid ID in muted list')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Dotted paths so a partial update leaves other settings alone
+    const updates = {};
+    const { channels = {}, quietHours = {}, mutedChats, mutedPosts } = req.body;
+
+    Object.entries(channels).forEach(([category, delivery]) => {
+      updates[`channels.${category}`] = delivery;
+    });
+    ['enabled', 'start', 'end', 'timezone'].forEach(field => {
+      if (quietHours[field] !== undefined) {
+        updates[`quietHours.${field}`] = quietHours[field];
+      }
+    });
+    if (mutedChats) updates.mutedChats = [...new Set(mutedChats)];
+    if (mutedPosts) updates.mutedPosts = [...new Set(mutedPosts)];
+
+    const preferences = await NotificationPreference.findOneAndUpdate(
+      { user: req.user._id },
+      { $set: updates },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: await populatePreferences(preferences)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating notification preferences'
+    });
+  }
+});
+
+// @desc    Mute or unmute notifications about a chat or post
+// @route   PUT /api/notifications/preferences/mute
+// @access  Private
+router.put('/preferences/mute', [
+  protect,
+  body('targetType')
+    .isIn(['chat', 'post'])
+    .withMessage('Target type must be chat or post'),
+  body('targetId')
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  body('muted')
+    .isBoolean()
+    .withMessage('Muted must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { targetType, targetId, muted } = req.body;
+    const field = targetType === 'chat' ? 'mutedChats' : 'mutedPosts';
+
+    const preferences = await NotificationPreference.findOneAndUpdate(
+      { user: req.user._id },
+      muted ? { $addToSet: { [field]: targetId } } : { $pull: { [field]: targetId } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: muted ? 'Notifications muted' : 'Notifications unmuted',
+      mutedChats: preferences.mutedChats,
+      mutedPosts: preferences.mutedPosts
+    });
+  } catch (error) {
+    console.error('Mute notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating muted notifications'
+    });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while marking notifications as read'
+    });
+  }
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      notification,
+      unreadCount: await Notification.countUnread(req.user._id)
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while marking notification as read'
+    });
+  }
+});
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,388 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Organization = require('../models/Organization');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { protect, requireAdmin } = require('../middleware/auth');
+const { assignMembersByDomain } = require('../services/organizationService');
+const router = express.Router();
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validators shared by create and update
+const organizationValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  (isUpdate ? body('slug').optional() : body('slug'))
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage('Slug can only contain letters, numbers and dashes')
+    .isLength({ max: 50 })
+    .withMessage('Slug cannot exceed 50 characters'),
+  body('emailDomains')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Email domains must be a list of at most 20 domains'),
+  body('emailDomains.*')
+    .customSanitizer(value => Organization.normalizeDomain(value))
+    .matches(/^[a-z0-9-]+(\.[a-z0-9-]+)+$/)
+    .withMessage('Each email domain must be a valid domain, e.g. state.edu'),
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be a list'),
+  body('categories.*')
+    .custom(value => Category.assertTopLevel(value))
+    .withMessage('Invalid category'),
+  body(['allowGuestViewing', 'isActive'])
+    .optional()
+    .isBoolean()
+    .withMessage('allowGuestViewing and isActive must be true or false')
+];
+
+// Fields site admins can set, and the subset organization admins can change
+const ORGANIZATION_FIELDS = ['name', 'slug', 'emailDomains', 'categories', 'allowGuestViewing', 'isActive'];
+const ORG_ADMIN_FIELDS = ['categories', 'allowGuestViewing'];
+
+// Load the organization in :id and make sure the user manages it
+const loadManagedOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization || !req.user.canManageOrganization(organization._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Server error while loading organization'
+    });
+  }
+};
+
+// Reject a name or domain another organization already uses
+const findConflictError = async (organization) => {
+  const [slugTaken, domainConflict] = await Promise.all([
+    Organization.exists({ _id: { $ne: organization._id }, slug: organization.slug }),
+    organization.emailDomains.length > 0 ? Organization.findDomainConflict(organization) : null
+  ]);
+
+  if (slugTaken) {
+    return 'That slug is already used by another organization';
+  }
+  if (domainConflict) {
+    return `One of those email domains already belongs to ${domainConflict.name}`;
+  }
+
+  return null;
+};
+
+// @desc    Get the current user's organization
+// @route   GET /api/organizations/current
+// @access  Private
+router.get('/current', protect, async (req, res) => {
+  try {
+    const organization = req.user.organization
+      ? await Organization.findById(req.user.organization)
+      : null;
+
+    res.json({
+      success: true,
+      organization,
+      orgRole: organization ? req.user.orgRole : null,
+      categories: await Category.getNames()
+    });
+  } catch (error) {
+    console.error('Get current organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organization'
+    });
+  }
+});
+
+// @desc    Get all organizations with member counts
+// @route   GET /api/organizations
+// @access  Private (Admin)
+router.get('/', protect, requireAdmin, async (req, res) => {
+  try {
+    const [organizations, memberCounts] = await Promise.all([
+      Organization.find().sort({ name: 1 }),
+      User.aggregate([
+        { $match: { organization: { $ne: null } } },
+        { $group: { _id: '$organization', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(memberCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json({
+      success: true,
+      count: organizations.length,
+      organizations: organizations.map(organization => ({
+        ...organization.toObject(),
+        memberCount: counts.get(organization._id.toString()) || 0
+      })),
+      categories: await Category.getNames()
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organizations'
+    });
+  }
+});
+
+// @desc    Create an organization
+// @route   POST /api/organizations
+// @access  Private (Admin)
+router.post('/', [protect, requireAdmin, ...organizationValidators(false)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const organization = new Organization({});
+    ORGANIZATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) organization[field] = req.body[field];
+    });
+
+    const conflictError = await findConflictError(organization);
+    if (conflictError) {
+      return res.status(400).json({
+        success: false,
+        error: conflictError
+      });
+    }
+
+    await organization.save();
+    await AuditLog.record(req.user._id, 'organization.create', organization);
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created',
+      organization
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating organization'
+    });
+  }
+});
+
+// @desc    Update an organization (organization admins can change categories
+//          and guest viewing)
+// @route   PUT /api/organizations/:id
+// @access  Private (Admin or organization admin)
+router.put('/:id', [protect, loadManagedOrganization, ...organizationValidators(true)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const fields = req.user.hasRole('admin') ? ORGANIZATION_FIELDS : ORG_ADMIN_FIELDS;
+    const changed = fields.filter(field => req.body[field] !== undefined);
+
+    changed.forEach(field => {
+      organization[field] = req.body[field];
+    });
+
+    const conflictError = await findConflictError(organization);
+    if (conflictError) {
+      return res.status(400).json({
+        success: false,
+        error: conflictError
+      });
+    }
+
+    await organization.save();
+    await AuditLog.record(req.user._id, 'organization.update', organization, null, { fields: changed });
+
+    res.json({
+      success: true,
+      message: 'Organization updated',
+      organization
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating organization'
+    });
+  }
+});
+
+// @desc    Add verified users on the organization's domains as members
+// @route   POST /api/organizations/:id/assign-members
+// @access  Private (Admin)
+router.post('/:id/assign-members', protect, requireAdmin, loadManagedOrganization, async (req, res) => {
+  try {
+    const added = await assignMembersByDomain(req.organization);
+
+    res.json({
+      success: true,
+      message: `Added ${added} members to ${req.organization.name}`,
+      added
+    });
+  } catch (error) {
+    console.error('Assign organization members error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while assigning members'
+    });
+  }
+});
+
+// @desc    Get an organization's members
+// @route   GET /api/organizations/:id/members
+// @access  Private (Admin or organization admin)
+router.get('/:id/members', [
+  protect,
+  loadManagedOrganization,
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { search, page = 1, limit = 50 } = req.query;
+
+    const filter = { organization: req.organization._id };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const [members, total] = await Promise.all([
+      User.find(filter)
+        .select('name email avatar orgRole department createdAt')
+        .sort({ orgRole: 1, name: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: members.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      members
+    });
+  } catch (error) {
+    console.error('Get organization members error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching members'
+    });
+  }
+});
+
+// @desc    Change a member's organization role
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (Admin or organization admin)
+router.put('/:id/members/:userId', [
+  protect,
+  loadManagedOrganization,
+  body('orgRole')
+    .isIn(['member', 'admin'])
+    .withMessage('Organization role must be member or admin')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const member = await User.findOne({ _id: req.params.userId, organization: req.organization._id });
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    const previousRole = member.orgRole;
+    member.orgRole = req.body.orgRole;
+    await member.save();
+
+    await AuditLog.record(req.user._id, 'organization.role', member, null, {
+      organization: req.organization._id,
+      previousRole,
+      newRole: member.orgRole
+    });
+
+    res.json({
+      success: true,
+      message: `${member.name} is now an organization ${member.orgRole}`,
+      member: {
+        _id: member._id,
+        name: member.name,
+        orgRole: member.orgRole
+      }
+    });
+  } catch (error) {
+    console.error('Update organization role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating member role'
+    });
+  }
+});
+
+module.exports = router;
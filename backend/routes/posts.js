@@ -1,11 +1,67 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Post = require('../models/Post');
-const { protect, optionalAuth, validatePostOwnership, rateLimit } = require('../middleware/auth');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const Match = require('../models/Match');
+const PostRevision = require('../models/PostRevision');
+const Reward = require('../models/Reward');
+const { protect, optionalAuth, validatePostOwnership, requireVerifiedEmail } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const matchingService = require('../services/matchingService');
+const savedSearchService = require('../services/savedSearchService');
+const { resolveLocation } = require('../services/buildingService');
+const { prepareAttributes, getVerificationAttributes } = require('../services/categoryService');
+const { visibleOrganizations, canViewPost, statsScope, getCategoryError } = require('../services/organizationService');
+const { notify } = require('../services/notificationService');
+const { resolveUpload } = require('../services/imageProcessor');
 const router = express.Router();
 
 // Rate limiting for post creation
-const postCreateLimit = rateLimit(10, 60 * 60 * 1000); // 10 posts per hour
+const postCreateLimit = rateLimit(10, 60 * 60 * 1000, { name: 'post-create', keyBy: 'user' }); // 10 posts per hour
+
+// Priority labels from lowest to highest, used to sort by priority
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+
+// Search radius in metres for ?near= when none is given, and the largest allowed
+const DEFAULT_NEAR_RADIUS = 1000;
+const MAX_NEAR_RADIUS = 20000;
+
+// Fields authors can set; status, moderation and verification are managed
+// by the server and moderators
+const EDITABLE_POST_FIELDS = [
+  'title', 'description', 'category', 'subCategory', 'location',
+  'dateTime', 'timeRange', 'color', 'brand', 'model', 'size',
+  'condition', 'priority', 'reward', 'contactInfo', 'images', 'attributes'
+];
+const CREATE_POST_FIELDS = ['type', ...EDITABLE_POST_FIELDS, 'verificationQuestions'];
+
+// Point images at the uploads their publicIds name; client-sent URLs are ignored
+const toStoredImages = (images) => images.map(({ publicId, description }) => {
+  const { url, thumbnailUrl } = resolveUpload(publicId, 'post');
+  return { url, publicId, thumbnailUrl, description };
+});
+
+// Validators for a found post's verification questions. On update an
+// existing question may omit its answer to keep the stored one.
+const verificationQuestionRules = (answerOptional) => {
+  const answerRule = body('verificationQuestions.*.answer');
+
+  return [
+    body('verificationQuestions')
+      .optional()
+      .isArray({ max: 5 })
+      .withMessage('A post can have at most 5 verification questions'),
+    body('verificationQuestions.*.question')
+      .trim()
+      .isLength({ min: 5, max: 200 })
+      .withMessage('Each verification question must be between 5 and 200 characters'),
+    (answerOptional ? answerRule.optional({ checkFalsy: true }) : answerRule)
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each verification answer must be between 1 and 100 characters')
+  ];
+};
 
 // @desc    Get all posts (public access)
 // @route   GET /api/posts
@@ -18,7 +74,7 @@ router.get('/', [
     .withMessage('Type must be either lost or found'),
   query('category')
     .optional()
-    .custom(value => ['Electronics', 'Documents', 'Accessories', 'Books', 'Clothing', 'Bags', 'Keys', 'Jewelry', 'Sports Equipment', 'Other'].includes(value))
+    .custom(value => Category.assertTopLevel(value))
     .withMessage('Invalid category'),
   query('building')
     .optional()
@@ -30,6 +86,14 @@ router.get('/', [
     .trim()
     .isLength({ min: 2 })
     .withMessage('Search term must be at least 2 characters'),
+  query('near')
+    .optional()
+    .custom(value => Post.parseLatLng(value) !== null)
+    .withMessage('Near must be latitude,longitude'),
+  query('radius')
+    .optional()
+    .isInt({ min: 10, max: MAX_NEAR_RADIUS })
+    .withMessage(`Radius must be between 10 and ${MAX_NEAR_RADIUS} metres`),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -40,7 +104,7 @@ router.get('/', [
     .withMessage('Limit must be between 1 and 50'),
   query('sortBy')
     .optional()
-    .custom(value => ['createdAt', 'dateTime', 'priority', 'views'].includes(value))
+    .custom(value => ['createdAt', 'dateTime', 'priority', 'views', 'distance'].includes(value))
     .withMessage('Invalid sort field'),
   query('sortOrder')
     .optional()
@@ -69,24 +133,77 @@ router.get('/', [
       sortOrder = 'desc'
     } = req.query;
 
-    // Build query
-    let query = { status: 'active' };
+    const near = req.query.near
+      ? { ...Post.parseLatLng(req.query.near), radius: parseInt(req.query.radius) || DEFAULT_NEAR_RADIUS }
+      : null;
 
-    if (type) query.type = type;
-    if (category) query.category = category;
-    if (building) query['location.building'] = new RegExp(building, 'i');
+    if (sortBy === 'distance' && !near) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sorting by distance needs a near location'
+      });
+    }
+
+    // MongoDB can't order text search results by distance
+    if (sortBy === 'distance' && search) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sorting by distance cannot be combined with a search'
+      });
+    }
+
+    // Build query, limited to the organizations the viewer can see
+    const organizations = await visibleOrganizations(req.user);
+    const query = Post.buildBrowseQuery(
+      await Post.resolveBrowseFilters(
+        { type, category, building, search, near, organizations },
+        req.user && req.user.organization
+      )
+    );
+    const sortDirection = sortOrder === 'desc' ? -1 : 1;
 
     let posts;
 
-    if (search) {
-      // Use text search if search term provided
-      posts = await Post.searchPosts(search, query);
+    if (near && (sortBy === 'distance' || (!req.query.sortBy && !search))) {
+      // Nearest first; $nearSphere sorts by itself but isn't allowed in counts,
+      // so the count below keeps the $geoWithin filter
+      posts = await Post.find({
+        ...query,
+        'location.coordinates': {
+          $nearSphere: {
+            $geometry: Post.toPoint(near.latitude, near.longitude),
+            $maxDistance: near.radius
+          }
+        }
+      })
+        .populate('user', 'name avatar college department trustScore')
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .exec();
+    } else if (sortBy === 'priority') {
+      // Priority is stored as a label, so rank it before sorting
+      const ranked = await Post.aggregate([
+        { $match: query },
+        { $addFields: { priorityRank: { $indexOfArray: [PRIORITY_ORDER, '$priority'] } } },
+        { $sort: { priorityRank: sortDirection, createdAt: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit * 1 },
+        Post.hiddenFieldsProjection()
+      ]);
+
+      posts = await Post.populate(ranked, {
+        path: 'user',
+        select: 'name avatar college department trustScore'
+      });
     } else {
-      // Regular query
-      const sortDirection = sortOrder === 'desc' ? -1 : 1;
-      posts = await Post.find(query)
+      // Searches are ordered by relevance unless a sort was requested
+      const sort = search && !req.query.sortBy
+        ? { score: { $meta: 'textScore' }, createdAt: -1 }
+        : { [sortBy]: sortDirection };
+
+      posts = await Post.find(query, search ? { score: { $meta: 'textScore' } } : {})
         .populate('user', 'name avatar college department trustScore')
-        .sort({ [sortBy]: sortDirection })
+        .sort(sort)
         .limit(limit * 1)
         .skip((page - 1) * limit)
         .exec();
@@ -95,6 +212,14 @@ router.get('/', [
     // Get total count for pagination
     const total = await Post.countDocuments(query);
 
+    // Include how far each post's pin is from the requested location
+    if (near) {
+      posts = posts.map(post => ({
+        ...(post.toJSON ? post.toJSON() : post),
+        distance: Post.distanceFrom(near, post)
+      }));
+    }
+
     res.json({
       success: true,
       count: posts.length,
@@ -115,13 +240,78 @@ router.get('/', [
   }
 });
 
+// @desc    Get category and building counts for browsing
+// @route   GET /api/posts/facets
+// @access  Public
+router.get('/facets', [
+  optionalAuth,
+  query('type')
+    .optional()
+    .custom(value => ['lost', 'found'].includes(value))
+    .withMessage('Type must be either lost or found'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Search term must be at least 2 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { type, search } = req.query;
+    const organizations = await visibleOrganizations(req.user);
+
+    const [facets] = await Post.aggregate([
+      { $match: Post.buildBrowseQuery({ type, search, organizations }) },
+      {
+        $facet: {
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          buildings: [
+            { $group: { _id: '$location.building', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: 30 }
+          ]
+        }
+      }
+    ]);
+
+    const toFacet = ({ _id, count }) => ({ value: _id, count });
+
+    res.json({
+      success: true,
+      facets: {
+        categories: facets.categories.map(toFacet),
+        buildings: facets.buildings.map(toFacet)
+      }
+    });
+  } catch (error) {
+    console.error('Get facets error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching filters'
+    });
+  }
+});
+
 // @desc    Get single post
 // @route   GET /api/posts/:id
 // @access  Public
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate('user', 'name avatar college department trustScore phone')
+      .select('+sensitiveAttributes')
+      .populate('user', 'name email avatar college department trustScore phone')
       .populate('resolvedBy', 'name avatar trustScore')
       .populate('interestedUsers.user', 'name avatar trustScore');
 
@@ -132,24 +322,82 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    const isOwner = Boolean(req.user) && req.user._id.toString() === post.user._id.toString();
+    const isModerator = Boolean(req.user) && req.user.hasRole('moderator');
+
+    // Posts of organizations closed to guests are only visible to members
+    if (!isOwner && !isModerator && !(await canViewPost(req.user, post))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    // Hidden posts are only visible to their owner and moderators
+    if (post.status === 'hidden') {
+      if (!isOwner && !isModerator) {
+        return res.status(404).json({
+          success: false,
+          error: 'Post not found'
+        });
+      }
+    }
+
     // Increment view count if user is different from post owner
-    if (!req.user || req.user._id.toString() !== post.user._id.toString()) {
+    if (!isOwner) {
       await post.incrementViews();
     }
 
     // Hide sensitive information for non-authenticated users
     let sanitizedPost = post.toObject();
-    
-    if (!req.user) {
-      // Remove contact information for guests
-      if (sanitizedPost.user && sanitizedPost.user.phone) {
+
+    // Only share the contact details the owner opted into
+    if (sanitizedPost.user) {
+      if (!req.user || !post.contactInfo.email) {
+        delete sanitizedPost.user.email;
+      }
+      if (!req.user || !post.contactInfo.phone) {
         delete sanitizedPost.user.phone;
       }
+    }
+    
+    if (!req.user) {
       // Hide interested users details
       sanitizedPost.interestedUsers = sanitizedPost.interestedUsers.map(interest => ({
         ...interest,
         message: interest.message ? '[Hidden - Login to view]' : null
       }));
+    } else if (!isOwner) {
+      // Messages are meant for the owner; others only see their own
+      sanitizedPost.interestedUsers = sanitizedPost.interestedUsers.map(interest => ({
+        ...interest,
+        message: interest.user && interest.user._id.toString() === req.user._id.toString()
+          ? interest.message
+          : null
+      }));
+    }
+
+    // Reporter identities are for moderators only
+    sanitizedPost.hasReported = Boolean(req.user) && post.reports.some(
+      report => report.user && report.user.toString() === req.user._id.toString()
+    );
+    if (!isModerator) {
+      delete sanitizedPost.reports;
+    }
+
+    // Sensitive details are for the owner only. Claimants of a found item
+    // are asked for the ones the finder filled in instead.
+    if (!isOwner) {
+      if (post.type === 'found') {
+        sanitizedPost.verificationAttributes = await getVerificationAttributes(post);
+      }
+      delete sanitizedPost.sensitiveAttributes;
+    }
+
+    // Whether the reward offered on a lost post is held or paid
+    if (post.type === 'lost' && post.reward && post.reward.offered) {
+      const reward = await Reward.findForLostPost(post._id).select('status amount');
+      sanitizedPost.rewardStatus = reward ? { status: reward.status, amount: reward.amount } : null;
     }
 
     res.json({
@@ -170,6 +418,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // @access  Private
 router.post('/', [
   protect,
+  requireVerifiedEmail,
   postCreateLimit,
   body('type')
     .isIn(['lost', 'found'])
@@ -183,12 +432,26 @@ router.post('/', [
     .isLength({ min: 10, max: 1000 })
     .withMessage('Description must be between 10 and 1000 characters'),
   body('category')
-    .isIn(['Electronics', 'Documents', 'Accessories', 'Books', 'Clothing', 'Bags', 'Keys', 'Jewelry', 'Sports Equipment', 'Other'])
+    .trim()
+    .notEmpty()
     .withMessage('Please select a valid category'),
+  body('subCategory')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Sub-category cannot exceed 50 characters'),
+  body('attributes')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Attributes must be an object of detail values'),
   body('location.building')
     .trim()
     .notEmpty()
     .withMessage('Building/Location is required'),
+  body('location.coordinates')
+    .optional({ nullable: true })
+    .custom(value => Post.isValidPoint(value))
+    .withMessage('Coordinates must be a GeoJSON point of [longitude, latitude]'),
   body('dateTime')
     .isISO8601()
     .withMessage('Please provide a valid date and time'),
@@ -205,7 +468,15 @@ router.post('/', [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Brand cannot exceed 50 characters')
+    .withMessage('Brand cannot exceed 50 characters'),
+  body('images')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('A post can have at most 5 images'),
+  body('images.*.publicId')
+    .custom(value => Boolean(resolveUpload(value, 'post')))
+    .withMessage('Images must be uploaded through /api/uploads'),
+  ...verificationQuestionRules(false)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -218,6 +489,13 @@ router.post('/', [
       });
     }
 
+    if (req.body.type !== 'found' && req.body.verificationQuestions?.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification questions can only be added to found posts'
+      });
+    }
+
     // Check if date is not in the future
     const providedDate = new Date(req.body.dateTime);
     if (providedDate > new Date()) {
@@ -227,11 +505,41 @@ router.post('/', [
       });
     }
 
-    // Create post
-    const postData = {
-      ...req.body,
-      user: req.user._id
-    };
+    const categoryError = await Category.getSelectionError(req.body.category, req.body.subCategory) ||
+      await getCategoryError(req.user.organization, req.body.category);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        error: categoryError
+      });
+    }
+
+    const { error: attributeError, attributes, sensitiveAttributes } = await prepareAttributes(
+      req.body.category,
+      req.body.subCategory,
+      req.body.attributes
+    );
+    if (attributeError) {
+      return res.status(400).json({
+        success: false,
+        error: attributeError
+      });
+    }
+
+    // Create post in the author's organization, filing it under the
+    // registered building if the name matches
+    const postData = {};
+    CREATE_POST_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) postData[field] = req.body[field];
+    });
+    if (postData.images) postData.images = toStoredImages(postData.images);
+    Object.assign(postData, {
+      attributes,
+      sensitiveAttributes,
+      location: await resolveLocation(req.body.location, req.user.organization),
+      user: req.user._id,
+      organization: req.user.organization
+    });
 
     const post = await Post.create(postData);
 
@@ -243,6 +551,12 @@ router.post('/', [
     }
     await req.user.save();
 
+    // Look for possible lost/found matches
+    matchingService.runForPostInBackground(post, req.app.get('io'));
+
+    // Alert users whose saved searches match the new post
+    savedSearchService.alertForPostInBackground(post, req.app.get('io'));
+
     // Populate and return the created post
     const populatedPost = await Post.findById(post._id)
       .populate('user', 'name avatar college department trustScore');
@@ -278,12 +592,53 @@ router.put('/:id', [
     .withMessage('Description must be between 10 and 1000 characters'),
   body('category')
     .optional()
-    .isIn(['Electronics', 'Documents', 'Accessories', 'Books', 'Clothing', 'Bags', 'Keys', 'Jewelry', 'Sports Equipment', 'Other'])
+    .trim()
+    .notEmpty()
     .withMessage('Please select a valid category'),
+  body('subCategory')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Sub-category cannot exceed 50 characters'),
+  body('attributes')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Attributes must be an object of detail values'),
+  body('location.building')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Building/Location is required'),
+  body('location.coordinates')
+    .optional({ nullable: true })
+    .custom(value => Post.isValidPoint(value))
+    .withMessage('Coordinates must be a GeoJSON point of [longitude, latitude]'),
+  body('dateTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date and time'),
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high', 'urgent'])
-    .withMessage('Invalid priority level')
+    .withMessage('Invalid priority level'),
+  body('color')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Color cannot exceed 50 characters'),
+  body('brand')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Brand cannot exceed 50 characters'),
+  body('images')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('A post can have at most 5 images'),
+  body('images.*.publicId')
+    .custom(value => Boolean(resolveUpload(value, 'post')))
+    .withMessage('Images must be uploaded through /api/uploads'),
+  ...verificationQuestionRules(true)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -296,6 +651,14 @@ router.put('/:id', [
       });
     }
 
+    // Check if date is not in the future
+    if (req.body.dateTime && new Date(req.body.dateTime) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date and time cannot be in the future'
+      });
+    }
+
     // Check if post is still active
     if (req.post.status !== 'active') {
       return res.status(400).json({
@@ -304,19 +667,86 @@ router.put('/:id', [
       });
     }
 
-    // Fields that can be updated
-    const allowedUpdates = [
-      'title', 'description', 'category', 'subCategory', 'location',
-      'color', 'brand', 'model', 'size', 'condition', 'priority',
-      'reward', 'contactInfo'
-    ];
-
     const updates = {};
-    allowedUpdates.forEach(field => {
+    EDITABLE_POST_FIELDS.forEach(field => {
       if (req.body[field] !== undefined) {
         updates[field] = req.body[field];
       }
     });
+    if (updates.images) updates.images = toStoredImages(updates.images);
+
+    // A new category clears a sub-category that isn't resent with it
+    if (updates.category !== undefined && updates.category !== req.post.category && updates.subCategory === undefined) {
+      updates.subCategory = null;
+    }
+
+    // Only a changed choice is checked, so posts in a since deactivated
+    // category can still be edited
+    const category = updates.category !== undefined ? updates.category : req.post.category;
+    const subCategory = updates.subCategory !== undefined ? updates.subCategory : req.post.subCategory;
+    const categoryChanged = category !== req.post.category || (subCategory || null) !== (req.post.subCategory || null);
+
+    const categoryError = categoryChanged && (
+      await Category.getSelectionError(category, subCategory) ||
+      await getCategoryError(req.post.organization, category)
+    );
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        error: categoryError
+      });
+    }
+
+    // Details are checked when sent, or when the category they belong to
+    // changed; sensitive values are split out of what was sent
+    if (updates.attributes !== undefined || categoryChanged) {
+      let values = updates.attributes;
+      if (values === undefined) {
+        const current = await Post.findById(req.post._id).select('attributes sensitiveAttributes').lean();
+        values = { ...current.attributes, ...current.sensitiveAttributes };
+      }
+
+      const { error: attributeError, attributes, sensitiveAttributes } = await prepareAttributes(category, subCategory, values);
+      if (attributeError) {
+        return res.status(400).json({
+          success: false,
+          error: attributeError
+        });
+      }
+
+      updates.attributes = attributes;
+      updates.sensitiveAttributes = sensitiveAttributes;
+    }
+
+    if (updates.location) {
+      updates.location = await resolveLocation(updates.location, req.post.organization);
+    }
+
+    if (req.body.verificationQuestions !== undefined) {
+      if (req.post.type !== 'found') {
+        return res.status(400).json({
+          success: false,
+          error: 'Verification questions can only be added to found posts'
+        });
+      }
+
+      // Answers are never sent to the client, so keep stored ones that weren't changed
+      const current = await Post.findById(req.post._id).select('+verificationQuestions.answer');
+      const questions = req.body.verificationQuestions.map(({ _id, question, answer }) => ({
+        ...(_id && { _id }),
+        question,
+        answer: answer || (_id && current.verificationQuestions.id(_id)?.answer)
+      }));
+
+      if (questions.some(question => !question.answer)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Each new verification question needs an answer'
+        });
+      }
+
+      updates.verificationQuestions = questions;
+    }
 
     const post = await Post.findByIdAndUpdate(
       req.params.id,
@@ -324,6 +754,25 @@ router.put('/:id', [
       { new: true, runValidators: true }
     ).populate('user', 'name avatar college department trustScore');
 
+    // Record what changed so edits stay visible after a dispute
+    // Verification questions and sensitive details are left out so answers
+    // and identifiers never reach the history
+    const changes = PostRevision.diff(
+      req.post.toObject(),
+      post.toObject(),
+      Object.keys(updates).filter(field => !['verificationQuestions', 'sensitiveAttributes'].includes(field))
+    );
+    if (changes.length > 0) {
+      await PostRevision.create({
+        post: post._id,
+        editor: req.user._id,
+        changes
+      });
+    }
+
+    // Re-run matching since the details may have changed
+    matchingService.runForPostInBackground(post, req.app.get('io'));
+
     res.json({
       success: true,
       post
@@ -337,6 +786,113 @@ router.put('/:id', [
   }
 });
 
+// @desc    Get edit history of a post
+// @route   GET /api/posts/:id/revisions
+// @access  Private (Owner, interested users and moderators)
+router.get('/:id/revisions', protect, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('user interestedUsers');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const userId = req.user._id.toString();
+    const canView = post.user.toString() === userId ||
+      post.interestedUsers.some(interest => interest.user && interest.user.toString() === userId) ||
+      req.user.hasRole('moderator');
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view the edit history of this post'
+      });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .populate('editor', 'name avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching post revisions'
+    });
+  }
+});
+
+// @desc    Get possible matches for a post
+// @route   GET /api/posts/:id/matches
+// @access  Private (Owner only)
+router.get('/:id/matches', protect, validatePostOwnership, async (req, res) => {
+  try {
+    const otherField = req.post.type === 'lost' ? 'foundPost' : 'lostPost';
+    const matches = await Match.findForPost(req.post, req.user._id);
+
+    // Only show matches whose counterpart is still open
+    const activeMatches = matches.filter(
+      match => match[otherField] && match[otherField].status === 'active'
+    );
+
+    res.json({
+      success: true,
+      count: activeMatches.length,
+      matches: activeMatches.map(match => ({
+        _id: match._id,
+        score: match.score,
+        breakdown: match.breakdown,
+        status: match.status,
+        createdAt: match.createdAt,
+        post: match[otherField]
+      }))
+    });
+  } catch (error) {
+    console.error('Get matches error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching matches'
+    });
+  }
+});
+
+// @desc    Dismiss a possible match
+// @route   PUT /api/posts/:id/matches/:matchId/dismiss
+// @access  Private (Owner only)
+router.put('/:id/matches/:matchId/dismiss', protect, validatePostOwnership, async (req, res) => {
+  try {
+    const field = req.post.type === 'lost' ? 'lostPost' : 'foundPost';
+    const match = await Match.findOne({ _id: req.params.matchId, [field]: req.post._id });
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    await match.dismiss(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Match dismissed'
+    });
+  } catch (error) {
+    console.error('Dismiss match error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while dismissing match'
+    });
+  }
+});
+
 // @desc    Mark post as resolved
 // @route   PUT /api/posts/:id/resolve
 // @access  Private (Owner only)
@@ -349,6 +905,31 @@ router.put('/:id/resolve', [
     .withMessage('Invalid user ID')
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (req.post.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only active posts can be resolved'
+      });
+    }
+
+    // Found items go back to their owner through a confirmed claim
+    if (req.post.type === 'found') {
+      return res.status(400).json({
+        success: false,
+        error: 'Found items are resolved when the owner confirms their claim'
+      });
+    }
+
     const { resolvedBy } = req.body;
 
     // Mark as resolved
@@ -397,9 +978,19 @@ router.post('/:id/interest', [
     .withMessage('Message cannot exceed 500 characters')
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await canViewPost(req.user, post))) {
       return res.status(404).json({
         success: false,
         error: 'Post not found'
@@ -423,8 +1014,22 @@ router.post('/:id/interest', [
 
     const { message = '' } = req.body;
 
+    const alreadyInterested = post.interestedUsers.some(
+      interest => interest.user.toString() === req.user._id.toString()
+    );
+
     await post.addInterestedUser(req.user._id, message);
 
+    if (!alreadyInterested) {
+      await notify(req.app.get('io'), post.user, {
+        type: 'new_interest',
+        title: `${req.user.name} is interested in "${post.title}"`,
+        body: message,
+        link: `/posts/${post._id}`,
+        data: { postId: post._id, userId: req.user._id }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Interest expressed successfully'
@@ -457,6 +1062,10 @@ router.delete('/:id', protect, validatePostOwnership, async (req, res) => {
     } else {
       // Safe to delete
       await Post.findByIdAndDelete(req.params.id);
+      await Match.deleteMany({
+        $or: [{ lostPost: req.params.id }, { foundPost: req.params.id }]
+      });
+      await PostRevision.deleteMany({ post: req.params.id });
     }
 
     res.json({
@@ -487,11 +1096,21 @@ router.post('/:id/flag', [
     .withMessage('Description cannot exceed 500 characters')
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { reason, description = '' } = req.body;
 
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !(await canViewPost(req.user, post))) {
       return res.status(404).json({
         success: false,
         error: 'Post not found'
@@ -532,7 +1151,7 @@ router.get('/user/:userId', [
     .withMessage('Type must be either lost or found'),
   query('status')
     .optional()
-    .isIn(['active', 'resolved', 'expired'])
+    .isIn(['active', 'resolved', 'expired', 'hidden'])
     .withMessage('Invalid status'),
   query('page')
     .optional()
@@ -552,9 +1171,12 @@ router.get('/user/:userId', [
     if (type) query.type = type;
     if (status) query.status = status;
 
-    // If not the owner, only show active posts
+    // If not the owner, only show active posts the viewer's organization can see
     if (!req.user || req.user._id.toString() !== userId) {
       query.status = 'active';
+
+      const organizations = await visibleOrganizations(req.user);
+      if (organizations) query.organization = { $in: organizations };
     }
 
     const posts = await Post.find(query)
@@ -586,11 +1208,13 @@ router.get('/user/:userId', [
   }
 });
 
-// @desc    Get post statistics
+// @desc    Get post statistics for the viewer's organization
 // @route   GET /api/posts/stats
 // @access  Public
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', optionalAuth, async (req, res) => {
   try {
+    const scope = statsScope(req.user);
+
     const [
       totalPosts,
       activePosts,
@@ -601,19 +1225,21 @@ router.get('/stats/overview', async (req, res) => {
       thisWeekPosts,
       categoryStats
     ] = await Promise.all([
-      Post.countDocuments(),
-      Post.countDocuments({ status: 'active' }),
-      Post.countDocuments({ status: 'resolved' }),
-      Post.countDocuments({ type: 'lost', status: 'active' }),
-      Post.countDocuments({ type: 'found', status: 'active' }),
+      Post.countDocuments(scope),
+      Post.countDocuments({ ...scope, status: 'active' }),
+      Post.countDocuments({ ...scope, status: 'resolved' }),
+      Post.countDocuments({ ...scope, type: 'lost', status: 'active' }),
+      Post.countDocuments({ ...scope, type: 'found', status: 'active' }),
       Post.countDocuments({
+        ...scope,
         createdAt: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
       }),
       Post.countDocuments({
+        ...scope,
         createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
       }),
       Post.aggregate([
-        { $match: { status: 'active' } },
+        { $match: { ...scope, status: 'active' } },
         { $group: { _id: '$category', count: { $sum: 1 } } },
         { $sort: { count: -1 } }
       ])
@@ -0,0 +1,429 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Rating = require('../models/Rating');
+const User = require('../models/User');
+const Claim = require('../models/Claim');
+const { protect, optionalAuth, canRate } = require('../middleware/auth');
+const { notify } = require('../services/notificationService');
+const router = express.Router();
+
+// Check for validation errors before canRate looks up the post, so
+// malformed IDs get a 400 instead of a cast error
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// @desc    Rate a user after a resolved post
+// @route   POST /api/ratings
+// @access  Private
+router.post('/', [
+  protect,
+  body('ratedUserId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('postId')
+    .isMongoId()
+    .withMessage('Invalid post ID'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5'),
+  body('review')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Review cannot exceed 500 characters'),
+  body('categories.communication')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Communication rating must be between 1 and 5'),
+  body('categories.reliability')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Reliability rating must be between 1 and 5'),
+  body('categories.helpfulness')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Helpfulness rating must be between 1 and 5'),
+  body('categories.timeliness')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Timeliness rating must be between 1 and 5'),
+  body('transactionType')
+    .isIn(['item_returned', 'item_found', 'helped_search', 'provided_info', 'other'])
+    .withMessage('Invalid transaction type'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+  rejectInvalid,
+  canRate
+], async (req, res) => {
+  try {
+    const {
+      ratedUserId,
+      postId,
+      rating,
+      review,
+      categories = {},
+      transactionType,
+      isPublic = true
+    } = req.body;
+
+    // Ratings are only allowed once the item has been handed back
+    if (req.post.status !== 'resolved') {
+      return res.status(400).json({
+        success: false,
+        error: 'Ratings can only be left for resolved posts'
+      });
+    }
+
+    // For found items, only the finder and the confirmed claimant can rate each other
+    if (req.post.type === 'found') {
+      const confirmedClaim = await Claim.exists({
+        post: postId,
+        status: 'confirmed',
+        $or: [
+          { owner: req.user._id, claimant: ratedUserId },
+          { owner: ratedUserId, claimant: req.user._id }
+        ]
+      });
+
+      if (!confirmedClaim) {
+        return res.status(403).json({
+          success: false,
+          error: 'Ratings for found items require a confirmed claim between you'
+        });
+      }
+    }
+
+    const ratedUser = await User.findById(ratedUserId);
+    if (!ratedUser || !ratedUser.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Check if this transaction was already rated
+    const existingRating = await Rating.findOne({
+      rater: req.user._id,
+      rated: ratedUserId,
+      post: postId
+    });
+
+    if (existingRating) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already rated this user for this post'
+      });
+    }
+
+    const Chat = require('../models/Chat');
+    const chat = await Chat.findOne({
+      post: postId,
+      'participants.user': { $all: [req.user._id, ratedUserId] }
+    }).select('_id');
+
+    const newRating = await Rating.create({
+      rater: req.user._id,
+      rated: ratedUserId,
+      post: postId,
+      chat: chat ? chat._id : null,
+      rating: parseInt(rating),
+      review,
+      categories,
+      transactionType,
+      isPublic
+    });
+
+    // Update the rated user's trust score
+    if (newRating.isPublic) {
+      await ratedUser.addRating(newRating.rating);
+    }
+
+    await notify(req.app.get('io'), ratedUserId, {
+      type: 'rating_received',
+      title: `${req.user.name} rated you ${newRating.rating} ★`,
+      body: newRating.review || '',
+      link: `/profile/${ratedUserId}`,
+      data: { ratingId: newRating._id, postId }
+    });
+
+    const populatedRating = await Rating.findById(newRating._id)
+      .populate('rater', 'name avatar college department')
+      .populate('rated', 'name avatar trustScore totalRatings')
+      .populate('post', 'title type category');
+
+    res.status(201).json({
+      success: true,
+      rating: populatedRating
+    });
+  } catch (error) {
+    console.error('Create rating error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating rating'
+    });
+  }
+});
+
+// @desc    Get ratings for a user
+// @route   GET /api/ratings/user/:userId
+// @access  Public
+router.get('/user/:userId', [
+  optionalAuth,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'rating', 'helpfulCount'])
+    .withMessage('Invalid sort field')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, sortBy = 'createdAt' } = req.query;
+    const userId = req.params.userId;
+
+    // Owners can also see the ratings they received privately
+    const isOwner = req.user && req.user._id.toString() === userId;
+
+    const [ratings, total, distribution] = await Promise.all([
+      Rating.getUserRatings(userId, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sortBy,
+        publicOnly: !isOwner
+      }),
+      Rating.countDocuments({
+        rated: userId,
+        isHidden: { $ne: true },
+        ...(!isOwner && { isPublic: true })
+      }),
+      Rating.getRatingStats(userId)
+    ]);
+
+    res.json({
+      success: true,
+      count: ratings.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      distribution,
+      ratings
+    });
+  } catch (error) {
+    console.error('Get user ratings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching ratings'
+    });
+  }
+});
+
+// @desc    Respond to a rating
+// @route   PUT /api/ratings/:id/response
+// @access  Private (Rated user only)
+router.put('/:id/response', [
+  protect,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Response must be between 1 and 300 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rating = await Rating.findById(req.params.id);
+
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rating not found'
+      });
+    }
+
+    // Only the rated user can respond
+    if (rating.rated.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to respond to this rating'
+      });
+    }
+
+    await rating.addResponse(req.body.content);
+
+    res.json({
+      success: true,
+      message: 'Response added successfully',
+      rating
+    });
+  } catch (error) {
+    console.error('Rating response error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while responding to rating'
+    });
+  }
+});
+
+// @desc    Mark a rating as helpful
+// @route   POST /api/ratings/:id/helpful
+// @access  Private
+router.post('/:id/helpful', protect, async (req, res) => {
+  try {
+    const rating = await Rating.findById(req.params.id);
+
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rating not found'
+      });
+    }
+
+    // Can't vote on ratings you wrote or received
+    if (rating.rater.toString() === req.user._id.toString() ||
+        rating.rated.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot vote on your own rating'
+      });
+    }
+
+    await rating.addHelpfulVote(req.user._id);
+
+    res.json({
+      success: true,
+      helpfulCount: rating.helpfulCount
+    });
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while voting on rating'
+    });
+  }
+});
+
+// @desc    Remove helpful vote from a rating
+// @route   DELETE /api/ratings/:id/helpful
+// @access  Private
+router.delete('/:id/helpful', protect, async (req, res) => {
+  try {
+    const rating = await Rating.findById(req.params.id);
+
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rating not found'
+      });
+    }
+
+    await rating.removeHelpfulVote(req.user._id);
+
+    res.json({
+      success: true,
+      helpfulCount: rating.helpfulCount
+    });
+  } catch (error) {
+    console.error('Remove helpful vote error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing vote'
+    });
+  }
+});
+
+// @desc    Flag rating as inappropriate
+// @route   POST /api/ratings/:id/flag
+// @access  Private
+router.post('/:id/flag', [
+  protect,
+  body('reason')
+    .isIn(['inappropriate', 'fake', 'spam', 'harassment', 'other'])
+    .withMessage('Invalid flag reason'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Description cannot exceed 300 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { reason, description = '' } = req.body;
+
+    const rating = await Rating.findById(req.params.id);
+
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rating not found'
+      });
+    }
+
+    // Can't flag a rating you wrote
+    if (rating.rater.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot flag your own rating'
+      });
+    }
+
+    await rating.flagRating(req.user._id, reason, description);
+
+    res.json({
+      success: true,
+      message: 'Rating flagged successfully'
+    });
+  } catch (error) {
+    console.error('Flag rating error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while flagging rating'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,361 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Reward = require('../models/Reward');
+const LedgerEntry = require('../models/LedgerEntry');
+const Claim = require('../models/Claim');
+const Post = require('../models/Post');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { commitReward, confirmReward, refundReward, payOut, REWARD_CURRENCY } = require('../services/rewardService');
+const router = express.Router();
+
+// Load the reward in :id and make sure the user is one of its parties
+const loadReward = async (req, res, next) => {
+  try {
+    const reward = await Reward.findById(req.params.id);
+
+    if (!reward || !reward.getRole(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reward not found'
+      });
+    }
+
+    req.reward = reward;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Server error while loading reward'
+    });
+  }
+};
+
+// @desc    Commit a reward on a claim; the amount is held until both
+//          parties confirm the handover
+// @route   POST /api/rewards
+// @access  Private (Claimant only)
+router.post('/', [
+  protect,
+  requireVerifiedEmail,
+  body('claimId')
+    .isMongoId()
+    .withMessage('Invalid claim ID'),
+  body('amount')
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Reward must be a whole amount between 1 and 100000')
+    .toInt(),
+  body('lostPostId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid lost post ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { claimId, amount, lostPostId } = req.body;
+    const claim = await Claim.findById(claimId);
+
+    if (!claim || claim.getRole(req.user._id) !== 'claimant') {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    // The finder must be known and the item not yet returned
+    if (!['approved', 'handed_over'].includes(claim.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rewards can be committed once the claim is approved and before it is confirmed'
+      });
+    }
+
+    if (await Reward.exists({ claim: claim._id })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reward was already committed for this claim'
+      });
+    }
+
+    // A reward paying a lost post's offer must honour the amount offered,
+    // and each offer is paid once
+    if (lostPostId) {
+      const lostPost = await Post.findOne({ _id: lostPostId, user: req.user._id, type: 'lost' }).select('reward');
+      if (!lostPost || !lostPost.reward || !lostPost.reward.offered) {
+        return res.status(400).json({
+          success: false,
+          error: 'The reward can only pay for a reward offered on one of your own lost posts'
+        });
+      }
+
+      if (lostPost.reward.amount && amount < lostPost.reward.amount) {
+        return res.status(400).json({
+          success: false,
+          error: `You offered ${lostPost.reward.amount} ${REWARD_CURRENCY} on that post`
+        });
+      }
+
+      if (await Reward.findForLostPost(lostPost._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'The reward offered on that post was already committed'
+        });
+      }
+    }
+
+    const reward = await commitReward({
+      claim,
+      payerId: req.user._id,
+      amount,
+      lostPostId: lostPostId || null
+    }, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      message: 'Reward committed',
+      reward
+    });
+  } catch (error) {
+    // Two simultaneous commits can both pass the check above
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reward was already committed for this claim'
+      });
+    }
+
+    console.error('Commit reward error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while committing reward'
+    });
+  }
+});
+
+// @desc    Get the current user's reward history
+// @route   GET /api/rewards/ledger
+// @access  Private
+router.get('/ledger', [
+  protect,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { user: req.user._id };
+
+    const [entries, total, totals, pending] = await Promise.all([
+      LedgerEntry.find(filter)
+        .populate('counterparty', 'name avatar')
+        .populate('post', 'title')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      LedgerEntry.countDocuments(filter),
+      LedgerEntry.getTotals(req.user._id),
+      // Rewards still held, in either direction
+      Reward.find({ status: 'committed', $or: [{ payer: req.user._id }, { payee: req.user._id }] })
+        .populate('post', 'title')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      currency: REWARD_CURRENCY,
+      totals,
+      pending,
+      count: entries.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      },
+      entries
+    });
+  } catch (error) {
+    console.error('Get reward ledger error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reward history'
+    });
+  }
+});
+
+// @desc    Get the reward committed on a claim
+// @route   GET /api/rewards/claim/:claimId
+// @access  Private (Claim parties only)
+router.get('/claim/:claimId', protect, async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.claimId);
+
+    if (!claim || !claim.getRole(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+
+    const reward = await Reward.findOne({ claim: claim._id });
+
+    res.json({
+      success: true,
+      currency: REWARD_CURRENCY,
+      reward
+    });
+  } catch (error) {
+    console.error('Get claim reward error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reward'
+    });
+  }
+});
+
+// @desc    Confirm the handover for a reward; it is paid once both parties
+//          confirmed and the claim is complete
+// @route   POST /api/rewards/:id/confirm
+// @access  Private (Reward parties only)
+router.post('/:id/confirm', protect, loadReward, async (req, res) => {
+  try {
+    const reward = req.reward;
+
+    if (reward.status !== 'committed') {
+      return res.status(400).json({
+        success: false,
+        error: `This reward was already ${reward.status}`
+      });
+    }
+
+    const claim = await Claim.findById(reward.claim);
+    if (!claim || !['handed_over', 'confirmed'].includes(claim.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The handover can be confirmed once the item is marked as handed over'
+      });
+    }
+
+    const updated = await confirmReward(reward, reward.getRole(req.user._id), claim, req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: updated.status === 'paid' ? 'Reward paid' : 'Handover confirmed',
+      reward: updated
+    });
+  } catch (error) {
+    console.error('Confirm reward error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while confirming reward'
+    });
+  }
+});
+
+// @desc    Retry paying a reward whose payout failed
+// @route   POST /api/rewards/:id/retry
+// @access  Private (Reward parties)
+router.post('/:id/retry', protect, loadReward, async (req, res) => {
+  try {
+    const reward = req.reward;
+
+    if (reward.status !== 'committed' || !reward.isConfirmedByBoth()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only confirmed rewards that have not been paid can be retried'
+      });
+    }
+
+    if (!(await Claim.exists({ _id: reward.claim, status: 'confirmed' }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'The claim must be confirmed before the reward is paid'
+      });
+    }
+
+    let updated;
+    try {
+      updated = await payOut(reward, req.app.get('io'));
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        error: 'The payment provider could not pay the reward. Try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: updated.status === 'paid' ? 'Reward paid' : 'Reward updated',
+      reward: updated
+    });
+  } catch (error) {
+    console.error('Retry reward payout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while retrying reward payout'
+    });
+  }
+});
+
+// @desc    Cancel a committed reward before the item is handed over
+// @route   POST /api/rewards/:id/cancel
+// @access  Private (Payer only)
+router.post('/:id/cancel', protect, loadReward, async (req, res) => {
+  try {
+    const reward = req.reward;
+
+    if (reward.getRole(req.user._id) !== 'payer') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the person offering the reward can cancel it'
+      });
+    }
+
+    const claim = await Claim.findById(reward.claim);
+    if (reward.status !== 'committed' || (claim && claim.status !== 'approved')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rewards can only be cancelled before the item is handed over'
+      });
+    }
+
+    const updated = await refundReward(reward, req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Reward cancelled',
+      reward: updated
+    });
+  } catch (error) {
+    console.error('Cancel reward error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while cancelling reward'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const Category = require('../models/Category');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+const FILTER_FIELDS = ['type', 'category', 'building', 'search'];
+
+// Validators shared by create and update. Filters mirror the checks on
+// GET /api/posts; empty strings clear a filter.
+const savedSearchValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+  body('filters.type')
+    .optional({ checkFalsy: true })
+    .isIn(['lost', 'found'])
+    .withMessage('Type must be either lost or found'),
+  body('filters.category')
+    .optional({ checkFalsy: true })
+    .custom(value => Category.assertTopLevel(value))
+    .withMessage('Invalid category'),
+  body('filters.building')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Building cannot exceed 100 characters'),
+  body('filters.search')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search term must be between 2 and 100 characters'),
+  body('frequency')
+    .optional()
+    .isIn(['immediate', 'daily'])
+    .withMessage('Frequency must be immediate or daily'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// Normalize submitted filters, storing null for anything left empty
+const normalizeFilters = (filters = {}) => {
+  const normalized = {};
+  FILTER_FIELDS.forEach(field => {
+    normalized[field] = filters[field] || null;
+  });
+  return normalized;
+};
+
+// @desc    Get current user's saved searches
+// @route   GET /api/saved-searches
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .select('-pendingPosts')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: savedSearches.length,
+      savedSearches
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching saved searches'
+    });
+  }
+});
+
+// @desc    Save a search and subscribe to new matching posts
+// @route   POST /api/saved-searches
+// @access  Private
+router.post('/', [protect, ...savedSearchValidators(false)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const filters = normalizeFilters(req.body.filters);
+    if (FILTER_FIELDS.every(field => !filters[field])) {
+      return res.status(400).json({
+        success: false,
+        error: 'Choose at least one filter to save a search'
+      });
+    }
+
+    const existingCount = await SavedSearch.countDocuments({ user: req.user._id });
+    if (existingCount >= SavedSearch.MAX_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can keep up to ${SavedSearch.MAX_PER_USER} saved searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name: req.body.name,
+      filters,
+      frequency: req.body.frequency || 'immediate'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      savedSearch
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while saving search'
+    });
+  }
+});
+
+// @desc    Update a saved search (name, filters, frequency or pause)
+// @route   PUT /api/saved-searches/:id
+// @access  Private
+router.put('/:id', [protect, ...savedSearchValidators(true)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    if (req.body.filters !== undefined) {
+      const filters = normalizeFilters(req.body.filters);
+      if (FILTER_FIELDS.every(field => !filters[field])) {
+        return res.status(400).json({
+          success: false,
+          error: 'Choose at least one filter to save a search'
+        });
+      }
+      savedSearch.filters = filters;
+    }
+
+    if (req.body.name !== undefined) savedSearch.name = req.body.name;
+    if (req.body.frequency !== undefined) savedSearch.frequency = req.body.frequency;
+    if (req.body.isActive !== undefined) savedSearch.isActive = req.body.isActive;
+
+    // Posts collected for a summary no longer apply once the search
+    // changes or stops sending summaries
+    if (req.body.filters !== undefined || savedSearch.frequency !== 'daily' || !savedSearch.isActive) {
+      savedSearch.pendingPosts = [];
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      savedSearch
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating saved search'
+    });
+  }
+});
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting saved search'
+    });
+  }
+});
+
+module.exports = router;
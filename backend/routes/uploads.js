@@ -0,0 +1,74 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { uploadFiles } = require('../middleware/upload');
+const { storeUpload, removeUpload } = require('../services/imageProcessor');
+const router = express.Router();
+
+// Rate limiting for uploads
+const uploadLimit = rateLimit(30, 15 * 60 * 1000, { name: 'upload', keyBy: 'user' }); // 30 uploads per 15 minutes
+
+// @desc    Upload post photos or chat attachments
+// @route   POST /api/uploads?purpose=post|chat
+// @access  Private
+router.post('/', [
+  protect,
+  uploadLimit,
+  query('purpose')
+    .optional()
+    .isIn(['post', 'chat'])
+    .withMessage('Purpose must be either post or chat')
+], (req, res, next) => {
+  // Reject an invalid purpose before reading the request body
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+}, uploadFiles('files'), async (req, res) => {
+  const stored = [];
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    const purpose = req.query.purpose || 'post';
+
+    for (const file of req.files) {
+      stored.push(await storeUpload(file, purpose));
+    }
+
+    res.status(201).json({
+      success: true,
+      count: stored.length,
+      files: stored
+    });
+  } catch (error) {
+    // Don't leave partially uploaded batches behind
+    await Promise.all(stored.map(file => removeUpload(file.publicId).catch(() => null)));
+
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while uploading files'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// Link existing posts to the building registry.
+//   npm run migrate:buildings                     link names that match a building
+//   npm run migrate:buildings -- --create-missing also register unmatched names
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { linkUnresolvedPosts } = require('../services/buildingService');
+
+const run = async () => {
+  await connectDB();
+
+  const { linked, unmatched } = await linkUnresolvedPosts({
+    createMissing: process.argv.includes('--create-missing')
+  });
+
+  console.log(`Linked ${linked} posts to registered buildings`);
+  if (unmatched.length > 0) {
+    console.log('Building names with no registry match (add the building or an alias):');
+    unmatched.forEach(({ name, count }) => console.log(`  ${name} (${count} posts)`));
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Building migration error:', error);
+  process.exit(1);
+});
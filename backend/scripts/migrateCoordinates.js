@@ -0,0 +1,63 @@
+// Convert map pins stored as { latitude, longitude } to GeoJSON points so
+// the 2dsphere index can be built and near/radius searches find them.
+// Pins that can't be converted are removed.
+//   npm run migrate:coordinates
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Post = require('../models/Post');
+
+const run = async () => {
+  await connectDB();
+
+  // Read the raw documents; the schema would reject the old shape
+  const cursor = Post.collection.find(
+    {
+      'location.coordinates': { $exists: true, $ne: null },
+      'location.coordinates.type': { $ne: 'Point' }
+    },
+    { projection: { 'location.coordinates': 1 } }
+  );
+
+  let converted = 0;
+  let removed = 0;
+
+  for await (const post of cursor) {
+    const { latitude, longitude } = post.location.coordinates;
+    const point = Post.toPoint(latitude, longitude);
+
+    if (Post.isValidPoint(point)) {
+      await Post.collection.updateOne({ _id: post._id }, { $set: { 'location.coordinates': point } });
+      converted++;
+    } else {
+      await Post.collection.updateOne({ _id: post._id }, { $unset: { 'location.coordinates': '' } });
+      removed++;
+    }
+  }
+
+  // Points that were already GeoJSON but out of range would also block the index
+  const invalid = await Post.collection.updateMany(
+    {
+      'location.coordinates.type': 'Point',
+      $or: [
+        { 'location.coordinates.coordinates.0': { $not: { $gte: -180, $lte: 180 } } },
+        { 'location.coordinates.coordinates.1': { $not: { $gte: -90, $lte: 90 } } }
+      ]
+    },
+    { $unset: { 'location.coordinates': '' } }
+  );
+  removed += invalid.modifiedCount;
+
+  console.log(`Converted ${converted} pins to GeoJSON points`);
+  console.log(`Removed ${removed} pins that could not be converted`);
+
+  await Post.createIndexes();
+  console.log('Post indexes are up to date');
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Coordinates migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+// Add verified users to the organizations owning their email domains and
+// move their posts into those organizations. Run after creating
+// organizations on a deployment that has existing users.
+//   npm run migrate:organizations
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Organization = require('../models/Organization');
+const { assignMembersByDomain } = require('../services/organizationService');
+
+const run = async () => {
+  await connectDB();
+
+  const organizations = await Organization.find({ isActive: true });
+
+  for (const organization of organizations) {
+    const added = await assignMembersByDomain(organization);
+    console.log(`${organization.name}: added ${added} members`);
+  }
+
+  if (organizations.length === 0) {
+    console.log('No active organizations; create one first');
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Organization migration error:', error);
+  process.exit(1);
+});
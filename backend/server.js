@@ -4,15 +4,39 @@ const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
 const connectDB = require('./config/database');
+const { getEmailRequirementError, verifyAccessToken } = require('./middleware/auth');
+const { createLimiter } = require('./middleware/rateLimit');
+const { sendMeetingReminders } = require('./services/meetingService');
+const { notify, warnExpiringPosts, sendEmailDigests } = require('./services/notificationService');
+const { sendDailySummaries } = require('./services/savedSearchService');
+const { canViewPost } = require('./services/organizationService');
+const { resolveUpload } = require('./services/imageProcessor');
+const { retryPayouts } = require('./services/rewardService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
+const ratingRoutes = require('./routes/ratings');
+const chatRoutes = require('./routes/chats');
+const uploadRoutes = require('./routes/uploads');
+const adminRoutes = require('./routes/admin');
+const claimRoutes = require('./routes/claims');
+const notificationRoutes = require('./routes/notifications');
+const savedSearchRoutes = require('./routes/savedSearches');
+const buildingRoutes = require('./routes/buildings');
+const organizationRoutes = require('./routes/organizations');
+const categoryRoutes = require('./routes/categories');
+const rewardRoutes = require('./routes/rewards');
 
 // Import models for Socket.io
 const Chat = require('./models/Chat');
+const Post = require('./models/Post');
 const User = require('./models/User');
 
+// Categories seeded on first start
+const Category = require('./models/Category');
+const defaultCategories = require('./config/defaultCategories');
+
 const app = express();
 const server = http.createServer(app);
 
@@ -25,8 +49,27 @@ const io = socketIo(server, {
   }
 });
 
+// Make io available to route handlers via req.app.get('io')
+app.set('io', io);
+
+// Behind a load balancer, req.ip must come from X-Forwarded-For for
+// per-IP rate limits to work (e.g. TRUST_PROXY=1 for one proxy hop)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Connect to MongoDB
-connectDB();
+connectDB().then(async () => {
+  // Fresh deployments start with the default categories
+  try {
+    const created = await Category.seedDefaults(defaultCategories);
+    if (created > 0) {
+      console.log(`Created ${created} default categories`);
+    }
+  } catch (error) {
+    console.error('Category seeding error:', error);
+  }
+});
 
 // Middleware
 app.use(express.json({ limit: '10mb' }));
@@ -37,7 +80,8 @@ app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:3000",
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
 // Request logging middleware
@@ -59,6 +103,23 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/ratings', ratingRoutes);
+app.use('/api/chats', chatRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/buildings', buildingRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/rewards', rewardRoutes);
+
+// Serve uploaded files when using the local disk storage driver
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  const localStorage = require('./services/storage/local');
+  app.use('/uploads', express.static(localStorage.directory, { maxAge: '7d' }));
+}
 
 // Socket.io authentication middleware
 const authenticateSocket = async (socket, next) => {
@@ -69,16 +130,20 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+
+    if (!decoded) {
+      return next(new Error('Authentication error: Session expired or revoked'));
+    }
     
     const user = await User.findById(decoded.userId).select('-password');
     
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || user.isBanned) {
       return next(new Error('Authentication error: User not found or inactive'));
     }
 
     socket.user = user;
+    socket.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     next(new Error('Authentication error: Invalid token'));
@@ -88,6 +153,105 @@ const authenticateSocket = async (socket, next) => {
 // Apply socket authentication
 io.use(authenticateSocket);
 
+// Check the verified email requirement, reloading the user in case they
+// verified their address after the socket connected
+const checkSocketEmailRequirement = async (socket) => {
+  const error = getEmailRequirementError(socket.user);
+
+  if (error && !socket.user.isEmailVerified) {
+    const user = await User.findById(socket.user._id).select('-password');
+    if (user) {
+      socket.user = user;
+      return getEmailRequirementError(user);
+    }
+  }
+
+  return error;
+};
+
+// Per-user limits for socket events that write to the database
+const socketLimiters = {
+  send_message: createLimiter({ name: 'socket-send-message', max: 30, windowMs: 60 * 1000 }),
+  edit_message: createLimiter({ name: 'socket-edit-message', max: 20, windowMs: 60 * 1000 }),
+  delete_message: createLimiter({ name: 'socket-delete-message', max: 20, windowMs: 60 * 1000 }),
+  create_chat: createLimiter({ name: 'socket-create-chat', max: 10, windowMs: 10 * 60 * 1000 }),
+  meeting_proposal: createLimiter({ name: 'socket-meeting-proposal', max: 20, windowMs: 10 * 60 * 1000 })
+};
+
+// Check a socket event against its limit, telling the client when it is
+// throttled. Returns false if the event should be dropped.
+const checkSocketRateLimit = async (socket, event) => {
+  try {
+    const result = await socketLimiters[event].consume(`user:${socket.user._id}`);
+
+    if (!result.allowed) {
+      socket.emit('error', {
+        message: 'Too many requests, please slow down',
+        event,
+        retryAfter: result.resetSeconds
+      });
+      return false;
+    }
+  } catch (error) {
+    // Don't block chat if the limiter store is unavailable
+    console.error('Socket rate limit error:', error);
+  }
+
+  return true;
+};
+
+// Short preview of a message for notifications
+const previewMessage = (message) => {
+  if (message.messageType === 'image') return '📷 Photo';
+  if (message.messageType === 'file') return `📎 ${message.attachment.filename || 'File'}`;
+  return message.content;
+};
+
+// Send the chat's newest message to the chat room, refresh participants'
+// inboxes and notify participants who don't have the chat open
+const broadcastLatestMessage = async (chat) => {
+  const newMessage = chat.messages[chat.messages.length - 1];
+
+  // Populate sender information
+  await newMessage.populate('sender', 'name avatar');
+
+  io.to(`chat_${chat._id}`).emit('new_message', {
+    chatId: chat._id.toString(),
+    message: newMessage
+  });
+
+  // Let participants' inboxes update even when they are not in the chat room
+  chat.participants
+    .filter(p => p.isActive)
+    .forEach(p => {
+      io.to(`user_${p.user}`).emit('chat_updated', {
+        chatId: chat._id.toString(),
+        lastMessage: chat.lastMessage
+      });
+    });
+
+  const roomSockets = await io.in(`chat_${chat._id}`).fetchSockets();
+  const viewerIds = new Set(roomSockets.filter(s => s.user).map(s => s.user._id.toString()));
+  const senderId = newMessage.sender._id.toString();
+
+  for (const participant of chat.participants) {
+    const userId = participant.user.toString();
+    if (!participant.isActive || userId === senderId || viewerIds.has(userId)) continue;
+
+    await notify(io, userId, {
+      type: 'new_message',
+      title: `New message from ${newMessage.sender.name}`,
+      body: previewMessage(newMessage),
+      link: `/chats/${chat._id}`,
+      data: { chatId: chat._id },
+      groupKey: `chat_${chat._id}`
+    });
+  }
+};
+
+// Human readable meeting time for chat messages
+const describeMeetingTime = (time) => new Date(time).toUTCString();
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log(`User ${socket.user.name} connected (${socket.user._id})`);
@@ -95,6 +259,9 @@ io.on('connection', (socket) => {
   // Join user to their personal room for notifications
   socket.join(`user_${socket.user._id}`);
 
+  // Join the session room so revoking the session disconnects this socket
+  socket.join(`session_${socket.sessionId}`);
+
   // Handle joining a chat room
   socket.on('join_chat', async (chatId) => {
     try {
@@ -126,6 +293,15 @@ io.on('connection', (socket) => {
         userName: socket.user.name
       });
 
+      // Tell the joining user who else is currently in the chat
+      const roomSockets = await io.in(`chat_${chatId}`).fetchSockets();
+      const onlineUserIds = [...new Set(
+        roomSockets
+          .filter(s => s.user && s.user._id.toString() !== socket.user._id.toString())
+          .map(s => s.user._id.toString())
+      )];
+      socket.emit('chat_presence', { chatId, onlineUserIds });
+
       console.log(`User ${socket.user.name} joined chat ${chatId}`);
     } catch (error) {
       console.error('Join chat error:', error);
@@ -149,7 +325,41 @@ io.on('connection', (socket) => {
   // Handle sending messages
   socket.on('send_message', async (data) => {
     try {
-      const { chatId, content, messageType = 'text', attachment = null } = data;
+      if (!(await checkSocketRateLimit(socket, 'send_message'))) return;
+
+      const emailError = await checkSocketEmailRequirement(socket);
+      if (emailError) {
+        socket.emit('error', { message: emailError });
+        return;
+      }
+
+      const { chatId, messageType = 'text', attachment = null } = data;
+
+      // System and meeting messages are only created by the server
+      if (!['text', 'image', 'file'].includes(messageType)) {
+        socket.emit('error', { message: 'Invalid message type' });
+        return;
+      }
+
+      // Attachments come from POST /api/uploads?purpose=chat; their urls
+      // are rebuilt from the publicId rather than taken from the client
+      let storedAttachment = null;
+      if (['image', 'file'].includes(messageType)) {
+        const upload = attachment && resolveUpload(attachment.publicId, 'chat');
+        if (!upload || (messageType === 'image' && !upload.mimeType.startsWith('image/'))) {
+          socket.emit('error', { message: 'Attachment is required for image and file messages' });
+          return;
+        }
+
+        storedAttachment = {
+          url: upload.url,
+          publicId: upload.publicId,
+          filename: typeof attachment.filename === 'string' ? attachment.filename.slice(0, 255) : null,
+          size: Number.isFinite(attachment.size) ? attachment.size : null
+        };
+      }
+
+      const content = data.content || (storedAttachment && storedAttachment.filename) || '';
 
       const chat = await Chat.findById(chatId);
       
@@ -169,19 +379,8 @@ io.on('connection', (socket) => {
       }
 
       // Add message to chat
-      await chat.addMessage(socket.user._id, content, messageType, attachment);
-
-      // Get the newly added message
-      const newMessage = chat.messages[chat.messages.length - 1];
-
-      // Populate sender information
-      await newMessage.populate('sender', 'name avatar');
-
-      // Emit message to all participants in the chat
-      io.to(`chat_${chatId}`).emit('new_message', {
-        chatId,
-        message: newMessage
-      });
+      await chat.addMessage(socket.user._id, content, messageType, storedAttachment);
+      await broadcastLatestMessage(chat);
 
       console.log(`Message sent in chat ${chatId} by ${socket.user.name}`);
     } catch (error) {
@@ -193,6 +392,8 @@ io.on('connection', (socket) => {
   // Handle message editing
   socket.on('edit_message', async (data) => {
     try {
+      if (!(await checkSocketRateLimit(socket, 'edit_message'))) return;
+
       const { chatId, messageId, newContent } = data;
 
       const chat = await Chat.findById(chatId);
@@ -222,6 +423,8 @@ io.on('connection', (socket) => {
   // Handle message deletion
   socket.on('delete_message', async (data) => {
     try {
+      if (!(await checkSocketRateLimit(socket, 'delete_message'))) return;
+
       const { chatId, messageId } = data;
 
       const chat = await Chat.findById(chatId);
@@ -247,6 +450,115 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Handle handover meeting proposals: propose, accept, decline or reschedule
+  socket.on('meeting_proposal', async (data) => {
+    try {
+      if (!(await checkSocketRateLimit(socket, 'meeting_proposal'))) return;
+
+      const emailError = await checkSocketEmailRequirement(socket);
+      if (emailError) {
+        socket.emit('error', { message: emailError });
+        return;
+      }
+
+      const { chatId, action, messageId } = data;
+
+      if (!['propose', 'accept', 'decline', 'reschedule'].includes(action)) {
+        socket.emit('error', { message: 'Invalid meeting action' });
+        return;
+      }
+
+      const chat = await Chat.findById(chatId);
+
+      if (!chat) {
+        socket.emit('error', { message: 'Chat not found' });
+        return;
+      }
+
+      // Check if user is a participant
+      const isParticipant = chat.participants.some(
+        p => p.user.toString() === socket.user._id.toString() && p.isActive
+      );
+
+      if (!isParticipant) {
+        socket.emit('error', { message: 'Not authorized to arrange meetings in this chat' });
+        return;
+      }
+
+      if (chat.status !== 'active') {
+        socket.emit('error', { message: 'This conversation is closed' });
+        return;
+      }
+
+      const current = chat.getCurrentMeeting();
+
+      if (action === 'propose' || action === 'reschedule') {
+        const location = (data.location || '').toString().trim();
+        const time = new Date(data.time);
+
+        if (!location || location.length > 200) {
+          socket.emit('error', { message: 'Meeting location must be between 1 and 200 characters' });
+          return;
+        }
+
+        if (isNaN(time.getTime()) || time <= new Date()) {
+          socket.emit('error', { message: 'Meeting time must be in the future' });
+          return;
+        }
+
+        if (action === 'propose' && current) {
+          socket.emit('error', { message: 'A meeting is already being arranged, reschedule it instead' });
+          return;
+        }
+
+        if (action === 'reschedule' && (!current || current._id.toString() !== messageId)) {
+          socket.emit('error', { message: 'Meeting proposal not found' });
+          return;
+        }
+
+        const verb = action === 'propose' ? 'proposed' : 'suggested a new time for';
+        await chat.proposeMeeting(
+          socket.user._id,
+          location,
+          time,
+          `${socket.user.name} ${verb} a meeting at ${location} on ${describeMeetingTime(time)}.`
+        );
+
+        // The replaced proposal changes in place for anyone viewing it
+        if (current) {
+          io.to(`chat_${chatId}`).emit('meeting_updated', {
+            chatId,
+            messageId: current._id,
+            meeting: current.meeting,
+            metadata: chat.metadata
+          });
+        }
+      } else {
+        const proposal = chat.messages.id(messageId);
+        await chat.respondToMeeting(messageId, socket.user._id, action === 'accept');
+
+        io.to(`chat_${chatId}`).emit('meeting_updated', {
+          chatId,
+          messageId,
+          meeting: proposal.meeting,
+          metadata: chat.metadata
+        });
+
+        const content = action === 'accept'
+          ? `${socket.user.name} accepted the meeting at ${proposal.meeting.location} on ${describeMeetingTime(proposal.meeting.time)}.`
+          : `${socket.user.name} declined the meeting proposal.`;
+        await chat.addMessage(socket.user._id, content, 'system');
+      }
+
+      await broadcastLatestMessage(chat);
+
+      console.log(`Meeting ${action} in chat ${chatId} by ${socket.user.name}`);
+    } catch (error) {
+      console.error('Meeting proposal error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
   // Handle typing indicators
   socket.on('typing', (data) => {
     const { chatId, isTyping } = data;
@@ -286,8 +598,37 @@ io.on('connection', (socket) => {
   // Handle creating new chat for a post
   socket.on('create_chat', async (data) => {
     try {
+      if (!(await checkSocketRateLimit(socket, 'create_chat'))) return;
+
+      const emailError = await checkSocketEmailRequirement(socket);
+      if (emailError) {
+        socket.emit('error', { message: emailError });
+        return;
+      }
+
       const { postId, participantId, initialMessage } = data;
 
+      if (!participantId || participantId.toString() === socket.user._id.toString()) {
+        socket.emit('error', { message: 'Cannot start a chat with yourself' });
+        return;
+      }
+
+      // Chats are about a post both people can see, and one of them owns it
+      const [post, participant] = await Promise.all([
+        Post.findById(postId).select('user organization'),
+        User.findById(participantId).select('email role organization isActive isBanned')
+      ]);
+
+      const ownerId = post && post.user.toString();
+      const isAboutPost = Boolean(post) && Boolean(participant) &&
+        [socket.user._id.toString(), participantId.toString()].includes(ownerId);
+
+      if (!isAboutPost || !participant.isActive || participant.isBanned ||
+        !(await canViewPost(socket.user, post)) || !(await canViewPost(participant, post))) {
+        socket.emit('error', { message: 'Post not found' });
+        return;
+      }
+
       // Check if chat already exists
       const existingChat = await Chat.findByPostAndUsers(postId, [socket.user._id, participantId]);
 
@@ -332,6 +673,18 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Notify chat rooms that the user went offline before the socket leaves them
+  socket.on('disconnecting', () => {
+    socket.rooms.forEach(room => {
+      if (room.startsWith('chat_')) {
+        socket.to(room).emit('user_offline', {
+          userId: socket.user._id,
+          userName: socket.user.name
+        });
+      }
+    });
+  });
+
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log(`User ${socket.user.name} disconnected`);
@@ -402,6 +755,12 @@ const cleanupExpiredContent = async () => {
     if (expiredPosts.length > 0 || expiredChats.length > 0) {
       console.log(`Cleaned up ${expiredPosts.length} expired posts and ${expiredChats.length} expired chats`);
     }
+
+    // Warn owners of posts that are about to expire
+    const warned = await warnExpiringPosts(io);
+    if (warned > 0) {
+      console.log(`Sent expiry warnings for ${warned} posts`);
+    }
   } catch (error) {
     console.error('Cleanup error:', error);
   }
@@ -410,6 +769,70 @@ const cleanupExpiredContent = async () => {
 // Run cleanup every hour
 setInterval(cleanupExpiredContent, 60 * 60 * 1000);
 
+// Remind participants of upcoming handover meetings
+const remindUpcomingMeetings = async () => {
+  try {
+    const count = await sendMeetingReminders(io);
+
+    if (count > 0) {
+      console.log(`Sent reminders for ${count} upcoming meetings`);
+    }
+  } catch (error) {
+    console.error('Meeting reminder error:', error);
+  }
+};
+
+// Check for upcoming meetings every five minutes
+setInterval(remindUpcomingMeetings, 5 * 60 * 1000);
+
+// Email notification digests to users who chose them
+const sendNotificationDigests = async () => {
+  try {
+    const sent = await sendEmailDigests();
+
+    if (sent > 0) {
+      console.log(`Sent ${sent} notification digest emails`);
+    }
+  } catch (error) {
+    console.error('Notification digest error:', error);
+  }
+};
+
+// Digests go out at most once per interval, so checking hourly is enough
+setInterval(sendNotificationDigests, 60 * 60 * 1000);
+
+// Send daily summaries for saved searches that collected new posts
+const sendSavedSearchSummaries = async () => {
+  try {
+    const sent = await sendDailySummaries(io);
+
+    if (sent > 0) {
+      console.log(`Sent ${sent} saved search summaries`);
+    }
+  } catch (error) {
+    console.error('Saved search summary error:', error);
+  }
+};
+
+// Each search is summarized at most once a day, so checking hourly is enough
+setInterval(sendSavedSearchSummaries, 60 * 60 * 1000);
+
+// Retry reward payouts that failed or were interrupted
+const retryRewardPayouts = async () => {
+  try {
+    const paid = await retryPayouts(io);
+
+    if (paid > 0) {
+      console.log(`Paid ${paid} rewards on retry`);
+    }
+  } catch (error) {
+    console.error('Reward payout retry error:', error);
+  }
+};
+
+// Retry every fifteen minutes, up to the reward's attempt limit
+setInterval(retryRewardPayouts, 15 * 60 * 1000);
+
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
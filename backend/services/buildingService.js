@@ -0,0 +1,74 @@
+const Building = require('../models/Building');
+const Post = require('../models/Post');
+
+// Resolve a submitted post location against the building registry. A
+// registered building replaces the typed name with its canonical one;
+// anything else is kept as free text without a reference. Only the
+// organization's own and shared buildings are considered.
+const resolveLocation = async (location = {}, organization = null) => {
+  const building = await Building.resolve(location.building, organization);
+
+  if (!building) {
+    return { ...location, buildingRef: null };
+  }
+
+  return { ...location, building: building.name, buildingRef: building._id };
+};
+
+// Link posts whose free-text building matches a registered building.
+// With createMissing, unmatched names become new buildings, most used
+// spelling first so it becomes the canonical name, owned by the posts'
+// organization. Returns the number of posts linked and the names still
+// unmatched with their organization and post counts.
+const linkUnresolvedPosts = async ({ createMissing = false } = {}) => {
+  const names = await Post.aggregate([
+    { $match: { 'location.buildingRef': null } },
+    {
+      $group: {
+        _id: { name: '$location.building', organization: '$organization' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  let linked = 0;
+  const unmatched = [];
+
+  for (const { _id: { name, organization = null }, count } of names) {
+    if (!name) continue;
+
+    let building = await Building.resolve(name, organization);
+    if (!building && createMissing && Building.normalizeName(name)) {
+      building = await Building.create({ name, organization });
+    }
+
+    if (!building) {
+      unmatched.push({ name, organization, count });
+      continue;
+    }
+
+    const result = await Post.updateMany(
+      { 'location.building': name, 'location.buildingRef': null, organization },
+      { $set: { 'location.building': building.name, 'location.buildingRef': building._id } }
+    );
+    linked += result.modifiedCount;
+  }
+
+  return { linked, unmatched };
+};
+
+// Keep linked posts showing a building's current name after a rename
+const renameLinkedPosts = async (building) => {
+  const result = await Post.updateMany(
+    { 'location.buildingRef': building._id, 'location.building': { $ne: building.name } },
+    { $set: { 'location.building': building.name } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  resolveLocation,
+  linkUnresolvedPosts,
+  renameLinkedPosts
+};
@@ -0,0 +1,112 @@
+const Category = require('../models/Category');
+const Organization = require('../models/Organization');
+const Post = require('../models/Post');
+const SavedSearch = require('../models/SavedSearch');
+
+// Longest text value accepted for an attribute
+const MAX_ATTRIBUTE_LENGTH = 100;
+
+// Posts, organizations and saved searches refer to categories by name, so
+// carry a rename over to them. Returns the number of posts updated.
+const renameCategory = async (category, previousName) => {
+  if (category.parent) {
+    const parent = await Category.findById(category.parent).select('name');
+    const result = await Post.updateMany(
+      { category: parent.name, subCategory: previousName },
+      { $set: { subCategory: category.name } }
+    );
+    return result.modifiedCount;
+  }
+
+  const [result] = await Promise.all([
+    Post.updateMany({ category: previousName }, { $set: { category: category.name } }),
+    Organization.updateMany({ categories: previousName }, { $set: { 'categories.$': category.name } }),
+    SavedSearch.updateMany({ 'filters.category': previousName }, { $set: { 'filters.category': category.name } })
+  ]);
+  return result.modifiedCount;
+};
+
+// Count the posts filed under a category or sub-category
+const countPosts = async (category) => {
+  if (!category.parent) {
+    return Post.countDocuments({ category: category.name });
+  }
+
+  const parent = await Category.findById(category.parent).select('name');
+  return Post.countDocuments({ category: parent.name, subCategory: category.name });
+};
+
+// Cast a submitted value to its attribute's type. Returns { value } or { error }.
+const castAttribute = (definition, raw) => {
+  switch (definition.type) {
+    case 'number': {
+      const value = Number(raw);
+      return Number.isFinite(value) ? { value } : { error: `${definition.label} must be a number` };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: `${definition.label} must be yes or no` };
+    case 'select':
+      return definition.options.includes(raw)
+        ? { value: raw }
+        : { error: `${definition.label} must be one of ${definition.options.join(', ')}` };
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: `${definition.label} must be text` };
+      }
+      const value = raw.toString().trim();
+      return value.length <= MAX_ATTRIBUTE_LENGTH
+        ? { value }
+        : { error: `${definition.label} cannot exceed ${MAX_ATTRIBUTE_LENGTH} characters` };
+    }
+  }
+};
+
+// Check a post's attribute values against its category's attributes and
+// cast them to their types, dropping keys the category doesn't define.
+// Returns { error } or the public and sensitive values to store.
+const prepareAttributes = async (categoryName, subCategoryName, values) => {
+  const definitions = await Category.getAttributes(categoryName, subCategoryName);
+  const attributes = {};
+  const sensitiveAttributes = {};
+
+  for (const definition of definitions) {
+    const raw = values ? values[definition.key] : undefined;
+
+    if (raw === undefined || raw === null || (typeof raw === 'string' && !raw.trim())) {
+      if (definition.required) {
+        return { error: `${definition.label} is required` };
+      }
+      continue;
+    }
+
+    const { value, error } = castAttribute(definition, raw);
+    if (error) {
+      return { error };
+    }
+
+    (definition.sensitive ? sensitiveAttributes : attributes)[definition.key] = value;
+  }
+
+  return { error: null, attributes, sensitiveAttributes };
+};
+
+// Sensitive attributes the finder filled in on a found post, as { key, label }
+// pairs a claimant is asked to confirm. The post must be loaded with
+// +sensitiveAttributes.
+const getVerificationAttributes = async (post) => {
+  const values = post.sensitiveAttributes || {};
+  const definitions = await Category.getAttributes(post.category, post.subCategory);
+
+  return definitions
+    .filter(definition => definition.sensitive && values[definition.key] !== undefined && values[definition.key] !== null)
+    .map(({ key, label }) => ({ key, label }));
+};
+
+module.exports = {
+  renameCategory,
+  countPosts,
+  prepareAttributes,
+  getVerificationAttributes
+};
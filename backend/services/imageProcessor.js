@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 320;
+
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Content type of stored uploads by file extension
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  pdf: 'application/pdf'
+};
+
+// publicIds storeUpload issues: <purpose>s/<uuid>.<extension>
+const UPLOAD_ID_PATTERN = /^(post|chat)s\/([0-9a-f-]{36})\.(jpg|png|webp|pdf)$/;
+
+// Errors caused by the uploaded file itself carry a 400 status
+const invalidFile = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Re-encode an image: auto-rotate from EXIF orientation, cap its size and drop
+// all metadata (sharp strips EXIF, including GPS, unless withMetadata is used)
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw invalidFile('File is not a valid image');
+  }
+
+  if (!IMAGE_FORMATS.includes(metadata.format)) {
+    throw invalidFile('Unsupported image format');
+  }
+
+  const format = metadata.format;
+
+  const [image, thumbnail] = await Promise.all([
+    sharp(buffer)
+      .rotate()
+      .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .toFormat(format)
+      .toBuffer(),
+    sharp(buffer)
+      .rotate()
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'cover' })
+      .toFormat(format)
+      .toBuffer()
+  ]);
+
+  return {
+    image,
+    thumbnail,
+    extension: format === 'jpeg' ? 'jpg' : format
+  };
+};
+
+// Process and store a single uploaded file for the given purpose (post/chat)
+const storeUpload = async (file, purpose) => {
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const folder = `${purpose}s`;
+
+  if (file.mimetype === 'application/pdf') {
+    if (file.buffer.slice(0, 5).toString() !== '%PDF-') {
+      throw invalidFile('File is not a valid PDF');
+    }
+
+    const stored = await storage.save(file.buffer, `${folder}/${id}.pdf`);
+
+    return {
+      ...stored,
+      thumbnailUrl: null,
+      filename: file.originalname,
+      size: file.size,
+      mimeType: MIME_TYPES.pdf
+    };
+  }
+
+  const { image, thumbnail, extension } = await processImage(file.buffer);
+
+  const [stored, storedThumbnail] = await Promise.all([
+    storage.save(image, `${folder}/${id}.${extension}`),
+    storage.save(thumbnail, `${folder}/${id}_thumb.${extension}`)
+  ]);
+
+  return {
+    ...stored,
+    thumbnailUrl: storedThumbnail.url,
+    filename: file.originalname,
+    size: image.length,
+    mimeType: MIME_TYPES[extension]
+  };
+};
+
+// Rebuild an upload's urls and type from the publicId storeUpload issued,
+// so posts and messages can't point at arbitrary URLs. Returns null for ids
+// that didn't come from an upload for this purpose.
+const resolveUpload = (publicId, purpose) => {
+  const match = typeof publicId === 'string' ? publicId.match(UPLOAD_ID_PATTERN) : null;
+  if (!match || match[1] !== purpose) {
+    return null;
+  }
+
+  const [, , id, extension] = match;
+  const storage = getStorage();
+
+  return {
+    publicId,
+    url: storage.urlFor(publicId),
+    thumbnailUrl: extension === 'pdf' ? null : storage.urlFor(`${purpose}s/${id}_thumb.${extension}`),
+    mimeType: MIME_TYPES[extension]
+  };
+};
+
+// Remove a stored upload together with its thumbnail
+const removeUpload = async (publicId) => {
+  const storage = getStorage();
+  const thumbnailId = publicId.replace(/(\.[a-z]+)$/, '_thumb$1');
+
+  await Promise.all([
+    storage.remove(publicId),
+    thumbnailId !== publicId ? storage.remove(thumbnailId) : Promise.resolve()
+  ]);
+};
+
+module.exports = {
+  processImage,
+  storeUpload,
+  resolveUpload,
+  removeUpload
+};
@@ -0,0 +1,79 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transport registry. Select one with MAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file    - write each message as an .eml file into MAIL_DIR (local testing)
+//   console - print messages to the server log (default)
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+    return (message) => transporter.sendMail(message);
+  },
+  file: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const directory = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'));
+
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(directory, { recursive: true });
+
+      const filename = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+      await fs.writeFile(path.join(directory, filename), info.message);
+      return info;
+    };
+  },
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return info;
+    };
+  }
+};
+
+let send = null;
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+const getSender = () => {
+  if (!send) {
+    const transportName = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[transportName];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    send = factory();
+  }
+
+  return send;
+};
+
+// Send an email ({ to, subject, text, html })
+const sendMail = (message) => {
+  return getSender()({
+    from: process.env.MAIL_FROM || 'Lost & Found <no-reply@lostfound.local>',
+    ...message
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
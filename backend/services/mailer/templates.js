@@ -0,0 +1,95 @@
+// Email templates. Each returns { subject, text, html }.
+const CLIENT_URL = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #333;">
+    <h2 style="color: #667eea;">🔍 Lost & Found</h2>
+    ${body}
+  </div>
+`;
+
+const verificationEmail = (user, token) => {
+  const link = `${CLIENT_URL()}/verify-email?token=${token}`;
+
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: layout(`
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Please verify your email address by clicking the button below.</p>
+      <p><a href="${link}" style="background: #667eea; color: #fff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Verify email</a></p>
+      <p style="color: #6c757d;">The link expires in 24 hours.</p>
+    `)
+  };
+};
+
+const passwordResetEmail = (user, token) => {
+  const link = `${CLIENT_URL()}/reset-password?token=${token}`;
+
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nYou can reset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not request a reset, you can ignore this email.`,
+    html: layout(`
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>You can reset your password by clicking the button below.</p>
+      <p><a href="${link}" style="background: #667eea; color: #fff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Reset password</a></p>
+      <p style="color: #6c757d;">The link expires in 1 hour. If you did not request a reset, you can ignore this email.</p>
+    `)
+  };
+};
+
+const meetingReminderEmail = (user, chat) => {
+  const link = `${CLIENT_URL()}/chats/${chat._id}`;
+  const when = new Date(chat.metadata.meetingTime).toUTCString();
+  const item = chat.post ? chat.post.title : 'your item';
+
+  return {
+    subject: `Reminder: handover meeting for "${item}"`,
+    text: `Hi ${user.name},\n\nYour handover meeting for "${item}" is coming up.\n\nWhen: ${when}\nWhere: ${chat.metadata.meetingLocation}\n\nOpen the conversation:\n${link}`,
+    html: layout(`
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Your handover meeting for <strong>${escapeHtml(item)}</strong> is coming up.</p>
+      <p><strong>When:</strong> ${escapeHtml(when)}<br><strong>Where:</strong> ${escapeHtml(chat.metadata.meetingLocation)}</p>
+      <p><a href="${link}" style="background: #667eea; color: #fff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Open conversation</a></p>
+    `)
+  };
+};
+
+const notificationDigestEmail = (user, notifications) => {
+  const link = (notification) => `${CLIENT_URL()}${notification.link || '/dashboard'}`;
+  const settingsLink = `${CLIENT_URL()}/settings/notifications`;
+  const count = notifications.length;
+
+  return {
+    subject: `You have ${count} new notification${count === 1 ? '' : 's'}`,
+    text: `Hi ${user.name},\n\nHere is what happened since your last digest:\n\n${notifications
+      .map(notification => `- ${notification.title}${notification.body ? `: ${notification.body}` : ''}\n  ${link(notification)}`)
+      .join('\n')}\n\nChange how you are notified: ${settingsLink}`,
+    html: layout(`
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Here is what happened since your last digest:</p>
+      <ul style="padding-left: 20px;">
+        ${notifications.map(notification => `
+          <li style="margin-bottom: 10px;">
+            <a href="${link(notification)}" style="color: #667eea; font-weight: bold;">${escapeHtml(notification.title)}</a>
+            ${notification.body ? `<br><span style="color: #6c757d;">${escapeHtml(notification.body)}</span>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+      <p style="color: #6c757d;"><a href="${settingsLink}" style="color: #6c757d;">Change how you are notified</a></p>
+    `)
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  meetingReminderEmail,
+  notificationDigestEmail
+};
@@ -0,0 +1,265 @@
+const Post = require('../models/Post');
+const Match = require('../models/Match');
+const { notify } = require('./notificationService');
+
+// Points available per signal (total 100)
+const WEIGHTS = {
+  category: 30,
+  building: 20,
+  dateTime: 15,
+  color: 10,
+  brand: 10,
+  text: 15
+};
+
+// Bonus for matching category details. Few posts have them, so they add to
+// the signals above and scores are capped at 100. A matching sensitive
+// detail such as a serial number all but identifies the item.
+const DETAILS_BONUS = {
+  sensitive: 25,
+  public: 10
+};
+
+// Minimum score for a pair to be stored as a possible match
+const MATCH_THRESHOLD = parseInt(process.env.MATCH_THRESHOLD) || 50;
+
+// Lost/found reports further apart than this get no date points
+const DATE_WINDOW_DAYS = 14;
+
+const CANDIDATE_LIMIT = 50;
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+// Loose equality for free-text fields ("Navy Blue" vs "blue")
+const fuzzyEqual = (a, b) => {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x || !y) return false;
+  return x === y || x.includes(y) || y.includes(x);
+};
+
+// Identifiers compare without spaces or dashes ("1234 5678")
+const normalizeDetail = (value) => normalize(value).replace(/[\s-]+/g, '');
+
+// Share of the details both posts filled in that agree (0 when none are shared)
+const detailAgreement = (details = {}, candidateDetails = {}) => {
+  const keys = Object.keys(details).filter(key => candidateDetails[key] !== undefined);
+  if (keys.length === 0) return 0;
+
+  const matching = keys.filter(key => normalizeDetail(details[key]) === normalizeDetail(candidateDetails[key]));
+  return matching.length / keys.length;
+};
+
+// Registered buildings compare by reference, free-text ones loosely by name
+const sameBuilding = (a, b) => {
+  if (!a || !b) return false;
+  if (a.buildingRef && b.buildingRef) {
+    return a.buildingRef.toString() === b.buildingRef.toString();
+  }
+  return fuzzyEqual(a.building, b.building);
+};
+
+// Score a candidate against the source post
+const scorePair = (post, candidate, textScore = 0, maxTextScore = 0) => {
+  const breakdown = {
+    category: 0,
+    building: 0,
+    dateTime: 0,
+    color: 0,
+    brand: 0,
+    text: 0,
+    details: 0
+  };
+
+  if (post.category === candidate.category) {
+    breakdown.category = WEIGHTS.category;
+  }
+
+  if (sameBuilding(post.location, candidate.location)) {
+    breakdown.building = WEIGHTS.building;
+  }
+
+  const daysApart = Math.abs(new Date(post.dateTime) - new Date(candidate.dateTime)) / (1000 * 60 * 60 * 24);
+  if (daysApart < DATE_WINDOW_DAYS) {
+    breakdown.dateTime = Math.round(WEIGHTS.dateTime * (1 - daysApart / DATE_WINDOW_DAYS));
+  }
+
+  if (fuzzyEqual(post.color, candidate.color)) {
+    breakdown.color = WEIGHTS.color;
+  }
+
+  if (fuzzyEqual(post.brand, candidate.brand)) {
+    breakdown.brand = WEIGHTS.brand;
+  }
+
+  if (textScore > 0 && maxTextScore > 0) {
+    breakdown.text = Math.round(WEIGHTS.text * (textScore / maxTextScore));
+  }
+
+  // Detail keys are only meaningful within a category
+  if (post.category === candidate.category) {
+    const sensitiveAgreement = detailAgreement(post.sensitiveAttributes, candidate.sensitiveAttributes);
+    breakdown.details = sensitiveAgreement > 0
+      ? Math.round(DETAILS_BONUS.sensitive * sensitiveAgreement)
+      : Math.round(DETAILS_BONUS.public * detailAgreement(post.attributes, candidate.attributes));
+  }
+
+  const score = Math.min(100, Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+
+  return { score, breakdown };
+};
+
+// Build the text search string for a post
+const getSearchText = (post) => {
+  return [post.title, post.description, post.color, post.brand]
+    .filter(Boolean)
+    .join(' ');
+};
+
+// Collect active posts of the opposite type in the same organization that
+// could be the same item
+const findCandidates = async (post) => {
+  const baseQuery = {
+    _id: { $ne: post._id },
+    type: post.type === 'lost' ? 'found' : 'lost',
+    status: 'active',
+    user: { $ne: post.user._id || post.user },
+    organization: post.organization || null
+  };
+
+  const [textMatches, structuralMatches] = await Promise.all([
+    // Text similarity through the post text index
+    Post.find(
+      { ...baseQuery, $text: { $search: getSearchText(post) } },
+      { score: { $meta: 'textScore' } }
+    )
+      .select('+sensitiveAttributes')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+    // Same category or place, regardless of wording
+    Post.find({
+      ...baseQuery,
+      $or: [
+        { category: post.category },
+        post.location.buildingRef
+          ? { 'location.buildingRef': post.location.buildingRef }
+          : { 'location.building': post.location.building }
+      ]
+    })
+      .select('+sensitiveAttributes')
+      .sort({ dateTime: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean()
+  ]);
+
+  const candidates = new Map();
+
+  textMatches.forEach(candidate => {
+    candidates.set(candidate._id.toString(), candidate);
+  });
+
+  structuralMatches.forEach(candidate => {
+    if (!candidates.has(candidate._id.toString())) {
+      candidates.set(candidate._id.toString(), { ...candidate, score: 0 });
+    }
+  });
+
+  return Array.from(candidates.values());
+};
+
+// Notify both post owners about a newly found match
+const notifyOwners = (io, post, candidate, match) => {
+  if (!io) return;
+
+  const owners = [
+    { userId: post.user._id || post.user, postId: post._id, otherPostId: candidate._id, otherTitle: candidate.title },
+    { userId: candidate.user, postId: candidate._id, otherPostId: post._id, otherTitle: post.title }
+  ];
+
+  return Promise.all(owners.map(({ userId, postId, otherPostId, otherTitle }) => {
+    io.to(`user_${userId}`).emit('possible_match', {
+      matchId: match._id,
+      postId,
+      matchedPostId: otherPostId,
+      score: match.score
+    });
+
+    return notify(io, userId, {
+      type: 'possible_match',
+      title: 'Possible match for your post',
+      body: `"${otherTitle}" looks like a ${match.score}% match.`,
+      link: `/posts/${postId}`,
+      data: { matchId: match._id, postId, matchedPostId: otherPostId }
+    });
+  }));
+};
+
+// Score candidates for a post, store matches above the threshold and
+// notify owners about new ones. Returns the stored matches.
+const runForPost = async (post, io = null) => {
+  if (post.status !== 'active') {
+    return [];
+  }
+
+  // Sensitive details aren't loaded with the post, but matching compares them
+  const stored = await Post.findById(post._id).select('sensitiveAttributes').lean();
+  const source = { ...(post.toObject ? post.toObject() : post), sensitiveAttributes: stored?.sensitiveAttributes };
+
+  const candidates = await findCandidates(post);
+  const maxTextScore = Math.max(0, ...candidates.map(candidate => candidate.score || 0));
+
+  const isLost = post.type === 'lost';
+  const field = isLost ? 'lostPost' : 'foundPost';
+  const otherField = isLost ? 'foundPost' : 'lostPost';
+
+  const matches = [];
+  const matchedIds = [];
+
+  for (const candidate of candidates) {
+    const { score, breakdown } = scorePair(source, candidate, candidate.score, maxTextScore);
+
+    if (score < MATCH_THRESHOLD) continue;
+
+    const pair = { [field]: post._id, [otherField]: candidate._id };
+    const existing = await Match.findOne(pair);
+
+    if (existing) {
+      existing.score = score;
+      existing.breakdown = breakdown;
+      await existing.save();
+      matches.push(existing);
+    } else {
+      const match = await Match.create({ ...pair, score, breakdown, notifiedAt: new Date() });
+      await notifyOwners(io, post, candidate, match);
+      matches.push(match);
+    }
+
+    matchedIds.push(candidate._id);
+  }
+
+  // Drop pending matches that no longer qualify after an edit
+  await Match.deleteMany({
+    [field]: post._id,
+    [otherField]: { $nin: matchedIds },
+    status: 'pending',
+    dismissedBy: { $size: 0 }
+  });
+
+  return matches;
+};
+
+// Fire-and-forget wrapper for request handlers
+const runForPostInBackground = (post, io = null) => {
+  runForPost(post, io).catch(error => {
+    console.error('Matching error:', error);
+  });
+};
+
+module.exports = {
+  WEIGHTS,
+  MATCH_THRESHOLD,
+  scorePair,
+  runForPost,
+  runForPostInBackground
+};
@@ -0,0 +1,140 @@
+const Chat = require('../models/Chat');
+const NotificationPreference = require('../models/NotificationPreference');
+const { sendMail } = require('./mailer');
+const { meetingReminderEmail } = require('./mailer/templates');
+const { notify } = require('./notificationService');
+
+// How long before a meeting participants are reminded
+const REMINDER_LEAD_MINUTES = parseInt(process.env.MEETING_REMINDER_MINUTES) || 60;
+
+// Calendar entries don't record an end time, so assume a short handover
+const MEETING_DURATION_MINUTES = 30;
+
+const CLIENT_URL = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Format a date as an iCalendar UTC timestamp (20240131T143000Z)
+const toIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape text values (RFC 5545 section 3.3.11)
+const escapeIcsText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 characters onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push((i === 0 ? '' : ' ') + line.slice(i, i + 74));
+  }
+  return parts.join('\r\n');
+};
+
+// Build an .ics file for the chat's accepted meeting. Expects participants
+// and post to be populated.
+const buildCalendarFile = (chat) => {
+  const { meetingTime, meetingLocation, meetingMessage } = chat.metadata;
+  const start = new Date(meetingTime);
+  const end = new Date(start.getTime() + MEETING_DURATION_MINUTES * 60 * 1000);
+  const item = (chat.post && chat.post.title) || 'item';
+  const names = chat.participants
+    .map(participant => participant.user && participant.user.name)
+    .filter(Boolean)
+    .join(' and ');
+  const link = `${CLIENT_URL()}/chats/${chat._id}`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Lost & Found//Handover Meeting//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${meetingMessage || chat._id}@lost-found`,
+    `DTSTAMP:${toIcsDate(new Date())}`,
+    `DTSTART:${toIcsDate(start)}`,
+    `DTEND:${toIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(`Handover: ${item}`)}`,
+    `LOCATION:${escapeIcsText(meetingLocation)}`,
+    `DESCRIPTION:${escapeIcsText(`Lost & Found handover between ${names}.\nConversation: ${link}`)}`,
+    `URL:${link}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER:-PT${REMINDER_LEAD_MINUTES}M`,
+    `DESCRIPTION:${escapeIcsText(`Handover: ${item}`)}`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Remind both participants of meetings starting soon, following their
+// notification preferences
+const sendMeetingReminders = async (io = null) => {
+  const chats = await Chat.findDueMeetingReminders(REMINDER_LEAD_MINUTES * 60 * 1000);
+
+  for (const chat of chats) {
+    // Claim the reminder first so overlapping runs don't send it twice
+    const { modifiedCount } = await Chat.updateOne(
+      { _id: chat._id, 'metadata.meetingReminderSentAt': null },
+      { $set: { 'metadata.meetingReminderSentAt': new Date() } }
+    );
+    if (!modifiedCount) continue;
+
+    const calendarFile = buildCalendarFile(chat);
+
+    for (const { user } of chat.participants) {
+      if (!user) continue;
+
+      const notification = await notify(io, user._id, {
+        type: 'meeting_reminder',
+        title: 'Handover meeting coming up',
+        body: `${chat.metadata.meetingLocation}, ${new Date(chat.metadata.meetingTime).toUTCString()}`,
+        link: `/chats/${chat._id}`,
+        data: { chatId: chat._id }
+      });
+
+      // Muted or turned off
+      if (!notification) continue;
+
+      if (io) {
+        io.to(`user_${user._id}`).emit('meeting_reminder', {
+          chatId: chat._id,
+          postTitle: chat.post && chat.post.title,
+          meetingTime: chat.metadata.meetingTime,
+          meetingLocation: chat.metadata.meetingLocation
+        });
+      }
+
+      // The next digest could arrive after the meeting, so email users who
+      // chose email now, unless it is their quiet hours
+      if (notification.delivery !== 'email_digest') continue;
+
+      const preferences = await NotificationPreference.getForUser(user._id);
+      if (preferences.isQuietAt()) continue;
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...meetingReminderEmail(user, chat),
+          attachments: [{ filename: 'handover.ics', content: calendarFile, contentType: 'text/calendar' }]
+        });
+        notification.emailedAt = new Date();
+        await notification.save();
+      } catch (error) {
+        console.error('Meeting reminder email error:', error);
+      }
+    }
+  }
+
+  return chats.length;
+};
+
+module.exports = {
+  REMINDER_LEAD_MINUTES,
+  buildCalendarFile,
+  sendMeetingReminders
+};
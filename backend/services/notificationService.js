@@ -0,0 +1,134 @@
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { notificationDigestEmail } = require('./mailer/templates');
+
+// Owners are warned this long before their post expires
+const EXPIRY_WARNING_DAYS = 3;
+
+// Minimum time between two digest emails to the same user
+const DIGEST_INTERVAL_HOURS = parseInt(process.env.NOTIFICATION_DIGEST_HOURS) || 24;
+
+// Store a notification and push it to the user's open sockets, following
+// their notification preferences. Returns the notification, or null when
+// the user muted or turned off this kind. Errors are logged rather than
+// thrown so a failed notification never breaks the action that triggered it.
+const notify = async (io, userId, { type, title, body = '', link = null, data = {}, groupKey = null }) => {
+  try {
+    const preferences = await NotificationPreference.getForUser(userId);
+    const delivery = preferences.getDelivery(type);
+
+    if (delivery === 'off' || preferences.isMuted(data)) {
+      return null;
+    }
+
+    const fields = {
+      title: title.slice(0, 120),
+      body: (body || '').slice(0, 300),
+      link,
+      data,
+      delivery,
+      emailedAt: null
+    };
+
+    // Fold into an unread notification of the same group, e.g. several
+    // messages in one chat
+    let notification = groupKey
+      ? await Notification.findOneAndUpdate(
+        { user: userId, groupKey, isRead: false },
+        { $set: fields, $inc: { count: 1 } },
+        { new: true }
+      )
+      : null;
+
+    if (!notification) {
+      notification = await Notification.create({ user: userId, type, groupKey, ...fields });
+    }
+
+    // Digest categories and quiet hours only show up in the list
+    if (io && delivery === 'in_app' && !preferences.isQuietAt()) {
+      io.to(`user_${userId}`).emit('notification', {
+        notification,
+        unreadCount: await Notification.countUnread(userId)
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Warn owners whose active posts expire soon. Returns the number of posts.
+const warnExpiringPosts = async (io = null) => {
+  const posts = await Post.findExpiringSoon(EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+
+  for (const post of posts) {
+    // Claim the warning first so overlapping runs don't send it twice
+    const { modifiedCount } = await Post.updateOne(
+      { _id: post._id, expiryWarningSentAt: null },
+      { $set: { expiryWarningSentAt: new Date() } }
+    );
+    if (!modifiedCount) continue;
+
+    const days = Math.max(1, Math.ceil((post.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+
+    await notify(io, post.user, {
+      type: 'post_expiring',
+      title: 'Your post expires soon',
+      body: `"${post.title}" expires in ${days} day${days === 1 ? '' : 's'}.`,
+      link: `/posts/${post._id}`,
+      data: { postId: post._id }
+    });
+  }
+
+  return posts.length;
+};
+
+// Email each user their pending digest notifications, at most once per
+// digest interval and never during quiet hours. Returns the emails sent.
+const sendEmailDigests = async () => {
+  const userIds = await Notification.distinct('user', { delivery: 'email_digest', emailedAt: null });
+  const cutoff = new Date(Date.now() - DIGEST_INTERVAL_HOURS * 60 * 60 * 1000);
+  let sent = 0;
+
+  for (const userId of userIds) {
+    const preferences = await NotificationPreference.getForUser(userId);
+    if (preferences.isQuietAt() || (preferences.lastDigestAt && preferences.lastDigestAt > cutoff)) continue;
+
+    const user = await User.findById(userId).select('name email isActive');
+    const notifications = await Notification.find({ user: userId, delivery: 'email_digest', emailedAt: null })
+      .sort({ updatedAt: -1 });
+
+    // Read ones were already seen in the app
+    const unread = notifications.filter(notification => !notification.isRead);
+
+    if (user && user.isActive && unread.length > 0) {
+      try {
+        await sendMail({ to: user.email, ...notificationDigestEmail(user, unread) });
+        sent++;
+      } catch (error) {
+        console.error('Notification digest email error:', error);
+        continue;
+      }
+    }
+
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(notification => notification._id) } },
+      { $set: { emailedAt: new Date() } }
+    );
+    preferences.lastDigestAt = new Date();
+    await preferences.save();
+  }
+
+  return sent;
+};
+
+module.exports = {
+  notify,
+  warnExpiringPosts,
+  sendEmailDigests
+};
@@ -0,0 +1,127 @@
+const Organization = require('../models/Organization');
+const Post = require('../models/Post');
+const User = require('../models/User');
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Organization ids whose posts a viewer can see: posts without an
+// organization, the viewer's own organization and organizations open to
+// guests. Returns null for site admins, who see every post.
+const visibleOrganizations = async (user = null) => {
+  if (user && user.hasRole('admin')) {
+    return null;
+  }
+
+  const guestOrganizations = await Organization.find({ allowGuestViewing: true, isActive: true }).distinct('_id');
+  const organizations = [null, ...guestOrganizations];
+
+  if (user && user.organization) {
+    organizations.push(user.organization);
+  }
+
+  return organizations;
+};
+
+// Check whether a viewer can see a single post
+const canViewPost = async (user, post) => {
+  const organization = post.organization && (post.organization._id || post.organization);
+
+  if (!organization || (user && user.hasRole('admin'))) {
+    return true;
+  }
+
+  if (user && user.organization && user.organization.toString() === organization.toString()) {
+    return true;
+  }
+
+  return Boolean(await Organization.exists({ _id: organization, allowGuestViewing: true, isActive: true }));
+};
+
+// Filter for statistics about the viewer's own organization, or about posts
+// without one for visitors outside any organization
+const statsScope = (user = null) => ({
+  organization: (user && user.organization) || null
+});
+
+// Check a post category against the organization's enabled categories.
+// Returns an error message, or null when the category can be used.
+const getCategoryError = async (organizationId, category) => {
+  if (!organizationId || !category) {
+    return null;
+  }
+
+  const organization = await Organization.findById(organizationId).select('name categories');
+  if (!organization || organization.allowsCategory(category)) {
+    return null;
+  }
+
+  return `${category} is not a category used at ${organization.name}`;
+};
+
+// Make a user a member of an organization and move the posts they made
+// before joining into it
+const addMember = async (user, organization) => {
+  user.organization = organization._id;
+  user.orgRole = 'member';
+  await user.save();
+
+  await Post.updateMany(
+    { user: user._id, organization: null },
+    { $set: { organization: organization._id } }
+  );
+};
+
+// Join a user with a verified address to the organization owning its
+// domain. Returns the organization, or null when none matched or the user
+// already belongs to one.
+const joinOrganizationByEmail = async (user) => {
+  if (!user.isEmailVerified || user.organization) {
+    return null;
+  }
+
+  const organization = await Organization.findForEmail(user.email);
+  if (!organization) {
+    return null;
+  }
+
+  await addMember(user, organization);
+  return organization;
+};
+
+// Add every verified user without an organization whose address is on one
+// of the organization's domains. Returns the number of users added.
+const assignMembersByDomain = async (organization) => {
+  if (organization.emailDomains.length === 0) {
+    return 0;
+  }
+
+  const pattern = organization.emailDomains.map(domain => escapeRegex(domain)).join('|');
+  const users = await User.find({
+    organization: null,
+    isEmailVerified: true,
+    email: new RegExp(`[@.](${pattern})$`, 'i')
+  });
+
+  let added = 0;
+
+  for (const user of users) {
+    // A more specific domain may belong to another organization
+    const match = await Organization.findForEmail(user.email);
+    if (!match || match._id.toString() !== organization._id.toString()) continue;
+
+    await addMember(user, organization);
+    added++;
+  }
+
+  return added;
+};
+
+module.exports = {
+  visibleOrganizations,
+  canViewPost,
+  statsScope,
+  getCategoryError,
+  joinOrganizationByEmail,
+  assignMembersByDomain
+};
@@ -0,0 +1,37 @@
+// Payment provider registry. Every provider exposes:
+//   hold({ amount, currency, payerId, reference }) -> Promise<{ id }>
+//   capture(holdId, { payeeId })                   -> Promise<{ id }>
+//   release(holdId)                                -> Promise<void>
+// hold reserves the payer's funds, capture pays them to the payee and
+// release returns them to the payer.
+// Select a provider with PAYMENT_PROVIDER (defaults to the local fake
+// provider, which moves no money).
+const providers = {
+  local: () => require('./local')
+};
+
+let provider = null;
+
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const getProvider = () => {
+  if (!provider) {
+    const providerName = process.env.PAYMENT_PROVIDER || 'local';
+    const factory = providers[providerName];
+
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${providerName}`);
+    }
+
+    provider = factory();
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  registerProvider
+};
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Fake payment provider for development. Every hold succeeds and nothing
+// is charged; the reward and ledger records are the only trace.
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const hold = async ({ amount, currency, payerId, reference }) => {
+  const id = newId('local_hold');
+  console.log(`Payments (local): held ${amount} ${currency} from ${payerId} for ${reference} as ${id}`);
+  return { id };
+};
+
+const capture = async (holdId, { payeeId }) => {
+  const id = newId('local_payment');
+  console.log(`Payments (local): paid ${holdId} to ${payeeId} as ${id}`);
+  return { id };
+};
+
+const release = async (holdId) => {
+  console.log(`Payments (local): released ${holdId}`);
+};
+
+module.exports = {
+  name: 'local',
+  hold,
+  capture,
+  release
+};
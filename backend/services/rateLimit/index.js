@@ -0,0 +1,36 @@
+// Rate limit store registry. Every store exposes:
+//   increment(key, ttlMs) -> Promise<number>  (new count for the key)
+//   get(key)              -> Promise<number>  (0 when missing or expired)
+// Keys expire ttlMs after they are first incremented.
+// Select a store with RATE_LIMIT_STORE (defaults to in-process memory;
+// use mongo when running more than one server instance).
+const stores = {
+  memory: () => require('./memory'),
+  mongo: () => require('./mongo')
+};
+
+let store = null;
+
+const registerStore = (name, factory) => {
+  stores[name] = factory;
+};
+
+const getStore = () => {
+  if (!store) {
+    const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = stores[storeName];
+
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${storeName}`);
+    }
+
+    store = factory();
+  }
+
+  return store;
+};
+
+module.exports = {
+  getStore,
+  registerStore
+};
@@ -0,0 +1,43 @@
+// In-process rate limit store. Counts reset on restart and are not shared
+// between instances.
+const buckets = new Map();
+
+// Drop expired buckets so the map doesn't grow without bound
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sweep = () => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    if (bucket.expiresAt <= now) {
+      buckets.delete(key);
+    }
+  }
+};
+
+setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+const increment = async (key, ttlMs) => {
+  const now = Date.now();
+  const bucket = buckets.get(key);
+
+  if (!bucket || bucket.expiresAt <= now) {
+    buckets.set(key, { count: 1, expiresAt: now + ttlMs });
+    return 1;
+  }
+
+  bucket.count += 1;
+  return bucket.count;
+};
+
+const get = async (key) => {
+  const bucket = buckets.get(key);
+  if (!bucket || bucket.expiresAt <= Date.now()) {
+    return 0;
+  }
+  return bucket.count;
+};
+
+module.exports = {
+  increment,
+  get
+};
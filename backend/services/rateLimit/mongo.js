@@ -0,0 +1,41 @@
+const RateLimitBucket = require('../../models/RateLimitBucket');
+
+// MongoDB-backed rate limit store, shared by every server instance.
+// Expired buckets are removed by the TTL index on expiresAt.
+const increment = async (key, ttlMs) => {
+  const now = new Date();
+
+  try {
+    const bucket = await RateLimitBucket.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(now.getTime() + ttlMs) }
+      },
+      { new: true, upsert: true }
+    ).lean();
+
+    return bucket.count;
+  } catch (error) {
+    // An expired bucket the TTL monitor hasn't removed yet blocks the upsert
+    if (error.code === 11000) {
+      await RateLimitBucket.deleteOne({ key, expiresAt: { $lte: now } });
+      return increment(key, ttlMs);
+    }
+    throw error;
+  }
+};
+
+const get = async (key) => {
+  const bucket = await RateLimitBucket.findOne({
+    key,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+
+  return bucket ? bucket.count : 0;
+};
+
+module.exports = {
+  increment,
+  get
+};
@@ -0,0 +1,231 @@
+const Reward = require('../models/Reward');
+const Claim = require('../models/Claim');
+const LedgerEntry = require('../models/LedgerEntry');
+const { getProvider } = require('./payments');
+const { notify } = require('./notificationService');
+
+// Rewards are paid in one currency per deployment
+const REWARD_CURRENCY = process.env.REWARD_CURRENCY || 'INR';
+
+// Tell one party about a change to a reward
+const notifyParty = (io, userId, reward, title, body) => {
+  if (io) {
+    io.to(`user_${userId}`).emit('reward_updated', {
+      rewardId: reward._id,
+      claimId: reward.claim,
+      postId: reward.post,
+      status: reward.status
+    });
+  }
+
+  return notify(io, userId, {
+    type: 'claim_update',
+    title,
+    body,
+    link: `/posts/${reward.post}`,
+    data: { rewardId: reward._id, claimId: reward.claim, postId: reward.post }
+  });
+};
+
+// Hold the payer's reward for a claim with the payment provider
+const commitReward = async ({ claim, payerId, amount, lostPostId = null }, io = null) => {
+  const provider = getProvider();
+  const hold = await provider.hold({
+    amount,
+    currency: REWARD_CURRENCY,
+    payerId: payerId.toString(),
+    reference: claim._id.toString()
+  });
+
+  let reward;
+  try {
+    reward = await Reward.create({
+      claim: claim._id,
+      post: claim.post,
+      lostPost: lostPostId,
+      payer: payerId,
+      payee: claim.owner,
+      amount,
+      currency: REWARD_CURRENCY,
+      provider: provider.name,
+      holdId: hold.id
+    });
+  } catch (error) {
+    // Don't leave funds held for a reward that wasn't recorded
+    await provider.release(hold.id);
+    throw error;
+  }
+
+  await notifyParty(io, claim.owner, reward, 'A reward is waiting for you',
+    `${amount} ${REWARD_CURRENCY} will be paid once you both confirm the handover.`);
+
+  return reward;
+};
+
+// Pay a committed reward to the finder and write both ledger entries.
+// The status is switched first so two confirmations can't pay twice.
+const payOut = async (reward, io = null) => {
+  const claimed = await Reward.findOneAndUpdate(
+    { _id: reward._id, status: 'committed' },
+    { $set: { status: 'paid', paidAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return reward;
+  }
+
+  let payment;
+  try {
+    payment = await getProvider().capture(claimed.holdId, { payeeId: claimed.payee.toString() });
+  } catch (error) {
+    // Keep the reward committed and record the failure for retries
+    const failed = await Reward.findByIdAndUpdate(
+      claimed._id,
+      {
+        $set: { status: 'committed', paidAt: null, lastPayoutError: error.message },
+        $inc: { payoutAttempts: 1 }
+      },
+      { new: true }
+    );
+
+    if (failed.payoutAttempts === Reward.MAX_PAYOUT_ATTEMPTS) {
+      await Promise.all([failed.payer, failed.payee].map(userId => notifyParty(io, userId, failed, 'Reward payment failed',
+        `The ${failed.amount} ${failed.currency} reward could not be paid. You can retry it from the claim.`)));
+    }
+    throw error;
+  }
+
+  claimed.paymentId = payment.id;
+  claimed.lastPayoutError = null;
+  await claimed.save();
+
+  const entry = {
+    currency: claimed.currency,
+    reward: claimed._id,
+    post: claimed.post,
+    reference: payment.id
+  };
+  await LedgerEntry.insertMany([
+    { ...entry, user: claimed.payer, type: 'reward_paid', amount: -claimed.amount, counterparty: claimed.payee },
+    { ...entry, user: claimed.payee, type: 'reward_received', amount: claimed.amount, counterparty: claimed.payer }
+  ]);
+
+  await Promise.all([
+    notifyParty(io, claimed.payee, claimed, 'Reward paid', `You received ${claimed.amount} ${claimed.currency}. Thank you for returning the item.`),
+    notifyParty(io, claimed.payer, claimed, 'Reward paid', `${claimed.amount} ${claimed.currency} was paid to the finder.`)
+  ]);
+
+  return claimed;
+};
+
+// Release a committed reward back to the payer
+const refundReward = async (reward, io = null) => {
+  const claimed = await Reward.findOneAndUpdate(
+    { _id: reward._id, status: 'committed' },
+    { $set: { status: 'refunded', refundedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return reward;
+  }
+
+  await getProvider().release(claimed.holdId);
+  await notifyParty(io, claimed.payer, claimed, 'Reward released',
+    `Your ${claimed.amount} ${claimed.currency} reward was released because the claim was closed.`);
+
+  return claimed;
+};
+
+// Record one party's confirmation of the handover, paying the reward once
+// both have confirmed and the claim is complete
+const confirmReward = async (reward, role, claim, io = null) => {
+  const field = role === 'payer' ? 'payerConfirmedAt' : 'payeeConfirmedAt';
+
+  // Update atomically and decide from the stored document, so two parties
+  // confirming at once still see each other's confirmation
+  const updated = await Reward.findOneAndUpdate(
+    { _id: reward._id, status: 'committed', [field]: null },
+    { $set: { [field]: new Date() } },
+    { new: true }
+  ) || await Reward.findById(reward._id);
+
+  if (!updated || updated.status !== 'committed' || !updated.isConfirmedByBoth()) {
+    return updated || reward;
+  }
+
+  // The claim may have been confirmed since the caller loaded it
+  const current = claim.status === 'confirmed' ? claim : await Claim.findById(claim._id).select('status');
+  if (current && current.status === 'confirmed') {
+    try {
+      return await payOut(updated, io);
+    } catch (error) {
+      // The failure is recorded on the reward and retried later
+      console.error('Reward payout error:', error);
+      return Reward.findById(updated._id);
+    }
+  }
+
+  return updated;
+};
+
+// Follow a claim's status change: a confirmed claim is the payer's
+// confirmation, a closed one releases the reward
+const settleForClaim = async (claim, io = null) => {
+  const reward = await Reward.findOne({ claim: claim._id, status: 'committed' });
+  if (!reward) {
+    return null;
+  }
+
+  if (claim.status === 'confirmed') {
+    return confirmReward(reward, 'payer', claim, io);
+  }
+  if (['rejected', 'withdrawn'].includes(claim.status)) {
+    return refundReward(reward, io);
+  }
+
+  return reward;
+};
+
+// Retry payouts for confirmed rewards that failed or were interrupted.
+// Returns the number of rewards paid.
+const retryPayouts = async (io = null) => {
+  const rewards = await Reward.find({
+    status: 'committed',
+    payerConfirmedAt: { $ne: null },
+    payeeConfirmedAt: { $ne: null },
+    payoutAttempts: { $lt: Reward.MAX_PAYOUT_ATTEMPTS }
+  });
+
+  let paid = 0;
+
+  for (const reward of rewards) {
+    if (!(await Claim.exists({ _id: reward.claim, status: 'confirmed' }))) continue;
+
+    try {
+      const result = await payOut(reward, io);
+      if (result.status === 'paid') paid++;
+    } catch (error) {
+      console.error(`Reward ${reward._id} payout retry failed:`, error.message);
+    }
+  }
+
+  return paid;
+};
+
+// Fire-and-forget wrapper for request handlers
+const settleForClaimInBackground = (claim, io = null) => {
+  settleForClaim(claim, io).catch(error => {
+    console.error('Reward settlement error:', error);
+  });
+};
+
+module.exports = {
+  REWARD_CURRENCY,
+  commitReward,
+  confirmReward,
+  refundReward,
+  payOut,
+  retryPayouts,
+  settleForClaim,
+  settleForClaimInBackground
+};
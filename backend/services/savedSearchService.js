@@ -0,0 +1,111 @@
+const Post = require('../models/Post');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const { notify } = require('./notificationService');
+const { visibleOrganizations } = require('./organizationService');
+
+// Minimum time between two daily summaries for the same search
+const DAILY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Titles listed in a daily summary before "and N more"
+const SUMMARY_TITLES = 3;
+
+// Check a post against a saved search with the same query GET /api/posts
+// uses, so alerts match what the user would see when browsing
+const matchesSearch = async (post, savedSearch) => {
+  const user = await User.findById(savedSearch.user).select('email role organization');
+  if (!user) return false;
+
+  const organizations = await visibleOrganizations(user);
+  const filters = await Post.resolveBrowseFilters(
+    { ...savedSearch.toObject().filters, organizations },
+    user.organization
+  );
+  const query = Post.buildBrowseQuery(filters);
+  return Boolean(await Post.exists({ ...query, _id: post._id }));
+};
+
+// Alert users whose saved searches match a newly created post. Returns the
+// number of matching searches.
+const alertForPost = async (post, io = null) => {
+  if (post.status !== 'active') {
+    return 0;
+  }
+
+  const candidates = await SavedSearch.findCandidatesFor(post);
+  let matched = 0;
+
+  for (const savedSearch of candidates) {
+    if (!(await matchesSearch(post, savedSearch))) continue;
+    matched++;
+
+    if (savedSearch.frequency === 'daily') {
+      await SavedSearch.updateOne({ _id: savedSearch._id }, { $addToSet: { pendingPosts: post._id } });
+      continue;
+    }
+
+    await notify(io, savedSearch.user, {
+      type: 'saved_search',
+      title: `New ${post.type} item for "${savedSearch.name}"`,
+      body: post.title,
+      link: `/posts/${post._id}`,
+      data: { savedSearchId: savedSearch._id, postId: post._id }
+    });
+    await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastNotifiedAt: new Date() } });
+  }
+
+  return matched;
+};
+
+// Fire-and-forget wrapper for request handlers
+const alertForPostInBackground = (post, io = null) => {
+  alertForPost(post, io).catch(error => {
+    console.error('Saved search alert error:', error);
+  });
+};
+
+// Send one summary per daily search that collected new posts. Returns the
+// number of summaries sent.
+const sendDailySummaries = async (io = null) => {
+  const cutoff = new Date(Date.now() - DAILY_INTERVAL_MS);
+  const searches = await SavedSearch.find({
+    frequency: 'daily',
+    isActive: true,
+    'pendingPosts.0': { $exists: true },
+    $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lte: cutoff } }]
+  }).populate({ path: 'pendingPosts', select: 'title status', match: { status: 'active' } });
+
+  let sent = 0;
+
+  for (const savedSearch of searches) {
+    // Posts resolved or deleted since they were collected drop out
+    const posts = savedSearch.pendingPosts.filter(Boolean);
+
+    if (posts.length > 0) {
+      const titles = posts.slice(0, SUMMARY_TITLES).map(post => `"${post.title}"`).join(', ');
+      const more = posts.length > SUMMARY_TITLES ? ` and ${posts.length - SUMMARY_TITLES} more` : '';
+
+      await notify(io, savedSearch.user, {
+        type: 'saved_search',
+        title: `${posts.length} new item${posts.length === 1 ? '' : 's'} for "${savedSearch.name}"`,
+        body: `${titles}${more}`,
+        link: `/posts?${savedSearch.toQueryString()}`,
+        data: { savedSearchId: savedSearch._id }
+      });
+      sent++;
+    }
+
+    await SavedSearch.updateOne(
+      { _id: savedSearch._id },
+      { $set: { pendingPosts: [], lastNotifiedAt: new Date() } }
+    );
+  }
+
+  return sent;
+};
+
+module.exports = {
+  alertForPost,
+  alertForPostInBackground,
+  sendDailySummaries
+};
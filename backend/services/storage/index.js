@@ -0,0 +1,34 @@
+// Storage backend registry. Every driver exposes:
+//   save(buffer, publicId) -> Promise<{ url, publicId }>
+//   remove(publicId)       -> Promise<void>
+//   urlFor(publicId)       -> public url of a stored file
+// Select a driver with STORAGE_DRIVER (defaults to local disk).
+const drivers = {
+  local: () => require('./local')
+};
+
+let storage = null;
+
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[driverName];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+
+    storage = factory();
+  }
+
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  registerDriver
+};
@@ -0,0 +1,52 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local disk storage (default). Files are served by server.js under /uploads.
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+const getBaseUrl = () => {
+  return process.env.UPLOAD_BASE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`;
+};
+
+// Resolve a publicId inside the upload directory, rejecting path traversal
+const resolvePath = (publicId) => {
+  const filePath = path.resolve(UPLOAD_DIR, publicId);
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error('Invalid file id');
+  }
+  return filePath;
+};
+
+// Public url of a stored file
+const urlFor = (publicId) => `${getBaseUrl()}/${publicId}`;
+
+// Save a buffer and return its public url and id
+const save = async (buffer, publicId) => {
+  const filePath = resolvePath(publicId);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return {
+    url: urlFor(publicId),
+    publicId
+  };
+};
+
+// Remove a stored file (missing files are ignored)
+const remove = async (publicId) => {
+  try {
+    await fs.unlink(resolvePath(publicId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  name: 'local',
+  directory: UPLOAD_DIR,
+  save,
+  remove,
+  urlFor
+};
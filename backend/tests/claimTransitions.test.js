@@ -0,0 +1,74 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Claim = require('../models/Claim');
+
+const owner = new mongoose.Types.ObjectId();
+const claimant = new mongoose.Types.ObjectId();
+
+// Build a claim that went through the given statuses, ending in the last
+const claimThrough = (...statuses) => new Claim({
+  post: new mongoose.Types.ObjectId(),
+  owner,
+  claimant,
+  status: statuses[statuses.length - 1],
+  history: statuses.map(status => ({ status, changedBy: claimant }))
+});
+
+afterEach(() => mock.restoreAll());
+
+test('owners review and approve requested claims, claimants can only withdraw', () => {
+  const claim = claimThrough('requested');
+
+  assert.deepEqual(claim.getAllowedTransitions('owner'), ['under_review', 'approved', 'rejected']);
+  assert.deepEqual(claim.getAllowedTransitions('claimant'), ['withdrawn']);
+});
+
+test('an approved claim cannot be confirmed before the handover', () => {
+  const claim = claimThrough('requested', 'approved');
+
+  assert.ok(!claim.getAllowedTransitions('claimant').includes('confirmed'));
+  assert.ok(claim.getAllowedTransitions('owner').includes('handed_over'));
+});
+
+test('a dispute raised before the handover cannot be confirmed', () => {
+  const claim = claimThrough('requested', 'approved', 'disputed');
+
+  assert.deepEqual(claim.getAllowedTransitions('claimant'), ['withdrawn']);
+  assert.deepEqual(claim.getAllowedTransitions('owner'), ['approved', 'rejected']);
+});
+
+test('a dispute raised after the handover can still be confirmed', () => {
+  const claim = claimThrough('requested', 'approved', 'handed_over', 'disputed');
+
+  assert.deepEqual(claim.getAllowedTransitions('claimant'), ['confirmed', 'withdrawn']);
+  assert.deepEqual(claim.getAllowedTransitions('owner'), ['rejected']);
+});
+
+test('a dispute reopened after going back to approved follows the latest dispute', () => {
+  const claim = claimThrough('requested', 'approved', 'handed_over', 'disputed', 'approved', 'disputed');
+
+  assert.ok(!claim.getAllowedTransitions('claimant').includes('confirmed'));
+});
+
+test('final statuses allow no transitions', () => {
+  for (const status of ['confirmed', 'rejected', 'withdrawn']) {
+    const claim = claimThrough('requested', status);
+    assert.deepEqual(claim.getAllowedTransitions('owner'), []);
+    assert.deepEqual(claim.getAllowedTransitions('claimant'), []);
+  }
+});
+
+test('transition only applies while the claim is in the status it was loaded with', async () => {
+  const claim = claimThrough('requested', 'approved', 'handed_over');
+  const findOneAndUpdate = mock.method(Claim, 'findOneAndUpdate', async () => null);
+
+  const result = await claim.transition('confirmed', claimant, 'Got it');
+
+  assert.equal(result, null);
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: claim._id, status: 'handed_over' });
+  assert.equal(update.$set.status, 'confirmed');
+  assert.equal(update.$push.history.status, 'confirmed');
+  assert.equal(update.$push.history.note, 'Got it');
+});
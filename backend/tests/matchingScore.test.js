@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { scorePair, WEIGHTS, MATCH_THRESHOLD } = require('../services/matchingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const lostAt = new Date('2026-03-01T10:00:00Z');
+
+// A plain post with only the fields scorePair reads
+const makePost = (overrides = {}) => ({
+  category: 'Electronics',
+  location: { building: 'Main Library', buildingRef: null },
+  dateTime: lostAt,
+  color: null,
+  brand: null,
+  attributes: {},
+  sensitiveAttributes: {},
+  ...overrides
+});
+
+test('category, building and same-day date reach the match threshold', () => {
+  const { score, breakdown } = scorePair(makePost(), makePost());
+
+  assert.equal(breakdown.category, WEIGHTS.category);
+  assert.equal(breakdown.building, WEIGHTS.building);
+  assert.equal(breakdown.dateTime, WEIGHTS.dateTime);
+  assert.equal(score, 65);
+  assert.ok(score >= MATCH_THRESHOLD);
+});
+
+test('a different category alone keeps a pair below the threshold', () => {
+  const { score, breakdown } = scorePair(makePost(), makePost({ category: 'Books' }));
+
+  assert.equal(breakdown.category, 0);
+  assert.ok(score < MATCH_THRESHOLD);
+});
+
+test('same category without a shared place or recent date stays below the threshold', () => {
+  const { score } = scorePair(
+    makePost(),
+    makePost({ location: { building: 'Gym' }, dateTime: new Date(lostAt.getTime() + 20 * DAY_MS) })
+  );
+
+  assert.equal(score, WEIGHTS.category);
+  assert.ok(score < MATCH_THRESHOLD);
+});
+
+test('date points fade over the two week window', () => {
+  const scoreAfter = (days) => scorePair(
+    makePost(),
+    makePost({ dateTime: new Date(lostAt.getTime() + days * DAY_MS) })
+  ).breakdown.dateTime;
+
+  assert.equal(scoreAfter(0), 15);
+  assert.equal(scoreAfter(7), 8);
+  assert.equal(scoreAfter(14), 0);
+  assert.equal(scoreAfter(-7), 8);
+});
+
+test('colours and brands match loosely', () => {
+  const { breakdown } = scorePair(
+    makePost({ color: 'Navy Blue', brand: 'apple' }),
+    makePost({ color: 'blue', brand: 'Apple ' })
+  );
+
+  assert.equal(breakdown.color, WEIGHTS.color);
+  assert.equal(breakdown.brand, WEIGHTS.brand);
+});
+
+test('registered buildings compare by reference rather than name', () => {
+  const buildingRef = new mongoose.Types.ObjectId();
+
+  const sameRef = scorePair(
+    makePost({ location: { building: 'Library', buildingRef } }),
+    makePost({ location: { building: 'Main Library', buildingRef: buildingRef.toString() } })
+  );
+  const otherRef = scorePair(
+    makePost({ location: { building: 'Library', buildingRef } }),
+    makePost({ location: { building: 'Library', buildingRef: new mongoose.Types.ObjectId() } })
+  );
+
+  assert.equal(sameRef.breakdown.building, WEIGHTS.building);
+  assert.equal(otherRef.breakdown.building, 0);
+});
+
+test('text points scale with the relative search score', () => {
+  assert.equal(scorePair(makePost(), makePost(), 2, 4).breakdown.text, 8);
+  assert.equal(scorePair(makePost(), makePost(), 0, 4).breakdown.text, 0);
+});
+
+test('a matching sensitive detail adds the full bonus, ignoring spaces and dashes', () => {
+  const { breakdown } = scorePair(
+    makePost({ sensitiveAttributes: { imei: '3569-8765-4321' } }),
+    makePost({ sensitiveAttributes: { imei: '3569 8765 4321' } })
+  );
+
+  assert.equal(breakdown.details, 25);
+});
+
+test('public details count for less and only when no sensitive detail agrees', () => {
+  const { breakdown } = scorePair(
+    makePost({ attributes: { keyCount: 3 }, sensitiveAttributes: { imei: '1111' } }),
+    makePost({ attributes: { keyCount: 3 }, sensitiveAttributes: { imei: '2222' } })
+  );
+
+  assert.equal(breakdown.details, 10);
+});
+
+test('details are ignored across categories', () => {
+  const { breakdown } = scorePair(
+    makePost({ sensitiveAttributes: { serialNumber: 'ABC' } }),
+    makePost({ category: 'Books', sensitiveAttributes: { serialNumber: 'ABC' } })
+  );
+
+  assert.equal(breakdown.details, 0);
+});
+
+test('scores are capped at 100', () => {
+  const post = makePost({ color: 'black', brand: 'Dell', sensitiveAttributes: { serialNumber: 'ABC' } });
+  const { score } = scorePair(post, { ...post }, 1, 1);
+
+  assert.equal(score, 100);
+});
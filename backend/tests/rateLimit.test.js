@@ -0,0 +1,137 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLimiter, rateLimit } = require('../middleware/rateLimit');
+const { getStore } = require('../services/rateLimit');
+
+const WINDOW_MS = 60 * 1000;
+
+// Window-aligned start time so tests don't depend on the clock
+const START = Math.ceil(Date.now() / WINDOW_MS) * WINDOW_MS;
+
+let now = START;
+const setTime = (ms) => {
+  now = ms;
+};
+
+// Minimal Express response that records headers and the status sent
+const mockResponse = () => ({
+  headers: {},
+  statusCode: 200,
+  body: null,
+  set(name, value) {
+    if (typeof name === 'object') Object.assign(this.headers, name);
+    else this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run the middleware once and report whether it let the request through
+const runMiddleware = async (middleware, req) => {
+  const res = mockResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+};
+
+mock.method(Date, 'now', () => now);
+afterEach(() => setTime(START));
+
+test('allows up to the limit within a window, then rejects', async () => {
+  const limiter = createLimiter({ name: 'test-limit', max: 3, windowMs: WINDOW_MS });
+
+  const results = [];
+  for (let i = 0; i < 4; i++) {
+    results.push(await limiter.consume('ip:1'));
+  }
+
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+  assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+  assert.equal(results[0].limit, 3);
+  assert.equal(results[0].resetSeconds, 60);
+});
+
+test('counts each key separately', async () => {
+  const limiter = createLimiter({ name: 'test-keys', max: 1, windowMs: WINDOW_MS });
+
+  assert.equal((await limiter.consume('ip:1')).allowed, true);
+  assert.equal((await limiter.consume('ip:2')).allowed, true);
+  assert.equal((await limiter.consume('ip:1')).allowed, false);
+});
+
+test('weights the previous window by how much of it still overlaps', async () => {
+  const limiter = createLimiter({ name: 'test-sliding', max: 10, windowMs: WINDOW_MS });
+
+  for (let i = 0; i < 10; i++) {
+    await limiter.consume('ip:1');
+  }
+
+  // A quarter into the next window, 75% of the previous 10 still count
+  setTime(START + WINDOW_MS * 1.25);
+  const result = await limiter.consume('ip:1');
+  assert.equal(result.remaining, 10 - (7 + 1));
+  assert.equal(result.resetSeconds, 45);
+
+  // Two windows later the old requests no longer count
+  setTime(START + WINDOW_MS * 3);
+  assert.equal((await limiter.consume('ip:1')).remaining, 9);
+});
+
+test('sets rate limit headers and answers 429 with Retry-After over the limit', async () => {
+  const middleware = rateLimit(1, WINDOW_MS, { name: 'test-headers' });
+  const req = { ip: '10.0.0.1' };
+
+  const first = await runMiddleware(middleware, req);
+  assert.equal(first.passed, true);
+  assert.deepEqual(first.res.headers, {
+    'RateLimit-Limit': 1,
+    'RateLimit-Remaining': 0,
+    'RateLimit-Reset': 60
+  });
+
+  const second = await runMiddleware(middleware, req);
+  assert.equal(second.passed, false);
+  assert.equal(second.res.statusCode, 429);
+  assert.equal(second.res.headers['Retry-After'], 60);
+  assert.equal(second.res.body.retryAfter, 60);
+});
+
+test('limits signed-in users by account when keyed by user', async () => {
+  const middleware = rateLimit(1, WINDOW_MS, { name: 'test-user-key', keyBy: 'user' });
+
+  await runMiddleware(middleware, { ip: '10.0.0.1', user: { _id: 'a' } });
+  const sameUserNewIp = await runMiddleware(middleware, { ip: '10.0.0.2', user: { _id: 'a' } });
+  const otherUser = await runMiddleware(middleware, { ip: '10.0.0.1', user: { _id: 'b' } });
+
+  assert.equal(sameUserNewIp.passed, false);
+  assert.equal(otherUser.passed, true);
+});
+
+test('lets requests through when the store fails', async () => {
+  const middleware = rateLimit(1, WINDOW_MS, { name: 'test-store-error' });
+  const increment = mock.method(getStore(), 'increment', async () => {
+    throw new Error('store down');
+  });
+  const consoleError = mock.method(console, 'error', () => {});
+
+  const { res, passed } = await runMiddleware(middleware, { ip: '10.0.0.1' });
+
+  increment.mock.restore();
+  consoleError.mock.restore();
+  assert.equal(passed, true);
+  assert.deepEqual(res.headers, {});
+});
+
+test('rejects unknown key generators and unnamed limiters', () => {
+  assert.throws(() => rateLimit(1, WINDOW_MS, { name: 'test-bad-key', keyBy: 'session' }), /Unknown rate limit key/);
+  assert.throws(() => createLimiter({ max: 1, windowMs: WINDOW_MS }), /name is required/);
+});
@@ -0,0 +1,223 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const notificationService = require('../services/notificationService');
+const { registerProvider } = require('../services/payments');
+const Reward = require('../models/Reward');
+const Claim = require('../models/Claim');
+const LedgerEntry = require('../models/LedgerEntry');
+
+// Nothing here talks to a database; fail fast if something tries
+mongoose.set('bufferCommands', false);
+
+// Payment provider that records captures and can be told to fail
+const provider = {
+  name: 'test',
+  captures: [],
+  failures: 0,
+  hold: async () => ({ id: 'hold_1' }),
+  capture: async (holdId) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (provider.failures > 0) {
+      provider.failures--;
+      throw new Error('Card declined');
+    }
+    provider.captures.push(holdId);
+    return { id: `payment_${provider.captures.length}` };
+  },
+  release: async () => {}
+};
+registerProvider('test', () => provider);
+process.env.PAYMENT_PROVIDER = 'test';
+
+// rewardService picks up notify when it is loaded
+mock.method(notificationService, 'notify', async () => null);
+const { confirmReward, payOut, retryPayouts, settleForClaim } = require('../services/rewardService');
+
+// In-memory stand-in for the rewards collection. Each conditional update
+// matches and applies in one step, as MongoDB does for a single document.
+const rewards = new Map();
+const ledger = [];
+
+const matches = (stored, filter) => Object.entries(filter).every(([key, expected]) => {
+  const value = stored[key];
+  if (expected === null) return value === null || value === undefined;
+  if (expected && typeof expected === 'object' && !(expected instanceof mongoose.Types.ObjectId)) {
+    if ('$ne' in expected) return expected.$ne === null ? value !== null && value !== undefined : value !== expected.$ne;
+    if ('$lt' in expected) return value < expected.$lt;
+  }
+  return String(value) === String(expected);
+});
+
+const applyUpdate = (stored, { $set = {}, $inc = {} }) => {
+  Object.assign(stored, $set);
+  Object.entries($inc).forEach(([key, amount]) => {
+    stored[key] = (stored[key] || 0) + amount;
+  });
+};
+
+// Let other pending operations run, like a round trip to the database
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+const load = (id) => {
+  const stored = rewards.get(String(id));
+  return stored ? Reward.hydrate({ ...stored }) : null;
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(notificationService, 'notify', async () => null);
+  mock.method(console, 'error', () => {});
+  rewards.clear();
+  ledger.length = 0;
+  provider.captures = [];
+  provider.failures = 0;
+
+  mock.method(Reward, 'findOneAndUpdate', async (filter, update) => {
+    await roundTrip();
+    const stored = [...rewards.values()].find(reward => matches(reward, filter));
+    if (!stored) return null;
+    applyUpdate(stored, update);
+    return load(stored._id);
+  });
+  mock.method(Reward, 'findByIdAndUpdate', async (id, update) => {
+    await roundTrip();
+    applyUpdate(rewards.get(String(id)), update);
+    return load(id);
+  });
+  mock.method(Reward, 'findOne', async (filter) => {
+    await roundTrip();
+    const stored = [...rewards.values()].find(reward => matches(reward, filter));
+    return stored ? load(stored._id) : null;
+  });
+  mock.method(Reward, 'findById', async (id) => {
+    await roundTrip();
+    return load(id);
+  });
+  mock.method(Reward, 'find', async (filter) => {
+    await roundTrip();
+    return [...rewards.values()].filter(reward => matches(reward, filter)).map(reward => load(reward._id));
+  });
+  mock.method(Reward.prototype, 'save', async function() {
+    await roundTrip();
+    Object.assign(rewards.get(String(this._id)), this.toObject());
+    return this;
+  });
+  mock.method(LedgerEntry, 'insertMany', async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+  mock.method(Claim, 'exists', async () => ({ _id: 'claim' }));
+});
+
+// Store a committed reward and return a copy as a route would load it
+const createReward = (fields = {}) => {
+  const reward = new Reward({
+    claim: new mongoose.Types.ObjectId(),
+    post: new mongoose.Types.ObjectId(),
+    payer: new mongoose.Types.ObjectId(),
+    payee: new mongoose.Types.ObjectId(),
+    amount: 500,
+    currency: 'INR',
+    provider: 'test',
+    holdId: 'hold_1',
+    ...fields
+  });
+  rewards.set(String(reward._id), reward.toObject());
+  return load(reward._id);
+};
+
+const confirmedClaim = (reward) => ({ _id: reward.claim, status: 'confirmed' });
+
+test('concurrent confirmations from both parties pay the reward once', async () => {
+  const reward = createReward();
+  const claim = confirmedClaim(reward);
+
+  // Each party works from its own copy loaded before either confirmed
+  await Promise.all([
+    confirmReward(load(reward._id), 'payer', claim),
+    confirmReward(load(reward._id), 'payee', claim)
+  ]);
+
+  const stored = rewards.get(String(reward._id));
+  assert.equal(stored.status, 'paid');
+  assert.ok(stored.payerConfirmedAt && stored.payeeConfirmedAt);
+  assert.equal(provider.captures.length, 1);
+  assert.equal(ledger.length, 2);
+});
+
+test('a claim confirmation racing the payee confirmation pays the reward', async () => {
+  const reward = createReward();
+  const claim = confirmedClaim(reward);
+
+  await Promise.all([
+    settleForClaim(claim),
+    confirmReward(load(reward._id), 'payee', { _id: reward.claim, status: 'handed_over' })
+  ]);
+
+  assert.equal(rewards.get(String(reward._id)).status, 'paid');
+  assert.equal(provider.captures.length, 1);
+});
+
+test('concurrent payouts capture once', async () => {
+  const reward = createReward({ payerConfirmedAt: new Date(), payeeConfirmedAt: new Date() });
+
+  await Promise.all([payOut(load(reward._id)), payOut(load(reward._id))]);
+
+  assert.equal(provider.captures.length, 1);
+  assert.equal(ledger.filter(entry => entry.type === 'reward_received').length, 1);
+});
+
+test('a reward is not paid until the claim is confirmed', async () => {
+  mock.method(Claim, 'findById', () => ({ select: async () => ({ status: 'handed_over' }) }));
+  const reward = createReward({ payerConfirmedAt: new Date() });
+
+  const result = await confirmReward(reward, 'payee', { _id: reward.claim, status: 'handed_over' });
+
+  assert.equal(result.status, 'committed');
+  assert.equal(provider.captures.length, 0);
+});
+
+test('a failed capture keeps the reward committed and records the attempt', async () => {
+  provider.failures = 1;
+  const reward = createReward({ payerConfirmedAt: new Date() });
+
+  const result = await confirmReward(reward, 'payee', confirmedClaim(reward));
+
+  assert.equal(result.status, 'committed');
+  assert.equal(result.payoutAttempts, 1);
+  assert.equal(result.lastPayoutError, 'Card declined');
+  assert.equal(ledger.length, 0);
+});
+
+test('retries pay rewards whose payout failed, up to the attempt limit', async () => {
+  const failed = createReward({
+    payerConfirmedAt: new Date(),
+    payeeConfirmedAt: new Date(),
+    payoutAttempts: 1,
+    lastPayoutError: 'Card declined'
+  });
+  const exhausted = createReward({
+    payerConfirmedAt: new Date(),
+    payeeConfirmedAt: new Date(),
+    payoutAttempts: Reward.MAX_PAYOUT_ATTEMPTS
+  });
+
+  const paid = await retryPayouts();
+
+  assert.equal(paid, 1);
+  assert.equal(rewards.get(String(failed._id)).status, 'paid');
+  assert.equal(rewards.get(String(failed._id)).lastPayoutError, null);
+  assert.equal(rewards.get(String(exhausted._id)).status, 'committed');
+});
+
+test('a rejected claim releases the reward instead of paying it', async () => {
+  const release = mock.method(provider, 'release', async () => {});
+  const reward = createReward();
+
+  await settleForClaim({ _id: reward.claim, status: 'rejected' });
+
+  assert.equal(rewards.get(String(reward._id)).status, 'refunded');
+  assert.equal(release.mock.callCount(), 1);
+  assert.equal(provider.captures.length, 0);
+});
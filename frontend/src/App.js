@@ -1,17 +1,22 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
+import { SocketProvider } from './context/SocketContext';
 
 // Components
 import Navbar from './components/layout/Navbar';
 import Footer from './components/layout/Footer';
 import PrivateRoute from './components/routing/PrivateRoute';
 import PublicRoute from './components/routing/PublicRoute';
+import AdminRoute from './components/routing/AdminRoute';
 
 // Pages
 import Home from './pages/Home';
 import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
+import VerifyEmail from './pages/auth/VerifyEmail';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
 import Posts from './pages/posts/Posts';
 import PostDetail from './pages/posts/PostDetail';
 import CreatePost from './pages/posts/CreatePost';
@@ -20,6 +25,10 @@ import Profile from './pages/profile/Profile';
 import Dashboard from './pages/Dashboard';
 import Chats from './pages/chat/Chats';
 import ChatRoom from './pages/chat/ChatRoom';
+import AdminConsole from './pages/admin/AdminConsole';
+import Security from './pages/settings/Security';
+import NotificationSettings from './pages/settings/Notifications';
+import OrganizationSettings from './pages/organization/OrganizationSettings';
 import PostItem from './components/posts/PostItem';
 
 // Styles
@@ -28,84 +37,137 @@ import './App.css';
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="App">
-          <Navbar />
-          <main className="main-content">
-            <Routes>
-              {/* Public Routes */}
-              <Route path="/" element={<Home />} />
-              <Route path="/posts" element={<Posts />} />
-              <Route path="/posts/:id" element={<PostDetail />} />
-              <Route path="/profile/:id" element={<Profile />} />
+      <SocketProvider>
+        <Router>
+          <div className="App">
+            <Navbar />
+            <main className="main-content">
+              <Routes>
+                {/* Public Routes */}
+                <Route path="/" element={<Home />} />
+                <Route path="/posts" element={<Posts />} />
+                <Route path="/posts/:id" element={<PostDetail />} />
+                <Route path="/profile/:id" element={<Profile />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
               
-              {/* Auth Routes (only for non-authenticated users) */}
-              <Route
-                path="/login"
-                element={
-                  <PublicRoute>
-                    <Login />
-                  </PublicRoute>
-                }
-              />
-              <Route
-                path="/register"
-                element={
-                  <PublicRoute>
-                    <Register />
-                  </PublicRoute>
-                }
-              />
+                {/* Auth Routes (only for non-authenticated users) */}
+                <Route
+                  path="/login"
+                  element={
+                    <PublicRoute>
+                      <Login />
+                    </PublicRoute>
+                  }
+                />
+                <Route
+                  path="/register"
+                  element={
+                    <PublicRoute>
+                      <Register />
+                    </PublicRoute>
+                  }
+                />
+                <Route
+                  path="/forgot-password"
+                  element={
+                    <PublicRoute>
+                      <ForgotPassword />
+                    </PublicRoute>
+                  }
+                />
+                <Route
+                  path="/reset-password"
+                  element={
+                    <PublicRoute>
+                      <ResetPassword />
+                    </PublicRoute>
+                  }
+                />
 
-              {/* Protected Routes */}
-              <Route
-                path="/dashboard"
-                element={
-                  <PrivateRoute>
-                    <Dashboard />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/create-post"
-                element={
-                  <PrivateRoute>
-                    <PostItem />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/posts/:id/edit"
-                element={
-                  <PrivateRoute>
-                    <EditPost />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/chats"
-                element={
-                  <PrivateRoute>
-                    <Chats />
-                  </PrivateRoute>
-                }
-              />
-              <Route
-                path="/chats/:id"
-                element={
-                  <PrivateRoute>
-                    <ChatRoom />
-                  </PrivateRoute>
-                }
-              />
+                {/* Protected Routes */}
+                <Route
+                  path="/dashboard"
+                  element={
+                    <PrivateRoute>
+                      <Dashboard />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/create-post"
+                  element={
+                    <PrivateRoute>
+                      <PostItem />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/posts/:id/edit"
+                  element={
+                    <PrivateRoute>
+                      <EditPost />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/chats"
+                  element={
+                    <PrivateRoute>
+                      <Chats />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/chats/:id"
+                  element={
+                    <PrivateRoute>
+                      <ChatRoom />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/settings/security"
+                  element={
+                    <PrivateRoute>
+                      <Security />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/settings/notifications"
+                  element={
+                    <PrivateRoute>
+                      <NotificationSettings />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/organization"
+                  element={
+                    <PrivateRoute>
+                      <OrganizationSettings />
+                    </PrivateRoute>
+                  }
+                />
 
-              {/* Catch all route */}
-              <Route path="*" element={<Navigate to="/" replace />} />
-            </Routes>
-          </main>
-          <Footer />
-        </div>
-      </Router>
+                {/* Moderator Routes */}
+                <Route
+                  path="/admin"
+                  element={
+                    <AdminRoute>
+                      <AdminConsole />
+                    </AdminRoute>
+                  }
+                />
+
+                {/* Catch all route */}
+                <Route path="*" element={<Navigate to="/" replace />} />
+              </Routes>
+            </main>
+            <Footer />
+          </div>
+        </Router>
+      </SocketProvider>
     </AuthProvider>
   );
 }
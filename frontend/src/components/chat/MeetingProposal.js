@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { formatDateTime, toLocalInputValue } from '../../utils/formatters';
+import './Meeting.css';
+
+const STATUS_LABELS = {
+  proposed: 'Waiting for a reply',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  superseded: 'Rescheduled'
+};
+
+// Form for proposing (or rescheduling) a handover meeting
+export const MeetingForm = ({ initialLocation = '', submitLabel = 'Propose meeting', onSubmit, onCancel }) => {
+  const [location, setLocation] = useState(initialLocation);
+  const [time, setTime] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!location.trim()) {
+      setError('Please enter a meeting place');
+      return;
+    }
+
+    if (!time || new Date(time) <= new Date()) {
+      setError('Please pick a time in the future');
+      return;
+    }
+
+    onSubmit(location.trim(), new Date(time).toISOString());
+  };
+
+  return (
+    <form className="meeting-form" onSubmit={handleSubmit}>
+      {error && <div className="error-message">{error}</div>}
+      <div className="form-group">
+        <label htmlFor="meetingLocation">Where</label>
+        <input
+          id="meetingLocation"
+          type="text"
+          className="form-control"
+          placeholder="e.g. Library front desk"
+          value={location}
+          onChange={(e) => setLocation(e.target.value)}
+          maxLength={200}
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="meetingTime">When</label>
+        <input
+          id="meetingTime"
+          type="datetime-local"
+          className="form-control"
+          value={time}
+          min={toLocalInputValue(new Date())}
+          onChange={(e) => setTime(e.target.value)}
+        />
+      </div>
+      <button type="submit" className="btn btn-primary btn-sm">{submitLabel}</button>{' '}
+      <button type="button" className="btn btn-outline btn-sm" onClick={onCancel}>Cancel</button>
+    </form>
+  );
+};
+
+// A meeting proposal shown in the message list, with the reply actions
+// available to the current user
+const MeetingProposal = ({ message, isMine, canRespond, onRespond, onReschedule }) => {
+  const [rescheduling, setRescheduling] = useState(false);
+  const { meeting } = message;
+  const isOpen = canRespond && ['proposed', 'accepted'].includes(meeting.status);
+
+  return (
+    <div className={`meeting-proposal ${meeting.status}`}>
+      <strong>📅 Handover meeting</strong>
+      <p className="meeting-when">{formatDateTime(meeting.time)}</p>
+      <p className="meeting-where">{meeting.location}</p>
+      <span className="meeting-status">{STATUS_LABELS[meeting.status]}</span>
+
+      {isOpen && !rescheduling && (
+        <div className="meeting-actions">
+          {meeting.status === 'proposed' && !isMine && (
+            <>
+              <button className="btn btn-primary btn-sm" onClick={() => onRespond(message._id, 'accept')}>
+                Accept
+              </button>
+              <button className="btn btn-outline btn-sm" onClick={() => onRespond(message._id, 'decline')}>
+                Decline
+              </button>
+            </>
+          )}
+          <button className="btn btn-outline btn-sm" onClick={() => setRescheduling(true)}>
+            Reschedule
+          </button>
+        </div>
+      )}
+
+      {rescheduling && (
+        <MeetingForm
+          initialLocation={meeting.location}
+          submitLabel="Suggest new time"
+          onSubmit={(location, time) => {
+            setRescheduling(false);
+            onReschedule(message._id, location, time);
+          }}
+          onCancel={() => setRescheduling(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MeetingProposal;
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { hasRole } from '../../utils/roles';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
 const Navbar = () => {
@@ -48,6 +50,9 @@ const Navbar = () => {
             <Link to="/" className="nav-link" onClick={closeMenu}>
               Home
             </Link>
+            <Link to="/posts" className="nav-link" onClick={closeMenu}>
+              Browse
+            </Link>
            
           </div>
 
@@ -65,6 +70,7 @@ const Navbar = () => {
                 <Link to="/chats" className="nav-link" onClick={closeMenu}>
                   Messages
                 </Link>
+                <NotificationBell onNavigate={closeMenu} />
                 
                 {/* User Profile Dropdown */}
                 <div className="user-menu">
@@ -95,6 +101,22 @@ const Navbar = () => {
                     <Link to="/chats" className="dropdown-link" onClick={closeMenu}>
                       Messages
                     </Link>
+                    <Link to="/settings/security" className="dropdown-link" onClick={closeMenu}>
+                      Security
+                    </Link>
+                    <Link to="/settings/notifications" className="dropdown-link" onClick={closeMenu}>
+                      Notifications
+                    </Link>
+                    {user?.organization && user.orgRole === 'admin' && (
+                      <Link to="/organization" className="dropdown-link" onClick={closeMenu}>
+                        Organization
+                      </Link>
+                    )}
+                    {hasRole(user, 'moderator') && (
+                      <Link to="/admin" className="dropdown-link" onClick={closeMenu}>
+                        Moderation
+                      </Link>
+                    )}
                     <hr className="dropdown-divider" />
                     <button className="dropdown-link logout-btn" onClick={handleLogout}>
                       Logout
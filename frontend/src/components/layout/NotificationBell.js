@@ -0,0 +1,187 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { Link, useNavigate } from 'react-router-dom';
+import { useSocket } from '../../context/SocketContext';
+import { timeSince } from '../../utils/formatters';
+import { NOTIFICATION_CATEGORIES } from '../../utils/notifications';
+import './NotificationBell.css';
+
+const PAGE_SIZE = 10;
+
+// Bell icon with unread badge and a dropdown of recent notifications
+const NotificationBell = ({ onNavigate }) => {
+  const navigate = useNavigate();
+  const { socket } = useSocket();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [page, setPage] = useState(1);
+  const [isOpen, setIsOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  const fetchNotifications = useCallback(async (pageToLoad = 1) => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`/notifications?page=${pageToLoad}&limit=${PAGE_SIZE}`);
+      setNotifications(prev => (
+        pageToLoad === 1 ? response.data.notifications : [...prev, ...response.data.notifications]
+      ));
+      setUnreadCount(response.data.unreadCount);
+      setHasMore(response.data.pagination.hasMore);
+      setPage(pageToLoad);
+    } catch (err) {
+      console.error('Failed to load notifications:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  // New and merged notifications arrive through the user's room
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNotification = ({ notification, unreadCount: count }) => {
+      setNotifications(prev => [notification, ...prev.filter(item => item._id !== notification._id)]);
+      setUnreadCount(count);
+    };
+
+    // Catch up on anything stored while the socket was offline
+    const handleConnect = () => fetchNotifications();
+
+    socket.on('notification', handleNotification);
+    socket.on('connect', handleConnect);
+    return () => {
+      socket.off('notification', handleNotification);
+      socket.off('connect', handleConnect);
+    };
+  }, [socket, fetchNotifications]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleOpen = async (notification) => {
+    setIsOpen(false);
+    if (onNavigate) onNavigate();
+
+    if (!notification.isRead) {
+      try {
+        const response = await axios.put(`/notifications/${notification._id}/read`);
+        setNotifications(prev => prev.map(item => (
+          item._id === notification._id ? response.data.notification : item
+        )));
+        setUnreadCount(response.data.unreadCount);
+      } catch (err) {
+        console.error('Failed to mark notification as read:', err);
+      }
+    }
+
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.put('/notifications/read-all');
+      setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Failed to mark notifications as read:', err);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="bell-button"
+        onClick={() => setIsOpen(prev => !prev)}
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="bell-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-dropdown">
+          <div className="notification-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button type="button" className="notification-mark-all" onClick={handleMarkAllRead}>
+                Mark all as read
+              </button>
+            )}
+            <Link
+              to="/settings/notifications"
+              className="notification-settings-link"
+              title="Notification settings"
+              onClick={() => {
+                setIsOpen(false);
+                if (onNavigate) onNavigate();
+              }}
+            >
+              ⚙
+            </Link>
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">{loading ? 'Loading...' : "You're all caught up."}</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li key={notification._id}>
+                  <button
+                    type="button"
+                    className={`notification-item ${notification.isRead ? '' : 'unread'}`}
+                    onClick={() => handleOpen(notification)}
+                  >
+                    <span className="notification-icon">{NOTIFICATION_CATEGORIES[notification.type]?.icon || '🔔'}</span>
+                    <span className="notification-text">
+                      <span className="notification-title">
+                        {notification.title}
+                        {notification.count > 1 && ` (${notification.count})`}
+                      </span>
+                      {notification.body && <span className="notification-body">{notification.body}</span>}
+                      <span className="notification-time">{timeSince(notification.updatedAt)}</span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {hasMore && (
+            <button
+              type="button"
+              className="notification-more"
+              onClick={() => fetchNotifications(page + 1)}
+              disabled={loading}
+            >
+              {loading ? 'Loading...' : 'Show older'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import './Organizations.css';
+
+// Split a comma separated field into trimmed, non-empty entries
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const buildForm = (organization) => ({
+  name: organization?.name || '',
+  slug: organization?.slug || '',
+  emailDomains: (organization?.emailDomains || []).join(', '),
+  categories: organization?.categories || [],
+  allowGuestViewing: organization?.allowGuestViewing || false,
+  isActive: organization ? organization.isActive : true
+});
+
+// Organization settings form. Site admins (fullAccess) edit every field;
+// organization admins only choose categories and guest viewing.
+// onSubmit receives the payload and returns a promise.
+const OrganizationForm = ({ organization, categories, fullAccess = false, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(() => buildForm(organization));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const toggleCategory = (category) => {
+    const selected = form.categories.includes(category)
+      ? form.categories.filter(item => item !== category)
+      : [...form.categories, category];
+    setForm({ ...form, categories: selected });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    const payload = {
+      categories: form.categories,
+      allowGuestViewing: form.allowGuestViewing
+    };
+
+    if (fullAccess) {
+      Object.assign(payload, {
+        name: form.name.trim(),
+        slug: form.slug.trim(),
+        emailDomains: splitList(form.emailDomains),
+        isActive: form.isActive
+      });
+    }
+
+    try {
+      await onSubmit(payload);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="organization-form" onSubmit={handleSubmit}>
+      {fullAccess && (
+        <>
+          <div className="organization-form-row">
+            <div className="form-group">
+              <label htmlFor="organizationName">Name</label>
+              <input
+                id="organizationName"
+                name="name"
+                className="form-control"
+                value={form.name}
+                onChange={handleChange}
+                maxLength={100}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="organizationSlug">Slug</label>
+              <input
+                id="organizationSlug"
+                name="slug"
+                className="form-control"
+                value={form.slug}
+                onChange={handleChange}
+                maxLength={50}
+                placeholder="e.g. state-university"
+                required
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="organizationDomains">Email domains (comma separated)</label>
+            <input
+              id="organizationDomains"
+              name="emailDomains"
+              className="form-control"
+              value={form.emailDomains}
+              onChange={handleChange}
+              placeholder="e.g. state.edu, alumni.state.edu"
+            />
+            <small className="text-muted">People who verify an address on these domains join automatically.</small>
+          </div>
+        </>
+      )}
+
+      <div className="form-group">
+        <label>Categories</label>
+        <p className="text-muted organization-hint">Leave all unticked to allow every category.</p>
+        <div className="organization-categories">
+          {categories.map(category => (
+            <label key={category} className="organization-category">
+              <input
+                type="checkbox"
+                checked={form.categories.includes(category)}
+                onChange={() => toggleCategory(category)}
+              />
+              {category}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label className="organization-toggle">
+        <input
+          type="checkbox"
+          name="allowGuestViewing"
+          checked={form.allowGuestViewing}
+          onChange={handleChange}
+        />
+        Let people outside the organization see its posts
+      </label>
+
+      {fullAccess && (
+        <label className="organization-toggle">
+          <input type="checkbox" name="isActive" checked={form.isActive} onChange={handleChange} />
+          Active
+        </label>
+      )}
+
+      <div className="organization-form-actions">
+        <button type="submit" className="btn btn-sm btn-primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-sm btn-outline" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default OrganizationForm;
@@ -0,0 +1,107 @@
+import React from 'react';
+import './AttributeFields.css';
+
+// Client-side check mirroring the server: every required attribute needs a value
+export const validateAttributes = (attributes, values) => {
+  const missing = attributes.find(attribute => attribute.required && (values[attribute.key] ?? '') === '');
+  return missing ? `${missing.label} is required` : '';
+};
+
+// Attribute values in the shape the API expects, leaving out blank ones
+export const serializeAttributes = (attributes, values) => Object.fromEntries(
+  attributes
+    .filter(attribute => (values[attribute.key] ?? '') !== '')
+    .map(attribute => {
+      const value = values[attribute.key];
+      return [attribute.key, attribute.type === 'text' ? value.toString().trim() : value];
+    })
+);
+
+// Inputs for the category-specific details of a post, e.g. a laptop's
+// serial number. Values are kept as { [key]: value }.
+const AttributeFields = ({ attributes, values, onChange, disabled = false }) => {
+  if (attributes.length === 0) return null;
+
+  const setValue = (key, value) => {
+    onChange({ ...values, [key]: value });
+  };
+
+  const renderInput = (attribute) => {
+    const id = `attribute-${attribute.key}`;
+    const value = values[attribute.key] ?? '';
+
+    switch (attribute.type) {
+      case 'select':
+        return (
+          <select
+            id={id}
+            className="form-control"
+            value={value}
+            onChange={(e) => setValue(attribute.key, e.target.value)}
+            disabled={disabled}
+          >
+            <option value="">Select...</option>
+            {attribute.options.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        );
+      case 'boolean':
+        return (
+          <select
+            id={id}
+            className="form-control"
+            value={value === '' ? '' : String(value)}
+            onChange={(e) => setValue(attribute.key, e.target.value === '' ? '' : e.target.value === 'true')}
+            disabled={disabled}
+          >
+            <option value="">Not sure</option>
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+          </select>
+        );
+      case 'number':
+        return (
+          <input
+            type="number"
+            id={id}
+            className="form-control"
+            value={value}
+            onChange={(e) => setValue(attribute.key, e.target.value === '' ? '' : Number(e.target.value))}
+            disabled={disabled}
+          />
+        );
+      default:
+        return (
+          <input
+            type="text"
+            id={id}
+            className="form-control"
+            value={value}
+            onChange={(e) => setValue(attribute.key, e.target.value)}
+            maxLength={100}
+            disabled={disabled}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="attribute-fields">
+      {attributes.map(attribute => (
+        <div key={attribute.key} className="form-group">
+          <label htmlFor={`attribute-${attribute.key}`}>
+            {attribute.label} {attribute.required && <span className="required">*</span>}
+          </label>
+          {renderInput(attribute)}
+          {attribute.helpText && <small className="text-muted">{attribute.helpText}</small>}
+          {attribute.sensitive && (
+            <small className="attribute-private">
+              🔒 Kept private. Only used to find matches and check claims.
+            </small>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AttributeFields;
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import useDebounce from '../../hooks/useDebounce';
+
+// Building name input that suggests registered buildings while typing.
+// Free text still works; the server files the post under a building when
+// the name, code or an alias matches. onMatch receives the suggested
+// building the text names, or null.
+const BuildingInput = ({ id, name, value, onChange, onMatch, className, disabled }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const debouncedValue = useDebounce(value.trim(), 250);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchSuggestions = async () => {
+      try {
+        const response = await axios.get(`/buildings/autocomplete?q=${encodeURIComponent(debouncedValue)}`);
+        if (!cancelled) setSuggestions(response.data.buildings);
+      } catch (err) {
+        // Suggestions are optional
+      }
+    };
+
+    fetchSuggestions();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedValue]);
+
+  useEffect(() => {
+    if (!onMatch) return;
+
+    const text = value.trim().toLowerCase();
+    onMatch(suggestions.find(building => building.name.toLowerCase() === text) || null);
+  }, [suggestions, value, onMatch]);
+
+  return (
+    <>
+      <input
+        type="text"
+        id={id}
+        name={name}
+        className={className}
+        value={value}
+        onChange={onChange}
+        list={`${id}-suggestions`}
+        autoComplete="off"
+        disabled={disabled}
+      />
+      <datalist id={`${id}-suggestions`}>
+        {suggestions.map(building => (
+          <option key={building._id} value={building.name}>
+            {building.code || ''}
+          </option>
+        ))}
+      </datalist>
+    </>
+  );
+};
+
+export default BuildingInput;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { CLAIM_ACTIONS, CLAIM_STATUS_LABELS } from '../../utils/claims';
+import { timeSince } from '../../utils/formatters';
+import './Claims.css';
+
+// Status history of a claim, oldest first
+export const ClaimTimeline = ({ history = [] }) => (
+  <ol className="claim-timeline">
+    {history.map((entry, index) => (
+      <li key={`${entry.status}-${index}`} className={entry.status}>
+        <strong>{CLAIM_STATUS_LABELS[entry.status] || entry.status}</strong>
+        <span className="text-muted"> · {timeSince(entry.timestamp)}</span>
+        {entry.note && <p>{entry.note}</p>}
+      </li>
+    ))}
+  </ol>
+);
+
+// Buttons for the status changes the server allows the current user
+const ClaimActions = ({ claim, onUpdated }) => {
+  const [pending, setPending] = useState(null);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const transitions = claim.allowedTransitions || [];
+  if (transitions.length === 0) return null;
+
+  const submit = async (status, statusNote = '') => {
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await axios.put(`/claims/${claim._id}/status`, {
+        status,
+        note: statusNote.trim() || undefined
+      });
+      setPending(null);
+      setNote('');
+      onUpdated(response.data.claim);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update claim');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleClick = (status) => {
+    const action = CLAIM_ACTIONS[status];
+
+    if (action.prompt) {
+      setPending(status);
+      setNote('');
+      return;
+    }
+
+    if (action.confirm && !window.confirm(action.confirm)) return;
+    submit(status);
+  };
+
+  if (pending) {
+    return (
+      <form
+        className="claim-note-form"
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit(pending, note);
+        }}
+      >
+        <input
+          type="text"
+          className="form-control"
+          placeholder={CLAIM_ACTIONS[pending].prompt}
+          maxLength={300}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          disabled={isSubmitting}
+        />
+        <button type="submit" className="btn btn-danger btn-sm" disabled={isSubmitting}>
+          {CLAIM_ACTIONS[pending].label}
+        </button>
+        <button type="button" className="btn btn-outline btn-sm" onClick={() => setPending(null)}>
+          Cancel
+        </button>
+        {error && <div className="error-message">{error}</div>}
+      </form>
+    );
+  }
+
+  return (
+    <div className="claim-actions">
+      {transitions.map(status => {
+        const action = CLAIM_ACTIONS[status];
+        const variant = action.primary ? 'btn-primary' : action.danger ? 'btn-danger' : 'btn-outline';
+
+        return (
+          <button
+            key={status}
+            className={`btn btn-sm ${variant}`}
+            onClick={() => handleClick(status)}
+            disabled={isSubmitting}
+          >
+            {action.label}
+          </button>
+        );
+      })}
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default ClaimActions;
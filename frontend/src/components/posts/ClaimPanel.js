@@ -0,0 +1,199 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { useSocket } from '../../context/SocketContext';
+import ClaimActions, { ClaimTimeline } from './ClaimActions';
+import RateUserForm from '../ratings/RateUserForm';
+import RewardPanel from '../rewards/RewardPanel';
+import './Claims.css';
+
+const STATUS_MESSAGES = {
+  requested: 'Waiting for the finder to review your claim',
+  under_review: 'The finder is reviewing your claim',
+  approved: 'Your claim was approved. Arrange the handover in chat.',
+  handed_over: 'The finder says the item was handed over. Please confirm once you have it.',
+  confirmed: 'You confirmed receiving the item',
+  rejected: 'Your claim was not approved',
+  disputed: 'A problem was reported with the handover',
+  withdrawn: 'You withdrew your claim'
+};
+
+// Claimant side of claiming a found item: answer the finder's questions
+// and confirm the item's private details, then follow the claim's status
+const ClaimPanel = ({ post, onClaimUpdated }) => {
+  const { socket } = useSocket();
+  // Finder's questions and private details share one form, keyed by
+  // question ID or attribute key
+  const questions = [
+    ...(post.verificationQuestions || []).map(question => ({ id: question._id, label: question.question })),
+    ...(post.verificationAttributes || []).map(attribute => ({
+      id: attribute.key,
+      label: attribute.label,
+      attributeKey: attribute.key
+    }))
+  ];
+
+  const [claim, setClaim] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [answers, setAnswers] = useState({});
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchClaim = useCallback(async () => {
+    try {
+      const response = await axios.get(`/claims/mine?postId=${post._id}`);
+      setClaim(response.data.claims[0] || null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load your claim');
+    } finally {
+      setLoading(false);
+    }
+  }, [post._id]);
+
+  useEffect(() => {
+    fetchClaim();
+  }, [fetchClaim]);
+
+  // Follow the finder's decision live
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleClaimUpdated = (data) => {
+      if (data.postId === post._id) {
+        fetchClaim();
+        if (onClaimUpdated) onClaimUpdated();
+      }
+    };
+
+    socket.on('claim_updated', handleClaimUpdated);
+    return () => {
+      socket.off('claim_updated', handleClaimUpdated);
+    };
+  }, [socket, post._id, fetchClaim, onClaimUpdated]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (questions.some(question => !(answers[question.id] || '').trim())) {
+      setError('Please answer every question');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/claims', {
+        postId: post._id,
+        answers: questions.map(question => ({
+          ...(question.attributeKey ? { attributeKey: question.attributeKey } : { questionId: question.id }),
+          answer: answers[question.id].trim()
+        })),
+        message: message.trim()
+      });
+      setClaim(response.data.claim);
+      setShowForm(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to submit claim');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loading) return null;
+
+  if (claim) {
+    return (
+      <div className={`post-detail-card claim-status ${claim.status}`}>
+        <strong>{STATUS_MESSAGES[claim.status]}</strong>
+        <ClaimTimeline history={claim.history} />
+        {claim.chat && ['approved', 'handed_over', 'disputed'].includes(claim.status) && (
+          <Link to={`/chats/${claim.chat}`} className="btn btn-primary btn-sm">
+            Open handover chat
+          </Link>
+        )}
+        <ClaimActions
+          claim={claim}
+          onUpdated={(updatedClaim) => {
+            setClaim(updatedClaim);
+            if (onClaimUpdated) onClaimUpdated();
+          }}
+        />
+        {['approved', 'handed_over', 'disputed', 'confirmed'].includes(claim.status) && (
+          <RewardPanel claim={claim} role="claimant" />
+        )}
+        {claim.status === 'confirmed' && post.user && (
+          <RateUserForm postId={post._id} ratedUser={post.user} />
+        )}
+        {error && <div className="error-message">{error}</div>}
+      </div>
+    );
+  }
+
+  if (post.status !== 'active') return null;
+
+  if (!showForm) {
+    return (
+      <div className="post-detail-card">
+        <button className="btn btn-primary btn-block" onClick={() => setShowForm(true)}>
+          🙋 This is mine
+        </button>
+        {questions.length > 0 && (
+          <p className="text-muted claim-note">You'll answer {questions.length} question{questions.length === 1 ? '' : 's'} from the finder.</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="post-detail-card claim-form">
+      <h3>Claim this item</h3>
+      {questions.length > 0 && (
+        <p className="text-muted">The finder asks these questions to check the item is yours.</p>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {questions.map(question => (
+        <div key={question.id} className="form-group">
+          <label htmlFor={`answer-${question.id}`}>{question.label}</label>
+          <input
+            type="text"
+            id={`answer-${question.id}`}
+            className="form-control"
+            value={answers[question.id] || ''}
+            onChange={(e) => setAnswers({ ...answers, [question.id]: e.target.value })}
+            maxLength={200}
+            disabled={isSubmitting}
+          />
+        </div>
+      ))}
+
+      <div className="form-group">
+        <label htmlFor="claimMessage">Anything else the finder should know?</label>
+        <textarea
+          id="claimMessage"
+          className="form-control"
+          rows="3"
+          maxLength={500}
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          disabled={isSubmitting}
+        />
+      </div>
+
+      <p className="text-muted claim-note">You can only submit one claim for this item.</p>
+
+      <button type="submit" className="btn btn-primary btn-sm" disabled={isSubmitting}>
+        {isSubmitting ? 'Submitting...' : 'Submit claim'}
+      </button>{' '}
+      <button type="button" className="btn btn-outline btn-sm" onClick={() => setShowForm(false)}>
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+export default ClaimPanel;
@@ -0,0 +1,126 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { useSocket } from '../../context/SocketContext';
+import { timeSince } from '../../utils/formatters';
+import { CLAIM_STATUS_LABELS } from '../../utils/claims';
+import ClaimActions, { ClaimTimeline } from './ClaimActions';
+import RateUserForm from '../ratings/RateUserForm';
+import RewardPanel from '../rewards/RewardPanel';
+import './Claims.css';
+
+// Finder side of claims: compare each claimant's answers, then move the
+// claim through review, handover and confirmation
+const ClaimsReviewPanel = ({ postId, onClaimUpdated }) => {
+  const { socket } = useSocket();
+  const [claims, setClaims] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchClaims = useCallback(async () => {
+    try {
+      const response = await axios.get(`/claims/post/${postId}`);
+      setClaims(response.data.claims || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load claims');
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    fetchClaims();
+  }, [fetchClaims]);
+
+  // Refresh when a claim arrives or the claimant updates one
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleClaimChange = (data) => {
+      if (data.postId === postId) {
+        fetchClaims();
+      }
+    };
+
+    socket.on('new_claim', handleClaimChange);
+    socket.on('claim_updated', handleClaimChange);
+    return () => {
+      socket.off('new_claim', handleClaimChange);
+      socket.off('claim_updated', handleClaimChange);
+    };
+  }, [socket, postId, fetchClaims]);
+
+  const handleUpdated = (updatedClaim) => {
+    setClaims(prev => prev.map(claim => (
+      claim._id === updatedClaim._id ? { ...updatedClaim, claimant: claim.claimant } : claim
+    )));
+    if (onClaimUpdated) onClaimUpdated();
+  };
+
+  if (!loading && !error && claims.length === 0) return null;
+
+  return (
+    <section className="claims-panel">
+      <h2>Claims</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <p>Loading claims...</p>
+      ) : (
+        <ul className="claims-list">
+          {claims.map(claim => (
+            <li key={claim._id} className={`claim-item ${claim.status}`}>
+              <div className="claim-header">
+                <Link to={`/profile/${claim.claimant?._id}`}>
+                  <strong>{claim.claimant?.name}</strong>
+                </Link>
+                {claim.claimant?.trustScore > 0 && (
+                  <span className="text-muted">⭐ {claim.claimant.trustScore.toFixed(1)}</span>
+                )}
+                <span className={`claim-badge ${claim.status}`}>{CLAIM_STATUS_LABELS[claim.status]}</span>
+                <span className="text-muted claim-time">{timeSince(claim.createdAt)}</span>
+              </div>
+
+              {claim.answers.length > 0 && (
+                <dl className="claim-answers">
+                  {claim.answers.map(answer => (
+                    <React.Fragment key={answer.questionId || answer.attributeKey}>
+                      <dt>{answer.question}</dt>
+                      <dd>
+                        {answer.answer}
+                        <span className={`claim-match ${answer.isMatch ? 'match' : 'no-match'}`}>
+                          {answer.isMatch ? '✔ matches your answer' : '✘ differs from your answer'}
+                        </span>
+                      </dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              )}
+
+              {claim.message && <p className="claim-message">{claim.message}</p>}
+
+              <ClaimTimeline history={claim.history} />
+
+              {claim.chat && (
+                <Link to={`/chats/${claim.chat}`} className="text-primary">Open chat →</Link>
+              )}
+
+              <ClaimActions claim={claim} onUpdated={handleUpdated} />
+              {['approved', 'handed_over', 'disputed', 'confirmed'].includes(claim.status) && (
+                <RewardPanel claim={claim} role="owner" />
+              )}
+
+              {claim.status === 'confirmed' && claim.claimant && (
+                <RateUserForm postId={postId} ratedUser={claim.claimant} />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ClaimsReviewPanel;
@@ -0,0 +1,279 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  getMapConfig,
+  project,
+  unproject,
+  visibleTiles,
+  tileSrc,
+  TILE_SIZE
+} from '../../utils/geo';
+import './LocationPicker.css';
+
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 19;
+const MAP_HEIGHT = 300;
+// Pointer movement below this many pixels counts as a click, not a drag
+const DRAG_THRESHOLD = 4;
+
+// Tile map that pans by dragging and drops the pin on click
+const TileMap = ({ config, value, onPick, readOnly }) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [zoom, setZoom] = useState(config.zoom);
+  const [center, setCenter] = useState(() => project(value || config.center, config.zoom));
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver(entries => setWidth(entries[0].contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Bring a pin set from outside the map (e.g. "Use my location") into view
+  useEffect(() => {
+    if (!value || !width) return;
+
+    const point = project(value, zoom);
+    setCenter(current => (
+      Math.abs(point.x - current.x) > width / 2 || Math.abs(point.y - current.y) > MAP_HEIGHT / 2
+        ? point
+        : current
+    ));
+  }, [value, zoom, width]);
+
+  const origin = { x: center.x - width / 2, y: center.y - MAP_HEIGHT / 2 };
+  const pin = value && project(value, zoom);
+
+  const changeZoom = (delta) => {
+    const nextZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom + delta));
+    setCenter(project(unproject(center, zoom), nextZoom));
+    setZoom(nextZoom);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { startX: e.clientX, startY: e.clientY, center, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (Math.abs(dx) + Math.abs(dy) > DRAG_THRESHOLD) drag.moved = true;
+    if (drag.moved) setCenter({ x: drag.center.x - dx, y: drag.center.y - dy });
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || readOnly) return;
+
+    const rect = containerRef.current.getBoundingClientRect();
+    onPick(unproject({ x: origin.x + e.clientX - rect.left, y: origin.y + e.clientY - rect.top }, zoom));
+  };
+
+  return (
+    <div className="location-map-frame">
+      <div
+        ref={containerRef}
+        className={`location-map tiles ${readOnly ? 'read-only' : ''}`}
+        style={{ height: MAP_HEIGHT }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      >
+        {width > 0 && visibleTiles(origin, width, MAP_HEIGHT, zoom).map(tile => (
+          <img
+            key={`${tile.left},${tile.top}`}
+            src={tileSrc(config.tileUrl, tile, zoom)}
+            alt=""
+            draggable={false}
+            className="location-map-tile"
+            style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+          />
+        ))}
+        {pin && (
+          <span className="location-pin" style={{ left: pin.x - origin.x, top: pin.y - origin.y }}>📍</span>
+        )}
+        <div className="location-map-zoom" onPointerDown={(e) => e.stopPropagation()}>
+          <button type="button" onClick={() => changeZoom(1)} disabled={zoom >= MAX_ZOOM} aria-label="Zoom in">+</button>
+          <button type="button" onClick={() => changeZoom(-1)} disabled={zoom <= MIN_ZOOM} aria-label="Zoom out">−</button>
+        </div>
+      </div>
+      {config.attribution && <p className="location-map-attribution">{config.attribution}</p>}
+    </div>
+  );
+};
+
+// Static campus map image stretched between its north/west/south/east edges
+const ImageMap = ({ config, value, onPick, readOnly }) => {
+  const { north, west, south, east } = config.bounds;
+  const inBounds = value &&
+    value.latitude <= north && value.latitude >= south &&
+    value.longitude >= west && value.longitude <= east;
+
+  const handleClick = (e) => {
+    if (readOnly) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const xFraction = (e.clientX - rect.left) / rect.width;
+    const yFraction = (e.clientY - rect.top) / rect.height;
+
+    onPick({
+      latitude: north - yFraction * (north - south),
+      longitude: west + xFraction * (east - west)
+    });
+  };
+
+  return (
+    <div className={`location-map image ${readOnly ? 'read-only' : ''}`} onClick={handleClick}>
+      <img src={config.image} alt="Campus map" draggable={false} />
+      {inBounds && (
+        <span
+          className="location-pin"
+          style={{
+            left: `${(value.longitude - west) / (east - west) * 100}%`,
+            top: `${(north - value.latitude) / (north - south) * 100}%`
+          }}
+        >
+          📍
+        </span>
+      )}
+    </div>
+  );
+};
+
+// Latitude and longitude inputs, used when no map is configured. The pin
+// only changes once both values are valid.
+const CoordinateInputs = ({ value, onChange, disabled }) => {
+  const [draft, setDraft] = useState({ latitude: '', longitude: '' });
+
+  useEffect(() => {
+    setDraft({
+      latitude: value ? String(value.latitude) : '',
+      longitude: value ? String(value.longitude) : ''
+    });
+  }, [value]);
+
+  const handleBlur = () => {
+    if (draft.latitude === '' && draft.longitude === '') {
+      if (value) onChange(null);
+      return;
+    }
+
+    const latitude = Number(draft.latitude);
+    const longitude = Number(draft.longitude);
+    if (draft.latitude === '' || draft.longitude === '' || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return;
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+    if (latitude !== value?.latitude || longitude !== value?.longitude) {
+      onChange({ latitude, longitude });
+    }
+  };
+
+  return (
+    <div className="location-coordinates">
+      {['latitude', 'longitude'].map(field => (
+        <input
+          key={field}
+          type="number"
+          className="form-control"
+          placeholder={field === 'latitude' ? 'Latitude' : 'Longitude'}
+          aria-label={field === 'latitude' ? 'Latitude' : 'Longitude'}
+          step="any"
+          value={draft[field]}
+          onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+          onBlur={handleBlur}
+          disabled={disabled}
+        />
+      ))}
+    </div>
+  );
+};
+
+// Map pin picker for a post's location. `value` is { latitude, longitude }
+// or null. Falls back to coordinate inputs when no map is configured.
+const LocationPicker = ({ value, onChange, readOnly = false, disabled = false }) => {
+  const config = getMapConfig();
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handlePick = (point) => {
+    setError('');
+    onChange({
+      latitude: Number(point.latitude.toFixed(6)),
+      longitude: Number(point.longitude.toFixed(6))
+    });
+  };
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Your browser cannot share its location.');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        handlePick(position.coords);
+      },
+      () => {
+        setLocating(false);
+        setError('Could not get your location.');
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  if (readOnly && !value) return null;
+
+  return (
+    <div className="location-picker">
+      {config?.mode === 'tiles' && (
+        <TileMap config={config} value={value} onPick={handlePick} readOnly={readOnly || disabled} />
+      )}
+      {config?.mode === 'image' && (
+        <ImageMap config={config} value={value} onPick={handlePick} readOnly={readOnly || disabled} />
+      )}
+
+      {!config && !readOnly && (
+        <CoordinateInputs value={value} onChange={onChange} disabled={disabled} />
+      )}
+
+      <div className="location-picker-footer">
+        <span className="text-muted">
+          {value
+            ? `📍 ${value.latitude.toFixed(5)}, ${value.longitude.toFixed(5)}`
+            : config ? 'Click the map to drop a pin.' : 'No pin set.'}
+        </span>
+        {!readOnly && (
+          <span className="location-picker-actions">
+            <button
+              type="button"
+              className="btn btn-sm btn-outline"
+              onClick={handleUseMyLocation}
+              disabled={disabled || locating}
+            >
+              {locating ? 'Locating...' : 'Use my location'}
+            </button>
+            {value && (
+              <button type="button" className="btn btn-sm btn-outline" onClick={() => onChange(null)} disabled={disabled}>
+                Remove pin
+              </button>
+            )}
+          </span>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default LocationPicker;
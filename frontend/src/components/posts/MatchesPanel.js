@@ -0,0 +1,108 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { useSocket } from '../../context/SocketContext';
+import './MatchesPanel.css';
+
+const SIGNAL_LABELS = {
+  category: 'Category',
+  building: 'Location',
+  dateTime: 'Date',
+  color: 'Color',
+  brand: 'Brand',
+  text: 'Description',
+  details: 'Item details'
+};
+
+const MatchesPanel = ({ postId }) => {
+  const { socket } = useSocket();
+  const [matches, setMatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchMatches = useCallback(async () => {
+    try {
+      const response = await axios.get(`/posts/${postId}/matches`);
+      setMatches(response.data.matches || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load possible matches');
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    fetchMatches();
+  }, [fetchMatches]);
+
+  // Refresh when the matching engine finds something new for this post
+  useEffect(() => {
+    if (!socket) return;
+
+    const handlePossibleMatch = (data) => {
+      if (data.postId === postId) {
+        fetchMatches();
+      }
+    };
+
+    socket.on('possible_match', handlePossibleMatch);
+    return () => {
+      socket.off('possible_match', handlePossibleMatch);
+    };
+  }, [socket, postId, fetchMatches]);
+
+  const handleDismiss = async (matchId) => {
+    try {
+      await axios.put(`/posts/${postId}/matches/${matchId}/dismiss`);
+      setMatches(prev => prev.filter(match => match._id !== matchId));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to dismiss match');
+    }
+  };
+
+  return (
+    <section className="matches-panel">
+      <h2>Possible Matches</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <p>Looking for matches...</p>
+      ) : matches.length === 0 ? (
+        <p className="text-muted">
+          No possible matches yet. We'll notify you when a similar item is posted.
+        </p>
+      ) : (
+        <ul className="matches-list">
+          {matches.map(match => (
+            <li key={match._id} className="match-item">
+              <div className="match-score">{match.score}%</div>
+              <div className="match-details">
+                <Link to={`/posts/${match.post._id}`} className="match-title">
+                  {match.post.title}
+                </Link>
+                <p className="text-muted">
+                  {match.post.category} · {match.post.location?.building} ·{' '}
+                  {new Date(match.post.dateTime).toLocaleDateString()}
+                </p>
+                <div className="match-signals">
+                  {Object.entries(match.breakdown || {})
+                    .filter(([, points]) => points > 0)
+                    .map(([signal]) => (
+                      <span key={signal} className="match-signal">{SIGNAL_LABELS[signal]}</span>
+                    ))}
+                </div>
+              </div>
+              <button className="btn btn-sm btn-secondary" onClick={() => handleDismiss(match._id)}>
+                Not mine
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default MatchesPanel;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatCurrency, formatDistance, timeSince } from '../../utils/formatters';
+import './PostCard.css';
+
+const PostCard = ({ post }) => {
+  const image = post.images && post.images[0];
+
+  return (
+    <Link to={`/posts/${post._id}`} className={`post-card ${post.type}`}>
+      <div className="post-card-image">
+        {image ? (
+          <img src={image.thumbnailUrl || image.url} alt={post.title} loading="lazy" />
+        ) : (
+          <span className="post-card-placeholder">📦</span>
+        )}
+        <span className={`post-type ${post.type}`}>{post.type?.toUpperCase()}</span>
+        {post.priority === 'urgent' && <span className="post-card-urgent">Urgent</span>}
+      </div>
+
+      <div className="post-card-body">
+        <h3 className="post-card-title">{post.title}</h3>
+        <p className="post-card-meta">
+          {post.category} · {post.location?.building}
+          {typeof post.distance === 'number' && ` · ${formatDistance(post.distance)} away`}
+        </p>
+        <p className="post-card-meta text-muted">
+          {post.type === 'lost' ? 'Lost' : 'Found'} {timeSince(post.dateTime)}
+        </p>
+
+        {post.reward?.offered && (
+          <div className="post-card-reward">
+            🎁 Reward{post.reward.amount ? `: ${formatCurrency(post.reward.amount)}` : ''}
+          </div>
+        )}
+
+        <div className="post-card-footer">
+          <span className="post-card-user">{post.user?.name}</span>
+          {post.user?.trustScore > 0 && (
+            <span className="post-card-trust">⭐ {post.user.trustScore.toFixed(1)}</span>
+          )}
+        </div>
+      </div>
+    </Link>
+  );
+};
+
+// Placeholder card shown while posts are loading
+export const PostCardSkeleton = () => (
+  <div className="post-card skeleton" aria-hidden="true">
+    <div className="post-card-image skeleton-block"></div>
+    <div className="post-card-body">
+      <div className="skeleton-line wide"></div>
+      <div className="skeleton-line"></div>
+      <div className="skeleton-line short"></div>
+    </div>
+  </div>
+);
+
+export default PostCard;
@@ -1,7 +1,14 @@
-import React, { useState, useContext } from 'react';
+import React, { useState, useContext, useEffect, useRef } from 'react';
 import axios from 'axios';
 import './PostItem.css';
 import { useAuth } from '../../context/AuthContext';
+import useCategories from '../../hooks/useCategories';
+import { attributesOf, subCategoriesOf } from '../../utils/categories';
+import AttributeFields, { validateAttributes, serializeAttributes } from './AttributeFields';
+import VerificationQuestionsEditor, {
+  validateVerificationQuestions,
+  serializeVerificationQuestions
+} from './VerificationQuestionsEditor';
 
 const PostItem = () => {
   const { user } = useAuth();
@@ -14,24 +21,23 @@ const PostItem = () => {
     floor: '',
     room: '',
     area: '',
-    category: ''
+    category: '',
+    subCategory: ''
   });
+  const [photos, setPhotos] = useState([]); // [{ file, preview }]
+  const [verificationQuestions, setVerificationQuestions] = useState([]);
+  const [attributeValues, setAttributeValues] = useState({});
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const categories = [
-    'Electronics',
-    'Documents',
-    'Accessories',
-    'Books',
-    'Clothing',
-    'Bags',
-    'Keys',
-    'Jewelry',
-    'Sports Equipment',
-    'Other'
-  ];
+  const MAX_PHOTOS = 5;
+  const MAX_PHOTO_SIZE = 5 * 1024 * 1024; // 5MB
+  const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+  const { categories } = useCategories({ forPosting: true });
+  const subCategories = subCategoriesOf(categories, formData.category);
+  const attributes = attributesOf(categories, formData.category, formData.subCategory);
 
   const handlePostTypeSelect = (type) => {
     setPostType(type);
@@ -43,12 +49,71 @@ const PostItem = () => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Sub-categories belong to one category
+      ...(name === 'category' && { subCategory: '' })
     }));
     setError('');
     setSuccess('');
   };
 
+  // Release preview URLs when the component unmounts
+  const photosRef = useRef(photos);
+  photosRef.current = photos;
+
+  useEffect(() => {
+    return () => {
+      photosRef.current.forEach(photo => URL.revokeObjectURL(photo.preview));
+    };
+  }, []);
+
+  const handlePhotoSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    if (photos.length + files.length > MAX_PHOTOS) {
+      setError(`You can attach up to ${MAX_PHOTOS} photos.`);
+      return;
+    }
+
+    const invalidFile = files.find(file => !PHOTO_TYPES.includes(file.type) || file.size > MAX_PHOTO_SIZE);
+    if (invalidFile) {
+      setError(`${invalidFile.name} must be a JPEG, PNG or WebP image under 5MB.`);
+      return;
+    }
+
+    setPhotos(prev => [
+      ...prev,
+      ...files.map(file => ({ file, preview: URL.createObjectURL(file) }))
+    ]);
+    setError('');
+  };
+
+  const handlePhotoRemove = (index) => {
+    setPhotos(prev => {
+      URL.revokeObjectURL(prev[index].preview);
+      return prev.filter((_, i) => i !== index);
+    });
+  };
+
+  // Upload selected photos and return them in the shape Post.images expects
+  const uploadPhotos = async () => {
+    if (photos.length === 0) return [];
+
+    const data = new FormData();
+    photos.forEach(photo => data.append('files', photo.file));
+
+    const response = await axios.post('/uploads?purpose=post', data, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+
+    return response.data.files.map(({ url, publicId, thumbnailUrl }) => ({
+      url,
+      publicId,
+      thumbnailUrl
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -63,24 +128,44 @@ const PostItem = () => {
       return;
     }
 
+    const attributeError = validateAttributes(attributes, attributeValues);
+    if (attributeError) {
+      setError(attributeError);
+      return;
+    }
+
+    const questionError = postType === 'found' ? validateVerificationQuestions(verificationQuestions) : '';
+    if (questionError) {
+      setError(questionError);
+      return;
+    }
+
     setIsSubmitting(true);
     setError('');
     setSuccess('');
 
     try {
+      const images = await uploadPhotos();
+
       const postPayload = {
         user: user._id,
         type: postType,
         title: formData.title.trim(),
         description: formData.description.trim(),
         category: formData.category,
+        ...(formData.subCategory && { subCategory: formData.subCategory }),
+        attributes: serializeAttributes(attributes, attributeValues),
         location: {
           building: formData.building.trim(),
           floor: formData.floor.trim(),
           room: formData.room.trim(),
           area: formData.area.trim()
         },
-        dateTime: formData.date ? new Date(formData.date) : new Date()
+        dateTime: formData.date ? new Date(formData.date) : new Date(),
+        images,
+        ...(postType === 'found' && {
+          verificationQuestions: serializeVerificationQuestions(verificationQuestions)
+        })
       };
 
       // Assuming backend API endpoint for posts is /posts
@@ -96,9 +181,14 @@ const PostItem = () => {
           floor: '',
           room: '',
           area: '',
-          category: ''
+          category: '',
+          subCategory: ''
         });
         setPostType(null);
+        photos.forEach(photo => URL.revokeObjectURL(photo.preview));
+        setPhotos([]);
+        setVerificationQuestions([]);
+        setAttributeValues({});
         // Redirect to dashboard after successful post
         window.location.href = '/dashboard';
       } else {
@@ -168,11 +258,39 @@ const PostItem = () => {
           >
             <option value="">Select category</option>
             {categories.map(cat => (
-              <option key={cat} value={cat}>{cat}</option>
+              <option key={cat._id} value={cat.name}>
+                {cat.icon ? `${cat.icon} ${cat.name}` : cat.name}
+              </option>
             ))}
           </select>
         </div>
 
+        {subCategories.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="subCategory">Type of item</label>
+            <select
+              id="subCategory"
+              name="subCategory"
+              value={formData.subCategory}
+              onChange={handleChange}
+            >
+              <option value="">Not sure / other</option>
+              {subCategories.map(sub => (
+                <option key={sub._id} value={sub.name}>
+                  {sub.icon ? `${sub.icon} ${sub.name}` : sub.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <AttributeFields
+          attributes={attributes}
+          values={attributeValues}
+          onChange={setAttributeValues}
+          disabled={isSubmitting}
+        />
+
         <div className="form-group">
           <label htmlFor="building">Building/Location <span className="required">*</span></label>
           <input
@@ -234,6 +352,50 @@ const PostItem = () => {
           />
         </div>
 
+        <div className="form-group">
+          <label htmlFor="photos">Photos</label>
+          <input
+            type="file"
+            id="photos"
+            name="photos"
+            accept={PHOTO_TYPES.join(',')}
+            multiple
+            onChange={handlePhotoSelect}
+            disabled={photos.length >= MAX_PHOTOS}
+          />
+          <small className="text-muted">
+            Up to {MAX_PHOTOS} photos. Location data is removed from photos on upload.
+          </small>
+          {photos.length > 0 && (
+            <div className="photo-previews">
+              {photos.map((photo, index) => (
+                <div key={photo.preview} className="photo-preview">
+                  <img src={photo.preview} alt={`Preview ${index + 1}`} />
+                  <button
+                    type="button"
+                    className="photo-remove-btn"
+                    onClick={() => handlePhotoRemove(index)}
+                    aria-label="Remove photo"
+                  >
+                    &times;
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {postType === 'found' && (
+          <div className="form-group">
+            <label>Ownership questions</label>
+            <VerificationQuestionsEditor
+              questions={verificationQuestions}
+              onChange={setVerificationQuestions}
+              disabled={isSubmitting}
+            />
+          </div>
+        )}
+
         <div className="form-actions">
           <button type="submit" disabled={isSubmitting}>
             {isSubmitting ? 'Posting...' : 'Post'}
@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { formatCurrency, timeSince } from '../../utils/formatters';
+import './RevisionHistory.css';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  category: 'Category',
+  subCategory: 'Sub-category',
+  dateTime: 'Date',
+  'timeRange.start': 'Time from',
+  'timeRange.end': 'Time to',
+  'location.building': 'Building',
+  'location.floor': 'Floor',
+  'location.room': 'Room',
+  'location.area': 'Area',
+  'location.coordinates': 'Map pin',
+  color: 'Color',
+  brand: 'Brand',
+  model: 'Model',
+  size: 'Size',
+  condition: 'Condition',
+  priority: 'Priority',
+  'reward.offered': 'Reward offered',
+  'reward.amount': 'Reward amount',
+  'reward.description': 'Reward details',
+  'contactInfo.email': 'Show email',
+  'contactInfo.phone': 'Show phone',
+  'contactInfo.preferredMethod': 'Preferred contact',
+  images: 'Photos'
+};
+
+// Render a stored revision value for display
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return '—';
+  if (field === 'images') return `${value.length} ${value.length === 1 ? 'photo' : 'photos'}`;
+  if (field === 'dateTime') return new Date(value).toLocaleString();
+  if (field === 'reward.amount') return formatCurrency(value);
+  if (field === 'location.coordinates') return `${value.coordinates[1].toFixed(5)}, ${value.coordinates[0].toFixed(5)}`;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const RevisionHistory = ({ postId }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        const response = await axios.get(`/posts/${postId}/revisions`);
+        setRevisions(response.data.revisions || []);
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load edit history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [postId]);
+
+  // Nothing to show for posts that were never edited
+  if (!loading && !error && revisions.length === 0) return null;
+
+  return (
+    <section className="revision-history">
+      <h2>Edit History</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <p>Loading edit history...</p>
+      ) : (
+        <ol className="revision-list">
+          {revisions.map(revision => (
+            <li key={revision._id} className="revision-item">
+              <p className="text-muted">
+                Edited by {revision.editor?.name || 'Unknown user'} {timeSince(revision.createdAt)} · {new Date(revision.createdAt).toLocaleString()}
+              </p>
+              <ul className="revision-changes">
+                {revision.changes.map(change => (
+                  <li key={change.field}>
+                    <strong>{FIELD_LABELS[change.field] || change.field.replace(/^attributes\./, 'Detail: ')}</strong>
+                    <div className="revision-diff">
+                      <span className="revision-from">{formatValue(change.field, change.from)}</span>
+                      <span className="revision-arrow">→</span>
+                      <span className="revision-to">{formatValue(change.field, change.to)}</span>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+};
+
+export default RevisionHistory;
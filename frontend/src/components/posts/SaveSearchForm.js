@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { describeFilters, FREQUENCY_LABELS } from '../../utils/savedSearches';
+import './SavedSearches.css';
+
+// "Save this search" control for the browse page. Subscribes the user to
+// new posts matching the given filters; key it by the filters so a new
+// search starts fresh.
+const SaveSearchForm = ({ filters }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState(() => describeFilters(filters));
+  const [frequency, setFrequency] = useState('immediate');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+
+    try {
+      await axios.post('/saved-searches', { name: name.trim(), filters, frequency });
+      setSaved(true);
+      setIsOpen(false);
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save search');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (saved) {
+    return (
+      <p className="save-search-done">
+        ✓ Search saved. <Link to="/dashboard">Manage saved searches</Link>
+      </p>
+    );
+  }
+
+  if (!isOpen) {
+    return (
+      <button type="button" className="btn btn-sm btn-outline btn-block" onClick={() => setIsOpen(true)}>
+        🔎 Save this search
+      </button>
+    );
+  }
+
+  return (
+    <form className="save-search-form" onSubmit={handleSubmit}>
+      <div className="form-group">
+        <label htmlFor="savedSearchName">Name</label>
+        <input
+          id="savedSearchName"
+          type="text"
+          className="form-control"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={60}
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="savedSearchFrequency">Alert me</label>
+        <select
+          id="savedSearchFrequency"
+          className="form-control"
+          value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+        >
+          {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="save-search-actions">
+        <button type="submit" className="btn btn-sm btn-primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="btn btn-sm btn-outline" onClick={() => setIsOpen(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SaveSearchForm;
@@ -0,0 +1,106 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { describeFilters, FREQUENCY_LABELS, savedSearchLink } from '../../utils/savedSearches';
+import './SavedSearches.css';
+
+// The current user's saved searches with alert frequency, pause and delete
+const SavedSearchList = () => {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchSavedSearches = async () => {
+      try {
+        const response = await axios.get('/saved-searches');
+        setSavedSearches(response.data.savedSearches);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load saved searches');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSavedSearches();
+  }, []);
+
+  const handleUpdate = async (savedSearch, changes) => {
+    setError('');
+    try {
+      const response = await axios.put(`/saved-searches/${savedSearch._id}`, changes);
+      setSavedSearches(prev => prev.map(item => (
+        item._id === savedSearch._id ? response.data.savedSearch : item
+      )));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update saved search');
+    }
+  };
+
+  const handleDelete = async (savedSearch) => {
+    if (!window.confirm(`Delete the saved search "${savedSearch.name}"?`)) return;
+
+    setError('');
+    try {
+      await axios.delete(`/saved-searches/${savedSearch._id}`);
+      setSavedSearches(prev => prev.filter(item => item._id !== savedSearch._id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete saved search');
+    }
+  };
+
+  return (
+    <section className="saved-searches">
+      <h2>Saved searches</h2>
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <p className="text-muted">Loading saved searches...</p>
+      ) : savedSearches.length === 0 ? (
+        <p className="text-muted">
+          No saved searches yet. Filter the <Link to="/posts">browse page</Link> and save the search to get alerts for new posts.
+        </p>
+      ) : (
+        <ul className="saved-search-list">
+          {savedSearches.map(savedSearch => (
+            <li key={savedSearch._id} className={savedSearch.isActive ? '' : 'paused'}>
+              <div className="saved-search-info">
+                <Link to={savedSearchLink(savedSearch.filters)} className="saved-search-name">
+                  {savedSearch.name}
+                </Link>
+                <span className="text-muted">
+                  {describeFilters(savedSearch.filters)}
+                  {!savedSearch.isActive && ' · paused'}
+                </span>
+              </div>
+              <div className="saved-search-controls">
+                <select
+                  className="form-control"
+                  aria-label={`Alert frequency for ${savedSearch.name}`}
+                  value={savedSearch.frequency}
+                  onChange={(e) => handleUpdate(savedSearch, { frequency: e.target.value })}
+                >
+                  {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-outline"
+                  onClick={() => handleUpdate(savedSearch, { isActive: !savedSearch.isActive })}
+                >
+                  {savedSearch.isActive ? 'Pause' : 'Resume'}
+                </button>
+                <button type="button" className="btn btn-sm btn-outline" onClick={() => handleDelete(savedSearch)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default SavedSearchList;
@@ -0,0 +1,91 @@
+import React from 'react';
+import './VerificationQuestionsEditor.css';
+
+export const MAX_VERIFICATION_QUESTIONS = 5;
+
+// Editor for a found post's private ownership questions. Saved questions
+// come back from the API without answers, so their answer can be left
+// blank to keep the stored one.
+const VerificationQuestionsEditor = ({ questions, onChange, disabled = false }) => {
+  const updateQuestion = (index, field, value) => {
+    onChange(questions.map((question, i) => (i === index ? { ...question, [field]: value } : question)));
+  };
+
+  const addQuestion = () => {
+    onChange([...questions, { question: '', answer: '' }]);
+  };
+
+  const removeQuestion = (index) => {
+    onChange(questions.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="verification-editor">
+      <p className="text-muted">
+        Ask something only the real owner would know, like a sticker, scratch or what is inside.
+        Answers are never shown to anyone; claimants must answer these before you review their claim.
+      </p>
+
+      {questions.map((question, index) => (
+        <div key={question._id || index} className="verification-question">
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Question, e.g. What is the lock screen wallpaper?"
+            value={question.question}
+            onChange={(e) => updateQuestion(index, 'question', e.target.value)}
+            maxLength={200}
+            disabled={disabled}
+          />
+          <input
+            type="text"
+            className="form-control"
+            placeholder={question._id ? 'Answer (leave blank to keep current)' : 'Answer'}
+            value={question.answer || ''}
+            onChange={(e) => updateQuestion(index, 'answer', e.target.value)}
+            maxLength={100}
+            disabled={disabled}
+          />
+          <button
+            type="button"
+            className="verification-remove"
+            onClick={() => removeQuestion(index)}
+            aria-label="Remove question"
+            disabled={disabled}
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+
+      {questions.length < MAX_VERIFICATION_QUESTIONS && (
+        <button type="button" className="btn btn-sm btn-outline" onClick={addQuestion} disabled={disabled}>
+          + Add question
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Check the questions before submitting; returns an error message or ''
+export const validateVerificationQuestions = (questions) => {
+  for (const question of questions) {
+    const text = question.question.trim();
+    if (text.length < 5) {
+      return 'Each verification question must be at least 5 characters';
+    }
+    if (!question._id && !(question.answer || '').trim()) {
+      return 'Each new verification question needs an answer';
+    }
+  }
+  return '';
+};
+
+// Shape the questions for the API, dropping blank answers on saved questions
+export const serializeVerificationQuestions = (questions) => questions.map(({ _id, question, answer }) => ({
+  ...(_id && { _id }),
+  question: question.trim(),
+  ...((answer || '').trim() && { answer: answer.trim() })
+}));
+
+export default VerificationQuestionsEditor;
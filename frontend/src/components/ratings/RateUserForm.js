@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import './RateUserForm.css';
+
+// Rate the other party once an item has been handed back
+const RateUserForm = ({ postId, ratedUser, transactionType = 'item_returned' }) => {
+  const [rating, setRating] = useState(0);
+  const [review, setReview] = useState('');
+  const [isPublic, setIsPublic] = useState(true);
+  const [error, setError] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!rating) {
+      setError('Please choose a rating');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      await axios.post('/ratings', {
+        ratedUserId: ratedUser._id,
+        postId,
+        rating,
+        review: review.trim(),
+        transactionType,
+        isPublic
+      });
+      setSubmitted(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to submit rating');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (submitted) {
+    return <p className="text-success">✔ Thanks for rating {ratedUser.name}</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="rate-user-form">
+      <label>Rate {ratedUser.name}</label>
+      <div className="rate-user-stars" role="radiogroup" aria-label="Rating">
+        {[1, 2, 3, 4, 5].map(value => (
+          <button
+            key={value}
+            type="button"
+            role="radio"
+            aria-checked={rating === value}
+            aria-label={`${value} star${value === 1 ? '' : 's'}`}
+            className={value <= rating ? 'active' : ''}
+            onClick={() => setRating(value)}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+      <textarea
+        className="form-control"
+        rows="2"
+        maxLength={500}
+        placeholder="How did it go? (optional)"
+        value={review}
+        onChange={(e) => setReview(e.target.value)}
+        disabled={isSubmitting}
+      />
+      <label className="rate-user-public">
+        <input type="checkbox" checked={isPublic} onChange={(e) => setIsPublic(e.target.checked)} />
+        Show on their profile
+      </label>
+      {error && <div className="error-message">{error}</div>}
+      <button type="submit" className="btn btn-primary btn-sm" disabled={isSubmitting}>
+        {isSubmitting ? 'Submitting...' : 'Submit rating'}
+      </button>
+    </form>
+  );
+};
+
+export default RateUserForm;
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { formatCurrency, timeSince } from '../../utils/formatters';
+import './Rewards.css';
+
+const ENTRY_LABELS = {
+  reward_paid: 'Paid to',
+  reward_received: 'Received from'
+};
+
+// The current user's rewards: totals, rewards still held and every payment
+const RewardHistory = () => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    axios.get('/rewards/ledger')
+      .then(response => {
+        if (!cancelled) setHistory(response.data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error || 'Failed to load reward history');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) return <div className="error-message">{error}</div>;
+  if (!history) return <p>Loading rewards...</p>;
+
+  const { totals, pending, entries } = history;
+
+  if (entries.length === 0 && pending.length === 0) {
+    return <p className="text-muted">No rewards paid or received yet.</p>;
+  }
+
+  return (
+    <div className="reward-history">
+      <div className="reward-totals">
+        <div>
+          <strong>{formatCurrency(totals.received)}</strong>
+          <span className="text-muted">received ({totals.receivedCount})</span>
+        </div>
+        <div>
+          <strong>{formatCurrency(totals.paid)}</strong>
+          <span className="text-muted">paid ({totals.paidCount})</span>
+        </div>
+      </div>
+
+      {pending.length > 0 && (
+        <>
+          <h3>Held until handover</h3>
+          <ul className="reward-entries">
+            {pending.map(reward => (
+              <li key={reward._id}>
+                <span>
+                  {reward.post ? <Link to={`/posts/${reward.post._id}`}>{reward.post.title}</Link> : 'Deleted post'}
+                  <span className="text-muted"> · committed {timeSince(reward.createdAt)}</span>
+                </span>
+                <span className="reward-amount">{formatCurrency(reward.amount)}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {entries.length > 0 && (
+        <>
+          <h3>Payments</h3>
+          <ul className="reward-entries">
+            {entries.map(entry => (
+              <li key={entry._id}>
+                <span>
+                  {ENTRY_LABELS[entry.type]}{' '}
+                  {entry.counterparty ? (
+                    <Link to={`/profile/${entry.counterparty._id}`}>{entry.counterparty.name}</Link>
+                  ) : 'a former user'}
+                  {entry.post && <> · <Link to={`/posts/${entry.post._id}`}>{entry.post.title}</Link></>}
+                  <span className="text-muted"> · {timeSince(entry.createdAt)}</span>
+                </span>
+                <span className={`reward-amount ${entry.amount < 0 ? 'outgoing' : 'incoming'}`}>
+                  {entry.amount < 0 ? '−' : '+'}{formatCurrency(Math.abs(entry.amount))}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RewardHistory;
@@ -0,0 +1,224 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
+import { useSocket } from '../../context/SocketContext';
+import { formatCurrency, timeSince } from '../../utils/formatters';
+import './Rewards.css';
+
+// Claim statuses in which the claimant can still commit a reward
+const COMMIT_STATUSES = ['approved', 'handed_over'];
+
+// Reward on a claim: the claimant commits one once the claim is approved,
+// then both parties confirm the handover before it is paid to the finder.
+// role is the current user's role in the claim ('owner' or 'claimant').
+const RewardPanel = ({ claim, role }) => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [reward, setReward] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [lostPosts, setLostPosts] = useState([]);
+  const [lostPostId, setLostPostId] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isPayer = role === 'claimant';
+
+  const fetchReward = useCallback(async () => {
+    try {
+      const response = await axios.get(`/rewards/claim/${claim._id}`);
+      setReward(response.data.reward);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load reward');
+    } finally {
+      setLoading(false);
+    }
+  }, [claim._id]);
+
+  // The claim's status decides what can be done, and settling happens
+  // after a claim update
+  useEffect(() => {
+    fetchReward();
+  }, [fetchReward, claim.status]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleRewardUpdated = (data) => {
+      if (data.claimId === claim._id) fetchReward();
+    };
+
+    socket.on('reward_updated', handleRewardUpdated);
+    return () => {
+      socket.off('reward_updated', handleRewardUpdated);
+    };
+  }, [socket, claim._id, fetchReward]);
+
+  // The claimant's lost posts with a reward offered, to pay that reward
+  useEffect(() => {
+    if (!showForm || !user) return;
+
+    axios.get(`/posts/user/${user._id}?type=lost`)
+      .then(response => setLostPosts(response.data.posts.filter(post => post.reward?.offered)))
+      .catch(() => null); // The amount can still be entered by hand
+  }, [showForm, user]);
+
+  const handleLostPostChange = (e) => {
+    const post = lostPosts.find(lostPost => lostPost._id === e.target.value);
+    setLostPostId(e.target.value);
+    if (post?.reward?.amount) setAmount(String(post.reward.amount));
+  };
+
+  const handleCommit = async (e) => {
+    e.preventDefault();
+
+    if (!Number.isInteger(Number(amount)) || Number(amount) < 1) {
+      setError('Enter a whole amount of at least 1');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/rewards', {
+        claimId: claim._id,
+        amount: Number(amount),
+        lostPostId: lostPostId || null
+      });
+      setReward(response.data.reward);
+      setShowForm(false);
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to commit reward');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAction = async (action) => {
+    if (action === 'cancel' && !window.confirm('Cancel the reward? The amount will be released back to you.')) return;
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`/rewards/${reward._id}/${action}`);
+      setReward(response.data.reward);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update reward');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loading) return null;
+
+  if (!reward) {
+    if (!isPayer || !COMMIT_STATUSES.includes(claim.status)) return null;
+
+    if (!showForm) {
+      return (
+        <div className="reward-panel">
+          <button className="btn btn-sm btn-outline" onClick={() => setShowForm(true)}>
+            🎁 Offer a reward
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <form className="reward-panel reward-form" onSubmit={handleCommit}>
+        <p className="text-muted">
+          The reward is held now and paid to the finder once you both confirm the handover.
+          It is released back to you if the claim is closed.
+        </p>
+        {error && <div className="error-message">{error}</div>}
+        {lostPosts.length > 0 && (
+          <div className="form-group">
+            <label htmlFor={`reward-post-${claim._id}`}>Pay the reward offered on</label>
+            <select
+              id={`reward-post-${claim._id}`}
+              className="form-control"
+              value={lostPostId}
+              onChange={handleLostPostChange}
+              disabled={isSubmitting}
+            >
+              <option value="">None of my posts</option>
+              {lostPosts.map(post => (
+                <option key={post._id} value={post._id}>{post.title}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor={`reward-amount-${claim._id}`}>Amount</label>
+          <input
+            type="number"
+            id={`reward-amount-${claim._id}`}
+            className="form-control"
+            min="1"
+            step="1"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            disabled={isSubmitting}
+          />
+        </div>
+        <button type="submit" className="btn btn-primary btn-sm" disabled={isSubmitting}>
+          {isSubmitting ? 'Committing...' : 'Commit reward'}
+        </button>{' '}
+        <button type="button" className="btn btn-outline btn-sm" onClick={() => setShowForm(false)}>
+          Cancel
+        </button>
+      </form>
+    );
+  }
+
+  const ownConfirmedAt = isPayer ? reward.payerConfirmedAt : reward.payeeConfirmedAt;
+  const otherConfirmedAt = isPayer ? reward.payeeConfirmedAt : reward.payerConfirmedAt;
+  const otherParty = isPayer ? 'the finder' : 'the owner';
+
+  return (
+    <div className={`reward-panel reward-status ${reward.status}`}>
+      {reward.status === 'paid' ? (
+        <strong>🎁 {formatCurrency(reward.amount)} reward paid {timeSince(reward.paidAt)}</strong>
+      ) : reward.status === 'refunded' ? (
+        <strong>🎁 {formatCurrency(reward.amount)} reward released back to the owner</strong>
+      ) : (
+        <>
+          <strong>
+            🎁 {formatCurrency(reward.amount)} reward {isPayer ? 'held for the finder' : 'waiting for you'}
+          </strong>
+          <p className="text-muted">
+            {ownConfirmedAt ? 'You confirmed the handover' : 'You have not confirmed the handover yet'}
+            {' · '}
+            {otherConfirmedAt ? `${otherParty} confirmed` : `waiting for ${otherParty}`}
+          </p>
+          {reward.lastPayoutError && (
+            <div className="error-message">The payment didn't go through. It is retried automatically, or you can retry now.</div>
+          )}
+          {error && <div className="error-message">{error}</div>}
+          <div className="reward-actions">
+            {reward.lastPayoutError && reward.payerConfirmedAt && reward.payeeConfirmedAt && claim.status === 'confirmed' && (
+              <button className="btn btn-primary btn-sm" onClick={() => handleAction('retry')} disabled={isSubmitting}>
+                Retry payment
+              </button>
+            )}
+            {!ownConfirmedAt && ['handed_over', 'confirmed'].includes(claim.status) && (
+              <button className="btn btn-primary btn-sm" onClick={() => handleAction('confirm')} disabled={isSubmitting}>
+                Confirm handover
+              </button>
+            )}
+            {isPayer && claim.status === 'approved' && (
+              <button className="btn btn-outline btn-sm" onClick={() => handleAction('cancel')} disabled={isSubmitting}>
+                Cancel reward
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RewardPanel;
@@ -7,6 +7,32 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
 // Configure axios defaults
 axios.defaults.baseURL = API_BASE_URL;
 
+// Requests that must never trigger a token refresh
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// Shared in-flight refresh so parallel 401s only rotate the token once
+let refreshPromise = null;
+
+// How long to wait for another tab's refresh to land in storage before
+// treating a rejected refresh token as an expired session
+const OTHER_TAB_REFRESH_WAIT_MS = 1000;
+
+// Tabs share the refresh token, so one tab's refresh can be rejected because
+// another tab just rotated it. Returns that tab's new tokens, or null when
+// the stored token is still the rejected one.
+const tokensFromOtherTab = async (rejectedToken) => {
+  for (const delay of [0, OTHER_TAB_REFRESH_WAIT_MS]) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken && refreshToken !== rejectedToken) {
+      return { token: localStorage.getItem('token'), refreshToken };
+    }
+  }
+
+  return null;
+};
+
 // Auth states
 const AuthContext = createContext();
 
@@ -27,6 +53,7 @@ const AUTH_ACTIONS = {
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAIL: 'LOGIN_FAIL',
   LOGOUT: 'LOGOUT',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED',
   CLEAR_ERRORS: 'CLEAR_ERRORS',
   SET_LOADING: 'SET_LOADING'
 };
@@ -52,6 +79,7 @@ const authReducer = (state, action) => {
     case AUTH_ACTIONS.AUTH_SUCCESS:
     case AUTH_ACTIONS.LOGIN_SUCCESS:
       localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refreshToken);
       return {
         ...state,
         token: action.payload.token,
@@ -61,10 +89,19 @@ const authReducer = (state, action) => {
         error: null
       };
 
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refreshToken);
+      return {
+        ...state,
+        token: action.payload.token
+      };
+
     case AUTH_ACTIONS.AUTH_ERROR:
     case AUTH_ACTIONS.LOGIN_FAIL:
     case AUTH_ACTIONS.LOGOUT:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         token: null,
@@ -167,9 +204,28 @@ export const AuthProvider = ({ children }) => {
 
   // Logout
   const logout = () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    // Revoke the session server-side; the local logout doesn't wait for it
+    if (refreshToken) {
+      axios.post('/auth/logout', { refreshToken }).catch(() => null);
+    }
+
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
   };
 
+  // Log out of every device, including this one
+  const logoutAll = async () => {
+    try {
+      await axios.post('/auth/logout-all');
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to log out of all devices';
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Update profile
   const updateProfile = async (profileData) => {
     try {
@@ -190,11 +246,18 @@ export const AuthProvider = ({ children }) => {
   // Change password
   const changePassword = async (currentPassword, newPassword) => {
     try {
-      await axios.put('/auth/password', {
+      const res = await axios.put('/auth/password', {
         currentPassword,
         newPassword
       });
 
+      // All other sessions were revoked; keep this device signed in
+      setAuthToken(res.data.token);
+      dispatch({
+        type: AUTH_ACTIONS.TOKEN_REFRESHED,
+        payload: res.data
+      });
+
       return { success: true };
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Password change failed';
@@ -202,6 +265,55 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Verify email address with the token from the verification email
+  const verifyEmail = async (token) => {
+    try {
+      const res = await axios.post('/auth/verify-email', { token });
+
+      if (state.token) {
+        await loadUser();
+      }
+
+      return { success: true, message: res.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Email verification failed';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Resend the verification email
+  const resendVerification = async () => {
+    try {
+      const res = await axios.post('/auth/resend-verification');
+      return { success: true, message: res.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to send verification email';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Request a password reset email
+  const forgotPassword = async (email) => {
+    try {
+      const res = await axios.post('/auth/forgot-password', { email });
+      return { success: true, message: res.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to request password reset';
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Reset password with the token from the reset email
+  const resetPassword = async (token, password) => {
+    try {
+      const res = await axios.post('/auth/reset-password', { token, password });
+      return { success: true, message: res.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Password reset failed';
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Get user statistics
   const getUserStats = async () => {
     try {
@@ -218,6 +330,75 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERRORS });
   };
 
+  // Refresh expired access tokens transparently and retry the request
+  useEffect(() => {
+    // Exchange the stored refresh token for a new token pair
+    const refreshTokens = () => {
+      if (!refreshPromise) {
+        // Read from storage so other tabs' rotations are picked up
+        const refreshToken = localStorage.getItem('refreshToken');
+
+        refreshPromise = (refreshToken
+          ? axios.post('/auth/refresh', { refreshToken })
+            .then(res => res.data)
+            .catch(async (refreshError) => {
+              const tokens = await tokensFromOtherTab(refreshToken);
+              if (!tokens) throw refreshError;
+              return tokens;
+            })
+          : Promise.reject(new Error('No refresh token'))
+        )
+          .then(({ token, refreshToken: newRefreshToken }) => {
+            axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+            dispatch({
+              type: AUTH_ACTIONS.TOKEN_REFRESHED,
+              payload: { token, refreshToken: newRefreshToken }
+            });
+            return token;
+          })
+          .finally(() => {
+            refreshPromise = null;
+          });
+      }
+
+      return refreshPromise;
+    };
+
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const originalRequest = error.config;
+
+        if (
+          error.response?.status !== 401 ||
+          !originalRequest ||
+          originalRequest._retried ||
+          NO_REFRESH_URLS.includes(originalRequest.url)
+        ) {
+          return Promise.reject(error);
+        }
+
+        originalRequest._retried = true;
+
+        try {
+          const token = await refreshTokens();
+          originalRequest.headers['Authorization'] = `Bearer ${token}`;
+          return axios(originalRequest);
+        } catch (refreshError) {
+          dispatch({
+            type: AUTH_ACTIONS.LOGOUT,
+            payload: 'Your session has expired. Please log in again.'
+          });
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => {
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, []);
+
   // Load user when token changes and user not loaded yet
   useEffect(() => {
     if (state.token && !state.user && state.loading) {
@@ -241,9 +422,14 @@ export const AuthProvider = ({ children }) => {
     register,
     login,
     logout,
+    logoutAll,
     loadUser,
     updateProfile,
     changePassword,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
     getUserStats,
     clearErrors
   };
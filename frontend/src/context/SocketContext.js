@@ -0,0 +1,81 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { io } from 'socket.io-client';
+import { useAuth } from './AuthContext';
+
+// Socket server URL (the API URL without the /api suffix)
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL ||
+  (process.env.REACT_APP_API_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '');
+
+const SocketContext = createContext();
+
+// Socket Provider Component
+export const SocketProvider = ({ children }) => {
+  const { token, isAuthenticated } = useAuth();
+  const [socket, setSocket] = useState(null);
+  const [connected, setConnected] = useState(false);
+
+  // Connect once the user is authenticated and disconnect on logout
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setSocket(null);
+      setConnected(false);
+      return;
+    }
+
+    // Access tokens rotate, so read the latest one on every (re)connect
+    const newSocket = io(SOCKET_URL, {
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
+      withCredentials: true
+    });
+
+    newSocket.on('connect', () => setConnected(true));
+    newSocket.on('disconnect', (reason) => {
+      setConnected(false);
+
+      // The server drops sockets when sessions are revoked (e.g. after a
+      // password change); reconnect once in case this device got new tokens
+      if (reason === 'io server disconnect') {
+        newSocket.connect();
+      }
+    });
+    newSocket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+      setConnected(false);
+    });
+
+    setSocket(newSocket);
+
+    return () => {
+      newSocket.disconnect();
+    };
+  }, [isAuthenticated]);
+
+  // A refreshed token can revive a socket whose handshake was rejected
+  useEffect(() => {
+    if (socket && token && !socket.connected) {
+      socket.connect();
+    }
+  }, [socket, token]);
+
+  const value = {
+    socket,
+    connected
+  };
+
+  return (
+    <SocketContext.Provider value={value}>
+      {children}
+    </SocketContext.Provider>
+  );
+};
+
+// Custom hook to use socket context
+export const useSocket = () => {
+  const context = useContext(SocketContext);
+  if (!context) {
+    throw new Error('useSocket must be used within a SocketProvider');
+  }
+  return context;
+};
+
+export default SocketContext;
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Category tree from the server: top-level categories with their
+// sub-categories under `children`. forPosting limits it to the categories
+// the user's organization posts under.
+const useCategories = ({ forPosting = false } = {}) => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    axios.get(`/categories${forPosting ? '?forPosting=true' : ''}`)
+      .then(response => {
+        if (!cancelled) setCategories(response.data.categories);
+      })
+      .catch(err => console.error('Failed to load categories:', err))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [forPosting]);
+
+  return { categories, loading };
+};
+
+export default useCategories;
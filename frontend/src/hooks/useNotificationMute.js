@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+
+// Whether the current user muted notifications about a chat or post,
+// with a toggle. targetType is 'chat' or 'post'.
+const useNotificationMute = (targetType, targetId) => {
+  const [muted, setMuted] = useState(false);
+
+  useEffect(() => {
+    if (!targetId) return;
+
+    let cancelled = false;
+    const listField = targetType === 'chat' ? 'mutedChats' : 'mutedPosts';
+
+    axios.get('/notifications/preferences')
+      .then(response => {
+        if (cancelled) return;
+        const ids = response.data.preferences[listField].map(item => item?._id || item);
+        setMuted(ids.includes(targetId));
+      })
+      .catch(err => console.error('Failed to load notification preferences:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [targetType, targetId]);
+
+  const toggleMute = useCallback(async () => {
+    try {
+      await axios.put('/notifications/preferences/mute', { targetType, targetId, muted: !muted });
+      setMuted(!muted);
+    } catch (err) {
+      console.error('Failed to update muted notifications:', err);
+    }
+  }, [targetType, targetId, muted]);
+
+  return { muted, toggleMute };
+};
+
+export default useNotificationMute;
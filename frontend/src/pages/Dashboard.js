@@ -2,35 +2,21 @@ import React, { useEffect, useState } from 'react';
 import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import { Link } from 'react-router-dom';
+import { timeSince } from '../utils/formatters';
+import SavedSearchList from '../components/posts/SavedSearchList';
 import './Dashboard.css';
 
-// Utility function to format date as relative time
-const timeSince = (date) => {
-  const seconds = Math.floor((new Date() - new Date(date)) / 1000);
-
-  let interval = Math.floor(seconds / 31536000);
-  if (interval >= 1) return interval + " year" + (interval > 1 ? "s" : "") + " ago";
-
-  interval = Math.floor(seconds / 2592000);
-  if (interval >= 1) return interval + " month" + (interval > 1 ? "s" : "") + " ago";
-
-  interval = Math.floor(seconds / 86400);
-  if (interval >= 1) return interval + " day" + (interval > 1 ? "s" : "") + " ago";
-
-  interval = Math.floor(seconds / 3600);
-  if (interval >= 1) return interval + " hour" + (interval > 1 ? "s" : "") + " ago";
-
-  interval = Math.floor(seconds / 60);
-  if (interval >= 1) return interval + " minute" + (interval > 1 ? "s" : "") + " ago";
-
-  return "Just now";
-};
-
 const Dashboard = () => {
-  const { user } = useAuth();
+  const { user, resendVerification } = useAuth();
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [verificationNotice, setVerificationNotice] = useState('');
+
+  const handleResendVerification = async () => {
+    const result = await resendVerification();
+    setVerificationNotice(result.success ? result.message : result.error);
+  };
 
   useEffect(() => {
     const fetchUserPosts = async () => {
@@ -65,6 +51,20 @@ const Dashboard = () => {
   return (
     <div className="page-container">
       <h1>Dashboard</h1>
+      {user && !user.isEmailVerified && (
+        <div className="verify-banner">
+          <span>
+            {verificationNotice || 'Please verify your email address. Check your inbox for the verification link.'}
+          </span>
+          {!verificationNotice && (
+            <button className="btn btn-sm btn-outline" onClick={handleResendVerification}>
+              Resend email
+            </button>
+          )}
+        </div>
+      )}
+      <SavedSearchList />
+      <h2>My posts</h2>
       {posts.length === 0 ? (
         <p>No posts found. Create a new post to get started.</p>
       ) : (
@@ -78,10 +78,17 @@ const Dashboard = () => {
               <p>
                 Posted by: <strong>{post.user?.name || 'Unknown'}</strong> &nbsp;|&nbsp; Posted {timeSince(post.createdAt)}
               </p>
-              {post.user?._id && (
-                <Link to={`/chats/${post.user._id}`} className="message-btn">
+              {post.user?._id && post.user._id !== user._id ? (
+                <Link
+                  to={`/chats/new?post=${post._id}&user=${post.user._id}`}
+                  className="message-btn"
+                >
                   Message
                 </Link>
+              ) : (
+                <Link to={`/chats?post=${post._id}`} className="message-btn">
+                  Messages
+                </Link>
               )}
             </li>
           ))}
@@ -0,0 +1,376 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { hasRole } from '../../utils/roles';
+import { timeSince } from '../../utils/formatters';
+import BuildingRegistry from './BuildingRegistry';
+import Organizations from './Organizations';
+import CategoryManager from './CategoryManager';
+import './AdminConsole.css';
+
+const TABS = [
+  { key: 'posts', label: 'Posts' },
+  { key: 'ratings', label: 'Ratings' },
+  { key: 'users', label: 'Users' },
+  { key: 'audit', label: 'Audit Log' },
+  { key: 'buildings', label: 'Buildings', adminOnly: true },
+  { key: 'organizations', label: 'Organizations', adminOnly: true },
+  { key: 'categories', label: 'Categories', adminOnly: true }
+];
+
+// Tabs that load their own data
+const SELF_LOADING_TABS = ['buildings', 'organizations', 'categories'];
+
+const AdminConsole = () => {
+  const { user } = useAuth();
+  const isAdmin = hasRole(user, 'admin');
+
+  const [tab, setTab] = useState('posts');
+  const [queueStatus, setQueueStatus] = useState('flagged');
+  const [userSearch, setUserSearch] = useState('');
+  const [stats, setStats] = useState(null);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/stats');
+      setStats(response.data.stats);
+    } catch (err) {
+      // Stats are informational only
+    }
+  }, []);
+
+  const fetchItems = useCallback(async () => {
+    if (SELF_LOADING_TABS.includes(tab)) return;
+
+    setLoading(true);
+    try {
+      let response;
+      if (tab === 'posts') {
+        response = await axios.get(`/admin/posts?status=${queueStatus}`);
+        setItems(response.data.posts || []);
+      } else if (tab === 'ratings') {
+        response = await axios.get(`/admin/ratings?status=${queueStatus}`);
+        setItems(response.data.ratings || []);
+      } else if (tab === 'users') {
+        const params = userSearch ? `?search=${encodeURIComponent(userSearch)}` : '';
+        response = await axios.get(`/admin/users${params}`);
+        setItems(response.data.users || []);
+      } else {
+        response = await axios.get('/admin/audit-logs');
+        setItems(response.data.logs || []);
+      }
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load moderation data');
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, queueStatus, userSearch]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  // Run a moderation action, then refresh the queue and counts
+  const runAction = async (url, body = {}, successMessage) => {
+    try {
+      await axios.put(url, body);
+      setMessage(successMessage);
+      setError('');
+      fetchItems();
+      fetchStats();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.error || 'Action failed');
+    }
+  };
+
+  const handleHidePost = (post) => {
+    const reason = window.prompt('Reason for hiding this post?', '');
+    if (reason === null) return;
+    runAction(`/admin/posts/${post._id}/hide`, { reason }, 'Post hidden');
+  };
+
+  const handleHideRating = (rating) => {
+    const reason = window.prompt('Reason for hiding this rating?', '');
+    if (reason === null) return;
+    runAction(`/admin/ratings/${rating._id}/hide`, { reason }, 'Rating hidden');
+  };
+
+  const handleBan = (target) => {
+    const reason = window.prompt(`Reason for banning ${target.name}?`, '');
+    if (!reason) return;
+    runAction(`/admin/users/${target._id}/ban`, { reason }, `${target.name} banned`);
+  };
+
+  const handleRoleChange = (target, role) => {
+    runAction(`/admin/users/${target._id}/role`, { role }, `${target.name} is now ${role}`);
+  };
+
+  const switchTab = (key) => {
+    setTab(key);
+    setQueueStatus('flagged');
+    setItems([]);
+    setMessage('');
+    setError('');
+  };
+
+  const renderPosts = () => items.map(post => (
+    <div key={post._id} className="admin-item">
+      <div className="admin-item-main">
+        <Link to={`/posts/${post._id}`} className="admin-item-title">
+          <span className={`post-type ${post.type}`}>{post.type?.toUpperCase()}</span>
+          {post.title}
+        </Link>
+        <p className="text-muted">
+          by {post.user?.name || 'Unknown'} · {post.flagCount || 0} report(s) · {timeSince(post.updatedAt)}
+        </p>
+        {post.reports?.length > 0 && (
+          <ul className="admin-reports">
+            {post.reports.map(report => (
+              <li key={report._id}>
+                <strong>{report.reason}</strong>
+                {report.description && ` — ${report.description}`}
+              </li>
+            ))}
+          </ul>
+        )}
+        {post.moderation?.reason && (
+          <p className="text-muted">Hidden: {post.moderation.reason}</p>
+        )}
+      </div>
+      <div className="admin-item-actions">
+        {post.status === 'hidden' ? (
+          <button className="btn btn-sm btn-primary" onClick={() => runAction(`/admin/posts/${post._id}/restore`, {}, 'Post restored')}>
+            Restore
+          </button>
+        ) : (
+          <>
+            <button className="btn btn-sm btn-danger" onClick={() => handleHidePost(post)}>
+              Hide
+            </button>
+            <button className="btn btn-sm btn-outline" onClick={() => runAction(`/admin/posts/${post._id}/restore`, {}, 'Reports dismissed')}>
+              Dismiss
+            </button>
+          </>
+        )}
+        {!post.isVerified && (
+          <button className="btn btn-sm btn-outline" onClick={() => runAction(`/admin/posts/${post._id}/verify`, {}, 'Post verified')}>
+            Verify
+          </button>
+        )}
+      </div>
+    </div>
+  ));
+
+  const renderRatings = () => items.map(rating => (
+    <div key={rating._id} className="admin-item">
+      <div className="admin-item-main">
+        <div className="admin-item-title">
+          {'⭐'.repeat(rating.rating)} {rating.rater?.name} → {rating.rated?.name}
+        </div>
+        {rating.review && <p>{rating.review}</p>}
+        <p className="text-muted">
+          {rating.post?.title} · {rating.flagCount || 0} flag(s) · {timeSince(rating.updatedAt)}
+        </p>
+        {rating.flags?.length > 0 && (
+          <ul className="admin-reports">
+            {rating.flags.map(flag => (
+              <li key={flag._id}>
+                <strong>{flag.reason}</strong>
+                {flag.description && ` — ${flag.description}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="admin-item-actions">
+        {rating.isHidden ? (
+          <button className="btn btn-sm btn-primary" onClick={() => runAction(`/admin/ratings/${rating._id}/restore`, {}, 'Rating restored')}>
+            Restore
+          </button>
+        ) : (
+          <>
+            <button className="btn btn-sm btn-danger" onClick={() => handleHideRating(rating)}>
+              Hide
+            </button>
+            <button className="btn btn-sm btn-outline" onClick={() => runAction(`/admin/ratings/${rating._id}/restore`, {}, 'Flags dismissed')}>
+              Dismiss
+            </button>
+          </>
+        )}
+        {!rating.isVerified && (
+          <button className="btn btn-sm btn-outline" onClick={() => runAction(`/admin/ratings/${rating._id}/verify`, {}, 'Rating verified')}>
+            Verify
+          </button>
+        )}
+      </div>
+    </div>
+  ));
+
+  const renderUsers = () => items.map(target => (
+    <div key={target._id} className="admin-item">
+      <div className="admin-item-main">
+        <Link to={`/profile/${target._id}`} className="admin-item-title">
+          {target.name}
+        </Link>
+        <span className={`role-badge role-${target.role}`}>{target.role}</span>
+        {target.isBanned && <span className="role-badge role-banned">banned</span>}
+        <p className="text-muted">
+          {target.email} · joined {timeSince(target.createdAt)}
+        </p>
+        {target.isBanned && target.banReason && (
+          <p className="text-muted">Ban reason: {target.banReason}</p>
+        )}
+      </div>
+      {target._id !== user?._id && (
+        <div className="admin-item-actions">
+          {isAdmin && (
+            <select
+              className="form-control"
+              value={target.role}
+              onChange={(e) => handleRoleChange(target, e.target.value)}
+            >
+              <option value="user">User</option>
+              <option value="moderator">Moderator</option>
+              <option value="admin">Admin</option>
+            </select>
+          )}
+          {target.isBanned ? (
+            <button className="btn btn-sm btn-primary" onClick={() => runAction(`/admin/users/${target._id}/unban`, {}, `${target.name} unbanned`)}>
+              Unban
+            </button>
+          ) : (
+            <button className="btn btn-sm btn-danger" onClick={() => handleBan(target)}>
+              Ban
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  ));
+
+  const renderAuditLog = () => (
+    <table className="audit-table">
+      <thead>
+        <tr>
+          <th>When</th>
+          <th>Moderator</th>
+          <th>Action</th>
+          <th>Target</th>
+          <th>Reason</th>
+        </tr>
+      </thead>
+      <tbody>
+        {items.map(log => (
+          <tr key={log._id}>
+            <td>{timeSince(log.createdAt)}</td>
+            <td>{log.actor?.name || 'Unknown'}</td>
+            <td><code>{log.action}</code></td>
+            <td>{log.targetType} {log.target}</td>
+            <td>{log.reason || '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderItems = () => {
+    if (tab === 'posts') return renderPosts();
+    if (tab === 'ratings') return renderRatings();
+    if (tab === 'users') return renderUsers();
+    return renderAuditLog();
+  };
+
+  return (
+    <div className="page-container admin-console">
+      <h1>Moderation</h1>
+
+      {stats && (
+        <div className="admin-stats">
+          <div className="admin-stat">
+            <strong>{stats.flaggedPosts}</strong>
+            <span>Flagged posts</span>
+          </div>
+          <div className="admin-stat">
+            <strong>{stats.flaggedRatings}</strong>
+            <span>Flagged ratings</span>
+          </div>
+          <div className="admin-stat">
+            <strong>{stats.hiddenPosts + stats.hiddenRatings}</strong>
+            <span>Hidden items</span>
+          </div>
+          <div className="admin-stat">
+            <strong>{stats.bannedUsers}</strong>
+            <span>Banned users</span>
+          </div>
+        </div>
+      )}
+
+      <div className="admin-tabs">
+        {TABS.filter(({ adminOnly }) => !adminOnly || isAdmin).map(({ key, label }) => (
+          <button
+            key={key}
+            className={`admin-tab ${tab === key ? 'active' : ''}`}
+            onClick={() => switchTab(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {(tab === 'posts' || tab === 'ratings') && (
+        <div className="admin-filters">
+          <select
+            className="form-control"
+            value={queueStatus}
+            onChange={(e) => setQueueStatus(e.target.value)}
+          >
+            <option value="flagged">Flagged</option>
+            <option value="hidden">Hidden</option>
+          </select>
+        </div>
+      )}
+
+      {tab === 'users' && (
+        <div className="admin-filters">
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Search by name or email"
+            value={userSearch}
+            onChange={(e) => setUserSearch(e.target.value)}
+          />
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {tab === 'buildings' ? (
+        <BuildingRegistry isSiteAdmin />
+      ) : tab === 'organizations' ? (
+        <Organizations />
+      ) : tab === 'categories' ? (
+        <CategoryManager />
+      ) : loading ? (
+        <p>Loading...</p>
+      ) : items.length === 0 ? (
+        <p className="text-muted">Nothing to review.</p>
+      ) : (
+        <div className="admin-list">{renderItems()}</div>
+      )}
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,317 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import LocationPicker from '../../components/posts/LocationPicker';
+import { fromPoint, toPoint } from '../../utils/geo';
+import './BuildingRegistry.css';
+
+const EMPTY_FORM = {
+  name: '',
+  code: '',
+  aliases: '',
+  floors: '',
+  pin: null,
+  isActive: true,
+  organization: ''
+};
+
+// Split a comma separated field into trimmed, non-empty entries
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const buildForm = (building) => ({
+  name: building.name,
+  code: building.code || '',
+  aliases: (building.aliases || []).join(', '),
+  floors: (building.floors || []).join(', '),
+  pin: fromPoint(building.coordinates),
+  isActive: building.isActive,
+  organization: building.organization?._id || building.organization || ''
+});
+
+// Campus building registry: canonical names, aliases, floors and map pins.
+// Site admins manage every organization's buildings and link existing
+// posts; organization admins see only their own.
+const BuildingRegistry = ({ isSiteAdmin = false }) => {
+  const [buildings, setBuildings] = useState([]);
+  const [organizations, setOrganizations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null); // 'new' or a building id
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [unmatched, setUnmatched] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchBuildings = useCallback(async () => {
+    try {
+      const response = await axios.get('/buildings?includeInactive=true');
+      setBuildings(response.data.buildings);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load buildings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBuildings();
+  }, [fetchBuildings]);
+
+  useEffect(() => {
+    if (!isSiteAdmin) return;
+
+    axios.get('/organizations')
+      .then(response => setOrganizations(response.data.organizations))
+      .catch(() => null); // Buildings can still be shared without the list
+  }, [isSiteAdmin]);
+
+  const startEditing = (building, prefill = {}) => {
+    setEditingId(building ? building._id : 'new');
+    setForm(building ? buildForm(building) : { ...EMPTY_FORM, ...prefill });
+    setError('');
+    setMessage('');
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+
+    const payload = {
+      name: form.name.trim(),
+      code: form.code.trim() || null,
+      aliases: splitList(form.aliases),
+      floors: splitList(form.floors),
+      coordinates: form.pin ? toPoint(form.pin) : null,
+      isActive: form.isActive
+    };
+    if (isSiteAdmin) {
+      payload.organization = form.organization || null;
+    }
+
+    try {
+      const response = editingId === 'new'
+        ? await axios.post('/buildings', payload)
+        : await axios.put(`/buildings/${editingId}`, payload);
+
+      const { linkedPosts } = response.data;
+      setMessage(`${response.data.message}${linkedPosts ? `. ${linkedPosts} posts linked.` : ''}`);
+      setEditingId(null);
+      setUnmatched(null);
+      fetchBuildings();
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save building');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (building) => {
+    if (!window.confirm(`Delete ${building.name}?`)) return;
+
+    try {
+      await axios.delete(`/buildings/${building._id}`);
+      setMessage('Building deleted');
+      setError('');
+      fetchBuildings();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.error || 'Failed to delete building');
+    }
+  };
+
+  const handleLinkPosts = async (createMissing = false) => {
+    if (createMissing && !window.confirm('Register every unmatched name as a new building?')) return;
+
+    try {
+      const response = await axios.post('/buildings/link-posts', { createMissing });
+      setMessage(response.data.message);
+      setUnmatched(response.data.unmatched);
+      setError('');
+      if (createMissing) fetchBuildings();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.error || 'Failed to link posts');
+    }
+  };
+
+  const organizationName = (id) => organizations.find(organization => organization._id === id)?.name || 'another organization';
+
+  if (loading) {
+    return <p>Loading buildings...</p>;
+  }
+
+  return (
+    <div className="building-registry">
+      <div className="building-registry-actions">
+        <button className="btn btn-sm btn-primary" onClick={() => startEditing(null)}>
+          Add building
+        </button>
+        {isSiteAdmin && (
+          <button className="btn btn-sm btn-outline" onClick={() => handleLinkPosts()}>
+            Link existing posts
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {unmatched && unmatched.length > 0 && (
+        <div className="building-unmatched">
+          <p>
+            These names on posts don't match any building. Register them, or add them as an alias of an
+            existing building.
+          </p>
+          <ul>
+            {unmatched.map(({ name, organization, count }) => (
+              <li key={`${organization}-${name}`}>
+                <span>
+                  {name}{' '}
+                  <span className="text-muted">
+                    ({count} posts{organization ? ` at ${organizationName(organization)}` : ''})
+                  </span>
+                </span>
+                <button
+                  className="btn btn-sm btn-outline"
+                  onClick={() => startEditing(null, { name, organization: organization || '' })}
+                >
+                  Register
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button className="btn btn-sm btn-outline" onClick={() => handleLinkPosts(true)}>
+            Register all
+          </button>
+        </div>
+      )}
+
+      {editingId && (
+        <form className="building-form" onSubmit={handleSubmit}>
+          <h3>{editingId === 'new' ? 'New building' : `Edit ${form.name}`}</h3>
+          <div className="building-form-row">
+            <div className="form-group">
+              <label htmlFor="buildingName">Name</label>
+              <input
+                id="buildingName"
+                name="name"
+                className="form-control"
+                value={form.name}
+                onChange={handleChange}
+                maxLength={100}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="buildingCode">Code</label>
+              <input
+                id="buildingCode"
+                name="code"
+                className="form-control"
+                value={form.code}
+                onChange={handleChange}
+                maxLength={20}
+                placeholder="e.g. LIB"
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="buildingAliases">Other names (comma separated)</label>
+            <input
+              id="buildingAliases"
+              name="aliases"
+              className="form-control"
+              value={form.aliases}
+              onChange={handleChange}
+              placeholder="e.g. Main Lib, Central Library"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="buildingFloors">Floors (comma separated)</label>
+            <input
+              id="buildingFloors"
+              name="floors"
+              className="form-control"
+              value={form.floors}
+              onChange={handleChange}
+              placeholder="e.g. Ground, 1st, 2nd"
+            />
+          </div>
+          {isSiteAdmin && organizations.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="buildingOrganization">Organization</label>
+              <select
+                id="buildingOrganization"
+                name="organization"
+                className="form-control"
+                value={form.organization}
+                onChange={handleChange}
+              >
+                <option value="">Shared by every organization</option>
+                {organizations.map(organization => (
+                  <option key={organization._id} value={organization._id}>{organization.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <label>Map pin</label>
+            <LocationPicker value={form.pin} onChange={(pin) => setForm({ ...form, pin })} disabled={isSaving} />
+          </div>
+          <label className="building-active-toggle">
+            <input type="checkbox" name="isActive" checked={form.isActive} onChange={handleChange} />
+            Offer this building on new posts
+          </label>
+          <div className="building-form-actions">
+            <button type="submit" className="btn btn-sm btn-primary" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" className="btn btn-sm btn-outline" onClick={() => setEditingId(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {buildings.length === 0 ? (
+        <p className="text-muted">No buildings registered yet.</p>
+      ) : (
+        <div className="admin-list">
+          {buildings.map(building => (
+            <div key={building._id} className={`admin-item ${building.isActive ? '' : 'building-inactive'}`}>
+              <div className="admin-item-main">
+                <span className="admin-item-title">{building.name}</span>
+                {building.code && <span className="role-badge">{building.code}</span>}
+                {isSiteAdmin && building.organization && (
+                  <span className="role-badge">{building.organization.name}</span>
+                )}
+                {!building.isActive && <span className="role-badge role-banned">Inactive</span>}
+                {building.aliases?.length > 0 && (
+                  <p className="text-muted">Also: {building.aliases.join(', ')}</p>
+                )}
+                {building.floors?.length > 0 && (
+                  <p className="text-muted">Floors: {building.floors.join(', ')}</p>
+                )}
+              </div>
+              <div className="admin-item-actions">
+                <button className="btn btn-sm btn-outline" onClick={() => startEditing(building)}>
+                  Edit
+                </button>
+                <button className="btn btn-sm btn-danger" onClick={() => handleDelete(building)}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BuildingRegistry;
@@ -0,0 +1,366 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import './CategoryManager.css';
+
+const EMPTY_FORM = {
+  name: '',
+  icon: '',
+  parent: '',
+  sortOrder: 0,
+  isActive: true,
+  attributes: []
+};
+
+const EMPTY_ATTRIBUTE = {
+  key: '',
+  label: '',
+  type: 'text',
+  options: '',
+  required: false,
+  sensitive: false,
+  helpText: ''
+};
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'select', 'boolean'];
+
+// Split a comma separated field into trimmed, non-empty entries
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const buildForm = (category) => ({
+  name: category.name,
+  icon: category.icon || '',
+  parent: category.parent || '',
+  sortOrder: category.sortOrder,
+  isActive: category.isActive,
+  attributes: (category.attributes || []).map(attribute => ({
+    ...EMPTY_ATTRIBUTE,
+    ...attribute,
+    options: (attribute.options || []).join(', '),
+    helpText: attribute.helpText || ''
+  }))
+});
+
+// Category registry: the categories and sub-categories posts are filed
+// under, their icons and the extra details collected for each
+const CategoryManager = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null); // 'new' or a category id
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      const response = await axios.get('/categories?includeInactive=true');
+      setCategories(response.data.categories);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load categories');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const startEditing = (category, prefill = {}) => {
+    setEditingId(category ? category._id : 'new');
+    setForm(category ? buildForm(category) : { ...EMPTY_FORM, ...prefill });
+    setError('');
+    setMessage('');
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleAttributeChange = (index, e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({
+      ...form,
+      attributes: form.attributes.map((attribute, i) => (
+        i === index ? { ...attribute, [name]: type === 'checkbox' ? checked : value } : attribute
+      ))
+    });
+  };
+
+  const addAttribute = () => {
+    setForm({ ...form, attributes: [...form.attributes, { ...EMPTY_ATTRIBUTE }] });
+  };
+
+  const removeAttribute = (index) => {
+    setForm({ ...form, attributes: form.attributes.filter((_, i) => i !== index) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+
+    const payload = {
+      name: form.name.trim(),
+      icon: form.icon.trim() || null,
+      sortOrder: Number(form.sortOrder) || 0,
+      isActive: form.isActive,
+      attributes: form.attributes.map(attribute => ({
+        key: attribute.key.trim(),
+        label: attribute.label.trim(),
+        type: attribute.type,
+        options: attribute.type === 'select' ? splitList(attribute.options) : [],
+        required: attribute.required,
+        sensitive: attribute.sensitive,
+        helpText: attribute.helpText.trim() || null
+      }))
+    };
+    if (editingId === 'new') {
+      payload.parent = form.parent || null;
+    }
+
+    try {
+      const response = editingId === 'new'
+        ? await axios.post('/categories', payload)
+        : await axios.put(`/categories/${editingId}`, payload);
+
+      const { renamedPosts } = response.data;
+      setMessage(`${response.data.message}${renamedPosts ? `. ${renamedPosts} posts renamed.` : ''}`);
+      setEditingId(null);
+      fetchCategories();
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save category');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete ${category.name}?`)) return;
+
+    try {
+      await axios.delete(`/categories/${category._id}`);
+      setMessage('Category deleted');
+      setError('');
+      fetchCategories();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.error || 'Failed to delete category');
+    }
+  };
+
+  const renderItem = (category, isChild = false) => (
+    <div
+      key={category._id}
+      className={`admin-item ${isChild ? 'category-child' : ''} ${category.isActive ? '' : 'category-inactive'}`}
+    >
+      <div className="admin-item-main">
+        <span className="admin-item-title">
+          {category.icon && <span className="category-icon">{category.icon}</span>}
+          {category.name}
+        </span>
+        {!category.isActive && <span className="role-badge role-banned">Inactive</span>}
+        {category.attributes?.length > 0 && (
+          <p className="text-muted">
+            Asks for: {category.attributes.map(attribute => attribute.label).join(', ')}
+          </p>
+        )}
+      </div>
+      <div className="admin-item-actions">
+        {!isChild && (
+          <button className="btn btn-sm btn-outline" onClick={() => startEditing(null, { parent: category._id })}>
+            Add sub-category
+          </button>
+        )}
+        <button className="btn btn-sm btn-outline" onClick={() => startEditing(category)}>
+          Edit
+        </button>
+        <button className="btn btn-sm btn-danger" onClick={() => handleDelete(category)}>
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return <p>Loading categories...</p>;
+  }
+
+  const parentName = categories.find(category => category._id === form.parent)?.name;
+
+  return (
+    <div className="category-manager">
+      <div className="category-manager-actions">
+        <button className="btn btn-sm btn-primary" onClick={() => startEditing(null)}>
+          Add category
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {editingId && (
+        <form className="category-form" onSubmit={handleSubmit}>
+          <h3>
+            {editingId !== 'new'
+              ? `Edit ${form.name}`
+              : parentName ? `New sub-category of ${parentName}` : 'New category'}
+          </h3>
+          <div className="category-form-row">
+            <div className="form-group">
+              <label htmlFor="categoryName">Name</label>
+              <input
+                id="categoryName"
+                name="name"
+                className="form-control"
+                value={form.name}
+                onChange={handleChange}
+                maxLength={50}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="categoryIcon">Icon</label>
+              <input
+                id="categoryIcon"
+                name="icon"
+                className="form-control"
+                value={form.icon}
+                onChange={handleChange}
+                maxLength={16}
+                placeholder="e.g. 📱"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="categorySortOrder">Order</label>
+              <input
+                type="number"
+                id="categorySortOrder"
+                name="sortOrder"
+                className="form-control"
+                value={form.sortOrder}
+                onChange={handleChange}
+                min="0"
+                max="1000"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Details to ask for</label>
+            {form.attributes.length === 0 && (
+              <p className="text-muted">Posts in this category only ask for the usual details.</p>
+            )}
+            {form.attributes.map((attribute, index) => (
+              <div key={index} className="category-attribute">
+                <div className="category-attribute-row">
+                  <input
+                    name="label"
+                    className="form-control"
+                    value={attribute.label}
+                    onChange={(e) => handleAttributeChange(index, e)}
+                    maxLength={60}
+                    placeholder="Label, e.g. Serial number"
+                    required
+                  />
+                  <input
+                    name="key"
+                    className="form-control"
+                    value={attribute.key}
+                    onChange={(e) => handleAttributeChange(index, e)}
+                    maxLength={40}
+                    placeholder="Key, e.g. serialNumber"
+                    required
+                  />
+                  <select
+                    name="type"
+                    className="form-control"
+                    value={attribute.type}
+                    onChange={(e) => handleAttributeChange(index, e)}
+                  >
+                    {ATTRIBUTE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline"
+                    onClick={() => removeAttribute(index)}
+                    aria-label="Remove detail"
+                  >
+                    &times;
+                  </button>
+                </div>
+                {attribute.type === 'select' && (
+                  <input
+                    name="options"
+                    className="form-control"
+                    value={attribute.options}
+                    onChange={(e) => handleAttributeChange(index, e)}
+                    placeholder="Choices (comma separated)"
+                  />
+                )}
+                <input
+                  name="helpText"
+                  className="form-control"
+                  value={attribute.helpText}
+                  onChange={(e) => handleAttributeChange(index, e)}
+                  maxLength={200}
+                  placeholder="Help text (optional)"
+                />
+                <label className="category-toggle">
+                  <input
+                    type="checkbox"
+                    name="required"
+                    checked={attribute.required}
+                    onChange={(e) => handleAttributeChange(index, e)}
+                  />
+                  Required
+                </label>
+                <label className="category-toggle">
+                  <input
+                    type="checkbox"
+                    name="sensitive"
+                    checked={attribute.sensitive}
+                    onChange={(e) => handleAttributeChange(index, e)}
+                  />
+                  Private: hide from the post, use only for matching and claims
+                </label>
+              </div>
+            ))}
+            <button type="button" className="btn btn-sm btn-outline" onClick={addAttribute}>
+              Add detail
+            </button>
+          </div>
+
+          <label className="category-toggle">
+            <input type="checkbox" name="isActive" checked={form.isActive} onChange={handleChange} />
+            Offer this category on new posts
+          </label>
+          <div className="category-form-actions">
+            <button type="submit" className="btn btn-sm btn-primary" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" className="btn btn-sm btn-outline" onClick={() => setEditingId(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {categories.length === 0 ? (
+        <p className="text-muted">No categories yet.</p>
+      ) : (
+        <div className="admin-list">
+          {categories.map(category => (
+            <React.Fragment key={category._id}>
+              {renderItem(category)}
+              {category.children.map(child => renderItem(child, true))}
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryManager;
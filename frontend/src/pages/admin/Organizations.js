@@ -0,0 +1,144 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import OrganizationForm from '../../components/organizations/OrganizationForm';
+import '../../components/organizations/Organizations.css';
+
+// Admin tab for organizations: the email domains that make people members,
+// their categories and whether outsiders can see their posts
+const Organizations = () => {
+  const [organizations, setOrganizations] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null); // 'new' or an organization id
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchOrganizations = useCallback(async () => {
+    try {
+      const response = await axios.get('/organizations');
+      setOrganizations(response.data.organizations);
+      setCategories(response.data.categories);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load organizations');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, [fetchOrganizations]);
+
+  const startEditing = (id) => {
+    setEditingId(id);
+    setError('');
+    setMessage('');
+  };
+
+  const handleSubmit = async (payload) => {
+    setError('');
+
+    try {
+      const response = editingId === 'new'
+        ? await axios.post('/organizations', payload)
+        : await axios.put(`/organizations/${editingId}`, payload);
+
+      setMessage(response.data.message);
+      setEditingId(null);
+      fetchOrganizations();
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save organization');
+    }
+  };
+
+  const handleAssignMembers = async (organization) => {
+    try {
+      const response = await axios.post(`/organizations/${organization._id}/assign-members`);
+      setMessage(response.data.message);
+      setError('');
+      fetchOrganizations();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.error || 'Failed to add members');
+    }
+  };
+
+  if (loading) {
+    return <p>Loading organizations...</p>;
+  }
+
+  const editing = organizations.find(organization => organization._id === editingId);
+
+  return (
+    <div className="organization-admin">
+      <div className="organization-admin-actions">
+        <button className="btn btn-sm btn-primary" onClick={() => startEditing('new')}>
+          Add organization
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      {editingId && (
+        <>
+          <h3 className="mb-2">{editing ? `Edit ${editing.name}` : 'New organization'}</h3>
+          <OrganizationForm
+            key={editingId}
+            organization={editing}
+            categories={categories}
+            fullAccess
+            onSubmit={handleSubmit}
+            onCancel={() => setEditingId(null)}
+          />
+        </>
+      )}
+
+      {organizations.length === 0 ? (
+        <p className="text-muted">
+          No organizations yet. Everyone shares one set of posts until one is added.
+        </p>
+      ) : (
+        <div className="admin-list">
+          {organizations.map(organization => (
+            <div
+              key={organization._id}
+              className={`admin-item ${organization.isActive ? '' : 'organization-inactive'}`}
+            >
+              <div className="admin-item-main">
+                <span className="admin-item-title">{organization.name}</span>
+                <span className="role-badge">{organization.slug}</span>
+                {!organization.isActive && <span className="role-badge role-banned">Inactive</span>}
+                <p className="text-muted">
+                  {organization.memberCount} members
+                  {' · '}
+                  {organization.emailDomains.length > 0 ? organization.emailDomains.join(', ') : 'no email domains'}
+                  {' · '}
+                  {organization.allowGuestViewing ? 'open to guests' : 'members only'}
+                </p>
+                {organization.categories.length > 0 && (
+                  <p className="text-muted">Categories: {organization.categories.join(', ')}</p>
+                )}
+              </div>
+              <div className="admin-item-actions">
+                <button className="btn btn-sm btn-outline" onClick={() => startEditing(organization._id)}>
+                  Edit
+                </button>
+                <button
+                  className="btn btn-sm btn-outline"
+                  onClick={() => handleAssignMembers(organization)}
+                  disabled={organization.emailDomains.length === 0}
+                  title="Add verified users on these domains and move their posts"
+                >
+                  Add members by domain
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Organizations;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+
+const ForgotPassword = () => {
+  const { forgotPassword } = useAuth();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email address is invalid');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    const result = await forgotPassword(email);
+
+    if (result.success) {
+      setMessage(result.message);
+    } else {
+      setError(result.error);
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <div className="page-container">
+      <div className="form-container">
+        <div className="text-center mb-4">
+          <h1 className="text-center">Forgot Password</h1>
+          <p className="text-muted">Enter your email and we'll send you a reset link</p>
+        </div>
+
+        {message ? (
+          <div className="success-message text-center mb-3">{message}</div>
+        ) : (
+          <form onSubmit={onSubmit}>
+            <div className="form-group">
+              <label htmlFor="email">Email Address</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                className={`form-control ${error ? 'error' : ''}`}
+                placeholder="Enter your email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                disabled={isSubmitting}
+              />
+              {error && <div className="error-message">{error}</div>}
+            </div>
+
+            <div className="form-group">
+              <button type="submit" className="btn btn-primary btn-block" disabled={isSubmitting}>
+                {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="text-center mt-3">
+          <Link to="/login" className="text-primary">Back to sign in</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 
 const Login = () => {
@@ -10,6 +10,8 @@ const Login = () => {
   const [errors, setErrors] = useState({});
   const { login, loading, error, clearErrors } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const notice = location.state?.message;
 
   const { email, password } = formData;
 
@@ -71,6 +73,12 @@ const Login = () => {
           <p className="text-muted">Sign in to your account to continue</p>
         </div>
         
+        {notice && !error && (
+          <div className="success-message text-center mb-3">
+            {notice}
+          </div>
+        )}
+
         {error && (
           <div className="error-message text-center mb-3">
             {error}
@@ -110,6 +118,11 @@ const Login = () => {
             {errors.password && (
               <div className="error-message">{errors.password}</div>
             )}
+            <div className="text-right mt-1">
+              <Link to="/forgot-password" className="text-primary">
+                Forgot password?
+              </Link>
+            </div>
           </div>
           
           <div className="form-group">
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { resetPassword } = useAuth();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { password, confirmPassword } = formData;
+
+  const onChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: '' });
+    setError('');
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    } else if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
+      newErrors.password = 'Password must contain at least one uppercase letter, one lowercase letter, and one number';
+    }
+
+    if (password !== confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await resetPassword(token, password);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      navigate('/login', { replace: true, state: { message: result.message } });
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="page-container">
+        <div className="form-container text-center">
+          <div className="error-message mb-3">Reset link is missing its token</div>
+          <Link to="/forgot-password" className="text-primary">Request a new link</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page-container">
+      <div className="form-container">
+        <div className="text-center mb-4">
+          <h1 className="text-center">Reset Password</h1>
+          <p className="text-muted">Choose a new password for your account</p>
+        </div>
+
+        {error && (
+          <div className="error-message text-center mb-3">
+            {error} <Link to="/forgot-password" className="text-primary">Request a new link</Link>
+          </div>
+        )}
+
+        <form onSubmit={onSubmit}>
+          <div className="form-group">
+            <label htmlFor="password">New Password</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              className={`form-control ${errors.password ? 'error' : ''}`}
+              placeholder="Enter a new password"
+              value={password}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            {errors.password && <div className="error-message">{errors.password}</div>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              className={`form-control ${errors.confirmPassword ? 'error' : ''}`}
+              placeholder="Confirm your new password"
+              value={confirmPassword}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            {errors.confirmPassword && <div className="error-message">{errors.confirmPassword}</div>}
+          </div>
+
+          <div className="form-group">
+            <button type="submit" className="btn btn-primary btn-block" disabled={isSubmitting}>
+              {isSubmitting ? 'Resetting...' : 'Reset Password'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,50 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { verifyEmail, isAuthenticated } = useAuth();
+  const [status, setStatus] = useState('verifying'); // verifying | success | error
+  const [message, setMessage] = useState('');
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single use, so only submit once (StrictMode runs effects twice)
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    const token = searchParams.get('token');
+
+    if (!token) {
+      setStatus('error');
+      setMessage('Verification link is missing its token');
+      return;
+    }
+
+    verifyEmail(token).then(result => {
+      setStatus(result.success ? 'success' : 'error');
+      setMessage(result.success ? result.message : result.error);
+    });
+  }, [searchParams, verifyEmail]);
+
+  return (
+    <div className="page-container">
+      <div className="form-container text-center">
+        <h1>Email Verification</h1>
+
+        {status === 'verifying' && <p className="text-muted">Verifying your email...</p>}
+        {status === 'success' && <div className="success-message mb-3">{message}</div>}
+        {status === 'error' && <div className="error-message mb-3">{message}</div>}
+
+        {status !== 'verifying' && (
+          <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn btn-primary">
+            {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
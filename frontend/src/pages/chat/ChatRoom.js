@@ -1,12 +1,583 @@
-import React from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { useSocket } from '../../context/SocketContext';
+import { formatDateTime, formatTime } from '../../utils/formatters';
+import MeetingProposal, { MeetingForm } from '../../components/chat/MeetingProposal';
+import useNotificationMute from '../../hooks/useNotificationMute';
+import './Chat.css';
+
+const TYPING_TIMEOUT = 2000;
 
 const ChatRoom = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { socket, connected } = useSocket();
+
+  const [chat, setChat] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newMessage, setNewMessage] = useState('');
+  const [typingUsers, setTypingUsers] = useState({});
+  const [onlineUsers, setOnlineUsers] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const [showMeetingForm, setShowMeetingForm] = useState(false);
+  const [reminder, setReminder] = useState(null);
+
+  const typingTimeoutRef = useRef(null);
+  const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const isNewChat = id === 'new';
+  const { muted, toggleMute } = useNotificationMute('chat', isNewChat ? null : id);
+
+  // Open (or reuse) the chat for a post when coming from a "Message" link
+  useEffect(() => {
+    if (!isNewChat || !socket || !connected) return;
+
+    const postId = searchParams.get('post');
+    const participantId = searchParams.get('user');
+
+    if (!postId || !participantId) {
+      setError('Missing post or user to start a conversation with');
+      setLoading(false);
+      return;
+    }
+
+    const handleChatCreated = ({ chat: createdChat }) => {
+      navigate(`/chats/${createdChat._id}`, { replace: true });
+    };
+
+    const handleCreateError = ({ message }) => {
+      setError(message);
+      setLoading(false);
+    };
+
+    socket.once('chat_created', handleChatCreated);
+    socket.once('error', handleCreateError);
+    socket.emit('create_chat', { postId, participantId });
+
+    return () => {
+      socket.off('chat_created', handleChatCreated);
+      socket.off('error', handleCreateError);
+    };
+  }, [isNewChat, socket, connected, searchParams, navigate]);
+
+  // Load chat details and the latest page of messages
+  useEffect(() => {
+    if (isNewChat) return;
+
+    const fetchChat = async () => {
+      setLoading(true);
+      try {
+        const [chatRes, messagesRes] = await Promise.all([
+          axios.get(`/chats/${id}`),
+          axios.get(`/chats/${id}/messages`)
+        ]);
+        setChat(chatRes.data.chat);
+        setMessages(messagesRes.data.messages || []);
+        setHasMore(messagesRes.data.pagination.hasMore);
+        setPage(1);
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load conversation');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchChat();
+  }, [id, isNewChat]);
+
+  const loadOlderMessages = async () => {
+    try {
+      const nextPage = page + 1;
+      const response = await axios.get(`/chats/${id}/messages?page=${nextPage}`);
+      setMessages(prev => [...response.data.messages, ...prev]);
+      setHasMore(response.data.pagination.hasMore);
+      setPage(nextPage);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load older messages');
+    }
+  };
+
+  // Join the chat room and subscribe to live events
+  useEffect(() => {
+    if (isNewChat || !socket || !connected) return;
+
+    socket.emit('join_chat', id);
+
+    const handleNewMessage = ({ chatId, message }) => {
+      if (chatId !== id) return;
+      setMessages(prev => [...prev, message]);
+
+      if (message.sender?._id !== user?._id) {
+        socket.emit('mark_read', { chatId: id, messageIds: [message._id] });
+      }
+    };
+
+    const handleMessageEdited = ({ chatId, messageId, newContent, editedAt }) => {
+      if (chatId !== id) return;
+      setMessages(prev => prev.map(message =>
+        message._id === messageId
+          ? { ...message, content: newContent, isEdited: true, editedAt }
+          : message
+      ));
+    };
+
+    const handleMessageDeleted = ({ chatId, messageId, deletedAt }) => {
+      if (chatId !== id) return;
+      setMessages(prev => prev.map(message =>
+        message._id === messageId
+          ? { ...message, content: 'This message has been deleted', isDeleted: true, deletedAt }
+          : message
+      ));
+    };
+
+    const handleMessagesRead = ({ userId, messageIds }) => {
+      if (userId === user?._id) return;
+      setMessages(prev => prev.map(message => {
+        const isMine = (message.sender?._id || message.sender) === user?._id;
+        const included = messageIds === 'all' || messageIds.includes(message._id);
+        return isMine && included ? { ...message, isRead: true } : message;
+      }));
+    };
+
+    const handleTyping = ({ userId, userName, isTyping }) => {
+      setTypingUsers(prev => {
+        const next = { ...prev };
+        if (isTyping) {
+          next[userId] = userName;
+        } else {
+          delete next[userId];
+        }
+        return next;
+      });
+    };
+
+    const handlePresence = ({ chatId, onlineUserIds }) => {
+      if (chatId !== id) return;
+      setOnlineUsers(onlineUserIds);
+    };
+
+    const handleUserOnline = ({ userId }) => {
+      setOnlineUsers(prev => (prev.includes(userId) ? prev : [...prev, userId]));
+    };
+
+    const handleUserOffline = ({ userId }) => {
+      setOnlineUsers(prev => prev.filter(onlineId => onlineId !== userId));
+      setTypingUsers(prev => {
+        const next = { ...prev };
+        delete next[userId];
+        return next;
+      });
+    };
+
+    const handleChatClosed = ({ chatId }) => {
+      if (chatId !== id) return;
+      setChat(prev => (prev ? { ...prev, status: 'closed' } : prev));
+    };
+
+    const handleMeetingUpdated = ({ chatId, messageId, meeting, metadata }) => {
+      if (chatId !== id) return;
+      setMessages(prev => prev.map(message =>
+        message._id === messageId ? { ...message, meeting } : message
+      ));
+      setChat(prev => (prev ? { ...prev, metadata } : prev));
+    };
+
+    const handleMeetingReminder = (data) => {
+      if (data.chatId !== id) return;
+      setReminder(data);
+    };
+
+    const handleError = ({ message }) => {
+      setError(message);
+    };
+
+    socket.on('new_message', handleNewMessage);
+    socket.on('message_edited', handleMessageEdited);
+    socket.on('message_deleted', handleMessageDeleted);
+    socket.on('messages_read', handleMessagesRead);
+    socket.on('user_typing', handleTyping);
+    socket.on('chat_presence', handlePresence);
+    socket.on('user_online', handleUserOnline);
+    socket.on('user_offline', handleUserOffline);
+    socket.on('chat_closed', handleChatClosed);
+    socket.on('meeting_updated', handleMeetingUpdated);
+    socket.on('meeting_reminder', handleMeetingReminder);
+    socket.on('error', handleError);
+
+    return () => {
+      socket.emit('leave_chat', id);
+      socket.off('new_message', handleNewMessage);
+      socket.off('message_edited', handleMessageEdited);
+      socket.off('message_deleted', handleMessageDeleted);
+      socket.off('messages_read', handleMessagesRead);
+      socket.off('user_typing', handleTyping);
+      socket.off('chat_presence', handlePresence);
+      socket.off('user_online', handleUserOnline);
+      socket.off('user_offline', handleUserOffline);
+      socket.off('chat_closed', handleChatClosed);
+      socket.off('meeting_updated', handleMeetingUpdated);
+      socket.off('meeting_reminder', handleMeetingReminder);
+      socket.off('error', handleError);
+    };
+  }, [id, isNewChat, socket, connected, user]);
+
+  // Scroll to the newest message
+  useEffect(() => {
+    if (page === 1 && messagesEndRef.current) {
+      messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [messages, page]);
+
+  const stopTyping = useCallback(() => {
+    if (typingTimeoutRef.current) {
+      clearTimeout(typingTimeoutRef.current);
+      typingTimeoutRef.current = null;
+      if (socket) {
+        socket.emit('typing', { chatId: id, isTyping: false });
+      }
+    }
+  }, [socket, id]);
+
+  useEffect(() => stopTyping, [stopTyping]);
+
+  const handleInputChange = (e) => {
+    setNewMessage(e.target.value);
+
+    if (!socket) return;
+
+    if (!typingTimeoutRef.current) {
+      socket.emit('typing', { chatId: id, isTyping: true });
+    } else {
+      clearTimeout(typingTimeoutRef.current);
+    }
+
+    typingTimeoutRef.current = setTimeout(() => {
+      typingTimeoutRef.current = null;
+      socket.emit('typing', { chatId: id, isTyping: false });
+    }, TYPING_TIMEOUT);
+  };
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    const content = newMessage.trim();
+    if (!content || !socket) return;
+
+    socket.emit('send_message', { chatId: id, content });
+    setNewMessage('');
+    stopTyping();
+  };
+
+  // Upload a photo or PDF and send it as an attachment message
+  const handleAttachment = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !socket) return;
+
+    setIsUploading(true);
+    try {
+      const data = new FormData();
+      data.append('files', file);
+
+      const response = await axios.post('/uploads?purpose=chat', data, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      const [uploaded] = response.data.files;
+
+      socket.emit('send_message', {
+        chatId: id,
+        content: uploaded.filename,
+        messageType: uploaded.mimeType.startsWith('image/') ? 'image' : 'file',
+        attachment: {
+          url: uploaded.url,
+          publicId: uploaded.publicId,
+          filename: uploaded.filename,
+          size: uploaded.size
+        }
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to upload attachment');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const startEditing = (message) => {
+    setEditingId(message._id);
+    setEditContent(message.content);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditContent('');
+  };
+
+  const handleEditSave = (messageId) => {
+    const content = editContent.trim();
+    if (!content || !socket) return;
+
+    socket.emit('edit_message', { chatId: id, messageId, newContent: content });
+    cancelEditing();
+  };
+
+  const handleDelete = (messageId) => {
+    if (!socket || !window.confirm('Delete this message?')) return;
+    socket.emit('delete_message', { chatId: id, messageId });
+  };
+
+  const handleProposeMeeting = (location, time) => {
+    if (!socket) return;
+    socket.emit('meeting_proposal', { chatId: id, action: 'propose', location, time });
+    setShowMeetingForm(false);
+  };
+
+  const handleMeetingResponse = (messageId, action) => {
+    if (!socket) return;
+    socket.emit('meeting_proposal', { chatId: id, action, messageId });
+  };
+
+  const handleRescheduleMeeting = (messageId, location, time) => {
+    if (!socket) return;
+    socket.emit('meeting_proposal', { chatId: id, action: 'reschedule', messageId, location, time });
+  };
+
+  // The calendar file needs the auth header, so fetch it rather than linking
+  const downloadCalendarFile = async () => {
+    try {
+      const response = await axios.get(`/chats/${id}/meeting.ics`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'handover.ics';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to download calendar file');
+    }
+  };
+
+  if (loading) {
+    return <div className="page-container"><p>Loading conversation...</p></div>;
+  }
+
+  if (!chat) {
+    return (
+      <div className="page-container">
+        <div className="error-message">{error || 'Conversation not found'}</div>
+        <Link to="/chats" className="text-primary">Back to messages</Link>
+      </div>
+    );
+  }
+
+  const otherParticipant = chat.participants
+    .map(p => p.user)
+    .find(participant => participant && participant._id !== user?._id);
+  const isOtherOnline = otherParticipant && onlineUsers.includes(otherParticipant._id);
+  const typingNames = Object.values(typingUsers);
+  const isClosed = chat.status !== 'active';
+  const hasOpenMeeting = messages.some(message =>
+    message.messageType === 'meeting' && ['proposed', 'accepted'].includes(message.meeting?.status)
+  );
+
   return (
-    <div className="page-container">
-      <h1>Chat Room</h1>
-      <p>Chat room component coming soon...</p>
+    <div className="page-container chat-room">
+      <div className="chat-room-header">
+        <Link to="/chats" className="text-primary">&larr; Messages</Link>
+        <div className="chat-room-title">
+          <h2>{otherParticipant?.name || 'Conversation'}</h2>
+          <span className={`presence ${isOtherOnline ? 'online' : 'offline'}`}>
+            {isOtherOnline ? 'Online' : 'Offline'}
+          </span>
+          <button
+            type="button"
+            className="btn btn-sm btn-outline"
+            onClick={toggleMute}
+            title={muted ? 'Get notified about new messages' : 'Stop notifications for this conversation'}
+          >
+            {muted ? '🔕 Muted' : '🔔 Mute'}
+          </button>
+        </div>
+        {chat.post && (
+          <Link to={`/posts/${chat.post._id}`} className="chat-post-title">
+            <span className={`post-type ${chat.post.type}`}>{chat.post.type?.toUpperCase()}</span>
+            {chat.post.title}
+          </Link>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {reminder && (
+        <div className="success-message">
+          Reminder: your handover meeting starts {formatDateTime(reminder.meetingTime)} at {reminder.meetingLocation}.
+        </div>
+      )}
+
+      {chat.metadata?.meetingArranged && (
+        <div className="meeting-banner">
+          <p>
+            📅 Meeting arranged for <strong>{formatDateTime(chat.metadata.meetingTime)}</strong> at{' '}
+            <strong>{chat.metadata.meetingLocation}</strong>
+          </p>
+          <button className="btn btn-outline btn-sm" onClick={downloadCalendarFile}>
+            Add to calendar
+          </button>
+        </div>
+      )}
+
+      <div className="chat-messages">
+        {hasMore && (
+          <button className="btn btn-sm btn-outline load-older" onClick={loadOlderMessages}>
+            Load older messages
+          </button>
+        )}
+
+        {messages.length === 0 && (
+          <p className="text-muted text-center">No messages yet. Say hello!</p>
+        )}
+
+        {messages.map(message => {
+          const senderId = message.sender?._id || message.sender;
+          const isMine = senderId === user?._id;
+
+          return (
+            <div
+              key={message._id}
+              className={`chat-message ${isMine ? 'mine' : 'theirs'} ${message.isDeleted ? 'deleted' : ''}`}
+            >
+              {editingId === message._id ? (
+                <div className="chat-message-edit">
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={editContent}
+                    onChange={(e) => setEditContent(e.target.value)}
+                    maxLength={1000}
+                  />
+                  <button className="btn btn-sm btn-primary" onClick={() => handleEditSave(message._id)}>
+                    Save
+                  </button>
+                  <button className="btn btn-sm btn-secondary" onClick={cancelEditing}>
+                    Cancel
+                  </button>
+                </div>
+              ) : message.messageType === 'meeting' && message.meeting ? (
+                <MeetingProposal
+                  message={message}
+                  isMine={isMine}
+                  canRespond={!isClosed && connected}
+                  onRespond={handleMeetingResponse}
+                  onReschedule={handleRescheduleMeeting}
+                />
+              ) : (
+                <>
+                  {!message.isDeleted && message.messageType === 'image' && message.attachment?.url && (
+                    <a href={message.attachment.url} target="_blank" rel="noopener noreferrer">
+                      <img
+                        className="chat-attachment-image"
+                        src={message.attachment.url}
+                        alt={message.attachment.filename || 'Attachment'}
+                      />
+                    </a>
+                  )}
+                  {!message.isDeleted && message.messageType === 'file' && message.attachment?.url ? (
+                    <a
+                      className="chat-attachment-file"
+                      href={message.attachment.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      📎 {message.attachment.filename || 'Download file'}
+                    </a>
+                  ) : (
+                    <p className="chat-message-content">{message.content}</p>
+                  )}
+                </>
+              )}
+              <div className="chat-message-meta">
+                <span>{formatTime(message.createdAt)}</span>
+                {message.isEdited && !message.isDeleted && <span> · edited</span>}
+                {isMine && message.isRead && <span> · Read</span>}
+                {isMine && !message.isDeleted && !isClosed && editingId !== message._id &&
+                  ['text', 'image', 'file'].includes(message.messageType) && (
+                  <span className="chat-message-actions">
+                    <button onClick={() => startEditing(message)}>Edit</button>
+                    <button onClick={() => handleDelete(message._id)}>Delete</button>
+                  </span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+        <div ref={messagesEndRef} />
+      </div>
+
+      <div className="typing-indicator text-muted">
+        {typingNames.length > 0 && `${typingNames.join(', ')} ${typingNames.length > 1 ? 'are' : 'is'} typing...`}
+      </div>
+
+      {showMeetingForm && !isClosed && (
+        <div className="meeting-compose">
+          <MeetingForm onSubmit={handleProposeMeeting} onCancel={() => setShowMeetingForm(false)} />
+        </div>
+      )}
+
+      {isClosed ? (
+        <p className="text-muted text-center">This conversation is {chat.status}.</p>
+      ) : (
+        <form className="chat-input" onSubmit={handleSend}>
+          <input
+            type="file"
+            ref={fileInputRef}
+            accept="image/jpeg,image/png,image/webp,application/pdf"
+            onChange={handleAttachment}
+            hidden
+          />
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!connected || isUploading}
+            title="Attach a photo or PDF"
+          >
+            {isUploading ? '...' : '📎'}
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setShowMeetingForm(prev => !prev)}
+            disabled={!connected || hasOpenMeeting}
+            title={hasOpenMeeting ? 'Reschedule the current meeting instead' : 'Propose a handover meeting'}
+          >
+            📅
+          </button>
+          <input
+            type="text"
+            className="form-control"
+            placeholder={connected ? 'Type a message...' : 'Connecting...'}
+            value={newMessage}
+            onChange={handleInputChange}
+            maxLength={1000}
+            disabled={!connected}
+          />
+          <button type="submit" className="btn btn-primary" disabled={!connected || !newMessage.trim()}>
+            Send
+          </button>
+        </form>
+      )}
     </div>
   );
 };
 
-export default ChatRoom;
\ No newline at end of file
+export default ChatRoom;
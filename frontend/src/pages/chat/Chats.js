@@ -1,12 +1,137 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { useSocket } from '../../context/SocketContext';
+import { timeSince } from '../../utils/formatters';
+import './Chat.css';
+
+const STATUS_TABS = ['active', 'closed', 'archived'];
 
 const Chats = () => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [searchParams] = useSearchParams();
+  const postFilter = searchParams.get('post');
+
+  const [status, setStatus] = useState('active');
+  const [chats, setChats] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchChats = useCallback(async () => {
+    try {
+      const response = await axios.get(`/chats?status=${status}`);
+      setChats(response.data.chats || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch conversations');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchChats();
+  }, [fetchChats]);
+
+  // Keep the inbox live while it is open
+  useEffect(() => {
+    if (!socket) return;
+
+    // Unread counts and ordering come from the server, so just reload
+    socket.on('chat_updated', fetchChats);
+    socket.on('new_chat', fetchChats);
+
+    return () => {
+      socket.off('chat_updated', fetchChats);
+      socket.off('new_chat', fetchChats);
+    };
+  }, [socket, fetchChats]);
+
+  const getOtherParticipant = (chat) => {
+    const other = chat.participants.find(p => p.user && p.user._id !== user?._id);
+    return other ? other.user : null;
+  };
+
+  const visibleChats = postFilter
+    ? chats.filter(chat => chat.post?._id === postFilter)
+    : chats;
+
   return (
     <div className="page-container">
-      <h1>Chats</h1>
-      <p>Chats component coming soon...</p>
+      <div className="chats-header">
+        <h1>Messages</h1>
+        {postFilter && (
+          <Link to="/chats" className="text-primary">Show all conversations</Link>
+        )}
+      </div>
+
+      <div className="chat-tabs">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab}
+            className={`chat-tab ${status === tab ? 'active' : ''}`}
+            onClick={() => setStatus(tab)}
+          >
+            {tab.charAt(0).toUpperCase() + tab.slice(1)}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <p>Loading conversations...</p>
+      ) : visibleChats.length === 0 ? (
+        <p className="text-muted">No conversations yet.</p>
+      ) : (
+        <ul className="chat-list">
+          {visibleChats.map(chat => {
+            const other = getOtherParticipant(chat);
+            return (
+              <li key={chat._id}>
+                <Link to={`/chats/${chat._id}`} className="chat-list-item">
+                  <div className="chat-avatar">
+                    {other?.avatar ? (
+                      <img src={other.avatar} alt={other.name} />
+                    ) : (
+                      <span>{other?.name?.charAt(0).toUpperCase() || '?'}</span>
+                    )}
+                  </div>
+                  <div className="chat-summary">
+                    <div className="chat-summary-top">
+                      <strong>{other?.name || 'Unknown user'}</strong>
+                      {chat.lastMessage?.timestamp && (
+                        <span className="text-muted chat-time">
+                          {timeSince(chat.lastMessage.timestamp)}
+                        </span>
+                      )}
+                    </div>
+                    {chat.post && (
+                      <div className="chat-post-title">
+                        <span className={`post-type ${chat.post.type}`}>
+                          {chat.post.type?.toUpperCase()}
+                        </span>
+                        {chat.post.title}
+                      </div>
+                    )}
+                    <p className="chat-preview text-muted">
+                      {chat.lastMessage?.content || 'No messages yet'}
+                    </p>
+                  </div>
+                  {chat.unreadCount > 0 && (
+                    <span className="unread-badge">{chat.unreadCount}</span>
+                  )}
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      )}
     </div>
   );
 };
 
-export default Chats;
\ No newline at end of file
+export default Chats;
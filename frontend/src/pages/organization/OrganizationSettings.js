@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import useDebounce from '../../hooks/useDebounce';
+import OrganizationForm from '../../components/organizations/OrganizationForm';
+import BuildingRegistry from '../admin/BuildingRegistry';
+import '../../components/organizations/Organizations.css';
+import '../admin/AdminConsole.css';
+import './OrganizationSettings.css';
+
+// Settings page for organization admins: guest viewing, categories,
+// the organization's own buildings and who else can manage it
+const OrganizationSettings = () => {
+  const { user } = useAuth();
+  const [organization, setOrganization] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [memberSearch, setMemberSearch] = useState('');
+  const debouncedSearch = useDebounce(memberSearch.trim(), 300);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchOrganization = async () => {
+      try {
+        const response = await axios.get('/organizations/current');
+        setOrganization(response.data.organization);
+        setCategories(response.data.categories);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load organization');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrganization();
+  }, []);
+
+  const fetchMembers = useCallback(async () => {
+    if (!organization) return;
+
+    try {
+      const params = debouncedSearch ? `?search=${encodeURIComponent(debouncedSearch)}` : '';
+      const response = await axios.get(`/organizations/${organization._id}/members${params}`);
+      setMembers(response.data.members);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load members');
+    }
+  }, [organization, debouncedSearch]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const handleSubmit = async (payload) => {
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await axios.put(`/organizations/${organization._id}`, payload);
+      setOrganization(response.data.organization);
+      setMessage('Organization settings saved.');
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save settings');
+    }
+  };
+
+  const handleRoleChange = async (member, orgRole) => {
+    try {
+      const response = await axios.put(`/organizations/${organization._id}/members/${member._id}`, { orgRole });
+      setMessage(response.data.message);
+      setError('');
+      fetchMembers();
+    } catch (err) {
+      setMessage('');
+      setError(err.response?.data?.error || 'Failed to change role');
+    }
+  };
+
+  if (loading) {
+    return <div className="page-container"><p>Loading organization...</p></div>;
+  }
+
+  if (!organization) {
+    return (
+      <div className="page-container organization-settings-page">
+        <h1>Organization</h1>
+        <p className="text-muted">
+          You're not part of an organization. Verify an email address on your college's domain to join it.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page-container organization-settings-page">
+      <h1>{organization.name}</h1>
+      <p className="text-muted mb-3">
+        Members join by verifying an address on {organization.emailDomains.join(', ') || 'the organization\'s domains'}.
+      </p>
+
+      {error && <div className="error-message mb-3">{error}</div>}
+      {message && <div className="success-message mb-3">{message}</div>}
+
+      <section className="organization-settings-section">
+        <h2>Visibility and categories</h2>
+        <OrganizationForm
+          key={organization.updatedAt}
+          organization={organization}
+          categories={categories}
+          onSubmit={handleSubmit}
+        />
+      </section>
+
+      <section className="organization-settings-section">
+        <h2>Buildings</h2>
+        <p className="text-muted">
+          Your members see these alongside the buildings shared by every organization.
+        </p>
+        <BuildingRegistry />
+      </section>
+
+      <section className="organization-settings-section">
+        <h2>Members</h2>
+        <input
+          type="text"
+          className="form-control mb-2"
+          placeholder="Search by name or email"
+          value={memberSearch}
+          onChange={(e) => setMemberSearch(e.target.value)}
+        />
+        {members.length === 0 ? (
+          <p className="text-muted">No members found.</p>
+        ) : (
+          <div className="admin-list">
+            {members.map(member => (
+              <div key={member._id} className="admin-item">
+                <div className="admin-item-main">
+                  <Link to={`/profile/${member._id}`} className="admin-item-title">
+                    {member.name}
+                  </Link>
+                  {member.orgRole === 'admin' && <span className="role-badge role-admin">admin</span>}
+                  <p className="text-muted">{member.email}</p>
+                </div>
+                {member._id !== user?._id && (
+                  <div className="admin-item-actions">
+                    <select
+                      className="form-control"
+                      value={member.orgRole}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                    >
+                      <option value="member">Member</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default OrganizationSettings;
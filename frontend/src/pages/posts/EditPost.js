@@ -1,12 +1,744 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { toLocalInputValue } from '../../utils/formatters';
+import { fromPoint, toPoint } from '../../utils/geo';
+import { attributesOf, findCategory, subCategoriesOf } from '../../utils/categories';
+import useCategories from '../../hooks/useCategories';
+import LocationPicker from '../../components/posts/LocationPicker';
+import BuildingInput from '../../components/posts/BuildingInput';
+import AttributeFields, {
+  validateAttributes,
+  serializeAttributes
+} from '../../components/posts/AttributeFields';
+import VerificationQuestionsEditor, {
+  validateVerificationQuestions,
+  serializeVerificationQuestions
+} from '../../components/posts/VerificationQuestionsEditor';
+import './EditPost.css';
+
+const MAX_PHOTOS = 5;
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024; // 5MB
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const CONDITIONS = ['Excellent', 'Good', 'Fair', 'Poor'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Build the form state from a post returned by the API
+const buildFormData = (post) => ({
+  title: post.title || '',
+  description: post.description || '',
+  category: post.category || '',
+  subCategory: post.subCategory || '',
+  building: post.location?.building || '',
+  floor: post.location?.floor || '',
+  room: post.location?.room || '',
+  area: post.location?.area || '',
+  pin: fromPoint(post.location?.coordinates),
+  dateTime: toLocalInputValue(post.dateTime),
+  timeStart: post.timeRange?.start || '',
+  timeEnd: post.timeRange?.end || '',
+  color: post.color || '',
+  brand: post.brand || '',
+  model: post.model || '',
+  size: post.size || '',
+  condition: post.condition || 'Good',
+  priority: post.priority || 'medium',
+  rewardOffered: Boolean(post.reward?.offered),
+  rewardAmount: post.reward?.amount ?? '',
+  rewardDescription: post.reward?.description || '',
+  showEmail: post.contactInfo?.email ?? true,
+  showPhone: post.contactInfo?.phone ?? false,
+  preferredMethod: post.contactInfo?.preferredMethod || 'chat'
+});
 
 const EditPost = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [post, setPost] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [images, setImages] = useState([]); // images already on the post
+  const [photos, setPhotos] = useState([]); // new uploads: [{ file, preview }]
+  const [verificationQuestions, setVerificationQuestions] = useState([]);
+  // Category details; owners get their sensitive values back to edit
+  const [attributeValues, setAttributeValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Registered building the building name refers to, for its floors and pin
+  const [matchedBuilding, setMatchedBuilding] = useState(null);
+  // Categories the author's organization allows posting under
+  const { categories } = useCategories({ forPosting: true });
+
+  useEffect(() => {
+    const fetchPost = async () => {
+      try {
+        const response = await axios.get(`/posts/${id}`);
+        setPost(response.data.post);
+        setFormData(buildFormData(response.data.post));
+        setImages(response.data.post.images || []);
+        setVerificationQuestions(response.data.post.verificationQuestions || []);
+        setAttributeValues({ ...response.data.post.attributes, ...response.data.post.sensitiveAttributes });
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load post');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPost();
+  }, [id]);
+
+  // Release preview URLs when the component unmounts
+  const photosRef = useRef(photos);
+  photosRef.current = photos;
+
+  useEffect(() => {
+    return () => {
+      photosRef.current.forEach(photo => URL.revokeObjectURL(photo.preview));
+    };
+  }, []);
+
+  const onChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value,
+      // Sub-categories belong to one category
+      ...(name === 'category' && { subCategory: '' })
+    });
+    setErrors({ ...errors, [name]: '' });
+    setError('');
+  };
+
+  const handlePhotoSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    if (images.length + photos.length + files.length > MAX_PHOTOS) {
+      setError(`A post can have up to ${MAX_PHOTOS} photos.`);
+      return;
+    }
+
+    const invalidFile = files.find(file => !PHOTO_TYPES.includes(file.type) || file.size > MAX_PHOTO_SIZE);
+    if (invalidFile) {
+      setError(`${invalidFile.name} must be a JPEG, PNG or WebP image under 5MB.`);
+      return;
+    }
+
+    setPhotos(prev => [
+      ...prev,
+      ...files.map(file => ({ file, preview: URL.createObjectURL(file) }))
+    ]);
+    setError('');
+  };
+
+  const handlePhotoRemove = (index) => {
+    setPhotos(prev => {
+      URL.revokeObjectURL(prev[index].preview);
+      return prev.filter((_, i) => i !== index);
+    });
+  };
+
+  const handleImageRemove = (publicId) => {
+    setImages(prev => prev.filter(image => image.publicId !== publicId));
+  };
+
+  // Upload newly selected photos and return them in the shape Post.images expects
+  const uploadPhotos = async () => {
+    if (photos.length === 0) return [];
+
+    const data = new FormData();
+    photos.forEach(photo => data.append('files', photo.file));
+
+    const response = await axios.post('/uploads?purpose=post', data, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+
+    return response.data.files.map(({ url, publicId, thumbnailUrl }) => ({
+      url,
+      publicId,
+      thumbnailUrl
+    }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    const title = formData.title.trim();
+    const description = formData.description.trim();
+
+    if (title.length < 5 || title.length > 100) {
+      newErrors.title = 'Title must be between 5 and 100 characters';
+    }
+
+    if (description.length < 10 || description.length > 1000) {
+      newErrors.description = 'Description must be between 10 and 1000 characters';
+    }
+
+    if (!formData.building.trim()) {
+      newErrors.building = 'Building/Location is required';
+    }
+
+    if (!formData.dateTime) {
+      newErrors.dateTime = 'Date and time is required';
+    } else if (new Date(formData.dateTime) > new Date()) {
+      newErrors.dateTime = 'Date and time cannot be in the future';
+    }
+
+    if (formData.rewardOffered && formData.rewardAmount !== '' && Number(formData.rewardAmount) < 0) {
+      newErrors.rewardAmount = 'Reward amount cannot be negative';
+    }
+
+    const attributeError = validateAttributes(attributesOf(categories, formData.category, formData.subCategory), attributeValues);
+    if (attributeError) {
+      newErrors.attributes = attributeError;
+    }
+
+    if (post.type === 'found') {
+      const questionError = validateVerificationQuestions(verificationQuestions);
+      if (questionError) newErrors.verificationQuestions = questionError;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const uploadedImages = await uploadPhotos();
+
+      const payload = {
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        category: formData.category,
+        subCategory: formData.subCategory || null,
+        location: {
+          ...post.location,
+          building: formData.building.trim(),
+          floor: formData.floor.trim(),
+          room: formData.room.trim(),
+          area: formData.area.trim(),
+          // Leaving it out removes the pin
+          coordinates: formData.pin ? toPoint(formData.pin) : undefined
+        },
+        timeRange: {
+          start: formData.timeStart || undefined,
+          end: formData.timeEnd || undefined
+        },
+        color: formData.color.trim(),
+        brand: formData.brand.trim(),
+        model: formData.model.trim(),
+        size: formData.size.trim(),
+        condition: formData.condition,
+        priority: formData.priority,
+        reward: {
+          offered: formData.rewardOffered,
+          amount: formData.rewardOffered && formData.rewardAmount !== '' ? Number(formData.rewardAmount) : undefined,
+          description: formData.rewardOffered ? formData.rewardDescription.trim() : ''
+        },
+        contactInfo: {
+          email: formData.showEmail,
+          phone: formData.showPhone,
+          preferredMethod: formData.preferredMethod
+        },
+        images: [...images, ...uploadedImages],
+        ...(post.type === 'found' && {
+          verificationQuestions: serializeVerificationQuestions(verificationQuestions)
+        })
+      };
+
+      // Without the category's attributes (still loading or no longer offered)
+      // the stored details are left as they are
+      if (findCategory(categories, formData.category)) {
+        payload.attributes = serializeAttributes(
+          attributesOf(categories, formData.category, formData.subCategory),
+          attributeValues
+        );
+      }
+
+      // The input drops seconds, so only send the date when it was changed
+      if (formData.dateTime !== toLocalInputValue(post.dateTime)) {
+        payload.dateTime = new Date(formData.dateTime).toISOString();
+      }
+
+      await axios.put(`/posts/${id}`, payload);
+      navigate(`/posts/${id}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update post');
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="page-container">
+        <p>Loading post...</p>
+      </div>
+    );
+  }
+
+  if (!post || !formData) {
+    return (
+      <div className="page-container">
+        <div className="error-message">{error || 'Post not found'}</div>
+        <Link to="/dashboard" className="text-primary">← Back to dashboard</Link>
+      </div>
+    );
+  }
+
+  if (post.user?._id !== user?._id) {
+    return (
+      <div className="page-container">
+        <div className="error-message">You can only edit your own posts.</div>
+        <Link to={`/posts/${id}`} className="text-primary">← Back to post</Link>
+      </div>
+    );
+  }
+
+  if (post.status !== 'active') {
+    return (
+      <div className="page-container">
+        <div className="error-message">Resolved or expired posts can no longer be edited.</div>
+        <Link to={`/posts/${id}`} className="text-primary">← Back to post</Link>
+      </div>
+    );
+  }
+
+  const totalPhotos = images.length + photos.length;
+  const subCategories = subCategoriesOf(categories, formData.category);
+  const attributes = attributesOf(categories, formData.category, formData.subCategory);
+
   return (
-    <div className="page-container">
-      <h1>Edit Post</h1>
-      <p>Edit post component coming soon...</p>
+    <div className="page-container edit-post">
+      <Link to={`/posts/${id}`} className="text-primary">← Back to post</Link>
+      <h1>Edit {post.type === 'lost' ? 'Lost' : 'Found'} Item</h1>
+      <p className="text-muted">
+        Changes are recorded in the post's edit history, visible to you, interested users and moderators.
+      </p>
+
+      {error && <div className="error-message mb-3">{error}</div>}
+
+      <form onSubmit={onSubmit} noValidate>
+        <section className="edit-post-section">
+          <h2>Basics</h2>
+
+          <div className="form-group">
+            <label htmlFor="title">Title</label>
+            <input
+              type="text"
+              id="title"
+              name="title"
+              className={`form-control ${errors.title ? 'error' : ''}`}
+              value={formData.title}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            {errors.title && <div className="error-message">{errors.title}</div>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="description">Description</label>
+            <textarea
+              id="description"
+              name="description"
+              rows="5"
+              className={`form-control ${errors.description ? 'error' : ''}`}
+              value={formData.description}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            {errors.description && <div className="error-message">{errors.description}</div>}
+          </div>
+
+          <div className="edit-post-row">
+            <div className="form-group">
+              <label htmlFor="category">Category</label>
+              <select
+                id="category"
+                name="category"
+                className="form-control"
+                value={formData.category}
+                onChange={onChange}
+                disabled={isSubmitting}
+              >
+                {!categories.some(category => category.name === post.category) && (
+                  <option value={post.category}>{post.category}</option>
+                )}
+                {categories.map(category => (
+                  <option key={category._id} value={category.name}>
+                    {category.icon ? `${category.icon} ${category.name}` : category.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {(subCategories.length > 0 || formData.subCategory) && (
+              <div className="form-group">
+                <label htmlFor="subCategory">Sub-category</label>
+                <select
+                  id="subCategory"
+                  name="subCategory"
+                  className="form-control"
+                  value={formData.subCategory}
+                  onChange={onChange}
+                  disabled={isSubmitting}
+                >
+                  <option value="">None</option>
+                  {/* Keep a sub-category that is no longer offered selectable */}
+                  {formData.subCategory && !subCategories.some(sub => sub.name === formData.subCategory) && (
+                    <option value={formData.subCategory}>{formData.subCategory}</option>
+                  )}
+                  {subCategories.map(sub => (
+                    <option key={sub._id} value={sub.name}>
+                      {sub.icon ? `${sub.icon} ${sub.name}` : sub.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="priority">Priority</label>
+              <select
+                id="priority"
+                name="priority"
+                className="form-control"
+                value={formData.priority}
+                onChange={onChange}
+                disabled={isSubmitting}
+              >
+                {PRIORITIES.map(priority => (
+                  <option key={priority} value={priority}>{priority}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </section>
+
+        <section className="edit-post-section">
+          <h2>When &amp; Where</h2>
+
+          <div className="edit-post-row">
+            <div className="form-group">
+              <label htmlFor="dateTime">Date and time</label>
+              <input
+                type="datetime-local"
+                id="dateTime"
+                name="dateTime"
+                className={`form-control ${errors.dateTime ? 'error' : ''}`}
+                value={formData.dateTime}
+                onChange={onChange}
+                disabled={isSubmitting}
+              />
+              {errors.dateTime && <div className="error-message">{errors.dateTime}</div>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="timeStart">Between</label>
+              <input
+                type="time"
+                id="timeStart"
+                name="timeStart"
+                className="form-control"
+                value={formData.timeStart}
+                onChange={onChange}
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="timeEnd">And</label>
+              <input
+                type="time"
+                id="timeEnd"
+                name="timeEnd"
+                className="form-control"
+                value={formData.timeEnd}
+                onChange={onChange}
+                disabled={isSubmitting}
+              />
+            </div>
+          </div>
+
+          <div className="edit-post-row">
+            <div className="form-group">
+              <label htmlFor="building">Building/Location</label>
+              <BuildingInput
+                id="building"
+                name="building"
+                className={`form-control ${errors.building ? 'error' : ''}`}
+                value={formData.building}
+                onChange={onChange}
+                onMatch={setMatchedBuilding}
+                disabled={isSubmitting}
+              />
+              {errors.building && <div className="error-message">{errors.building}</div>}
+            </div>
+
+            {['floor', 'room', 'area'].map(field => (
+              <div key={field} className="form-group">
+                <label htmlFor={field}>{field.charAt(0).toUpperCase() + field.slice(1)}</label>
+                <input
+                  type="text"
+                  id={field}
+                  name={field}
+                  className="form-control"
+                  value={formData[field]}
+                  onChange={onChange}
+                  list={field === 'floor' && matchedBuilding?.floors?.length ? 'floor-options' : undefined}
+                  disabled={isSubmitting}
+                />
+              </div>
+            ))}
+            {matchedBuilding?.floors?.length > 0 && (
+              <datalist id="floor-options">
+                {matchedBuilding.floors.map(floor => <option key={floor} value={floor} />)}
+              </datalist>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Map pin (optional)</label>
+            {!formData.pin && matchedBuilding?.coordinates && (
+              <button
+                type="button"
+                className="btn btn-sm btn-outline mb-2"
+                onClick={() => setFormData({ ...formData, pin: fromPoint(matchedBuilding.coordinates) })}
+                disabled={isSubmitting}
+              >
+                Pin at {matchedBuilding.name}
+              </button>
+            )}
+            <LocationPicker
+              value={formData.pin}
+              onChange={(pin) => setFormData({ ...formData, pin })}
+              disabled={isSubmitting}
+            />
+          </div>
+        </section>
+
+        <section className="edit-post-section">
+          <h2>Item Details</h2>
+
+          <div className="edit-post-row">
+            {['color', 'brand', 'model', 'size'].map(field => (
+              <div key={field} className="form-group">
+                <label htmlFor={field}>{field.charAt(0).toUpperCase() + field.slice(1)}</label>
+                <input
+                  type="text"
+                  id={field}
+                  name={field}
+                  className="form-control"
+                  value={formData[field]}
+                  onChange={onChange}
+                  maxLength={50}
+                  disabled={isSubmitting}
+                />
+              </div>
+            ))}
+
+            <div className="form-group">
+              <label htmlFor="condition">Condition</label>
+              <select
+                id="condition"
+                name="condition"
+                className="form-control"
+                value={formData.condition}
+                onChange={onChange}
+                disabled={isSubmitting}
+              >
+                {CONDITIONS.map(condition => (
+                  <option key={condition} value={condition}>{condition}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {errors.attributes && <div className="error-message mb-3">{errors.attributes}</div>}
+          <AttributeFields
+            attributes={attributes}
+            values={attributeValues}
+            onChange={(values) => {
+              setAttributeValues(values);
+              setErrors({ ...errors, attributes: '' });
+            }}
+            disabled={isSubmitting}
+          />
+        </section>
+
+        <section className="edit-post-section">
+          <h2>Photos</h2>
+
+          <div className="edit-post-photos">
+            {images.map((image, index) => (
+              <div key={image.publicId} className="edit-post-photo">
+                <img src={image.thumbnailUrl || image.url} alt={`${post.title} ${index + 1}`} />
+                <button
+                  type="button"
+                  className="edit-post-photo-remove"
+                  onClick={() => handleImageRemove(image.publicId)}
+                  aria-label="Remove photo"
+                  disabled={isSubmitting}
+                >
+                  &times;
+                </button>
+              </div>
+            ))}
+            {photos.map((photo, index) => (
+              <div key={photo.preview} className="edit-post-photo new">
+                <img src={photo.preview} alt={`New upload ${index + 1}`} />
+                <button
+                  type="button"
+                  className="edit-post-photo-remove"
+                  onClick={() => handlePhotoRemove(index)}
+                  aria-label="Remove photo"
+                  disabled={isSubmitting}
+                >
+                  &times;
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <input
+            type="file"
+            id="photos"
+            accept={PHOTO_TYPES.join(',')}
+            multiple
+            onChange={handlePhotoSelect}
+            disabled={isSubmitting || totalPhotos >= MAX_PHOTOS}
+          />
+          <small className="text-muted">
+            {totalPhotos}/{MAX_PHOTOS} photos. Location data is removed from photos on upload.
+          </small>
+        </section>
+
+        {post.type === 'found' && (
+          <section className="edit-post-section">
+            <h2>Ownership Questions</h2>
+            {errors.verificationQuestions && <div className="error-message mb-3">{errors.verificationQuestions}</div>}
+            <VerificationQuestionsEditor
+              questions={verificationQuestions}
+              onChange={(questions) => {
+                setVerificationQuestions(questions);
+                setErrors({ ...errors, verificationQuestions: '' });
+              }}
+              disabled={isSubmitting}
+            />
+          </section>
+        )}
+
+        <section className="edit-post-section">
+          <h2>Reward &amp; Contact</h2>
+
+          <label className="edit-post-checkbox">
+            <input
+              type="checkbox"
+              name="rewardOffered"
+              checked={formData.rewardOffered}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            Offer a reward
+          </label>
+
+          {formData.rewardOffered && (
+            <div className="edit-post-row">
+              <div className="form-group">
+                <label htmlFor="rewardAmount">Amount</label>
+                <input
+                  type="number"
+                  id="rewardAmount"
+                  name="rewardAmount"
+                  min="0"
+                  className={`form-control ${errors.rewardAmount ? 'error' : ''}`}
+                  value={formData.rewardAmount}
+                  onChange={onChange}
+                  disabled={isSubmitting}
+                />
+                {errors.rewardAmount && <div className="error-message">{errors.rewardAmount}</div>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="rewardDescription">Details</label>
+                <input
+                  type="text"
+                  id="rewardDescription"
+                  name="rewardDescription"
+                  className="form-control"
+                  value={formData.rewardDescription}
+                  onChange={onChange}
+                  maxLength={200}
+                  disabled={isSubmitting}
+                />
+              </div>
+            </div>
+          )}
+
+          <label className="edit-post-checkbox">
+            <input
+              type="checkbox"
+              name="showEmail"
+              checked={formData.showEmail}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            Show my email to signed-in users
+          </label>
+
+          <label className="edit-post-checkbox">
+            <input
+              type="checkbox"
+              name="showPhone"
+              checked={formData.showPhone}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            Show my phone number to signed-in users
+          </label>
+
+          <div className="form-group">
+            <label htmlFor="preferredMethod">Preferred contact method</label>
+            <select
+              id="preferredMethod"
+              name="preferredMethod"
+              className="form-control"
+              value={formData.preferredMethod}
+              onChange={onChange}
+              disabled={isSubmitting}
+            >
+              <option value="chat">Chat</option>
+              <option value="email">Email</option>
+              <option value="phone">Phone</option>
+            </select>
+          </div>
+        </section>
+
+        <div className="edit-post-actions">
+          <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving...' : 'Save Changes'}
+          </button>
+          <Link to={`/posts/${id}`} className="btn btn-outline">
+            Cancel
+          </Link>
+        </div>
+      </form>
     </div>
   );
 };
 
-export default EditPost;
\ No newline at end of file
+export default EditPost;
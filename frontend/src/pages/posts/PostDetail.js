@@ -1,12 +1,551 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { useSocket } from '../../context/SocketContext';
+import MatchesPanel from '../../components/posts/MatchesPanel';
+import ClaimPanel from '../../components/posts/ClaimPanel';
+import ClaimsReviewPanel from '../../components/posts/ClaimsReviewPanel';
+import RevisionHistory from '../../components/posts/RevisionHistory';
+import LocationPicker from '../../components/posts/LocationPicker';
+import { formatCurrency, timeSince } from '../../utils/formatters';
+import { hasRole } from '../../utils/roles';
+import { fromPoint } from '../../utils/geo';
+import useNotificationMute from '../../hooks/useNotificationMute';
+import useCategories from '../../hooks/useCategories';
+import { attributesOf } from '../../utils/categories';
+import './PostDetail.css';
+
+const FLAG_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'inappropriate', label: 'Inappropriate' },
+  { value: 'fake', label: 'Fake post' },
+  { value: 'duplicate', label: 'Duplicate' },
+  { value: 'other', label: 'Other' }
+];
+
+const LOCATION_FIELDS = [
+  ['building', 'Building'],
+  ['floor', 'Floor'],
+  ['room', 'Room'],
+  ['area', 'Area']
+];
+
+const ITEM_FIELDS = [
+  ['color', 'Color'],
+  ['brand', 'Brand'],
+  ['model', 'Model'],
+  ['size', 'Size'],
+  ['condition', 'Condition']
+];
 
 const PostDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated } = useAuth();
+  const { socket, connected } = useSocket();
+  const { categories } = useCategories();
+
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [actionMessage, setActionMessage] = useState('');
+  const [activeImage, setActiveImage] = useState(0);
+
+  const [showInterestForm, setShowInterestForm] = useState(false);
+  const [interestMessage, setInterestMessage] = useState('');
+  const [showFlagForm, setShowFlagForm] = useState(false);
+  const [flagData, setFlagData] = useState({ reason: 'spam', description: '' });
+  const [showResolveForm, setShowResolveForm] = useState(false);
+  const [resolvedBy, setResolvedBy] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [chatStarting, setChatStarting] = useState(null);
+
+  // Owners get most notifications about a post, so they can mute it here
+  const ownsPost = Boolean(user) && Boolean(post) && post.user?._id === user._id;
+  const { muted, toggleMute } = useNotificationMute('post', ownsPost ? id : null);
+
+  const fetchPost = useCallback(async () => {
+    try {
+      const response = await axios.get(`/posts/${id}`);
+      setPost(response.data.post);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load post');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    setLoading(true);
+    setActiveImage(0);
+    fetchPost();
+  }, [fetchPost]);
+
+  // Run a post action, then reload the post to pick up its new state
+  const runAction = async (request, successMessage) => {
+    setIsSubmitting(true);
+    setActionError('');
+    setActionMessage('');
+
+    try {
+      await request();
+      setActionMessage(successMessage);
+      await fetchPost();
+      return true;
+    } catch (err) {
+      setActionError(err.response?.data?.error || 'Something went wrong');
+      return false;
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleInterest = async (e) => {
+    e.preventDefault();
+    const ok = await runAction(
+      () => axios.post(`/posts/${id}/interest`, { message: interestMessage }),
+      'The owner has been notified of your interest.'
+    );
+    if (ok) {
+      setShowInterestForm(false);
+      setInterestMessage('');
+    }
+  };
+
+  const handleFlag = async (e) => {
+    e.preventDefault();
+    const ok = await runAction(
+      () => axios.post(`/posts/${id}/flag`, flagData),
+      'Thanks, this post has been reported to the moderators.'
+    );
+    if (ok) {
+      setShowFlagForm(false);
+    }
+  };
+
+  const handleResolve = async (e) => {
+    e.preventDefault();
+    const ok = await runAction(
+      () => axios.put(`/posts/${id}/resolve`, resolvedBy ? { resolvedBy } : {}),
+      'Post marked as resolved.'
+    );
+    if (ok) {
+      setShowResolveForm(false);
+    }
+  };
+
+  // Open (or reuse) a chat about this post with another user
+  const startChat = (participantId) => {
+    if (!socket || !connected) {
+      setActionError('Chat is not connected yet, please try again in a moment');
+      return;
+    }
+
+    setChatStarting(participantId);
+    setActionError('');
+
+    const handleChatCreated = ({ chat }) => {
+      socket.off('error', handleCreateError);
+      setChatStarting(null);
+      navigate(`/chats/${chat._id}`);
+    };
+
+    const handleCreateError = ({ message }) => {
+      socket.off('chat_created', handleChatCreated);
+      setChatStarting(null);
+      setActionError(message);
+    };
+
+    socket.once('chat_created', handleChatCreated);
+    socket.once('error', handleCreateError);
+    socket.emit('create_chat', { postId: id, participantId });
+  };
+
+  if (loading) {
+    return <div className="page-container"><p>Loading post...</p></div>;
+  }
+
+  if (error || !post) {
+    return (
+      <div className="page-container">
+        <div className="error-message">{error || 'Post not found'}</div>
+        <Link to="/posts" className="text-primary">← Back to all items</Link>
+      </div>
+    );
+  }
+
+  const isOwner = Boolean(user) && post.user?._id === user._id;
+  const isActive = post.status === 'active';
+  const hasExpressedInterest = Boolean(user) && post.interestedUsers?.some(
+    interest => interest.user?._id === user._id
+  );
+  // Claimants and moderators can check whether details changed after the fact
+  const canViewHistory = isOwner || hasExpressedInterest || hasRole(user, 'moderator');
+  const images = post.images || [];
+  const currentImage = images[activeImage];
+  const itemDetails = ITEM_FIELDS.filter(([field]) => post[field]);
+  const locationDetails = LOCATION_FIELDS.filter(([field]) => post.location?.[field]);
+  // Category details with their labels; sensitive values only reach the owner
+  const categoryDetails = attributesOf(categories, post.category, post.subCategory)
+    .map(attribute => ({
+      ...attribute,
+      value: (attribute.sensitive ? post.sensitiveAttributes : post.attributes)?.[attribute.key]
+    }))
+    .filter(({ value }) => value !== undefined && value !== null && value !== '');
+
   return (
-    <div className="page-container">
-      <h1>Post Detail</h1>
-      <p>Post detail component coming soon...</p>
+    <div className="page-container post-detail">
+      <Link to="/posts" className="text-primary back-link">← Back to all items</Link>
+
+      <div className="post-detail-layout">
+        <div className="post-detail-main">
+          {/* Gallery */}
+          <div className="post-gallery">
+            <div className="post-gallery-main">
+              {currentImage ? (
+                <img src={currentImage.url} alt={currentImage.description || post.title} />
+              ) : (
+                <span className="post-gallery-placeholder">📦</span>
+              )}
+            </div>
+            {images.length > 1 && (
+              <div className="post-gallery-thumbs">
+                {images.map((image, index) => (
+                  <button
+                    key={image.publicId || image.url}
+                    className={`post-gallery-thumb ${index === activeImage ? 'active' : ''}`}
+                    onClick={() => setActiveImage(index)}
+                  >
+                    <img src={image.thumbnailUrl || image.url} alt={`${post.title} ${index + 1}`} />
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Header */}
+          <div className="post-detail-header">
+            <div className="post-detail-badges">
+              <span className={`post-type ${post.type}`}>{post.type?.toUpperCase()}</span>
+              {post.status !== 'active' && (
+                <span className={`post-status ${post.status}`}>{post.status}</span>
+              )}
+              {post.priority && post.priority !== 'medium' && (
+                <span className={`post-priority ${post.priority}`}>{post.priority} priority</span>
+              )}
+              {post.isVerified && <span className="post-verified">✔ Verified</span>}
+            </div>
+            <h1>{post.title}</h1>
+            <p className="text-muted">
+              {post.category}{post.subCategory ? ` · ${post.subCategory}` : ''} · posted {timeSince(post.createdAt)} · {post.views} views
+            </p>
+          </div>
+
+          <p className="post-detail-description">{post.description}</p>
+
+          {post.reward?.offered && (
+            <div className="post-detail-reward">
+              <strong>🎁 Reward{post.reward.amount ? `: ${formatCurrency(post.reward.amount)}` : ' offered'}</strong>
+              {post.reward.description && <p>{post.reward.description}</p>}
+              {post.rewardStatus && (
+                <p className="text-muted">
+                  {post.rewardStatus.status === 'paid'
+                    ? `${formatCurrency(post.rewardStatus.amount)} was paid to the finder`
+                    : `${formatCurrency(post.rewardStatus.amount)} is held until the handover is confirmed`}
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="post-detail-grid">
+            <section>
+              <h3>When</h3>
+              <p>{new Date(post.dateTime).toLocaleString()}</p>
+              {post.timeRange?.start && (
+                <p className="text-muted">
+                  Between {post.timeRange.start}{post.timeRange.end ? ` and ${post.timeRange.end}` : ''}
+                </p>
+              )}
+            </section>
+
+            {locationDetails.length > 0 && (
+              <section>
+                <h3>Where</h3>
+                <dl className="detail-list">
+                  {locationDetails.map(([field, label]) => (
+                    <React.Fragment key={field}>
+                      <dt>{label}</dt>
+                      <dd>{post.location[field]}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+                <LocationPicker value={fromPoint(post.location?.coordinates)} readOnly />
+              </section>
+            )}
+
+            {(itemDetails.length > 0 || categoryDetails.length > 0) && (
+              <section>
+                <h3>Item Details</h3>
+                <dl className="detail-list">
+                  {itemDetails.map(([field, label]) => (
+                    <React.Fragment key={field}>
+                      <dt>{label}</dt>
+                      <dd>{post[field]}</dd>
+                    </React.Fragment>
+                  ))}
+                  {categoryDetails.map(({ key, label, type, sensitive, value }) => (
+                    <React.Fragment key={key}>
+                      <dt>{label}</dt>
+                      <dd>
+                        {type === 'boolean' ? (value ? 'Yes' : 'No') : value}
+                        {sensitive && <span className="text-muted" title="Only you can see this"> 🔒</span>}
+                      </dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              </section>
+            )}
+          </div>
+
+          {post.status === 'resolved' && (
+            <div className="success-message">
+              Resolved {post.resolvedAt && timeSince(post.resolvedAt)}
+              {post.resolvedBy && <> with the help of <Link to={`/profile/${post.resolvedBy._id}`}>{post.resolvedBy.name}</Link></>}
+            </div>
+          )}
+
+          {isOwner && isActive && <MatchesPanel postId={post._id} />}
+
+          {isOwner && post.type === 'found' && (
+            <ClaimsReviewPanel postId={post._id} onClaimUpdated={fetchPost} />
+          )}
+
+          {canViewHistory && <RevisionHistory postId={post._id} />}
+        </div>
+
+        <aside className="post-detail-sidebar">
+          {/* Owner card */}
+          <div className="post-detail-card">
+            <Link to={`/profile/${post.user?._id}`} className="owner-info">
+              <div className="owner-avatar">
+                {post.user?.avatar ? (
+                  <img src={post.user.avatar} alt={post.user.name} />
+                ) : (
+                  <span>{post.user?.name?.charAt(0).toUpperCase()}</span>
+                )}
+              </div>
+              <div>
+                <strong>{post.user?.name}</strong>
+                {post.user?.trustScore > 0 && (
+                  <div className="text-muted">⭐ {post.user.trustScore.toFixed(1)} trust score</div>
+                )}
+                {post.user?.college && <div className="text-muted">{post.user.college}</div>}
+              </div>
+            </Link>
+
+            {!isOwner && isActive && (
+              isAuthenticated ? (
+                <div className="contact-options">
+                  <button
+                    className="btn btn-primary btn-block"
+                    onClick={() => startChat(post.user._id)}
+                    disabled={chatStarting !== null}
+                  >
+                    {chatStarting ? 'Opening chat...' : '💬 Message'}
+                  </button>
+                  {post.user?.email && (
+                    <a href={`mailto:${post.user.email}`} className="btn btn-outline btn-block">
+                      ✉️ Email
+                    </a>
+                  )}
+                  {post.user?.phone && (
+                    <a href={`tel:${post.user.phone}`} className="btn btn-outline btn-block">
+                      📞 {post.user.phone}
+                    </a>
+                  )}
+                  {post.contactInfo?.preferredMethod && (
+                    <p className="text-muted text-center">
+                      Prefers contact by {post.contactInfo.preferredMethod}
+                    </p>
+                  )}
+                </div>
+              ) : (
+                <Link to="/login" className="btn btn-primary btn-block">
+                  Log in to contact
+                </Link>
+              )
+            )}
+          </div>
+
+          {actionError && <div className="error-message">{actionError}</div>}
+          {actionMessage && <div className="success-message">{actionMessage}</div>}
+
+          {/* Claims on found items */}
+          {isAuthenticated && !isOwner && post.type === 'found' && (
+            <ClaimPanel post={post} onClaimUpdated={fetchPost} />
+          )}
+
+          {/* Visitor actions */}
+          {isAuthenticated && !isOwner && isActive && (
+            <div className="post-detail-card">
+              {post.type === 'lost' && (hasExpressedInterest ? (
+                <p className="text-success">✔ You've expressed interest in this item</p>
+              ) : showInterestForm ? (
+                <form onSubmit={handleInterest}>
+                  <div className="form-group">
+                    <label htmlFor="interestMessage">Where did you see it?</label>
+                    <textarea
+                      id="interestMessage"
+                      className="form-control"
+                      rows="3"
+                      maxLength="500"
+                      value={interestMessage}
+                      onChange={(e) => setInterestMessage(e.target.value)}
+                    />
+                  </div>
+                  <button type="submit" className="btn btn-primary btn-sm" disabled={isSubmitting}>
+                    Send
+                  </button>{' '}
+                  <button type="button" className="btn btn-outline btn-sm" onClick={() => setShowInterestForm(false)}>
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <button className="btn btn-outline btn-block" onClick={() => setShowInterestForm(true)}>
+                  🙋 I found this
+                </button>
+              ))}
+
+              {post.hasReported ? (
+                <p className="text-muted report-note">You've reported this post</p>
+              ) : showFlagForm ? (
+                <form onSubmit={handleFlag} className="flag-form">
+                  <div className="form-group">
+                    <label htmlFor="flagReason">Reason</label>
+                    <select
+                      id="flagReason"
+                      className="form-control"
+                      value={flagData.reason}
+                      onChange={(e) => setFlagData({ ...flagData, reason: e.target.value })}
+                    >
+                      {FLAG_REASONS.map(reason => (
+                        <option key={reason.value} value={reason.value}>{reason.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <textarea
+                      className="form-control"
+                      rows="2"
+                      maxLength="500"
+                      placeholder="Details (optional)"
+                      value={flagData.description}
+                      onChange={(e) => setFlagData({ ...flagData, description: e.target.value })}
+                    />
+                  </div>
+                  <button type="submit" className="btn btn-danger btn-sm" disabled={isSubmitting}>
+                    Report
+                  </button>{' '}
+                  <button type="button" className="btn btn-outline btn-sm" onClick={() => setShowFlagForm(false)}>
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <button className="report-link" onClick={() => setShowFlagForm(true)}>
+                  🚩 Report this post
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Owner actions */}
+          {isOwner && (
+            <div className="post-detail-card">
+              <h3>Manage Post</h3>
+              <button type="button" className="btn btn-outline btn-sm mb-3" onClick={toggleMute}>
+                {muted ? '🔕 Notifications muted' : '🔔 Mute notifications'}
+              </button>
+              {isActive && (
+                <div className="owner-actions">
+                  <Link to={`/posts/${post._id}/edit`} className="btn btn-outline btn-block">
+                    Edit
+                  </Link>
+                  {post.type === 'found' ? (
+                    <p className="text-muted">
+                      Found items are resolved when the owner confirms their claim.
+                    </p>
+                  ) : showResolveForm ? (
+                    <form onSubmit={handleResolve}>
+                      <div className="form-group">
+                        <label htmlFor="resolvedBy">Who helped?</label>
+                        <select
+                          id="resolvedBy"
+                          className="form-control"
+                          value={resolvedBy}
+                          onChange={(e) => setResolvedBy(e.target.value)}
+                        >
+                          <option value="">Nobody / someone else</option>
+                          {post.interestedUsers.map(interest => interest.user && (
+                            <option key={interest.user._id} value={interest.user._id}>
+                              {interest.user.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <button type="submit" className="btn btn-primary btn-sm" disabled={isSubmitting}>
+                        Confirm
+                      </button>{' '}
+                      <button type="button" className="btn btn-outline btn-sm" onClick={() => setShowResolveForm(false)}>
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <button className="btn btn-primary btn-block" onClick={() => setShowResolveForm(true)}>
+                      ✔ Mark as resolved
+                    </button>
+                  )}
+                </div>
+              )}
+
+              <h3 className="interested-heading">
+                Interested ({post.interestedUsers?.length || 0})
+              </h3>
+              {post.interestedUsers?.length === 0 ? (
+                <p className="text-muted">Nobody has responded yet.</p>
+              ) : (
+                <ul className="interested-list">
+                  {post.interestedUsers.map(interest => interest.user && (
+                    <li key={interest.user._id} className="interested-item">
+                      <div>
+                        <Link to={`/profile/${interest.user._id}`}>
+                          <strong>{interest.user.name}</strong>
+                        </Link>
+                        {interest.user.trustScore > 0 && (
+                          <span className="text-muted"> ⭐ {interest.user.trustScore.toFixed(1)}</span>
+                        )}
+                        <div className="text-muted interested-time">{timeSince(interest.timestamp)}</div>
+                        {interest.message && <p className="interested-message">{interest.message}</p>}
+                      </div>
+                      <button
+                        className="btn btn-sm btn-outline"
+                        onClick={() => startChat(interest.user._id)}
+                        disabled={chatStarting !== null}
+                      >
+                        {chatStarting === interest.user._id ? 'Opening...' : 'Start chat'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </aside>
+      </div>
     </div>
   );
 };
 
-export default PostDetail;
\ No newline at end of file
+export default PostDetail;
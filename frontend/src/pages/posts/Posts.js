@@ -1,12 +1,410 @@
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import axios from 'axios';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import PostCard, { PostCardSkeleton } from '../../components/posts/PostCard';
+import SaveSearchForm from '../../components/posts/SaveSearchForm';
+import useDebounce from '../../hooks/useDebounce';
+import useCategories from '../../hooks/useCategories';
+import { formatDistance } from '../../utils/formatters';
+import { categoryIcon } from '../../utils/categories';
+import './Posts.css';
+
+const PAGE_SIZE = 12;
+
+const TYPE_TABS = [
+  { value: '', label: 'All' },
+  { value: 'lost', label: 'Lost' },
+  { value: 'found', label: 'Found' }
+];
+
+const SORT_OPTIONS = [
+  { value: 'createdAt', label: 'Newest' },
+  { value: 'dateTime', label: 'Date lost/found' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'views', label: 'Most viewed' }
+];
+
+// Radius choices in metres for the "Near me" filter
+const RADIUS_OPTIONS = [250, 500, 1000, 2000, 5000];
+
+// URL params that are passed straight through to GET /api/posts
+const FILTER_PARAMS = ['type', 'category', 'building', 'search', 'near', 'radius', 'sortBy', 'sortOrder'];
 
 const Posts = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { isAuthenticated } = useAuth();
+
+  const type = searchParams.get('type') || '';
+  const category = searchParams.get('category') || '';
+  const building = searchParams.get('building') || '';
+  const search = searchParams.get('search') || '';
+  const sortBy = searchParams.get('sortBy') || '';
+  const sortOrder = searchParams.get('sortOrder') || 'desc';
+  const near = searchParams.get('near') || '';
+  const radius = searchParams.get('radius') || '1000';
+
+  const [searchInput, setSearchInput] = useState(search);
+  const debouncedSearch = useDebounce(searchInput.trim(), 400);
+  // The search value the URL currently holds, to tell typing from navigation
+  const syncedSearch = useRef(search);
+
+  const [posts, setPosts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const [facets, setFacets] = useState({ categories: [], buildings: [] });
+  const { categories } = useCategories();
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState('');
+
+  const sentinelRef = useRef(null);
+
+  // Query string for the current filters, without paging
+  const queryString = useMemo(() => {
+    const params = new URLSearchParams();
+    FILTER_PARAMS.forEach(key => {
+      const value = searchParams.get(key);
+      if (value) params.set(key, value);
+    });
+    return params.toString();
+  }, [searchParams]);
+
+  // Keep the latest query string for discarding stale page loads
+  const queryRef = useRef(queryString);
+  queryRef.current = queryString;
+
+  const updateParams = useCallback((changes, options = {}) => {
+    const next = new URLSearchParams(searchParams);
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+
+    if (next.toString() !== searchParams.toString()) {
+      setSearchParams(next, options);
+    }
+  }, [searchParams, setSearchParams]);
+
+  // Push the debounced search box value into the URL
+  useEffect(() => {
+    const nextSearch = debouncedSearch.length >= 2 ? debouncedSearch : '';
+    if (nextSearch === syncedSearch.current) return;
+
+    syncedSearch.current = nextSearch;
+    updateParams({ search: nextSearch }, { replace: true });
+  }, [debouncedSearch, updateParams]);
+
+  // Reflect back/forward navigation in the search box
+  useEffect(() => {
+    if (search !== syncedSearch.current) {
+      syncedSearch.current = search;
+      setSearchInput(search);
+    }
+  }, [search]);
+
+  const fetchPage = useCallback((pageNumber) => {
+    const separator = queryString ? '&' : '';
+    return axios.get(`/posts?${queryString}${separator}page=${pageNumber}&limit=${PAGE_SIZE}`);
+  }, [queryString]);
+
+  // Load the first page whenever the filters change
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadFirstPage = async () => {
+      setLoading(true);
+      setPosts([]);
+
+      try {
+        const response = await fetchPage(1);
+        if (cancelled) return;
+
+        setPosts(response.data.posts || []);
+        setTotal(response.data.total || 0);
+        setPage(1);
+        setHasMore(response.data.pagination.pages > 1);
+        setError('');
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.response?.data?.error || 'Failed to load posts');
+        setHasMore(false);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadFirstPage();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (loading || loadingMore || !hasMore) return;
+
+    const requestQuery = queryString;
+    setLoadingMore(true);
+
+    try {
+      const nextPage = page + 1;
+      const response = await fetchPage(nextPage);
+      if (queryRef.current !== requestQuery) return;
+
+      // Skip posts that shifted onto this page since the last load
+      setPosts(prev => {
+        const seen = new Set(prev.map(post => post._id));
+        return [...prev, ...(response.data.posts || []).filter(post => !seen.has(post._id))];
+      });
+      setPage(nextPage);
+      setHasMore(nextPage < response.data.pagination.pages);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load more posts');
+      setHasMore(false);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loading, loadingMore, hasMore, page, queryString, fetchPage]);
+
+  // Infinite scroll: load the next page when the sentinel comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: '300px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore]);
+
+  // Facet counts follow the type and search, not the facet selections
+  useEffect(() => {
+    const fetchFacets = async () => {
+      try {
+        const params = new URLSearchParams();
+        if (type) params.set('type', type);
+        if (search) params.set('search', search);
+
+        const response = await axios.get(`/posts/facets?${params.toString()}`);
+        setFacets(response.data.facets);
+      } catch (err) {
+        // Filters still work without counts
+      }
+    };
+
+    fetchFacets();
+  }, [type, search]);
+
+  const handleNearMe = () => {
+    if (!navigator.geolocation) {
+      setLocationError('Your browser cannot share its location.');
+      return;
+    }
+
+    setLocating(true);
+    setLocationError('');
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setLocating(false);
+        updateParams({ near: `${coords.latitude.toFixed(5)},${coords.longitude.toFixed(5)}` });
+      },
+      () => {
+        setLocating(false);
+        setLocationError('Could not get your location.');
+      },
+      { timeout: 10000 }
+    );
+  };
+
+  const clearFilters = () => {
+    syncedSearch.current = '';
+    setSearchInput('');
+    setSearchParams(type ? { type } : {});
+  };
+
+  const hasFilters = Boolean(category || building || search || near || sortBy);
+  // Sorting doesn't change which posts match, so it isn't part of a saved search
+  const canSaveSearch = isAuthenticated && Boolean(type || category || building || search);
+
   return (
-    <div className="page-container">
-      <h1>Posts</h1>
-      <p>Posts listing component coming soon...</p>
+    <div className="page-container posts-page">
+      <div className="posts-header">
+        <h1>Browse Items</h1>
+        <div className="posts-type-tabs">
+          {TYPE_TABS.map(tab => (
+            <button
+              key={tab.value}
+              className={`posts-type-tab ${type === tab.value ? 'active' : ''}`}
+              onClick={() => updateParams({ type: tab.value })}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="posts-toolbar">
+        <input
+          type="search"
+          className="form-control posts-search"
+          placeholder="Search by title, description, color or brand..."
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+
+        <select
+          className="form-control posts-sort"
+          value={sortBy}
+          onChange={(e) => updateParams({ sortBy: e.target.value })}
+        >
+          <option value="">{search ? 'Best match' : near ? 'Nearest' : 'Newest'}</option>
+          {SORT_OPTIONS.filter(option => search || near || option.value !== 'createdAt').map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        {sortBy && (
+          <button
+            className="btn btn-sm btn-outline"
+            onClick={() => updateParams({ sortOrder: sortOrder === 'desc' ? 'asc' : '' })}
+            title="Toggle sort order"
+          >
+            {sortOrder === 'desc' ? '↓ Desc' : '↑ Asc'}
+          </button>
+        )}
+      </div>
+
+      <div className="posts-layout">
+        <aside className="posts-filters">
+          <div className="filter-group">
+            <h3>Category</h3>
+            <ul className="facet-list">
+              {facets.categories.map(facet => (
+                <li key={facet.value}>
+                  <button
+                    className={`facet ${category === facet.value ? 'active' : ''}`}
+                    onClick={() => updateParams({ category: category === facet.value ? '' : facet.value })}
+                  >
+                    <span>{categoryIcon(categories, facet.value)} {facet.value}</span>
+                    <span className="facet-count">{facet.count}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="filter-group">
+            <h3>Building</h3>
+            <select
+              className="form-control"
+              value={building}
+              onChange={(e) => updateParams({ building: e.target.value })}
+            >
+              <option value="">Any building</option>
+              {building && !facets.buildings.some(facet => facet.value === building) && (
+                <option value={building}>{building}</option>
+              )}
+              {facets.buildings.map(facet => (
+                <option key={facet.value} value={facet.value}>
+                  {facet.value} ({facet.count})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <h3>Distance</h3>
+            {near ? (
+              <>
+                <select
+                  className="form-control"
+                  value={radius}
+                  onChange={(e) => updateParams({ radius: e.target.value })}
+                >
+                  {RADIUS_OPTIONS.map(option => (
+                    <option key={option} value={option}>Within {formatDistance(option)}</option>
+                  ))}
+                </select>
+                <button className="btn btn-sm btn-outline btn-block mt-2" onClick={() => updateParams({ near: '', radius: '' })}>
+                  Anywhere
+                </button>
+              </>
+            ) : (
+              <button className="btn btn-sm btn-outline btn-block" onClick={handleNearMe} disabled={locating}>
+                {locating ? 'Locating...' : '📍 Near me'}
+              </button>
+            )}
+            {locationError && <p className="error-message">{locationError}</p>}
+            {near && <p className="text-muted posts-near-note">Only posts with a map pin are shown.</p>}
+          </div>
+
+          {hasFilters && (
+            <button className="btn btn-sm btn-outline btn-block" onClick={clearFilters}>
+              Clear filters
+            </button>
+          )}
+
+          {canSaveSearch && (
+            <div className="filter-group">
+              <SaveSearchForm
+                key={`${type}|${category}|${building}|${search}`}
+                filters={{ type, category, building, search }}
+              />
+            </div>
+          )}
+        </aside>
+
+        <section className="posts-results">
+          {!loading && !error && (
+            <p className="text-muted posts-count">
+              {total} {total === 1 ? 'item' : 'items'}
+            </p>
+          )}
+
+          {error && <div className="error-message">{error}</div>}
+
+          {!loading && !error && posts.length === 0 ? (
+            <div className="posts-empty">
+              <p>No items match your filters.</p>
+              {hasFilters && (
+                <button className="btn btn-sm btn-outline" onClick={clearFilters}>
+                  Clear filters
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="posts-grid">
+              {posts.map(post => (
+                <PostCard key={post._id} post={post} />
+              ))}
+              {(loading || loadingMore) &&
+                Array.from({ length: loading ? PAGE_SIZE / 2 : 3 }, (_, index) => (
+                  <PostCardSkeleton key={`skeleton-${index}`} />
+                ))}
+            </div>
+          )}
+
+          <div ref={sentinelRef} className="posts-sentinel"></div>
+
+          {!loading && !hasMore && posts.length > 0 && (
+            <p className="text-muted text-center">You've reached the end.</p>
+          )}
+        </section>
+      </div>
     </div>
   );
 };
 
-export default Posts;
\ No newline at end of file
+export default Posts;
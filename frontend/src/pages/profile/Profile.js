@@ -1,12 +1,606 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import PostCard, { PostCardSkeleton } from '../../components/posts/PostCard';
+import RewardHistory from '../../components/rewards/RewardHistory';
+import { timeSince } from '../../utils/formatters';
+import './Profile.css';
+
+const REVIEWS_PAGE_SIZE = 5;
+const POSTS_LIMIT = 12;
+
+const YEARS = ['1st Year', '2nd Year', '3rd Year', '4th Year', 'Graduate', 'Faculty', 'Staff'];
+
+const TRANSACTION_LABELS = {
+  item_returned: 'Returned an item',
+  item_found: 'Found an item',
+  helped_search: 'Helped search',
+  provided_info: 'Provided information',
+  other: 'Other'
+};
+
+const STATS = [
+  ['itemsFound', 'Found'],
+  ['itemsLost', 'Lost'],
+  ['itemsReturned', 'Returned']
+];
+
+// Build the edit form state from a profile
+const buildProfileForm = (profile) => ({
+  name: profile.name || '',
+  college: profile.college || '',
+  department: profile.department || '',
+  year: profile.year || '',
+  phone: profile.phone || '',
+  bio: profile.bio || ''
+});
+
+const PASSWORD_FIELDS = [
+  ['currentPassword', 'Current password'],
+  ['newPassword', 'New password'],
+  ['confirmPassword', 'Confirm new password']
+];
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+// Horizontal bar for each star value, from 5 down to 1
+const RatingHistogram = ({ distribution }) => {
+  const counts = [5, 4, 3, 2, 1].map(stars => ({
+    stars,
+    count: distribution.find(entry => entry._id === stars)?.count || 0
+  }));
+  const total = counts.reduce((sum, entry) => sum + entry.count, 0);
+
+  return (
+    <ul className="rating-histogram">
+      {counts.map(({ stars, count }) => (
+        <li key={stars}>
+          <span className="rating-histogram-label">{stars} ★</span>
+          <span className="rating-histogram-bar">
+            <span style={{ width: total ? `${(count / total) * 100}%` : 0 }}></span>
+          </span>
+          <span className="rating-histogram-count">{count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
 
 const Profile = () => {
+  const { id } = useParams();
+  const { user: authUser, updateProfile, changePassword } = useAuth();
+  const isOwnProfile = Boolean(authUser) && authUser._id === id;
+
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [ratings, setRatings] = useState([]);
+  const [distribution, setDistribution] = useState([]);
+  const [reviewPage, setReviewPage] = useState(1);
+  const [reviewPages, setReviewPages] = useState(0);
+  const [reviewTotal, setReviewTotal] = useState(0);
+  const [reviewsLoading, setReviewsLoading] = useState(true);
+  const [reviewError, setReviewError] = useState('');
+  const [responseDrafts, setResponseDrafts] = useState({});
+
+  const [posts, setPosts] = useState([]);
+  const [postsTotal, setPostsTotal] = useState(0);
+  const [postsLoading, setPostsLoading] = useState(true);
+
+  const [editing, setEditing] = useState(false);
+  const [profileForm, setProfileForm] = useState(null);
+  const [profileError, setProfileError] = useState('');
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+  const [passwordError, setPasswordError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      setLoading(true);
+      setEditing(false);
+
+      try {
+        const response = await axios.get(`/auth/user/${id}`);
+        setProfile(response.data.user);
+        setError('');
+      } catch (err) {
+        setProfile(null);
+        setError(err.response?.data?.error || 'Failed to load profile');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, [id]);
+
+  // Reset review paging when switching between profiles
+  useEffect(() => {
+    setReviewPage(1);
+  }, [id]);
+
+  const fetchRatings = useCallback(async () => {
+    setReviewsLoading(true);
+
+    try {
+      const response = await axios.get(`/ratings/user/${id}?page=${reviewPage}&limit=${REVIEWS_PAGE_SIZE}`);
+      setRatings(response.data.ratings || []);
+      setDistribution(response.data.distribution || []);
+      setReviewPages(response.data.pagination.pages);
+      setReviewTotal(response.data.total);
+      setReviewError('');
+    } catch (err) {
+      setReviewError(err.response?.data?.error || 'Failed to load reviews');
+    } finally {
+      setReviewsLoading(false);
+    }
+  }, [id, reviewPage]);
+
+  useEffect(() => {
+    fetchRatings();
+  }, [fetchRatings]);
+
+  useEffect(() => {
+    const fetchPosts = async () => {
+      setPostsLoading(true);
+
+      try {
+        const response = await axios.get(`/posts/user/${id}?status=active&limit=${POSTS_LIMIT}`);
+        setPosts(response.data.posts || []);
+        setPostsTotal(response.data.total || 0);
+      } catch (err) {
+        // The rest of the profile is still useful without posts
+        setPosts([]);
+      } finally {
+        setPostsLoading(false);
+      }
+    };
+
+    fetchPosts();
+  }, [id]);
+
+  const startEditing = () => {
+    setProfileForm(buildProfileForm(profile));
+    setProfileError('');
+    setMessage('');
+    setEditing(true);
+  };
+
+  const onProfileChange = (e) => {
+    setProfileForm({ ...profileForm, [e.target.name]: e.target.value });
+    setProfileError('');
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+
+    if (profileForm.name.trim().length < 2) {
+      setProfileError('Name must be between 2 and 50 characters');
+      return;
+    }
+
+    const updates = {
+      name: profileForm.name.trim(),
+      college: profileForm.college.trim(),
+      department: profileForm.department.trim(),
+      bio: profileForm.bio.trim()
+    };
+    // Year and phone are validated by the server, so only send them when set
+    if (profileForm.year) updates.year = profileForm.year;
+    if (profileForm.phone.trim()) updates.phone = profileForm.phone.trim();
+
+    setIsSubmitting(true);
+    const result = await updateProfile(updates);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setEditing(false);
+      setMessage('Profile updated.');
+    } else {
+      setProfileError(result.error);
+    }
+  };
+
+  // Keep the page in sync with the signed-in user after an update
+  useEffect(() => {
+    if (isOwnProfile && authUser) {
+      setProfile(prev => (prev ? { ...prev, ...authUser } : prev));
+    }
+  }, [isOwnProfile, authUser]);
+
+  const onPasswordChange = (e) => {
+    setPasswordForm({ ...passwordForm, [e.target.name]: e.target.value });
+    setPasswordError('');
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    const { currentPassword, newPassword, confirmPassword } = passwordForm;
+
+    if (!currentPassword) {
+      setPasswordError('Current password is required');
+      return;
+    }
+
+    if (newPassword.length < 6 || !/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(newPassword)) {
+      setPasswordError('Password must be at least 6 characters with one uppercase letter, one lowercase letter, and one number');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      setPasswordError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await changePassword(currentPassword, newPassword);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setPasswordForm(EMPTY_PASSWORD_FORM);
+      setShowPasswordForm(false);
+      setMessage('Password updated. All other devices have been signed out.');
+    } else {
+      setPasswordError(result.error);
+    }
+  };
+
+  const handleRespond = async (ratingId) => {
+    const content = (responseDrafts[ratingId] || '').trim();
+    if (!content) return;
+
+    try {
+      const response = await axios.put(`/ratings/${ratingId}/response`, { content });
+      setRatings(prev => prev.map(rating =>
+        rating._id === ratingId ? { ...rating, response: response.data.rating.response } : rating
+      ));
+      setResponseDrafts(prev => ({ ...prev, [ratingId]: '' }));
+    } catch (err) {
+      setReviewError(err.response?.data?.error || 'Failed to post response');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="page-container">
+        <p>Loading profile...</p>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <div className="page-container">
+        <div className="error-message">{error || 'User not found'}</div>
+        <Link to="/posts" className="text-primary">← Back to all items</Link>
+      </div>
+    );
+  }
+
+  const affiliation = [profile.department, profile.college].filter(Boolean).join(', ');
+
   return (
-    <div className="page-container">
-      <h1>Profile</h1>
-      <p>Profile component coming soon...</p>
+    <div className="page-container profile-page">
+      {message && <div className="success-message mb-3">{message}</div>}
+
+      <div className="profile-layout">
+        <aside className="profile-sidebar">
+          <div className="profile-card">
+            <div className="profile-avatar">
+              {profile.avatar ? (
+                <img src={profile.avatar} alt={profile.name} />
+              ) : (
+                <span>{profile.name?.charAt(0).toUpperCase()}</span>
+              )}
+            </div>
+
+            {editing ? (
+              <form onSubmit={handleProfileSubmit} className="profile-edit-form">
+                {profileError && <div className="error-message mb-3">{profileError}</div>}
+
+                <div className="form-group">
+                  <label htmlFor="name">Name</label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    className="form-control"
+                    value={profileForm.name}
+                    onChange={onProfileChange}
+                    maxLength={50}
+                    disabled={isSubmitting}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="college">College</label>
+                  <input
+                    type="text"
+                    id="college"
+                    name="college"
+                    className="form-control"
+                    value={profileForm.college}
+                    onChange={onProfileChange}
+                    maxLength={100}
+                    disabled={isSubmitting}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="department">Department</label>
+                  <input
+                    type="text"
+                    id="department"
+                    name="department"
+                    className="form-control"
+                    value={profileForm.department}
+                    onChange={onProfileChange}
+                    maxLength={100}
+                    disabled={isSubmitting}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="year">Year</label>
+                  <select
+                    id="year"
+                    name="year"
+                    className="form-control"
+                    value={profileForm.year}
+                    onChange={onProfileChange}
+                    disabled={isSubmitting}
+                  >
+                    <option value="">Select year</option>
+                    {YEARS.map(year => (
+                      <option key={year} value={year}>{year}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="phone">Phone</label>
+                  <input
+                    type="tel"
+                    id="phone"
+                    name="phone"
+                    className="form-control"
+                    value={profileForm.phone}
+                    onChange={onProfileChange}
+                    disabled={isSubmitting}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="bio">Bio</label>
+                  <textarea
+                    id="bio"
+                    name="bio"
+                    rows="4"
+                    className="form-control"
+                    value={profileForm.bio}
+                    onChange={onProfileChange}
+                    maxLength={500}
+                    disabled={isSubmitting}
+                  />
+                  <small className="text-muted">{profileForm.bio.length}/500</small>
+                </div>
+
+                <div className="profile-form-actions">
+                  <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+                    {isSubmitting ? 'Saving...' : 'Save'}
+                  </button>
+                  <button type="button" className="btn btn-outline" onClick={() => setEditing(false)}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <>
+                <h1>{profile.name}</h1>
+                {profile.role && profile.role !== 'user' && (
+                  <span className="profile-role">{profile.role}</span>
+                )}
+                {affiliation && <p className="text-muted">{affiliation}</p>}
+                {profile.year && <p className="text-muted">{profile.year}</p>}
+                {profile.bio && <p className="profile-bio">{profile.bio}</p>}
+                <p className="text-muted profile-joined">Member since {new Date(profile.createdAt).toLocaleDateString()}</p>
+
+                {isOwnProfile && (
+                  <>
+                    {profile.email && <p className="text-muted">✉ {profile.email}</p>}
+                    {profile.phone && <p className="text-muted">☎ {profile.phone}</p>}
+                    <button className="btn btn-outline btn-block" onClick={startEditing}>
+                      Edit profile
+                    </button>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="profile-card profile-stats">
+            {STATS.map(([field, label]) => (
+              <div key={field} className="profile-stat">
+                <strong>{profile[field] || 0}</strong>
+                <span className="text-muted">{label}</span>
+              </div>
+            ))}
+          </div>
+
+          {isOwnProfile && !editing && (
+            <div className="profile-card">
+              <h3>Password</h3>
+              {showPasswordForm ? (
+                <form onSubmit={handlePasswordSubmit}>
+                  {passwordError && <div className="error-message mb-3">{passwordError}</div>}
+                  {PASSWORD_FIELDS.map(([field, label]) => (
+                    <div key={field} className="form-group">
+                      <label htmlFor={field}>{label}</label>
+                      <input
+                        type="password"
+                        id={field}
+                        name={field}
+                        className="form-control"
+                        value={passwordForm[field]}
+                        onChange={onPasswordChange}
+                        disabled={isSubmitting}
+                      />
+                    </div>
+                  ))}
+                  <div className="profile-form-actions">
+                    <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+                      {isSubmitting ? 'Updating...' : 'Update'}
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-outline"
+                      onClick={() => {
+                        setShowPasswordForm(false);
+                        setPasswordForm(EMPTY_PASSWORD_FORM);
+                        setPasswordError('');
+                      }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <button className="btn btn-outline btn-block" onClick={() => setShowPasswordForm(true)}>
+                    Change password
+                  </button>
+                  <Link to="/settings/security" className="text-primary profile-security-link">
+                    Manage sessions
+                  </Link>
+                </>
+              )}
+            </div>
+          )}
+        </aside>
+
+        <div className="profile-main">
+          <section className="profile-section">
+            <h2>Ratings</h2>
+            <div className="profile-trust">
+              <div className="profile-trust-score">
+                <strong>{(profile.trustScore || 0).toFixed(1)}</strong>
+                <span className="text-muted">
+                  {profile.totalRatings || 0} {profile.totalRatings === 1 ? 'rating' : 'ratings'}
+                </span>
+              </div>
+              <RatingHistogram distribution={distribution} />
+            </div>
+          </section>
+
+          <section className="profile-section">
+            <h2>Reviews {reviewTotal > 0 && <span className="text-muted">({reviewTotal})</span>}</h2>
+
+            {reviewError && <div className="error-message">{reviewError}</div>}
+
+            {reviewsLoading ? (
+              <p>Loading reviews...</p>
+            ) : ratings.length === 0 ? (
+              <p className="text-muted">No reviews yet.</p>
+            ) : (
+              <ul className="review-list">
+                {ratings.map(rating => (
+                  <li key={rating._id} className="review-item">
+                    <div className="review-header">
+                      <span className="review-stars">{'★'.repeat(rating.rating)}{'☆'.repeat(5 - rating.rating)}</span>
+                      {rating.isVerified && <span className="review-verified">✔ Verified</span>}
+                      {!rating.isPublic && <span className="review-private">Private</span>}
+                      <span className="text-muted">{timeSince(rating.createdAt)}</span>
+                    </div>
+                    <p className="text-muted review-meta">
+                      {rating.rater ? (
+                        <Link to={`/profile/${rating.rater._id}`}>{rating.rater.name}</Link>
+                      ) : 'Former user'}
+                      {' · '}{TRANSACTION_LABELS[rating.transactionType] || rating.transactionType}
+                      {rating.post && <> · <Link to={`/posts/${rating.post._id}`}>{rating.post.title}</Link></>}
+                    </p>
+                    {rating.review && <p className="review-text">{rating.review}</p>}
+
+                    {rating.response?.content ? (
+                      <div className="review-response">
+                        <strong>Response from {profile.name}</strong>
+                        <p>{rating.response.content}</p>
+                      </div>
+                    ) : isOwnProfile && (
+                      <div className="review-respond">
+                        <textarea
+                          className="form-control"
+                          rows="2"
+                          maxLength={300}
+                          placeholder="Respond to this review..."
+                          value={responseDrafts[rating._id] || ''}
+                          onChange={(e) => setResponseDrafts({ ...responseDrafts, [rating._id]: e.target.value })}
+                        />
+                        <button
+                          className="btn btn-sm btn-outline"
+                          onClick={() => handleRespond(rating._id)}
+                          disabled={!(responseDrafts[rating._id] || '').trim()}
+                        >
+                          Respond
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {reviewPages > 1 && (
+              <div className="review-pagination">
+                <button
+                  className="btn btn-sm btn-outline"
+                  onClick={() => setReviewPage(reviewPage - 1)}
+                  disabled={reviewPage <= 1 || reviewsLoading}
+                >
+                  ← Previous
+                </button>
+                <span className="text-muted">Page {reviewPage} of {reviewPages}</span>
+                <button
+                  className="btn btn-sm btn-outline"
+                  onClick={() => setReviewPage(reviewPage + 1)}
+                  disabled={reviewPage >= reviewPages || reviewsLoading}
+                >
+                  Next →
+                </button>
+              </div>
+            )}
+          </section>
+
+          <section className="profile-section">
+            <h2>Active Posts {postsTotal > 0 && <span className="text-muted">({postsTotal})</span>}</h2>
+
+            {!postsLoading && posts.length === 0 ? (
+              <p className="text-muted">No active posts.</p>
+            ) : (
+              <div className="profile-posts">
+                {posts.map(post => (
+                  <PostCard key={post._id} post={post} />
+                ))}
+                {postsLoading && Array.from({ length: 3 }, (_, index) => (
+                  <PostCardSkeleton key={`skeleton-${index}`} />
+                ))}
+              </div>
+            )}
+          </section>
+
+          {isOwnProfile && (
+            <section className="profile-section">
+              <h2>Rewards</h2>
+              <RewardHistory />
+            </section>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
 
-export default Profile;
\ No newline at end of file
+export default Profile;
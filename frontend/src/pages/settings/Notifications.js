@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { DELIVERY_LABELS, NOTIFICATION_CATEGORIES } from '../../utils/notifications';
+import './Notifications.css';
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const NotificationSettings = () => {
+  const [channels, setChannels] = useState({});
+  const [quietHours, setQuietHours] = useState({ enabled: false, start: '22:00', end: '07:00', timezone: 'UTC' });
+  const [mutedChats, setMutedChats] = useState([]);
+  const [mutedPosts, setMutedPosts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [deliveryOptions, setDeliveryOptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const applyPreferences = (preferences) => {
+    setChannels(preferences.channels || {});
+    setQuietHours(preferences.quietHours);
+    // Chats or posts deleted since they were muted come back as null
+    setMutedChats(preferences.mutedChats.filter(Boolean));
+    setMutedPosts(preferences.mutedPosts.filter(Boolean));
+  };
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await axios.get('/notifications/preferences');
+        applyPreferences(response.data.preferences);
+        setCategories(response.data.categories);
+        setDeliveryOptions(response.data.deliveryOptions);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load notification settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreferences();
+  }, []);
+
+  const handleQuietHoursChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    const next = { ...quietHours, [name]: type === 'checkbox' ? checked : value };
+
+    // Default to the browser's zone the first time quiet hours are turned on
+    if (name === 'enabled' && checked && quietHours.timezone === 'UTC') {
+      next.timezone = browserTimezone();
+    }
+
+    setQuietHours(next);
+    setMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await axios.put('/notifications/preferences', {
+        channels,
+        quietHours,
+        mutedChats: mutedChats.map(chat => chat._id),
+        mutedPosts: mutedPosts.map(post => post._id)
+      });
+      applyPreferences(response.data.preferences);
+      setMessage('Notification settings saved.');
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save notification settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="page-container"><p>Loading notification settings...</p></div>;
+  }
+
+  return (
+    <div className="page-container notification-settings-page">
+      <h1>Notifications</h1>
+
+      {error && <div className="error-message mb-3">{error}</div>}
+      {message && <div className="success-message mb-3">{message}</div>}
+
+      <form onSubmit={handleSubmit}>
+        <section className="notification-settings-section">
+          <h2>What you hear about</h2>
+          <p className="text-muted">
+            Email digests collect notifications into one email, sent at most once a day.
+          </p>
+
+          <table className="notification-channels">
+            <thead>
+              <tr>
+                <th>Category</th>
+                {deliveryOptions.map(option => <th key={option}>{DELIVERY_LABELS[option]}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map(category => (
+                <tr key={category}>
+                  <td>
+                    {NOTIFICATION_CATEGORIES[category]?.icon}{' '}
+                    {NOTIFICATION_CATEGORIES[category]?.label || category}
+                  </td>
+                  {deliveryOptions.map(option => (
+                    <td key={option}>
+                      <input
+                        type="radio"
+                        name={`channel-${category}`}
+                        aria-label={`${NOTIFICATION_CATEGORIES[category]?.label || category}: ${DELIVERY_LABELS[option]}`}
+                        checked={(channels[category] || 'in_app') === option}
+                        onChange={() => {
+                          setChannels({ ...channels, [category]: option });
+                          setMessage('');
+                        }}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        <section className="notification-settings-section">
+          <h2>Quiet hours</h2>
+          <p className="text-muted">
+            During quiet hours nothing pops up and no emails are sent. Notifications still wait for you in the bell.
+          </p>
+
+          <label className="quiet-hours-toggle">
+            <input
+              type="checkbox"
+              name="enabled"
+              checked={quietHours.enabled}
+              onChange={handleQuietHoursChange}
+            />
+            Enable quiet hours
+          </label>
+
+          {quietHours.enabled && (
+            <div className="quiet-hours-fields">
+              <div className="form-group">
+                <label htmlFor="quietStart">From</label>
+                <input
+                  id="quietStart"
+                  type="time"
+                  name="start"
+                  className="form-control"
+                  value={quietHours.start}
+                  onChange={handleQuietHoursChange}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="quietEnd">Until</label>
+                <input
+                  id="quietEnd"
+                  type="time"
+                  name="end"
+                  className="form-control"
+                  value={quietHours.end}
+                  onChange={handleQuietHoursChange}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="quietTimezone">Time zone</label>
+                <input
+                  id="quietTimezone"
+                  type="text"
+                  name="timezone"
+                  className="form-control"
+                  value={quietHours.timezone}
+                  onChange={handleQuietHoursChange}
+                  placeholder="e.g. Asia/Kolkata"
+                  required
+                />
+              </div>
+            </div>
+          )}
+        </section>
+
+        <section className="notification-settings-section">
+          <h2>Muted</h2>
+          <p className="text-muted">
+            You won't be notified about these conversations and posts. Mute more from a chat or post page.
+          </p>
+
+          {mutedChats.length === 0 && mutedPosts.length === 0 ? (
+            <p className="text-muted">Nothing is muted.</p>
+          ) : (
+            <ul className="muted-list">
+              {mutedChats.map(chat => (
+                <li key={chat._id}>
+                  <Link to={`/chats/${chat._id}`}>💬 {chat.post?.title || chat.title || 'Conversation'}</Link>
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline"
+                    onClick={() => setMutedChats(mutedChats.filter(item => item._id !== chat._id))}
+                  >
+                    Unmute
+                  </button>
+                </li>
+              ))}
+              {mutedPosts.map(post => (
+                <li key={post._id}>
+                  <Link to={`/posts/${post._id}`}>📌 {post.title}</Link>
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline"
+                    onClick={() => setMutedPosts(mutedPosts.filter(item => item._id !== post._id))}
+                  >
+                    Unmute
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save settings'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default NotificationSettings;
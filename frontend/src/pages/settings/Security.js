@@ -0,0 +1,232 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { timeSince } from '../../utils/formatters';
+import './Security.css';
+
+// Turn a user agent string into a short "Browser on OS" label
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token));
+
+  const os = [
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token));
+
+  if (!browser && !os) return 'Unknown device';
+  return `${browser ? browser[1] : 'Browser'} on ${os ? os[1] : 'unknown OS'}`;
+};
+
+const Security = () => {
+  const { changePassword, logoutAll } = useAuth();
+  const navigate = useNavigate();
+
+  const [sessions, setSessions] = useState([]);
+  const [loadingSessions, setLoadingSessions] = useState(true);
+  const [sessionError, setSessionError] = useState('');
+
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [passwordError, setPasswordError] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { currentPassword, newPassword, confirmPassword } = formData;
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await axios.get('/auth/sessions');
+      setSessions(response.data.sessions || []);
+      setSessionError('');
+    } catch (err) {
+      setSessionError(err.response?.data?.error || 'Failed to fetch sessions');
+    } finally {
+      setLoadingSessions(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const onChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [e.target.name]: '' });
+    setPasswordError('');
+    setPasswordMessage('');
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!currentPassword) {
+      newErrors.currentPassword = 'Current password is required';
+    }
+
+    if (newPassword.length < 6) {
+      newErrors.newPassword = 'Password must be at least 6 characters';
+    } else if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(newPassword)) {
+      newErrors.newPassword = 'Password must contain at least one uppercase letter, one lowercase letter, and one number';
+    }
+
+    if (newPassword !== confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await changePassword(currentPassword, newPassword);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setPasswordMessage('Password updated. All other devices have been signed out.');
+      fetchSessions();
+    } else {
+      setPasswordError(result.error);
+    }
+  };
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await axios.delete(`/auth/sessions/${sessionId}`);
+      setSessions(sessions.filter(session => session._id !== sessionId));
+    } catch (err) {
+      setSessionError(err.response?.data?.error || 'Failed to revoke session');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of all devices, including this one?')) return;
+
+    const result = await logoutAll();
+    if (result.success) {
+      navigate('/login', { replace: true });
+    } else {
+      setSessionError(result.error);
+    }
+  };
+
+  return (
+    <div className="page-container security-page">
+      <h1>Security</h1>
+
+      <section className="security-section">
+        <h2>Change Password</h2>
+        <p className="text-muted">Changing your password signs you out on every other device.</p>
+
+        {passwordError && <div className="error-message mb-3">{passwordError}</div>}
+        {passwordMessage && <div className="success-message mb-3">{passwordMessage}</div>}
+
+        <form onSubmit={onSubmit}>
+          <div className="form-group">
+            <label htmlFor="currentPassword">Current Password</label>
+            <input
+              type="password"
+              id="currentPassword"
+              name="currentPassword"
+              className={`form-control ${errors.currentPassword ? 'error' : ''}`}
+              value={currentPassword}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            {errors.currentPassword && <div className="error-message">{errors.currentPassword}</div>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="newPassword">New Password</label>
+            <input
+              type="password"
+              id="newPassword"
+              name="newPassword"
+              className={`form-control ${errors.newPassword ? 'error' : ''}`}
+              value={newPassword}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            {errors.newPassword && <div className="error-message">{errors.newPassword}</div>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm New Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              className={`form-control ${errors.confirmPassword ? 'error' : ''}`}
+              value={confirmPassword}
+              onChange={onChange}
+              disabled={isSubmitting}
+            />
+            {errors.confirmPassword && <div className="error-message">{errors.confirmPassword}</div>}
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+            {isSubmitting ? 'Updating...' : 'Update Password'}
+          </button>
+        </form>
+      </section>
+
+      <section className="security-section">
+        <div className="security-section-header">
+          <h2>Active Sessions</h2>
+          <button className="btn btn-sm btn-outline" onClick={handleLogoutAll}>
+            Log out all devices
+          </button>
+        </div>
+
+        {sessionError && <div className="error-message mb-3">{sessionError}</div>}
+
+        {loadingSessions ? (
+          <p>Loading sessions...</p>
+        ) : (
+          <ul className="session-list">
+            {sessions.map(session => (
+              <li key={session._id} className="session-item">
+                <div>
+                  <strong>{describeDevice(session.userAgent)}</strong>
+                  {session.current && <span className="session-current">This device</span>}
+                  <p className="text-muted">
+                    {session.ipAddress || 'Unknown IP'} · active {timeSince(session.lastUsedAt)} · signed in {timeSince(session.createdAt)}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button className="btn btn-sm btn-outline" onClick={() => handleRevoke(session._id)}>
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Security;
@@ -0,0 +1,21 @@
+// Helpers for the category tree returned by GET /api/categories
+
+export const findCategory = (categories, name) => categories.find(category => category.name === name) || null;
+
+// Sub-categories of a top-level category, by name
+export const subCategoriesOf = (categories, name) => findCategory(categories, name)?.children || [];
+
+// Icon for a category or one of its sub-categories, falling back to the parent's
+export const categoryIcon = (categories, name, subCategoryName = null) => {
+  const category = findCategory(categories, name);
+  const subCategory = subCategoryName && category?.children.find(child => child.name === subCategoryName);
+  return subCategory?.icon || category?.icon || '';
+};
+
+// Attributes a post in a category and optional sub-category asks for:
+// the category's own followed by the sub-category's
+export const attributesOf = (categories, name, subCategoryName = null) => {
+  const category = findCategory(categories, name);
+  const subCategory = subCategoryName && category?.children.find(child => child.name === subCategoryName);
+  return [...(category?.attributes || []), ...(subCategory?.attributes || [])];
+};
@@ -0,0 +1,23 @@
+// Display labels for claim statuses, mirrors the backend Claim model
+export const CLAIM_STATUS_LABELS = {
+  requested: 'Requested',
+  under_review: 'Under review',
+  approved: 'Approved',
+  handed_over: 'Handed over',
+  confirmed: 'Confirmed',
+  rejected: 'Rejected',
+  disputed: 'Disputed',
+  withdrawn: 'Withdrawn'
+};
+
+// Button labels for moving a claim to each status. Statuses with a
+// prompt ask for an optional note shown to the other party.
+export const CLAIM_ACTIONS = {
+  under_review: { label: 'Start review' },
+  approved: { label: 'Approve', primary: true },
+  handed_over: { label: 'Mark as handed over', primary: true },
+  confirmed: { label: 'I received the item', primary: true },
+  rejected: { label: 'Reject', danger: true, prompt: 'Reason (optional, shown to the claimant)' },
+  disputed: { label: 'Report a problem', danger: true, prompt: 'What went wrong?' },
+  withdrawn: { label: 'Withdraw claim', confirm: 'Withdraw your claim? You will not be able to claim this item again.' }
+};
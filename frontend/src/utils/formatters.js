@@ -0,0 +1,60 @@
+// Utility function to format date as relative time
+export const timeSince = (date) => {
+  const seconds = Math.floor((new Date() - new Date(date)) / 1000);
+
+  let interval = Math.floor(seconds / 31536000);
+  if (interval >= 1) return interval + " year" + (interval > 1 ? "s" : "") + " ago";
+
+  interval = Math.floor(seconds / 2592000);
+  if (interval >= 1) return interval + " month" + (interval > 1 ? "s" : "") + " ago";
+
+  interval = Math.floor(seconds / 86400);
+  if (interval >= 1) return interval + " day" + (interval > 1 ? "s" : "") + " ago";
+
+  interval = Math.floor(seconds / 3600);
+  if (interval >= 1) return interval + " hour" + (interval > 1 ? "s" : "") + " ago";
+
+  interval = Math.floor(seconds / 60);
+  if (interval >= 1) return interval + " minute" + (interval > 1 ? "s" : "") + " ago";
+
+  return "Just now";
+};
+
+// Format a date as a short clock time (e.g. 14:05)
+export const formatTime = (date) => {
+  return new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Format a date with weekday, day and clock time (e.g. Tue, 4 Mar, 14:05)
+export const formatDateTime = (date) => {
+  return new Date(date).toLocaleString([], {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Format a date for a datetime-local input, in local time
+export const toLocalInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Format an amount in the app currency (REACT_APP_CURRENCY, default INR)
+export const formatCurrency = (amount) => {
+  return new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: process.env.REACT_APP_CURRENCY || 'INR',
+    maximumFractionDigits: 0
+  }).format(amount);
+};
+
+// Format a distance in metres, e.g. "350 m" or "1.2 km"
+export const formatDistance = (meters) => {
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+};
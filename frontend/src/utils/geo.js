@@ -0,0 +1,99 @@
+// Map settings and helpers for post map pins. Pins are stored as GeoJSON
+// points, whose coordinates are [longitude, latitude].
+
+export const TILE_SIZE = 256;
+
+// Parse a comma separated list of numbers, or null unless exactly `count`
+const parseNumbers = (value, count) => {
+  if (!value) return null;
+  const numbers = value.split(',').map(part => Number(part.trim()));
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+// Which map the pin picker shows. Either a static campus map image with
+// its edges (REACT_APP_CAMPUS_MAP_IMAGE, REACT_APP_CAMPUS_MAP_BOUNDS as
+// "north,west,south,east"), or tiles from a self-hosted tile server
+// (REACT_APP_MAP_TILE_URL such as https://tiles.example.edu/{z}/{x}/{y}.png,
+// centred on REACT_APP_MAP_CENTER "latitude,longitude"). Without either,
+// pins are entered as coordinates.
+export const getMapConfig = () => {
+  const bounds = parseNumbers(process.env.REACT_APP_CAMPUS_MAP_BOUNDS, 4);
+  if (process.env.REACT_APP_CAMPUS_MAP_IMAGE && bounds) {
+    const [north, west, south, east] = bounds;
+    return {
+      mode: 'image',
+      image: process.env.REACT_APP_CAMPUS_MAP_IMAGE,
+      bounds: { north, west, south, east }
+    };
+  }
+
+  const center = parseNumbers(process.env.REACT_APP_MAP_CENTER, 2);
+  if (process.env.REACT_APP_MAP_TILE_URL && center) {
+    return {
+      mode: 'tiles',
+      tileUrl: process.env.REACT_APP_MAP_TILE_URL,
+      attribution: process.env.REACT_APP_MAP_ATTRIBUTION || '',
+      center: { latitude: center[0], longitude: center[1] },
+      zoom: Number(process.env.REACT_APP_MAP_ZOOM) || 16
+    };
+  }
+
+  return null;
+};
+
+// Convert between { latitude, longitude } and a GeoJSON point
+export const toPoint = ({ latitude, longitude }) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+export const fromPoint = (point) => {
+  if (!point?.coordinates) return null;
+  const [longitude, latitude] = point.coordinates;
+  return { latitude, longitude };
+};
+
+// Web Mercator projection to world pixels at a zoom level, as used by
+// standard {z}/{x}/{y} tile servers
+export const project = ({ latitude, longitude }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin(latitude * Math.PI / 180);
+
+  return {
+    x: (longitude + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+};
+
+export const unproject = ({ x, y }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - 2 * Math.PI * y / scale;
+
+  return {
+    latitude: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    longitude: x / scale * 360 - 180
+  };
+};
+
+// Tiles covering a viewport whose top-left corner is at world pixel `origin`
+export const visibleTiles = (origin, width, height, zoom) => {
+  const count = 2 ** zoom;
+  const tiles = [];
+
+  for (let x = Math.floor(origin.x / TILE_SIZE); x * TILE_SIZE < origin.x + width; x++) {
+    for (let y = Math.floor(origin.y / TILE_SIZE); y * TILE_SIZE < origin.y + height; y++) {
+      if (y < 0 || y >= count) continue;
+      tiles.push({
+        // Wrap around the antimeridian
+        x: ((x % count) + count) % count,
+        y,
+        left: x * TILE_SIZE - origin.x,
+        top: y * TILE_SIZE - origin.y
+      });
+    }
+  }
+
+  return tiles;
+};
+
+export const tileSrc = (template, { x, y }, zoom) => template
+  .replace('{z}', zoom)
+  .replace('{x}', x)
+  .replace('{y}', y);
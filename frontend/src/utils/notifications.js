@@ -0,0 +1,18 @@
+// Labels and icons for notification categories, mirrors the backend
+// Notification model
+export const NOTIFICATION_CATEGORIES = {
+  new_message: { label: 'New messages', icon: '💬' },
+  new_interest: { label: 'Interest in my posts', icon: '🙋' },
+  possible_match: { label: 'Possible matches', icon: '🔗' },
+  claim_update: { label: 'Claim updates', icon: '📦' },
+  rating_received: { label: 'Ratings received', icon: '⭐' },
+  post_expiring: { label: 'Posts about to expire', icon: '⏳' },
+  meeting_reminder: { label: 'Meeting reminders', icon: '📅' },
+  saved_search: { label: 'Saved search alerts', icon: '🔎' }
+};
+
+export const DELIVERY_LABELS = {
+  in_app: 'In app',
+  email_digest: 'Email digest',
+  off: 'Off'
+};
@@ -0,0 +1,8 @@
+// Role hierarchy, mirrors ROLE_LEVELS in the backend User model
+const ROLE_LEVELS = { user: 0, moderator: 1, admin: 2 };
+
+// Check whether a user has at least the given role
+export const hasRole = (user, role) => {
+  if (!user) return false;
+  return (ROLE_LEVELS[user.role] || 0) >= ROLE_LEVELS[role];
+};
@@ -0,0 +1,29 @@
+// Helpers for saved searches, whose filters mirror GET /api/posts
+
+export const SAVED_SEARCH_FILTERS = ['type', 'category', 'building', 'search'];
+
+export const FREQUENCY_LABELS = {
+  immediate: 'For every new post',
+  daily: 'Once a day'
+};
+
+// Short readable summary of a set of filters, e.g. "Lost Keys in Library"
+export const describeFilters = (filters = {}) => {
+  const parts = [];
+
+  if (filters.type) parts.push(filters.type === 'lost' ? 'Lost' : 'Found');
+  parts.push(filters.category || (filters.type ? 'items' : 'Items'));
+  if (filters.search) parts.push(`matching "${filters.search}"`);
+  if (filters.building) parts.push(`in ${filters.building}`);
+
+  return parts.join(' ').slice(0, 60);
+};
+
+// Browse page link for a saved search's filters
+export const savedSearchLink = (filters = {}) => {
+  const params = new URLSearchParams();
+  SAVED_SEARCH_FILTERS.forEach(key => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  return `/posts?${params.toString()}`;
+};